@@ -7,7 +7,9 @@
  */
 'use strict';
 
-/* global mat4, mat3, ProjectFourDataModule, vec4 */
+/* global mat4, mat3, ProjectFourDataModule, ProjectFourLoaderModule,
+  ProjectFourGeometryModule, ProjectFourTextureModule,
+  ProjectFourClockModule, vec4 */
 
 /**
  * @description This JavaScript module contains all the code related to the
@@ -44,24 +46,36 @@
  * <pre>
  * Table of contents
  * - Enums
- *   - Utility                    Line 0109
- *   - Identifiers                Line 0132
- *   - Text                       Line 0157
- *   - Colors                     Line 0177
- *   - DefaultUniforms            Line 0201
- *   - Textures                   Line 0225
- *   - Shaders                    Line 0245
+ *   - Utility                    Line 0128
+ *   - Identifiers                Line 0174
+ *   - Text                       Line 0204
+ *   - Colors                     Line 0238
+ *   - DefaultUniforms            Line 0266
+ *   - DefaultOrbit               Line 0319
+ *   - OrbitDirections            Line 0340
+ *   - LightTypes                 Line 0360
+ *   - MaterialModels             Line 0380
+ *   - CubeMapFaces               Line 0395
+ *   - Textures                   Line 0416
+ *   - SurfaceMaps                Line 0438
+ *   - Shaders                    Line 0521
  * - Data arrays
- *   - debugSceneObjectsData      Line 0369
- *   - sceneObjectsData           Line 0400
- *   - lightSourceData            Line 0595
- *   - sidebarButtonData          Line 0632
+ *   - debugSceneObjectsData      Line 1020
+ *   - sceneObjectsData           Line 1100
+ *   - planetaryObjectsData       Line 1405
+ *   - lightSourceData            Line 1675
+ *   - importedModelData          Line 1748
+ *   - skyboxData                 Line 1760
+ *   - postProcessingData         Line 1781
+ *   - orbitDisplayData           Line 1822
+ *   - sidebarButtonData          Line 1843
+ *   - sidebarInputData           Line 1896
  * - Functions
- *   - Utility functions          Line 0650
- *   - Assembly functions         Line 0788
- *   - Handler functions          Line 1381
- *   - Main functions             Line 1930
- *   - Accessible functions       Line 2166
+ *   - Utility functions          Line 1911
+ *   - Assembly functions         Line 2258
+ *   - Handler functions          Line 3820
+ *   - Main functions             Line 5599
+ *   - Accessible functions       Line 6139
  * </pre>
  *
  * @see {@link math.hws.edu/graphicsbook/source/webgl/diskworld-2.html|dw2}
@@ -73,8 +87,13 @@
  * @module ProjectFourModule
  * @const
  * @param {ProjectFourDataModule} Polyhedra
+ * @param {ProjectFourLoaderModule} Loaders
+ * @param {ProjectFourGeometryModule} Geometry
+ * @param {ProjectFourTextureModule} TextureManager
+ * @param {ProjectFourClockModule} Clock
  */
-const ProjectFourModule = (function (Polyhedra) {
+const ProjectFourModule = (function (Polyhedra, Loaders, Geometry,
+    TextureManager, Clock) {
 
   // Declare access namespaces
   let accessible, inaccessible;
@@ -116,6 +135,29 @@ const ProjectFourModule = (function (Polyhedra) {
     FRUSTRUM_NEAR_PLANE: 1,
     FRUSTRUM_FAR_PLANE: 100,
     DEBUG_ZOOM_DEGREE: 7,
+    SHADER_LOG_CONTEXT_LINES: 2,
+    MAX_LIGHTS: 8,
+    SHADOW_MAP_RESOLUTION: 512,
+    SHADOW_BIAS: 0.05,
+    SHADOW_NEAR_PLANE: 0.05,
+    PBR_AMBIENT_LEVEL: 0.03,
+    ENVIRONMENT_TEXTURE_UNIT: 5,
+    PANORAMA_TEXTURE_UNIT: 6,
+    STARFIELD_RESOLUTION: 512,
+    STARFIELD_STAR_COUNT: 3000,
+    REFLECTION_TEXTURE_UNIT: 7,
+    REFLECTION_MAP_RESOLUTION: 128,
+    REFLECTION_UPDATE_INTERVAL: 10,
+    BLOOM_DOWNSAMPLE_FACTOR: 2,
+    ASTRONOMICAL_UNIT: 1,
+    ASTRONOMY_DAYS_PER_SECOND: 20,
+    J2000_EPOCH: Date.UTC(2000, 0, 1, 12),
+    MILLISECONDS_PER_DAY: 86400000,
+    REFERENCE_FRAME_RATE: 60,
+    ORBIT_PATH_SEGMENTS: 128,
+    ORBIT_PATH_OPACITY: 0.35,
+    ORBIT_TRAIL_LENGTH: 120,
+    ORBIT_TRAIL_INTERVAL: 1 / 30,
   });
 
   /**
@@ -143,6 +185,11 @@ const ProjectFourModule = (function (Polyhedra) {
     LABEL_CLASS: 'toggle-button-label',
     BUTTON_CLASS: 'action-button',
     BUTTON_HOLDER_ID: 'button-holder',
+    INPUT_HOLDER_ID: 'input-holder',
+    INPUT_CLASS: 'time-input',
+    INPUT_LABEL_CLASS: 'time-input-label',
+    ERROR_CLASS: 'error-text',
+    NOTICE_HOLDER_ID: 'notice-holder',
   });
 
   /**
@@ -158,9 +205,23 @@ const ProjectFourModule = (function (Polyhedra) {
     LABEL: 'Toggle',
     CHECKBOXES_HEADER: 'Animation display options',
     BUTTON_HOLDER_HEADER: 'Interaction buttons',
+    INPUT_HOLDER_HEADER: 'Time controls',
+    NOTICE_HOLDER_HEADER: 'Notices',
     ERROR_TEXT: 'Error: WebGL is not compatible with your current browser.',
     START_BUTTON_ERROR: 'Animation is already running.',
     STOP_BUTTON_ERROR: 'Animation is not currently running.',
+    MODEL_IMPORT_ERROR: 'Error: Unable to import model',
+    MODEL_FORMAT_ERROR: 'Error: Unsupported model format',
+    UINT_INDEX_WARNING: 'Warning: 32-bit indices are not supported by your ' +
+        'browser; large shape templates will be hidden.',
+    SHADER_COMPILE_ERROR: 'Error: Unable to compile shader',
+    SHADER_LINK_ERROR: 'Error: Unable to link shader program',
+    LIGHT_NOT_FOUND_ERROR: 'Error: No light source found named',
+    LIGHT_COUNT_WARNING: 'Warning: Light sources beyond the shader maximum ' +
+        'will be ignored; maximum is',
+    INIT_ERROR: 'Error: The scene could not be initialized.',
+    HDR_TARGET_WARNING: 'Warning: Floating-point render targets are not ' +
+        'supported by your browser; post-processing will clamp bright colors.',
   });
 
   /**
@@ -185,6 +246,10 @@ const ProjectFourModule = (function (Polyhedra) {
     GREEN: [0, 0.8, 0, 1],
     YELLOW: [0.5, 0.5, 0, 1],
     GOLD: [0.5, 0.5, 0.2, 1],
+    RUST: [0.6, 0.25, 0.1, 1],
+    AZURE: [0.2, 0.4, 0.8, 1],
+    CYAN: [0.4, 0.7, 0.8, 1],
+    BLUE: [0.1, 0.2, 0.7, 1],
   });
 
   /**
@@ -204,29 +269,193 @@ const ProjectFourModule = (function (Polyhedra) {
       specularColor: inaccessible.Colors.GRAY,
       emissiveColor: inaccessible.Colors.BLACK,
       specularExponent: 16,
+      reflectivity: 0,
+      opacity: 1,
+      baseColor: inaccessible.Colors.WHITE,
+      metallic: 0,
+      roughness: 0.5,
+      ao: 1,
     },
     LIGHTS: {
       enabled: 1,
+      type: 0,
       position: [0, 0, 1, 0],
+      direction: [0, 0, -1],
       color: inaccessible.Colors.WHITE,
-      attenuation: 0,
+      attenuation: [1, 0, 0],
+      range: 0,
+      innerCutoff: 180,
+      outerCutoff: 180,
+      exponent: 0,
     },
   });
 
+  /**
+   * @description This enum contains the default values of the properties of a
+   * scene object's <code>orbit</code> object, applied to any property the
+   * object does not include. The <code>radius</code> is the semi-major axis
+   * of the orbit, the <code>period</code> the number of frames taken by a
+   * single revolution at <code>REFERENCE_FRAME_RATE</code> frames per second
+   * of clock time (or days, in astronomy mode), the
+   * <code>inclination</code> the tilt in degrees of the orbital plane about
+   * the x-axis, and the <code>phase</code> the mean anomaly in degrees at
+   * which the object starts (or stood at the J2000 epoch, in astronomy mode).
+   * The <code>direction</code> is one of
+   * <code>inaccessible.OrbitDirections</code> and the
+   * <code>eccentricity</code>, from 0 (circular) up to but excluding 1,
+   * stretches the orbit into an ellipse with its parent at one focus.
+   * <br />
+   * <br />
+   * The remaining two elements orient the orbit as astronomers do, taking the
+   * xz-plane as the ecliptic and the y-axis as its north. The
+   * <code>ascendingNode</code> is the longitude in degrees, measured from the
+   * x-axis, at which the orbit rises through the xz-plane (the axis about
+   * which it is inclined), and the <code>periapsisArgument</code> the angle
+   * in degrees from that node to the orbit's closest approach.
+   *
+   * @readonly
+   * @enum {number}
+   */
+  inaccessible.DefaultOrbit = Object.freeze({
+    radius: 0,
+    period: 360,
+    inclination: 0,
+    phase: 0,
+    direction: 1,
+    eccentricity: 0,
+    ascendingNode: 0,
+    periapsisArgument: 0,
+  });
+
+  /**
+   * @description This enum contains the values of the <code>direction</code>
+   * property of scene objects' <code>orbit</code> objects. Viewed from above,
+   * <code>PROGRADE</code> objects circle their parent in the direction the
+   * whole scene once turned, and <code>RETROGRADE</code> objects the other
+   * way.
+   *
+   * @readonly
+   * @enum {number}
+   */
+  inaccessible.OrbitDirections = Object.freeze({
+    PROGRADE: 1,
+    RETROGRADE: -1,
+  });
+
+  /**
+   * @description This enum contains the values of the <code>type</code>
+   * property of the fragment shader's <code>LightProperties struct</code>.
+   * Directional lights shine along their <code>position</code> vector (whose
+   * w component should be 0), point lights shine in all directions from their
+   * <code>position</code>, and spotlights shine from their
+   * <code>position</code> along their <code>direction</code> in a cone. The
+   * spotlight cone is full strength within <code>innerCutoff</code> degrees of
+   * its axis and fades smoothly to nothing at <code>outerCutoff</code>
+   * degrees, with the <code>exponent</code> further concentrating the light
+   * toward the axis.
+   *
+   * @readonly
+   * @enum {number}
+   */
+  inaccessible.LightTypes = Object.freeze({
+    DIRECTIONAL: 0,
+    POINT: 1,
+    SPOT: 2,
+  });
+
+  /**
+   * @description This enum contains the values of the
+   * <code>materialModel</code> property of scene objects, passed to the
+   * fragment shader's uniform of the same name. <code>PHONG</code> objects,
+   * the default, are lit using their <code>diffuseColor</code>,
+   * <code>specularColor</code>, and <code>specularExponent</code>, while
+   * <code>PBR</code> objects are lit by a Cook-Torrance BRDF using their
+   * <code>baseColor</code>, <code>metallic</code>, <code>roughness</code>,
+   * and <code>ao</code> (ambient occlusion) material uniforms instead. Both
+   * make use of the <code>emissiveColor</code>.
+   *
+   * @readonly
+   * @enum {number}
+   */
+  inaccessible.MaterialModels = Object.freeze({
+    PHONG: 0,
+    PBR: 1,
+  });
+
+  /**
+   * @description This enum lists the direction and up vector of each face of a
+   * cube map in the order of the <code>TEXTURE_CUBE_MAP_POSITIVE_X</code>
+   * through <code>TEXTURE_CUBE_MAP_NEGATIVE_Z</code> targets, such that
+   * <code>mat4.lookAt</code> may be used to build the view matrix with which
+   * each face is rendered.
+   *
+   * @readonly
+   * @enum {!Array<object>}
+   */
+  inaccessible.CubeMapFaces = Object.freeze([
+    {direction: [1, 0, 0], up: [0, -1, 0]},
+    {direction: [-1, 0, 0], up: [0, -1, 0]},
+    {direction: [0, 1, 0], up: [0, 0, 1]},
+    {direction: [0, -1, 0], up: [0, 0, -1]},
+    {direction: [0, 0, 1], up: [0, -1, 0]},
+    {direction: [0, 0, -1], up: [0, -1, 0]},
+  ]);
+
   /**
    * @description This enum contains the <code>String</code> representations of
    * the local addresses at which the included texture images (<code>jpg</code>)
-   * are located for loading and application within the body of
-   * <code>inaccessible.handleTextureLoading</code>.
+   * and normal maps (<code>png</code>) are located for loading, caching, and
+   * application by <code>ProjectFourTextureModule</code>. Each normal map
+   * shares the size of the image it accompanies, so that both are wrapped
+   * and filtered alike; as neither size is a power of two, both are clamped
+   * to their edges rather than repeated.
    *
    * @readonly
    * @enum {string}
    */
   inaccessible.Textures = Object.freeze({
     SUN: 'textures/sun.jpg',
+    SUN_NORMAL: 'textures/sun-normal.png',
     JUPITER: 'textures/jupiter.jpg',
+    JUPITER_NORMAL: 'textures/jupiter-normal.png',
   });
 
+  /**
+   * @description This enum lists the surface maps that scene entries may
+   * include alongside their <code>texture</code>, each denoted by the entry
+   * property (and sampler uniform) <code>name</code>, the boolean uniform
+   * <code>flag</code> toggling its use, the texture unit to which it is bound,
+   * and the temporary <code>color</code> shown while its image loads. Normal
+   * maps perturb the surface normal in the tangent space of the surface,
+   * specular maps scale the Phong <code>specularColor</code>, and emissive
+   * maps replace the <code>emissiveColor</code>. Texture units 0 and 1 are
+   * held by the diffuse texture and the shadow cube map respectively, while
+   * the skybox images occupy the units following the surface maps.
+   *
+   * @readonly
+   * @enum {!Array<object>}
+   */
+  inaccessible.SurfaceMaps = Object.freeze([
+    {
+      name: 'normalMap',
+      flag: 'useNormalMap',
+      unit: 2,
+      color: [0.5, 0.5, 1, 1],
+    },
+    {
+      name: 'specularMap',
+      flag: 'useSpecularMap',
+      unit: 3,
+      color: inaccessible.Colors.WHITE,
+    },
+    {
+      name: 'emissiveMap',
+      flag: 'useEmissiveMap',
+      unit: 4,
+      color: inaccessible.Colors.BLACK,
+    },
+  ]);
+
   /**
    * @description This enum contains the fragment and vertex shaders written in
    * the GLSL shading language that are used to affect change in the
@@ -236,6 +465,53 @@ const ProjectFourModule = (function (Polyhedra) {
    * textures. The author is not 100% sure this was done correctly, but given
    * the lack of console errors and the ability to paint objects with a flat
    * color texture, he assumes they must be mostly right.
+   * <br />
+   * <br />
+   * As GLSL ES 1.0 requires both array sizes and loop bounds to be constant,
+   * the size of the <code>lights</code> array is taken from
+   * <code>inaccessible.Utility.MAX_LIGHTS</code> as the shader source is
+   * built, while the <code>lightCount</code> uniform denotes how many of
+   * those lights are actually in use.
+   * <br />
+   * <br />
+   * The <code>SKYBOX_VERTEX</code> and <code>SKYBOX_FRAGMENT</code> shaders
+   * draw the background of the scene as a single quad covering the canvas.
+   * Each corner is carried back through the inverse of the view and
+   * projection matrices to find the direction in which that corner looks,
+   * along which either the skybox cube map or the equirectangular panorama
+   * is sampled. The main fragment shader samples the same images along the
+   * reflected view direction to mirror the surroundings of objects with a
+   * nonzero <code>reflectivity</code>, rotated back from eye coordinates by
+   * the <code>inverseViewRotation</code>, or samples the object's own dynamic
+   * <code>reflectionMap</code> if it has one.
+   * <br />
+   * <br />
+   * The <code>SHADOW_VERTEX</code> and <code>SHADOW_FRAGMENT</code> shaders
+   * make up the depth-only program used to render the shadow cube map of the
+   * shadow-casting light. As WebGL1 offers no depth cube maps, each fragment's
+   * distance from the light (as a fraction of <code>shadowFar</code>) is
+   * packed into the four bytes of an RGBA color instead, to be unpacked by the
+   * main fragment shader's <code>lightingEquation</code>. Both passes work in
+   * the eye coordinates of the main camera, so that the direction from the
+   * light to a fragment may be used to sample the cube map directly.
+   * <br />
+   * <br />
+   * The shaders prefixed <code>POST_</code> make up the post-processing chain
+   * run over the offscreen image of the scene. All share the
+   * <code>POST_VERTEX</code> shader, which draws a quad covering its target
+   * and passes along the coordinates at which to sample the
+   * <code>source</code> image, while each fragment shader is built into its
+   * own program, keyed by its name sans prefix. Bloom is assembled from three
+   * of these; the bright pass keeps only the colors brighter than the
+   * <code>threshold</code>, the separable Gaussian blur spreads them one
+   * <code>direction</code> at a time, and the bloom pass adds the result back
+   * to the original image.
+   * <br />
+   * <br />
+   * The <code>ORBIT_VERTEX</code> and <code>ORBIT_FRAGMENT</code> shaders
+   * draw the unlit lines of the orbit paths and motion trails in a single
+   * <code>color</code>, whose opacity is scaled by each vertex's
+   * <code>a_alpha</code> so that trails fade away toward their oldest end.
    *
    * @see {@link math.hws.edu/graphicsbook/source/webgl/diskworld-2.html|dw2}
    * @see {@link math.hws.edu/graphicsbook/source/webgl/bumpmap.html|bm}
@@ -247,12 +523,14 @@ const ProjectFourModule = (function (Polyhedra) {
       attribute vec3 a_coords;
       attribute vec3 a_normal;
       attribute vec2 a_texCoords;
+      attribute vec4 a_tangent;
       uniform mat4 modelview;
       uniform mat4 projection;
       uniform mat3 textureTransform;
       varying vec3 v_normal;
       varying vec3 v_eyeCoords;
       varying vec2 v_texCoords;
+      varying vec4 v_tangent;
 
       void main() {
         vec4 coords = vec4(a_coords, 1.0);
@@ -262,6 +540,8 @@ const ProjectFourModule = (function (Polyhedra) {
         v_eyeCoords = eyeCoords.xyz / eyeCoords.w;
         vec3 texcoords = textureTransform * vec3(a_texCoords, 1.0);
         v_texCoords = texcoords.xy;
+        v_tangent = vec4((modelview * vec4(a_tangent.xyz, 0.0)).xyz,
+            a_tangent.w);
       }
     `,
     FRAGMENT: `
@@ -276,39 +556,142 @@ const ProjectFourModule = (function (Polyhedra) {
         vec3 specularColor;
         vec3 emissiveColor;
         float specularExponent;
+        float reflectivity;
+        float opacity;
+        vec3 baseColor;
+        float metallic;
+        float roughness;
+        float ao;
       };
 
       struct LightProperties {
         bool enabled;
+        int type;
         vec4 position;
+        vec3 direction;
         vec3 color;
-        float attenuation;
+        vec3 attenuation;
+        float range;
+        float innerCutoff;
+        float outerCutoff;
+        float exponent;
       };
 
       uniform MaterialProperties material;
-      uniform LightProperties lights[2];
+      uniform LightProperties lights[${inaccessible.Utility.MAX_LIGHTS}];
+      uniform int lightCount;
+      uniform int materialModel;
       uniform mat3 normalMatrix;
       uniform sampler2D texture;
       uniform bool useTexture;
+      uniform sampler2D normalMap;
+      uniform bool useNormalMap;
+      uniform sampler2D specularMap;
+      uniform bool useSpecularMap;
+      uniform sampler2D emissiveMap;
+      uniform bool useEmissiveMap;
+      uniform samplerCube environment;
+      uniform sampler2D environmentPanorama;
+      uniform bool useEnvironmentPanorama;
+      uniform samplerCube reflectionMap;
+      uniform bool useReflectionMap;
+      uniform mat3 inverseViewRotation;
+      uniform bool useWireColor;
+      uniform vec4 wireColor;
+      uniform samplerCube shadowMap;
+      uniform int shadowLight;
+      uniform bool receivesShadow;
+      uniform float shadowBias;
+      uniform float shadowFar;
       varying vec3 v_normal;
       varying vec3 v_eyeCoords;
       varying vec2 v_texCoords;
+      varying vec4 v_tangent;
+
+      const float PI = 3.14159265;
+
+      vec2 panoramaCoords (vec3 direction) {
+        return vec2(atan(direction.x, -direction.z) / (2.0 * PI) + 0.5,
+            acos(clamp(direction.y, -1.0, 1.0)) / PI);
+      }
+
+      float unpackDepth (vec4 rgba) {
+        return dot(rgba, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0,
+            1.0 / 16581375.0));
+      }
+
+      vec3 cookTorrance (MaterialProperties material, vec3 albedo, vec3 L,
+          vec3 N, vec3 V) {
+
+        vec3 H = normalize(L + V);
+        float NdotL = max(dot(N, L), 0.0);
+        float NdotV = max(dot(N, V), 1e-4);
+        float NdotH = max(dot(N, H), 0.0);
+        float roughness = clamp(material.roughness, 0.04, 1.0);
+
+        // Trowbridge-Reitz GGX normal distribution
+        float alpha2 = pow(roughness, 4.0);
+        float denom = NdotH * NdotH * (alpha2 - 1.0) + 1.0;
+        float D = alpha2 / (PI * denom * denom);
+
+        // Schlick-GGX geometry term for both light and view directions
+        float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+        float G = NdotL / (NdotL * (1.0 - k) + k) *
+            NdotV / (NdotV * (1.0 - k) + k);
+
+        // Schlick Fresnel approximation, dielectrics reflecting 4%
+        vec3 F0 = mix(vec3(0.04), albedo, material.metallic);
+        vec3 F = F0 + (1.0 - F0) * pow(1.0 - max(dot(H, V), 0.0), 5.0);
+
+        vec3 specular = D * G * F / max(4.0 * NdotL * NdotV, 1e-4);
+        vec3 kD = (vec3(1.0) - F) * (1.0 - material.metallic);
+
+        // Light color is taken as irradiance, so a white surface matches Phong
+        return (kD * albedo / PI + specular) * PI * NdotL;
+      }
 
       vec3 lightingEquation (LightProperties light, MaterialProperties material,
-          vec4 diffuse, vec3 eyeCoords, vec3 N, vec3 V) {
+          vec4 diffuse, vec3 eyeCoords, vec3 N, vec3 V, bool useShadowMap) {
 
         vec3 L, R;
         float attenuationFactor = 1.0;
 
-        if (light.position.w == 0.0) {
+        if (useShadowMap) {
+          vec3 fromLight = eyeCoords - light.position.xyz / light.position.w;
+          float closest = unpackDepth(textureCube(shadowMap, fromLight));
+
+          if (length(fromLight) - shadowBias > closest * shadowFar) {
+            return vec3(0.0);
+          }
+        }
+
+        if (light.type == ${inaccessible.LightTypes.DIRECTIONAL}) {
           L = normalize(light.position.xyz);
         } else {
           L = normalize(light.position.xyz/light.position.w - v_eyeCoords);
 
-          if (light.attenuation > 0.0) {
-            float dist =
-                distance(eyeCoords, light.position.xyz / light.position.w);
-            attenuationFactor = 1.0 / (1.0 + dist * light.attenuation);
+          float dist =
+              distance(eyeCoords, light.position.xyz / light.position.w);
+
+          if (light.range > 0.0) {
+            float window = clamp(1.0 - pow(dist / light.range, 4.0), 0.0, 1.0);
+            attenuationFactor = window * window / max(dist * dist, 1e-4);
+          } else {
+            attenuationFactor = 1.0 / max(light.attenuation.x +
+                light.attenuation.y * dist +
+                light.attenuation.z * dist * dist, 1e-4);
+          }
+
+          if (light.type == ${inaccessible.LightTypes.SPOT}) {
+            float spotCos = dot(-L, normalize(light.direction));
+            float outerCos = cos(radians(light.outerCutoff));
+
+            if (spotCos < outerCos) {
+              return vec3(0.0);
+            }
+
+            attenuationFactor *= pow(spotCos, light.exponent) * smoothstep(
+                outerCos, cos(radians(light.innerCutoff)) + 1e-4, spotCos);
           }
         }
 
@@ -316,6 +699,11 @@ const ProjectFourModule = (function (Polyhedra) {
           return vec3(0.0);
         }
 
+        if (materialModel == ${inaccessible.MaterialModels.PBR}) {
+          return attenuationFactor * light.color *
+              cookTorrance(material, diffuse.rgb, L, N, V);
+        }
+
         vec3 reflection = dot(L, N) * light.color * diffuse.rgb;
         R = -reflect(L, N);
 
@@ -328,30 +716,291 @@ const ProjectFourModule = (function (Polyhedra) {
       }
 
       void main () {
+        if (useWireColor) {
+          gl_FragColor = wireColor;
+          return;
+        }
+
         vec3 normal = normalize(normalMatrix * v_normal);
         vec3 viewDirection = normalize(-v_eyeCoords);
-        vec3 color = material.emissiveColor;
+        MaterialProperties surface = material;
         vec4 diffuse;
 
+        // Map normals are relative to the tangent, bitangent, and normal
+        if (useNormalMap) {
+          vec3 tangent = normalize(v_tangent.xyz -
+              dot(v_tangent.xyz, normal) * normal);
+          vec3 bitangent = cross(normal, tangent) * v_tangent.w;
+          vec3 mapped = texture2D(normalMap, v_texCoords).rgb * 2.0 - 1.0;
+          normal = normalize(mat3(tangent, bitangent, normal) * mapped);
+        }
+
+        if (useSpecularMap) {
+          surface.specularColor *= texture2D(specularMap, v_texCoords).rgb;
+        }
+
+        if (useEmissiveMap) {
+          surface.emissiveColor = texture2D(emissiveMap, v_texCoords).rgb;
+        }
+
+        vec3 color = surface.emissiveColor;
+
         if (useTexture) {
             diffuse = texture2D(texture, v_texCoords);
         } else {
             diffuse = material.diffuseColor;
         }
 
-        for (int i = 0; i < 2; i++) {
+        // Base color tints the surface color, with occluded ambient light
+        if (materialModel == ${inaccessible.MaterialModels.PBR}) {
+          diffuse.rgb *= surface.baseColor;
+          color += ${inaccessible.Utility.PBR_AMBIENT_LEVEL} * diffuse.rgb *
+              surface.ao;
+        }
+
+        for (int i = 0; i < ${inaccessible.Utility.MAX_LIGHTS}; i++) {
+          if (i >= lightCount) {
+            break;
+          }
+
           if (lights[i].enabled) {
             if (gl_FrontFacing) {
-              color += lightingEquation(lights[i], material, diffuse,
-                  v_eyeCoords, normal, viewDirection);
+              color += lightingEquation(lights[i], surface, diffuse,
+                  v_eyeCoords, normal, viewDirection,
+                  receivesShadow && i == shadowLight);
             } else {
-              color += lightingEquation(lights[i], material, diffuse,
-                  v_eyeCoords, -normal, viewDirection);
+              color += lightingEquation(lights[i], surface, diffuse,
+                  v_eyeCoords, -normal, viewDirection,
+                  receivesShadow && i == shadowLight);
             }
           }
         }
 
-        gl_FragColor = vec4(color, diffuse.a);
+        // Mirror the surroundings along the reflected view direction
+        if (surface.reflectivity > 0.0) {
+          vec3 reflected = inverseViewRotation * reflect(-viewDirection,
+              (gl_FrontFacing) ? normal : -normal);
+          vec3 surroundings;
+
+          if (useReflectionMap) {
+            surroundings = textureCube(reflectionMap, reflected).rgb;
+          } else if (useEnvironmentPanorama) {
+            surroundings = texture2D(environmentPanorama,
+                panoramaCoords(reflected)).rgb;
+          } else {
+            surroundings = textureCube(environment, reflected).rgb;
+          }
+
+          color = mix(color, surroundings, surface.reflectivity);
+        }
+
+        gl_FragColor = vec4(color, diffuse.a * surface.opacity);
+      }
+    `,
+    SKYBOX_VERTEX: `
+      attribute vec2 a_coords;
+      uniform mat4 inverseViewProjection;
+      varying vec4 v_direction;
+
+      void main() {
+        gl_Position = vec4(a_coords, 0.0, 1.0);
+        v_direction = inverseViewProjection * vec4(a_coords, 1.0, 1.0);
+      }
+    `,
+    SKYBOX_FRAGMENT: `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+      #else
+        precision mediump float;
+      #endif
+
+      uniform samplerCube skybox;
+      uniform sampler2D panorama;
+      uniform bool usePanorama;
+      varying vec4 v_direction;
+
+      const float PI = 3.14159265;
+
+      vec2 panoramaCoords (vec3 direction) {
+        return vec2(atan(direction.x, -direction.z) / (2.0 * PI) + 0.5,
+            acos(clamp(direction.y, -1.0, 1.0)) / PI);
+      }
+
+      void main () {
+        vec3 direction = normalize(v_direction.xyz / v_direction.w);
+
+        if (usePanorama) {
+          gl_FragColor = texture2D(panorama, panoramaCoords(direction));
+        } else {
+          gl_FragColor = textureCube(skybox, direction);
+        }
+      }
+    `,
+    SHADOW_VERTEX: `
+      attribute vec3 a_coords;
+      uniform mat4 modelview;
+      uniform mat4 lightView;
+      uniform mat4 projection;
+      varying vec3 v_eyeCoords;
+
+      void main() {
+        vec4 eyeCoords = modelview * vec4(a_coords, 1.0);
+        gl_Position = projection * lightView * eyeCoords;
+        v_eyeCoords = eyeCoords.xyz / eyeCoords.w;
+      }
+    `,
+    SHADOW_FRAGMENT: `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+      #else
+        precision mediump float;
+      #endif
+
+      uniform vec3 lightPosition;
+      uniform float shadowFar;
+      varying vec3 v_eyeCoords;
+
+      vec4 packDepth (float depth) {
+        vec4 encoded = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+        return encoded - encoded.yzww * vec4(vec3(1.0 / 255.0), 0.0);
+      }
+
+      void main () {
+        gl_FragColor = packDepth(min(
+            distance(v_eyeCoords, lightPosition) / shadowFar, 0.9999));
+      }
+    `,
+    ORBIT_VERTEX: `
+      attribute vec3 a_coords;
+      attribute float a_alpha;
+      uniform mat4 modelview;
+      uniform mat4 projection;
+      varying float v_alpha;
+
+      void main() {
+        gl_Position = projection * modelview * vec4(a_coords, 1.0);
+        v_alpha = a_alpha;
+      }
+    `,
+    ORBIT_FRAGMENT: `
+      precision mediump float;
+
+      uniform vec4 color;
+      varying float v_alpha;
+
+      void main() {
+        gl_FragColor = vec4(color.rgb, color.a * v_alpha);
+      }
+    `,
+    POST_VERTEX: `
+      attribute vec2 a_coords;
+      varying vec2 v_texCoords;
+
+      void main() {
+        gl_Position = vec4(a_coords, 0.0, 1.0);
+        v_texCoords = a_coords * 0.5 + 0.5;
+      }
+    `,
+    POST_BRIGHT_PASS: `
+      precision mediump float;
+
+      uniform sampler2D source;
+      uniform float threshold;
+      varying vec2 v_texCoords;
+
+      void main () {
+        vec3 color = texture2D(source, v_texCoords).rgb;
+        float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+
+        gl_FragColor = vec4(color * smoothstep(threshold - 0.05,
+            threshold + 0.05, luminance), 1.0);
+      }
+    `,
+    POST_BLUR: `
+      precision mediump float;
+
+      uniform sampler2D source;
+      uniform vec2 direction;
+      varying vec2 v_texCoords;
+
+      void main () {
+        vec3 color = texture2D(source, v_texCoords).rgb * 0.227027;
+        float weights[4];
+
+        weights[0] = 0.1945946;
+        weights[1] = 0.1216216;
+        weights[2] = 0.054054;
+        weights[3] = 0.016216;
+
+        for (int i = 0; i < 4; i++) {
+          vec2 offset = direction * float(i + 1);
+
+          color += texture2D(source, v_texCoords + offset).rgb * weights[i];
+          color += texture2D(source, v_texCoords - offset).rgb * weights[i];
+        }
+
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `,
+    POST_BLOOM: `
+      precision mediump float;
+
+      uniform sampler2D source;
+      uniform sampler2D bloom;
+      uniform float intensity;
+      varying vec2 v_texCoords;
+
+      void main () {
+        gl_FragColor = vec4(texture2D(source, v_texCoords).rgb +
+            texture2D(bloom, v_texCoords).rgb * intensity, 1.0);
+      }
+    `,
+    POST_TONE_MAPPING: `
+      precision mediump float;
+
+      uniform sampler2D source;
+      uniform bool useAces;
+      uniform float exposure;
+      varying vec2 v_texCoords;
+
+      void main () {
+        vec3 color = texture2D(source, v_texCoords).rgb * exposure;
+
+        if (useAces) {
+          color = clamp((color * (2.51 * color + 0.03)) /
+              (color * (2.43 * color + 0.59) + 0.14), 0.0, 1.0);
+        } else {
+          color = color / (color + 1.0);
+        }
+
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `,
+    POST_GAMMA_CORRECTION: `
+      precision mediump float;
+
+      uniform sampler2D source;
+      uniform float gamma;
+      varying vec2 v_texCoords;
+
+      void main () {
+        gl_FragColor = vec4(pow(texture2D(source, v_texCoords).rgb,
+            vec3(1.0 / gamma)), 1.0);
+      }
+    `,
+    POST_VIGNETTE: `
+      precision mediump float;
+
+      uniform sampler2D source;
+      uniform float strength;
+      uniform float radius;
+      varying vec2 v_texCoords;
+
+      void main () {
+        float edge = distance(v_texCoords, vec2(0.5)) * 1.41421356;
+
+        gl_FragColor = vec4(texture2D(source, v_texCoords).rgb *
+            (1.0 - strength * smoothstep(radius, 1.0, edge)), 1.0);
       }
     `,
   });
@@ -364,13 +1013,18 @@ const ProjectFourModule = (function (Polyhedra) {
    * <code>DEBUG</code> global flag is set to a value of <code>true</code>. The
    * use of a single object allows the author to test that each object's
    * rotational values are being undertaken according to the proper axis without
-   * any skewing, in accordance with user expectations.
+   * any skewing, in accordance with user expectations. The triangle is built
+   * at a high recursion depth so that it doubles as a stress-test object
+   * exercising the 32-bit index buffer path.
    */
   inaccessible.debugSceneObjectsData = [
     {
       shapeType: 'Sierpinski',
       shapeColor: inaccessible.Colors.WHITE,
       isWireFrame: false,
+      shapeOptions: {
+        depth: 7,
+      },
       materialUniforms: {
         specularColor: inaccessible.Colors.WHITE,
         specularExponent: 32,
@@ -395,7 +1049,53 @@ const ProjectFourModule = (function (Polyhedra) {
    * desired spot. Also included are properties related to polyhedron type, item
    * color, and specular shininess levels to allow the author to satisfy rubric
    * requirements related to ten (10) different shapes and distinct material
-   * types.
+   * types. An optional <code>shapeOptions</code> object may be included to
+   * pass custom tessellation options (radius, slices, stacks, etc.) to the
+   * appropriate <code>ProjectFourDataModule</code> getter for that object
+   * alone. Likewise, an optional <code>normals</code> string of either
+   * <code>'flat'</code> or <code>'smooth'</code> regenerates that object's
+   * normals, with <code>creaseAngle</code> optionally denoting in degrees the
+   * sharpest edge across which smooth normals are averaged, while an optional
+   * <code>uvMapping</code> string of <code>'planar'</code>,
+   * <code>'cylindrical'</code>, <code>'spherical'</code>, or
+   * <code>'box'</code> generates texture coordinates for shapes that lack
+   * them (or replaces those they have). Wire frame rendering is controlled by
+   * the <code>isWireFrame</code>, <code>isWireFrameOverlay</code>,
+   * <code>isHiddenLine</code>, and <code>wireColor</code> properties as
+   * described in <code>inaccessible.handleShapeTemplateRendering</code>.
+   * Objects cast and receive shadows by default, though either may be turned
+   * off by setting <code>castsShadow</code> or <code>receivesShadow</code> to
+   * <code>false</code>. Objects are lit by the Phong model unless their
+   * <code>materialModel</code> is <code>inaccessible.MaterialModels.PBR</code>,
+   * in which case the <code>baseColor</code> (which tints the shape color or
+   * texture), <code>metallic</code>, <code>roughness</code>, and
+   * <code>ao</code> entries of <code>materialUniforms</code> apply instead.
+   * Textured objects may also include the <code>normalMap</code>,
+   * <code>specularMap</code>, and <code>emissiveMap</code> image addresses
+   * listed in <code>inaccessible.SurfaceMaps</code>. A nonzero
+   * <code>reflectivity</code> in <code>materialUniforms</code> blends the
+   * skybox into the object's color as a mirror would; setting
+   * <code>dynamicReflection</code> to <code>true</code> reflects the rest of
+   * the scene as well, by way of a small cube map periodically rendered from
+   * the object's position (see
+   * <code>inaccessible.handleReflectionMapRendering</code>). An
+   * <code>opacity</code> below 1 renders the object see-through, as described
+   * in <code>inaccessible.assembleScene</code>.
+   * <br />
+   * <br />
+   * Each object moves along its own <code>orbit</code> about the sun, whose
+   * radius, period, inclination, phase, direction, and eccentricity are
+   * described in <code>inaccessible.DefaultOrbit</code>, its
+   * <code>translate</code> then offsetting it from its place on that orbit.
+   * Objects without an <code>orbit</code> hold still.
+   * <br />
+   * <br />
+   * Any object may include a <code>children</code> array of further such
+   * objects, whose <code>orbit</code> and <code>transformations</code> are
+   * relative to their parent rather than the sun. Children follow their
+   * parent's placement but neither its rotations nor its scale; the Jupiter
+   * sphere below thus carries its ring, while the icosphere is circled by a
+   * small moon.
    */
   inaccessible.sceneObjectsData = [
     {
@@ -406,8 +1106,13 @@ const ProjectFourModule = (function (Polyhedra) {
         specularColor: inaccessible.Colors.WHITE,
         specularExponent: 32,
       },
+      orbit: {
+        radius: 1,
+        period: 360,
+        phase: 270,
+      },
       transformations: {
-        translate: [0, 0, -1],
+        translate: [0, 0, 0],
         scale: [0.5, 0.5, 0.5],
         rotate: {
           x: -9,
@@ -422,9 +1127,15 @@ const ProjectFourModule = (function (Polyhedra) {
       materialUniforms: {
         specularColor: inaccessible.Colors.WHITE,
         specularExponent: 16,
+        reflectivity: 0.25,
+      },
+      orbit: {
+        radius: 1.6,
+        period: 540,
+        inclination: 6,
       },
       transformations: {
-        translate: [1, 0, 0],
+        translate: [0, 0, 0],
         scale: [0.3, 0.3, 0.3],
         rotate: {
           x: 0,
@@ -441,8 +1152,14 @@ const ProjectFourModule = (function (Polyhedra) {
         specularColor: inaccessible.Colors.WHITE,
         specularExponent: 16,
       },
+      orbit: {
+        radius: 2.2,
+        period: 720,
+        phase: 180,
+        eccentricity: 0.1,
+      },
       transformations: {
-        translate: [-1, 0, 0],
+        translate: [0, 0, 0],
         scale: [0.3, 0.3, 0.3],
         rotate: {
           x: -2,
@@ -459,8 +1176,14 @@ const ProjectFourModule = (function (Polyhedra) {
         specularColor: inaccessible.Colors.GRAY,
         specularExponent: 16,
       },
+      orbit: {
+        radius: 2.9,
+        period: 900,
+        phase: 90,
+        direction: inaccessible.OrbitDirections.RETROGRADE,
+      },
       transformations: {
-        translate: [0, 0, 1],
+        translate: [0, 0, 0],
         scale: [0.3, 0.3, 0.3],
         rotate: {
           x: 0,
@@ -476,8 +1199,14 @@ const ProjectFourModule = (function (Polyhedra) {
         specularColor: inaccessible.Colors.BLACK,
         specularExponent: 16,
       },
+      orbit: {
+        radius: 3.3,
+        period: 1080,
+        inclination: -8,
+        phase: 315,
+      },
       transformations: {
-        translate: [3, 0, -3],
+        translate: [0, 0, 0],
         scale: [0.5, 0.5, 0.5],
         rotate: {
           x: -5,
@@ -493,8 +1222,14 @@ const ProjectFourModule = (function (Polyhedra) {
         specularColor: inaccessible.Colors.BLACK,
         specularExponent: 16,
       },
+      orbit: {
+        radius: 4,
+        period: 1260,
+        phase: 45,
+        eccentricity: 0.05,
+      },
       transformations: {
-        translate: [3, 0, 3],
+        translate: [0, 0, 0],
         scale: [0.3, 0.2, 0.3],
         rotate: {
           x: -5,
@@ -506,12 +1241,20 @@ const ProjectFourModule = (function (Polyhedra) {
       shapeType: 'Cube',
       shapeColor: inaccessible.Colors.GOLD,
       isWireFrame: false,
+      dynamicReflection: true,
       materialUniforms: {
         specularColor: inaccessible.Colors.GRAY,
         specularExponent: 32,
+        reflectivity: 0.4,
+      },
+      orbit: {
+        radius: 4.6,
+        period: 1440,
+        inclination: 4,
+        phase: 135,
       },
       transformations: {
-        translate: [-3, 0, 3],
+        translate: [0, 0, 0],
         scale: [0.25, 0.25, 0.25],
         rotate: {
           x: -8,
@@ -527,8 +1270,14 @@ const ProjectFourModule = (function (Polyhedra) {
         specularColor: inaccessible.Colors.GRAY,
         specularExponent: 16,
       },
+      orbit: {
+        radius: 5.2,
+        period: 1620,
+        phase: 225,
+        direction: inaccessible.OrbitDirections.RETROGRADE,
+      },
       transformations: {
-        translate: [-3, 0, -3],
+        translate: [0, 0, 0],
         scale: [0.3, 0.3, 0.3],
         rotate: {
           x: -2,
@@ -541,71 +1290,407 @@ const ProjectFourModule = (function (Polyhedra) {
       shapeColor: inaccessible.Colors.BROWN,
       isWireFrame: false,
       texture: inaccessible.Textures.JUPITER,
+      normalMap: inaccessible.Textures.JUPITER_NORMAL,
+      shapeOptions: {
+        slices: 48,
+        stacks: 24,
+      },
       materialUniforms: {
         specularColor: inaccessible.Colors.WHITE,
         specularExponent: 32,
       },
+      orbit: {
+        radius: 1.6,
+        period: 600,
+        phase: 90,
+      },
       transformations: {
-        translate: [0, -2, 2],
+        translate: [0, -2, 0],
         scale: [0.3, 0.3, 0.3],
         rotate: {
           x: 0,
           y: 5,
         },
       },
+      children: [
+        {
+          shapeType: 'Ring',
+          shapeColor: inaccessible.Colors.BROWN,
+          isWireFrame: false,
+          texture: inaccessible.Textures.SUN,
+          normalMap: inaccessible.Textures.SUN_NORMAL,
+          materialUniforms: {
+            specularColor: inaccessible.Colors.WHITE,
+            specularExponent: 32,
+            opacity: 0.7,
+          },
+          transformations: {
+            translate: [0, 0, 0],
+            orientation: [Math.SQRT1_2, 0, 0, Math.SQRT1_2],
+            scale: [1.4, 1.4, 1.4],
+          },
+        },
+      ],
     },
     {
-      shapeType: 'Ring',
+      shapeType: 'Icosphere',
       shapeColor: inaccessible.Colors.BROWN,
       isWireFrame: false,
-      texture: inaccessible.Textures.SUN,
+      texture: inaccessible.Textures.JUPITER,
       materialUniforms: {
         specularColor: inaccessible.Colors.WHITE,
         specularExponent: 32,
       },
+      orbit: {
+        radius: 3.2,
+        period: 960,
+        phase: 270,
+        eccentricity: 0.05,
+      },
       transformations: {
-        translate: [0, 2, -2],
-        scale: [1, 1, 1],
+        translate: [0, -2, 0],
+        scale: [0.3, 0.3, 0.3],
         rotate: {
-          x: -1,
-          y: 2,
-          z: 5,
+          x: 0,
+          y: -5,
         },
       },
+      children: [
+        {
+          shapeType: 'Sphere',
+          shapeColor: inaccessible.Colors.LIGHTGRAY,
+          isWireFrame: false,
+          materialUniforms: {
+            specularColor: inaccessible.Colors.GRAY,
+            specularExponent: 8,
+          },
+          orbit: {
+            radius: 0.6,
+            period: 120,
+            inclination: 15,
+          },
+          transformations: {
+            translate: [0, 0, 0],
+            scale: [0.08, 0.08, 0.08],
+            rotate: {
+              y: 3,
+            },
+          },
+        },
+      ],
     },
   ];
 
   /**
-   * @description As per the rubric requirements to include multiple different
-   * light sources, the author has included a pair of lights of different types
-   * to light the scene. The first light is the centerpoint of the scene, a
-   * small sun based on <code>diskworld-2.html</code>'s middle lamppost, which
-   * eminates emissive light of a dim yellow color and possesses an attentuation
-   * level for distance-related lighting. It takes the shape of a small sphere
-   * (which should have a sun texture but which does not due to the author's
-   * issues with applying textures to items).
-   * <br />
-   * <br />
-   * The second light source is the viewpoint light, also based on that included
-   * in the aforementioned template file, but which was augmented slightly to a
-   * lighter gray to light the scene a bit more easily. It has no shape of its
-   * own, nor does it eminate any emissive light color properties. Both lights
-   * may be turned off by the user at any time without issue.
+   * @description This array of objects contains the eight planets of the
+   * solar system, displayed in place of
+   * <code>inaccessible.sceneObjectsData</code> while astronomy mode is
+   * toggled on from the sidebar. Each planet's <code>orbit</code> is given by
+   * its osculating orbital elements at the J2000 epoch, as published by the
+   * JPL Solar System Dynamics group; the semi-major axis (as
+   * <code>radius</code>, in <code>ASTRONOMICAL_UNIT</code>s), eccentricity,
+   * inclination to the ecliptic, longitude of the ascending node, argument of
+   * periapsis, and mean anomaly at the epoch (as <code>phase</code>), along
+   * with the sidereal period in days. Their positions are computed by solving
+   * Kepler's equation for the days elapsed since the epoch, which advance
+   * from the present moment at
+   * <code>inaccessible.Utility.ASTRONOMY_DAYS_PER_SECOND</code> days per
+   * second of clock time (see <code>inaccessible.getSceneTime</code>).
+   * Distances are to scale with one another, though the planets and sun are
+   * enlarged (and not to scale) so as to be visible at all, and the outer
+   * planets are best seen by zooming out with the mouse wheel.
+   *
+   * @see {@link ssd.jpl.nasa.gov/planets/approx_pos.html|Approximate positions}
    */
-  inaccessible.lightSourceData = [
-    { // Sun
-      lightText: 'SunLight',
+  inaccessible.planetaryObjectsData = [
+    { // Mercury
       shapeType: 'Sphere',
-      shapeColor: inaccessible.Colors.WHITE,
+      shapeColor: inaccessible.Colors.CHARCOAL,
+      isWireFrame: false,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 0.387 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 87.969,
+        inclination: 7.005,
+        phase: 174.793,
+        eccentricity: 0.206,
+        ascendingNode: 48.331,
+        periapsisArgument: 29.127,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.04, 0.04, 0.04],
+        rotate: {
+          y: 1,
+        },
+      },
+    },
+    { // Venus
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.GOLD,
+      isWireFrame: false,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 0.723 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 224.701,
+        inclination: 3.395,
+        phase: 50.377,
+        eccentricity: 0.007,
+        ascendingNode: 76.68,
+        periapsisArgument: 54.923,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.07, 0.07, 0.07],
+        rotate: {
+          y: -1,
+        },
+      },
+    },
+    { // Earth
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.AZURE,
+      isWireFrame: false,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 1 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 365.256,
+        inclination: 0,
+        phase: 357.527,
+        eccentricity: 0.017,
+        ascendingNode: 0,
+        periapsisArgument: 102.938,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.075, 0.075, 0.075],
+        rotate: {
+          y: 4,
+        },
+      },
+    },
+    { // Mars
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.RUST,
+      isWireFrame: false,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 1.524 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 686.98,
+        inclination: 1.85,
+        phase: 19.391,
+        eccentricity: 0.093,
+        ascendingNode: 49.56,
+        periapsisArgument: 286.497,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.05, 0.05, 0.05],
+        rotate: {
+          y: 4,
+        },
+      },
+    },
+    { // Jupiter
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.BROWN,
+      isWireFrame: false,
+      texture: inaccessible.Textures.JUPITER,
+      normalMap: inaccessible.Textures.JUPITER_NORMAL,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 5.203 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 4332.59,
+        inclination: 1.304,
+        phase: 19.668,
+        eccentricity: 0.048,
+        ascendingNode: 100.474,
+        periapsisArgument: 274.255,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.2, 0.2, 0.2],
+        rotate: {
+          y: 8,
+        },
+      },
+    },
+    { // Saturn
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.GOLD,
+      isWireFrame: false,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 9.537 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 10759.2,
+        inclination: 2.486,
+        phase: 317.355,
+        eccentricity: 0.054,
+        ascendingNode: 113.662,
+        periapsisArgument: 338.936,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.17, 0.17, 0.17],
+        rotate: {
+          y: 8,
+        },
+      },
+      children: [
+        {
+          shapeType: 'Ring',
+          shapeColor: inaccessible.Colors.GOLD,
+          isWireFrame: false,
+          materialUniforms: {
+            specularColor: inaccessible.Colors.GRAY,
+            specularExponent: 16,
+            opacity: 0.6,
+          },
+          transformations: {
+            translate: [0, 0, 0],
+            orientation: [0.8513, 0, 0, 0.5246],
+            scale: [0.8, 0.8, 0.8],
+          },
+        },
+      ],
+    },
+    { // Uranus
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.CYAN,
+      isWireFrame: false,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 19.189 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 30688.5,
+        inclination: 0.773,
+        phase: 142.284,
+        eccentricity: 0.047,
+        ascendingNode: 74.017,
+        periapsisArgument: 96.937,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.12, 0.12, 0.12],
+        rotate: {
+          y: -6,
+        },
+      },
+    },
+    { // Neptune
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.BLUE,
+      isWireFrame: false,
+      materialUniforms: {
+        specularColor: inaccessible.Colors.GRAY,
+        specularExponent: 16,
+      },
+      orbit: {
+        radius: 30.07 * inaccessible.Utility.ASTRONOMICAL_UNIT,
+        period: 60182,
+        inclination: 1.77,
+        phase: 259.915,
+        eccentricity: 0.009,
+        ascendingNode: 131.784,
+        periapsisArgument: 273.18,
+      },
+      transformations: {
+        translate: [0, 0, 0],
+        scale: [0.12, 0.12, 0.12],
+        rotate: {
+          y: 6,
+        },
+      },
+    },
+  ];
+
+  /**
+   * @description As per the rubric requirements to include multiple different
+   * light sources, the author has included a pair of lights of different types
+   * to light the scene. The first light is the centerpoint of the scene, a
+   * small sun based on <code>diskworld-2.html</code>'s middle lamppost, which
+   * eminates emissive light of a dim yellow color and possesses an attentuation
+   * level for distance-related lighting. It takes the shape of a small sphere
+   * (which should have a sun texture but which does not due to the author's
+   * issues with applying textures to items).
+   * <br />
+   * <br />
+   * The sun also casts shadows, as denoted by its <code>shadow</code> object
+   * of cube map <code>resolution</code> and depth comparison
+   * <code>bias</code>. Only the first such light casts shadows, as only a
+   * single shadow cube map is rendered (see
+   * <code>inaccessible.handleShadowMapRendering</code>).
+   * <br />
+   * <br />
+   * Positional lights are attenuated by distance according to their
+   * <code>attenuation</code> array of constant, linear, and quadratic terms,
+   * the light's strength at a distance d being divided by
+   * <code>constant + linear * d + quadratic * d * d</code>. Should a positive
+   * <code>range</code> be included instead, the physically based inverse
+   * square of the distance is used, windowed so as to fall smoothly to zero at
+   * that range. Both may be edited at runtime via
+   * <code>accessible.setLightProperties</code>.
+   * <br />
+   * <br />
+   * The second light source is the viewpoint light, also based on that included
+   * in the aforementioned template file, but which was augmented slightly to a
+   * lighter gray to light the scene a bit more easily. It has no shape of its
+   * own, nor does it eminate any emissive light color properties. Both lights
+   * may be turned off by the user at any time without issue.
+   * <br />
+   * <br />
+   * The third light source, disabled by default, is a spotlight hanging above
+   * the sun and pointed straight down at it. Lights with a
+   * <code>transformations</code> object are placed in the scene, their
+   * <code>position</code> and <code>direction</code> being transformed along
+   * with the scene itself, while those without are fixed in eye coordinates
+   * relative to the viewer.
+   * <br />
+   * <br />
+   * Further lights may be added as required (to model a multi-star system, for
+   * example) up to the shader maximum of
+   * <code>inaccessible.Utility.MAX_LIGHTS</code>, beyond which any remaining
+   * entries are ignored with a warning displayed in the sidebar.
+   */
+  inaccessible.lightSourceData = [
+    { // Sun
+      lightText: 'SunLight',
+      shapeType: 'Sphere',
+      shapeColor: inaccessible.Colors.WHITE,
       texture: inaccessible.Textures.SUN,
       materialUniforms: {
         emissiveColor: inaccessible.Colors.YELLOW,
       },
       lightsUniforms: {
         enabled: 1,
+        type: inaccessible.LightTypes.POINT,
         position: [0, 0, 0, 1],
         color: inaccessible.Colors.WHITE,
-        attenuation: .25,
+        attenuation: [1, 0.1, 0.15],
+      },
+      shadow: {
+        resolution: 512,
+        bias: 0.05,
       },
       transformations: {
         translate: [0, 0, 0],
@@ -619,6 +1704,132 @@ const ProjectFourModule = (function (Polyhedra) {
         color: inaccessible.Colors.CHARCOAL,
       },
     },
+    { // Overhead spotlight
+      lightText: 'SpotLight',
+      lightsUniforms: {
+        enabled: 0,
+        type: inaccessible.LightTypes.SPOT,
+        position: [0, 0, 0, 1],
+        direction: [0, -1, 0],
+        color: inaccessible.Colors.WHITE,
+        innerCutoff: 15,
+        outerCutoff: 25,
+        exponent: 2,
+      },
+      transformations: {
+        translate: [0, 4, 0],
+      },
+    },
+  ];
+
+  /**
+   * @description This array of objects denotes the external model files to be
+   * imported as shape templates once the scene has been initialized. Each
+   * object contains the <code>shapeType</code> name under which the template
+   * is to be registered and the <code>source</code> address of the file, whose
+   * extension determines the parser used (<code>.obj</code>,
+   * <code>.gltf</code>, or <code>.glb</code>). Scene objects in
+   * <code>inaccessible.sceneObjectsData</code> may then reference an OBJ model
+   * by that <code>shapeType</code>; such objects are simply skipped until the
+   * file has finished loading. Note that most browsers will not fetch local
+   * files unless the page is served over HTTP. An example entry might be
+   * <code>{shapeType: 'Teapot', source: 'models/teapot.obj'}</code>.
+   * <br />
+   * <br />
+   * glTF files instead describe entire scenes. Each mesh primitive is
+   * registered as its own template (suffixed <code>Part1</code>,
+   * <code>Part2</code>, etc. if there is more than one) and each node of the
+   * node tree referencing a mesh is added to
+   * <code>inaccessible.sceneObjectsData</code> automatically. Such entries may
+   * include an optional <code>transformations</code> object of
+   * <code>translate</code> and <code>scale</code> values used to place the
+   * model as a whole within the scene.
+   */
+  inaccessible.importedModelData = [];
+
+  /**
+   * @description This object denotes the images used to draw the background of
+   * the scene. The <code>faces</code> array may contain the addresses of six
+   * cube map images, ordered +x, -x, +y, -y, +z, -z, while
+   * <code>panorama</code> may instead contain the address of a single
+   * equirectangular image, the latter being used if both are included. If
+   * neither is included, a randomly generated starfield is used instead (see
+   * <code>inaccessible.assembleStarfield</code>). An example configuration
+   * might be <code>{faces: null, panorama: 'textures/milky-way.jpg'}</code>.
+   */
+  inaccessible.skyboxData = {
+    faces: null,
+    panorama: null,
+  };
+
+  /**
+   * @description This array of objects denotes the chain of full-screen
+   * post-processing passes run, in order, over the offscreen image of the
+   * scene, each of which may be toggled from the sidebar. Every object
+   * contains the pass's name (used as its checkbox text), the
+   * <code>String</code> representation of the handler function that runs it,
+   * whether it is enabled, and the settings passed to its shaders. The bloom
+   * pass glows colors brighter than its <code>threshold</code>, blurring them
+   * <code>iterations</code> times; the tone mapping pass compresses HDR colors
+   * into the displayable range with either the <code>'aces'</code> or
+   * <code>'reinhard'</code> <code>operator</code> (switched between from the
+   * sidebar); the gamma correction pass
+   * encodes linear colors for display; and the vignette pass darkens the
+   * image beyond a <code>radius</code> from its center. All passes begin
+   * disabled, in which case the scene is drawn to the canvas directly.
+   */
+  inaccessible.postProcessingData = [
+    {
+      passName: 'Bloom',
+      functionName: 'handleBloomPass',
+      isEnabled: false,
+      threshold: 0.9,
+      intensity: 1.2,
+      iterations: 2,
+    },
+    {
+      passName: 'ToneMapping',
+      functionName: 'handleToneMappingPass',
+      isEnabled: false,
+      operator: 'aces',
+      exposure: 1,
+    },
+    {
+      passName: 'GammaCorrection',
+      functionName: 'handleGammaCorrectionPass',
+      isEnabled: false,
+      gamma: 2.2,
+    },
+    {
+      passName: 'Vignette',
+      functionName: 'handleVignettePass',
+      isEnabled: false,
+      strength: 0.35,
+      radius: 0.75,
+    },
+  ];
+
+  /**
+   * @description This array of objects denotes the orbit displays drawn atop
+   * the scene, each of which may be toggled from the sidebar. Every object
+   * contains the display's name (used as its checkbox text), the
+   * <code>String</code> representation of the handler function that draws
+   * it, and whether it is enabled. Orbit paths trace the full ellipse along
+   * which each orbiting object travels, while orbit trails follow the
+   * positions each has most recently passed through, fading as they age.
+   * Both are drawn in the color of the object itself.
+   */
+  inaccessible.orbitDisplayData = [
+    {
+      displayName: 'OrbitPaths',
+      functionName: 'handleOrbitPathRendering',
+      isEnabled: false,
+    },
+    {
+      displayName: 'OrbitTrails',
+      functionName: 'handleOrbitTrailRendering',
+      isEnabled: false,
+    },
   ];
 
   /**
@@ -645,6 +1856,56 @@ const ProjectFourModule = (function (Polyhedra) {
       functionName: 'handleReset',
       functionArguments: [],
     },
+    {
+      buttonType: 'Toggle astronomy mode',
+      functionName: 'handleAstronomyModeToggle',
+      functionArguments: [],
+    },
+    {
+      buttonType: 'Switch tone mapping operator',
+      functionName: 'handleToneMappingOperatorSwitch',
+      functionArguments: [],
+    },
+    {
+      buttonType: 'Reverse time',
+      functionName: 'handleTimeReversal',
+      functionArguments: [],
+    },
+    {
+      buttonType: 'Step back',
+      functionName: 'handleTimeStep',
+      functionArguments: [-1],
+    },
+    {
+      buttonType: 'Step forward',
+      functionName: 'handleTimeStep',
+      functionArguments: [1],
+    },
+  ];
+
+  /**
+   * @description This array of objects is used to store data pertaining to the
+   * numeric inputs of the sidebar's time controls module. Each object contains
+   * the input's name, the <code>String</code> representation of the handler
+   * function signature called with the input's value whenever it is changed,
+   * and the input's initial <code>value</code> and <code>step</code>. The
+   * time scale is the number of seconds of clock time that pass per real
+   * second, negative values running the scene backwards, while the seek input
+   * sends the clock straight to the included second.
+   */
+  inaccessible.sidebarInputData = [
+    {
+      inputType: 'Time scale',
+      functionName: 'handleTimeScaleChange',
+      value: 1,
+      step: 0.25,
+    },
+    {
+      inputType: 'Seek to second',
+      functionName: 'handleTimeSeek',
+      value: 0,
+      step: 1,
+    },
   ];
 
   // Utility functions
@@ -724,16 +1985,19 @@ const ProjectFourModule = (function (Polyhedra) {
   };
 
   /**
-   * This helper method is used to determine whether or not the included
-   * parameter argument is of a power of two. This is used by the function
-   * <code>inaccessible.handleTextureLoading</code> to know whether or not the
-   * image width and height properties merit the generation of mipmaps.
+   * @description This function returns a <code>boolean</code> value based on
+   * whether or not the inputted scene object is see-through, that is, whether
+   * its <code>materialUniforms</code> include an <code>opacity</code> below 1.
+   * It is used by <code>inaccessible.assembleScene</code> to hold such objects
+   * back until the opaque objects behind them have been drawn.
    *
-   * @param {number} paramValue
-   * @returns {number}
+   * @param {object} paramConfig
+   * @returns {boolean}
    */
-  inaccessible.isPowerOf2 = function (paramValue) {
-    return (paramValue & (paramValue - 1)) === 0;
+  inaccessible.isTransparent = function (paramConfig) {
+    return paramConfig.materialUniforms != null &&
+        paramConfig.materialUniforms.opacity != null &&
+        paramConfig.materialUniforms.opacity < 1;
   };
 
   /**
@@ -761,77 +2025,319 @@ const ProjectFourModule = (function (Polyhedra) {
   };
 
   /**
-   * @description This utility method is used within the body of the texture
-   * builder <code>inaccessible.handleTextureLoading</code> to apply a
-   * temporary color texture to the object while waiting for the actual image
-   * <code>.jpg</code> file to load for use. This function converts one of the
-   * <code>inaccessible.Colors</code> arrays from a range of 0 -> 1 to a range
-   * of 0 -> 255 and returns it within a new <code>Uint8Array</code> instance.
+   * @description This utility method returns the factor by which the scene is
+   * scaled, either the fixed debug zoom or the user's middle-mouse button
+   * scaling.
    *
-   * @param {!Array<number>} paramColorArray
-   * @returns {Uint8Array}
+   * @returns {number}
    */
-  inaccessible.convertColorToUint8Array = function (paramColorArray) {
-
-    // Declaration
-    let newUint8Array;
-
-    //Definition
-    newUint8Array = [];
-    for (let i = 0; i < paramColorArray.length; i++) {
-      newUint8Array.push(paramColorArray[i] * 255);
-    }
-
-    return new Uint8Array(newUint8Array);
+  inaccessible.getSceneScale = function () {
+    return (DEBUG)
+      ? this.Utility.DEBUG_ZOOM_DEGREE
+      : this.sceneScale;
   };
 
-  // Assembly functions
-
   /**
-   * @description This assembly function is used to create the required shaders
-   * used to render the object in the scene, namely the fragment shader and the
-   * vertex shader. It accepts as a parameter argument an array of objects
-   * containing the appropriate gl shader type and the associated template
-   * string literal housed in the <code>inaccessible.Shaders</code> enum. A new
-   * shader program object is created herein, to which the constructed shaders
-   * are attached. Once this process is complete, the shader program is returned
-   * to the calling function <code>inaccessible.main</code> where it is applied
-   * as an object-global and later used in
-   * <code>inaccessible.handleSceneAnimation</code>.
+   * @description This utility method returns the position of an object along
+   * the included orbit (see <code>inaccessible.DefaultOrbit</code>) at the
+   * included time, in frames or days, in the orbital plane about its parent
+   * before the plane is oriented. The mean anomaly advances evenly with time,
+   * from which Kepler's equation is solved for the eccentric anomaly by a few
+   * iterations of Newton's method, so that an eccentric orbit speeds up near
+   * its parent and slows down far from it. The periapsis lies along the
+   * x-axis.
    *
-   * @param {!Array<object>} paramShaders
-   * @returns {object} shaderProgram
+   * @param {object} paramOrbit
+   * @param {number} paramTime
+   * @returns {!Array<number>} position
    */
-  inaccessible.assembleShaderProgram = function (paramShaders) {
+  inaccessible.getOrbitalPosition = function (paramOrbit, paramTime) {
 
     // Declarations
-    let that, shaderProgram, shader;
+    let meanAnomaly, eccentricAnomaly, eccentricity;
 
     // Definitions
-    that = this;
-    shaderProgram = this.gl.createProgram();
-
-    // Iterate through shaders, build each from string content, & add to program
-    paramShaders.forEach(function (shaderSetEntry) {
-
-      // New shader
-      shader = that.gl.createShader(shaderSetEntry.type);
+    eccentricity = paramOrbit.eccentricity;
+    meanAnomaly = paramOrbit.direction * 2 * Math.PI * paramTime /
+        paramOrbit.period + paramOrbit.phase / 180 * Math.PI;
+
+    // Wrap to a single revolution so that Newton's method starts nearby
+    meanAnomaly -= 2 * Math.PI * Math.floor(meanAnomaly / (2 * Math.PI));
+    eccentricAnomaly = (eccentricity > 0.8)
+      ? Math.PI
+      : meanAnomaly;
+
+    for (let i = 0; i < 6; i++) {
+      eccentricAnomaly -= (eccentricAnomaly - eccentricity *
+          Math.sin(eccentricAnomaly) - meanAnomaly) /
+          (1 - eccentricity * Math.cos(eccentricAnomaly));
+    }
 
-      // Configure shader
-      that.gl.shaderSource(shader, shaderSetEntry.contents);
-      that.gl.compileShader(shader);
-      that.gl.attachShader(shaderProgram, shader);
-    });
+    return [
+      paramOrbit.radius * (Math.cos(eccentricAnomaly) - eccentricity),
+      0,
+      paramOrbit.radius * Math.sqrt(1 - eccentricity * eccentricity) *
+          Math.sin(eccentricAnomaly),
+    ];
+  };
 
-    // Apply assembled program
-    this.gl.linkProgram(shaderProgram);
+  /**
+   * @description This utility method returns the number of days elapsed
+   * between the J2000 epoch, at which the orbital elements of
+   * <code>inaccessible.planetaryObjectsData</code> are given, and the
+   * present moment, from which astronomy mode begins.
+   *
+   * @returns {number}
+   */
+  inaccessible.getDaysSinceEpoch = function () {
+    return (Date.now() - this.Utility.J2000_EPOCH) /
+        this.Utility.MILLISECONDS_PER_DAY;
+  };
 
-    // Return, later define as object-global for future use
-    return shaderProgram;
+  /**
+   * @description This utility method returns the number of frames that would
+   * have been drawn at <code>REFERENCE_FRAME_RATE</code> over the seconds of
+   * clock time elapsed, by which the scene objects' rotation rates and
+   * orbital periods are given. Counting time rather than frames actually
+   * drawn keeps the scene's pace the same whatever the display's refresh
+   * rate.
+   *
+   * @returns {number}
+   */
+  inaccessible.getElapsedFrames = function () {
+    return Clock.getTime() * this.Utility.REFERENCE_FRAME_RATE;
   };
 
   /**
-   * @description This assembly function is used by
+   * @description This utility method returns the time by which orbits are
+   * timed; namely the elapsed frames of
+   * <code>inaccessible.getElapsedFrames</code>, or, in astronomy mode, the
+   * days since the J2000 epoch, which begin from the moment the scene was
+   * initialized or last reset and advance at
+   * <code>ASTRONOMY_DAYS_PER_SECOND</code> days per second of clock time.
+   *
+   * @returns {number}
+   */
+  inaccessible.getSceneTime = function () {
+    return (this.isAstronomyMode)
+      ? this.epochDays +
+          Clock.getTime() * this.Utility.ASTRONOMY_DAYS_PER_SECOND
+      : this.getElapsedFrames();
+  };
+
+  /**
+   * @description This utility method returns the array of scene objects
+   * currently on display; namely the debug objects in debug mode, the eight
+   * planets in astronomy mode, and the usual scene objects otherwise.
+   *
+   * @returns {!Array<object>}
+   */
+  inaccessible.getSceneData = function () {
+    if (DEBUG) {
+      return this.debugSceneObjectsData;
+    }
+
+    return (this.isAstronomyMode)
+      ? this.planetaryObjectsData
+      : this.sceneObjectsData;
+  };
+
+  /**
+   * @description This utility method returns a flat array of the included
+   * scene objects and all their descendants (see the <code>children</code>
+   * property described in <code>inaccessible.sceneObjectsData</code>), each
+   * parent preceding its children. It is used wherever every object in the
+   * scene graph must be visited regardless of its place in the hierarchy.
+   *
+   * @param {!Array<object>} paramDataArray
+   * @returns {!Array<object>} nodes
+   */
+  inaccessible.getSceneNodes = function (paramDataArray) {
+
+    // Declaration
+    let nodes;
+
+    // Definition
+    nodes = [];
+
+    paramDataArray.forEach(function (paramConfig) {
+      nodes.push(paramConfig);
+
+      if (paramConfig.children != null) {
+        nodes.push(...this.getSceneNodes(paramConfig.children));
+      }
+    }, this);
+
+    return nodes;
+  };
+
+  /**
+   * @description This utility method is used to free the
+   * <code>WebGLBuffer</code>s held by a shape template or one-off model built
+   * by <code>inaccessible.assembleShapeTemplate</code> once that model is
+   * replaced, as happens when an imported model is registered again under the
+   * same shape type.
+   *
+   * @param {object} paramModel
+   * @returns {void}
+   */
+  inaccessible.deleteModelBuffers = function (paramModel) {
+    [
+      'coordsBuffer',
+      'normalBuffer',
+      'texCoordsBuffer',
+      'tangentBuffer',
+      'indexBuffer',
+      'edgeBuffer',
+    ].forEach(function (buffer) {
+      if (paramModel[buffer] != null) {
+        this.gl.deleteBuffer(paramModel[buffer]);
+      }
+    }, this);
+  };
+
+  /**
+   * @description This utility method converts the info log of a shader that
+   * failed to compile into a more readable report. Most drivers prefix each
+   * message with <code>ERROR: 0:42:</code>, denoting the source string and
+   * line number of the problem. As the shaders are passed to GL exactly as
+   * written in <code>inaccessible.Shaders</code>, line 1 being the remainder
+   * of the line holding the template literal's opening backtick, each line
+   * number maps directly onto the appropriate template literal. Each such
+   * message is thus followed by an excerpt of the offending line and those
+   * around it, with the offending line marked by a <code>&gt;</code>.
+   * Messages not in this format are passed along untouched.
+   *
+   * @param {string} paramName "VERTEX"
+   * @param {string} paramSource
+   * @param {string} paramLog
+   * @returns {string}
+   */
+  inaccessible.annotateShaderLog = function (paramName, paramSource,
+      paramLog) {
+
+    // Declarations
+    let sourceLines, context, width;
+
+    // Definitions
+    sourceLines = paramSource.split('\n');
+    context = this.Utility.SHADER_LOG_CONTEXT_LINES;
+    width = String(sourceLines.length).length;
+
+    return paramLog.split('\n').filter(function (line) {
+      return line.trim() !== '' && line.charAt(0) !== '\0';
+    }).map(function (line) {
+
+      // Declarations
+      let match, lineNumber, excerpt;
+
+      // "ERROR: 0:42: 'foo' : undeclared identifier"
+      match = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(line.trim());
+
+      if (match == null) {
+        return line;
+      }
+
+      lineNumber = Number(match[2]);
+      excerpt = [];
+
+      for (
+        let i = Math.max(1, lineNumber - context);
+        i <= Math.min(sourceLines.length, lineNumber + context);
+        i++
+      ) {
+        excerpt.push(`${(i === lineNumber) ? '>' : ' '} ` +
+            `${String(i).padStart(width)} | ${sourceLines[i - 1]}`);
+      }
+
+      return `${match[1]}: Shaders.${paramName}, line ${lineNumber}: ` +
+          `${match[3]}\n${excerpt.join('\n')}`;
+    }).join('\n');
+  };
+
+  // Assembly functions
+
+  /**
+   * @description This assembly function is used to create the required shaders
+   * used to render the object in the scene, namely the fragment shader and the
+   * vertex shader. It accepts as a parameter argument an array of objects
+   * containing the appropriate gl shader type and the associated template
+   * string literal housed in the <code>inaccessible.Shaders</code> enum. A new
+   * shader program object is created herein, to which the constructed shaders
+   * are attached. Once this process is complete, the shader program is returned
+   * to the calling function <code>inaccessible.main</code> where it is applied
+   * as an object-global and later used in
+   * <code>inaccessible.handleSceneAnimation</code>.
+   * <br />
+   * <br />
+   * The compile status of each shader and the link status of the program are
+   * checked in turn. Should either fail, the GL objects created are deleted
+   * and an <code>Error</code> is thrown whose message contains the relevant
+   * info log, annotated with excerpts of the offending shader source via
+   * <code>inaccessible.annotateShaderLog</code>.
+   *
+   * @param {!Array<object>} paramShaders
+   * @throws {Error} If a shader fails to compile or the program to link
+   * @returns {object} shaderProgram
+   */
+  inaccessible.assembleShaderProgram = function (paramShaders) {
+
+    // Declarations
+    let that, shaderProgram, shaders, shader, errors;
+
+    // Definitions
+    that = this;
+    shaderProgram = this.gl.createProgram();
+    shaders = [];
+    errors = [];
+
+    // Iterate through shaders, build each from string content, & add to program
+    paramShaders.forEach(function (shaderSetEntry) {
+
+      // New shader
+      shader = that.gl.createShader(shaderSetEntry.type);
+      shaders.push(shader);
+
+      // Configure shader
+      that.gl.shaderSource(shader, shaderSetEntry.contents);
+      that.gl.compileShader(shader);
+
+      // Collect annotated compile errors rather than failing silently
+      if (!that.gl.getShaderParameter(shader, that.gl.COMPILE_STATUS)) {
+        errors.push(`${that.Text.SHADER_COMPILE_ERROR} ` +
+            `${shaderSetEntry.name}:\n` + that.annotateShaderLog(
+              shaderSetEntry.name, shaderSetEntry.contents,
+              that.gl.getShaderInfoLog(shader) || ''));
+      }
+
+      that.gl.attachShader(shaderProgram, shader);
+    });
+
+    // Apply assembled program
+    if (!errors.length) {
+      this.gl.linkProgram(shaderProgram);
+
+      if (!this.gl.getProgramParameter(shaderProgram, this.gl.LINK_STATUS)) {
+        errors.push(`${this.Text.SHADER_LINK_ERROR}:\n` +
+            (this.gl.getProgramInfoLog(shaderProgram) || '').trim());
+      }
+    }
+
+    if (errors.length) {
+      shaders.forEach(function (shader) {
+        that.gl.deleteShader(shader);
+      });
+      this.gl.deleteProgram(shaderProgram);
+
+      throw new Error(errors.join('\n\n'));
+    }
+
+    // Return, later define as object-global for future use
+    return shaderProgram;
+  };
+
+  /**
+   * @description This assembly function is used by
    * <code>inaccessible.assembleShapeTemplate</code> to assist in the creation
    * of <code>WebGLBuffer</code> objects to be applied to each of the desired
    * polyhedron templates used to generate specific instances of this shape type
@@ -877,25 +2383,58 @@ const ProjectFourModule = (function (Polyhedra) {
    * by <code>diskworld-2.html</code>. Each template has at least three buffers
    * related to normals, vertices, and indices, with select template types
    * possessing a fourth buffer related to texture application coordinates.
+   * An additional edge index buffer listing each unique edge of the mesh once
+   * is built for use in wire frame rendering with <code>gl.LINES</code>.
    * Additional properties include an <code>isAnimated</code> boolean allowing
    * the user to remove all instances of a certain template type from the scene
    * by selected a checkbox in the user interface. This was especially useful to
    * the author during the testing period, as it allowed him to inspect one type
    * at a time to ensure all transformation were undertaken as expected.
+   * <br />
+   * <br />
+   * As large meshes may be indexed with a <code>Uint32Array</code> rather than
+   * a <code>Uint16Array</code>, the GL index type is stored as
+   * <code>indexType</code> for use in <code>gl.drawElements</code>. Should the
+   * browser lack the <code>OES_element_index_uint</code> extension required
+   * for 32-bit indices, the template is hidden and a warning displayed in the
+   * sidebar.
+   * <br />
+   * <br />
+   * The optional config object is the scene entry for which a one-off model
+   * is being built. Should it include a <code>normals</code> mode of
+   * <code>'flat'</code> or <code>'smooth'</code>, the normal buffer is
+   * regenerated from the positions and indices via
+   * <code>Geometry.generateNormals</code>, with the optional
+   * <code>creaseAngle</code> (in degrees) denoting the sharpest edge to be
+   * smoothed over. Should it include a <code>uvMapping</code> mode, texture
+   * coordinates are likewise generated via
+   * <code>Geometry.generateTextureCoords</code>, replacing any existing ones.
    *
    * @param {string} paramType
    * @param {object} paramModelData
+   * @param {?object=} paramConfig
    * @returns {object} model
    */
-  inaccessible.assembleShapeTemplate = function (paramType, paramModelData) {
+  inaccessible.assembleShapeTemplate = function (paramType, paramModelData,
+      paramConfig = null) {
 
     // Declarations
-    let that, model;
+    let that, model, edges;
 
     // Definitions
     that = this;
     model = {};
 
+    if (paramConfig != null && paramConfig.normals != null) {
+      paramModelData = Geometry.generateNormals(paramModelData,
+          paramConfig.normals, paramConfig.creaseAngle);
+    }
+
+    if (paramConfig != null && paramConfig.uvMapping != null) {
+      paramModelData = Geometry.generateTextureCoords(paramModelData,
+          paramConfig.uvMapping);
+    }
+
     model.shapeType = paramType; // "Icosahedron"
     model.coordsBuffer = this.assembleBuffer(paramModelData.vertexPositions,
         'ARRAY_BUFFER');
@@ -905,12 +2444,33 @@ const ProjectFourModule = (function (Polyhedra) {
       model.texCoordsBuffer =
           this.assembleBuffer(paramModelData.vertexTextureCoords,
             'ARRAY_BUFFER');
+
+      // Tangents follow the texture coordinates for use with normal maps
+      model.tangentBuffer = this.assembleBuffer(
+          Geometry.generateTangents(paramModelData), 'ARRAY_BUFFER');
     }
     model.indexBuffer = this.assembleBuffer(paramModelData.indices,
         'ELEMENT_ARRAY_BUFFER');
     model.count = paramModelData.indices.length;
+
+    // Unique edges for wire frame rendering share the triangles' index type
+    edges = Geometry.generateEdgeIndices(paramModelData);
+    model.edgeBuffer = this.assembleBuffer(edges, 'ELEMENT_ARRAY_BUFFER');
+    model.edgeCount = edges.length;
     model.isAnimated = true;
 
+    // Large meshes fall back to 32-bit indices (WebGL1 extension)
+    if (paramModelData.indices instanceof Uint32Array) {
+      model.indexType = this.gl.UNSIGNED_INT;
+
+      if (!this.hasUintIndices) {
+        this.handleNoticeDisplay(this.Text.UINT_INDEX_WARNING);
+        model.isAnimated = false;
+      }
+    } else {
+      model.indexType = this.gl.UNSIGNED_SHORT;
+    }
+
     return model;
   };
 
@@ -944,6 +2504,247 @@ const ProjectFourModule = (function (Polyhedra) {
     }
   };
 
+  /**
+   * @description This assembly function is used to register a shape template
+   * built from imported model data (see <code>ProjectFourLoaderModule</code>)
+   * after the scene has already been initialized. In addition to building the
+   * template via <code>inaccessible.assembleShapeTemplate</code>, it adds a
+   * toggle checkbox for the new shape type to the sidebar and redraws the scene
+   * so that any scene objects referencing the type appear immediately.
+   *
+   * @param {string} paramType
+   * @param {object} paramModelData
+   * @returns {void}
+   */
+  inaccessible.assembleImportedShapeTemplate = function (paramType,
+      paramModelData) {
+
+    // Declarations
+    let model, existing;
+
+    // Definitions
+    model = this.assembleShapeTemplate(paramType, paramModelData);
+    existing = this.templates[paramType];
+
+    if (existing != null) {
+
+      // Free the replaced buffers
+      this.deleteModelBuffers(existing);
+
+      // Update in place so the existing checkbox listener keeps its reference
+      model.isAnimated = existing.isAnimated;
+      delete existing.texCoordsBuffer;
+      Object.assign(existing, model);
+    } else {
+      this.templates[paramType] = model;
+      this.assembleCheckBoxElement(model, 'handleSceneElementCheckboxChanges');
+    }
+
+    // Entries of every scene requesting regenerated attributes need models
+    [
+      this.debugSceneObjectsData,
+      this.sceneObjectsData,
+      this.planetaryObjectsData,
+    ].forEach(function (paramDataArray) {
+      this.getSceneNodes(paramDataArray).forEach(function (object) {
+        if (
+          object.shapeType === paramType &&
+          (object.normals != null || object.uvMapping != null)
+        ) {
+          if (object.model != null) {
+            this.deleteModelBuffers(object.model);
+          }
+
+          object.model = this.assembleShapeTemplate(paramType,
+              paramModelData, object);
+        }
+      }, this);
+    }, this);
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This assembly function converts a glTF metallic-roughness
+   * material as returned by <code>Loaders.parseGltf</code> into the
+   * <code>materialUniforms</code> structure expected by the fragment shader's
+   * <code>MaterialProperties struct</code>. The emissive factor is passed as
+   * is, while the Phong specular properties are approximated; the specular
+   * color is interpolated from a dielectric gray toward the base color by the
+   * metallic factor, and the roughness factor is converted into the
+   * equivalent Blinn-Phong exponent.
+   *
+   * @param {object} paramMaterial
+   * @returns {object} materialUniforms
+   */
+  inaccessible.assembleGltfMaterialUniforms = function (paramMaterial) {
+
+    // Declarations
+    let metallic, roughness, specularColor;
+
+    // Definitions
+    metallic = paramMaterial.metallicFactor;
+    roughness = Math.max(paramMaterial.roughnessFactor, 0.05);
+    specularColor = paramMaterial.baseColorFactor.slice(0, 3).map(
+        function (paramChannel) {
+          return 0.04 + (paramChannel - 0.04) * metallic;
+        });
+
+    return {
+      specularColor: [...specularColor, 1],
+      specularExponent: Math.min(2 / Math.pow(roughness, 4) - 2, 128),
+      emissiveColor: [...paramMaterial.emissiveFactor, 1],
+    };
+  };
+
+  /**
+   * @description This assembly function is used to add an imported glTF scene,
+   * as returned by <code>Loaders.parseGltf</code>, to the
+   * <code>canvas</code>. Each primitive is registered as a shape template via
+   * <code>inaccessible.assembleImportedShapeTemplate</code>, and a scene entry
+   * is then appended to <code>inaccessible.sceneObjectsData</code> for each
+   * primitive of each mesh instance in the flattened node tree, complete with
+   * its material and decomposed node transformations.
+   *
+   * @param {string} paramType
+   * @param {object} paramGltf
+   * @returns {void}
+   */
+  inaccessible.assembleImportedScene = function (paramType, paramGltf) {
+
+    // Declarations
+    let that, names;
+
+    // Definitions
+    that = this;
+    names = paramGltf.primitives.map(function (primitive, paramIndex) {
+      return (paramGltf.primitives.length === 1)
+        ? paramType
+        : `${paramType}Part${paramIndex + 1}`;
+    });
+
+    paramGltf.primitives.forEach(function (primitive, paramIndex) {
+      that.assembleImportedShapeTemplate(names[paramIndex], primitive.data);
+    });
+
+    paramGltf.instances.forEach(function (instance) {
+      paramGltf.meshes[instance.mesh].forEach(function (primitiveIndex) {
+
+        // Declarations
+        let primitive, entry;
+
+        // Definitions
+        primitive = paramGltf.primitives[primitiveIndex];
+        entry = {
+          shapeType: names[primitiveIndex],
+          shapeColor: primitive.material.baseColorFactor,
+          isWireFrame: false,
+          materialUniforms:
+              that.assembleGltfMaterialUniforms(primitive.material),
+          transformations: {
+            translate: instance.translate,
+            orientation: instance.orientation,
+            scale: instance.scale,
+          },
+        };
+
+        // Textures are only applied to primitives with texture coordinates
+        if (primitive.material.baseColorTexture != null &&
+            primitive.data.vertexTextureCoords != null) {
+          entry.texture = primitive.material.baseColorTexture;
+        }
+
+        that.sceneObjectsData.push(entry);
+      });
+    });
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This assembly function links each of the included scene
+   * objects, and recursively each of their <code>children</code>, to the
+   * object of which it is a child as its <code>parent</code> property, the
+   * objects of the top level being given the included
+   * <code>paramParent</code> (that is, <code>null</code>). These links permit
+   * <code>inaccessible.handleObjectTransformation</code> to place an object
+   * by way of its ancestors without walking the whole scene graph.
+   *
+   * @param {!Array<object>} paramDataArray
+   * @param {?object} paramParent
+   * @returns {void}
+   */
+  inaccessible.assembleSceneGraph = function (paramDataArray, paramParent) {
+    paramDataArray.forEach(function (paramConfig) {
+      paramConfig.parent = paramParent;
+
+      if (paramConfig.children != null) {
+        this.assembleSceneGraph(paramConfig.children, paramConfig);
+      }
+    }, this);
+  };
+
+  /**
+   * @description This helper assembly function is used to build one-off shape
+   * models for those scene entries that include a <code>shapeOptions</code>
+   * object denoting a custom tessellation, a <code>normals</code> mode
+   * denoting regenerated normals, or a <code>uvMapping</code> mode denoting
+   * generated texture coordinates. Textured entries whose shape type has no
+   * texture coordinates of its own are given a spherical mapping by default,
+   * as the texture would otherwise be sampled from a disabled attribute. The
+   * options are passed to the appropriate
+   * <code>Polyhedra</code> getter and the resulting model is attached to the
+   * entry itself as <code>model</code>, where it is preferred over the shared
+   * template by <code>inaccessible.handleShapeTemplateRendering</code>.
+   * Visibility toggling is still handled by the shared template of that shape
+   * type. Imported shape types have no getter and are instead handled by
+   * <code>inaccessible.assembleImportedShapeTemplate</code> once loaded.
+   *
+   * @param {!Array<object>} paramDataArray
+   * @returns {void}
+   */
+  inaccessible.assembleShapeVariants = function (paramDataArray) {
+
+    // Declarations
+    let current;
+
+    for (let i = 0; i < paramDataArray.length; i++) {
+
+      // Definition
+      current = paramDataArray[i];
+
+      if (
+        current.shapeType == null ||
+        Polyhedra[`get${current.shapeType}`] == null
+      ) {
+        continue;
+      }
+
+      // Texture applied to a shape without texture coordinates
+      if (
+        current.texture != null &&
+        current.uvMapping == null &&
+        this.templates[current.shapeType].texCoordsBuffer == null
+      ) {
+        current.uvMapping = 'spherical';
+      }
+
+      if (
+        current.shapeOptions != null ||
+        current.normals != null ||
+        current.uvMapping != null
+      ) {
+        current.model = this.assembleShapeTemplate(current.shapeType,
+            Polyhedra[`get${current.shapeType}`](current.shapeOptions),
+            current);
+      }
+    }
+  };
+
   /**
    * @description This assembly function is responsible for iterating through
    * the object-global array of lght source config objects housed at
@@ -962,7 +2763,7 @@ const ProjectFourModule = (function (Polyhedra) {
     // Declarations
     let light, key;
 
-    for (let i = 0; i < this.lightSourceData.length; i++) {
+    for (let i = 0; i < this.lightCount; i++) {
       this.pushMatrix();
 
       // Definition
@@ -990,9 +2791,20 @@ const ProjectFourModule = (function (Polyhedra) {
       }
 
       // Only applicable to lights in the scene (not viewpoint/global lights)
+      if (light.transformations != null) {
+        if (light.lightsUniforms.position != null) {
+          this.handleLightPositioning(this.u_lights[i].position,
+            light.lightsUniforms.position);
+        }
+
+        if (light.lightsUniforms.direction != null) {
+          this.handleLightDirection(this.u_lights[i].direction,
+            light.lightsUniforms.direction);
+        }
+      }
+
+      // Only lights with a shape of their own are drawn
       if (light.shapeType != null && light.shapeColor != null) {
-        this.handleLightPositioning(this.u_lights[i].position,
-          light.lightsUniforms.position);
         this.handleShapeTemplateRendering(light);
       }
 
@@ -1008,106 +2820,642 @@ const ProjectFourModule = (function (Polyhedra) {
   };
 
   /**
-   * @description Like the assembly function above it, namely
-   * <code>inaccessible.assembleLights</code>, this function is used to create
-   * and configure the various scene objects housed in the object-global array
-   * <code>inaccessible.sceneObjectsData</code>. Depending on the config object,
-   * various transformations about the object's own axes may be undertaken in
-   * addition to each object's orbit around the central "sun" object.
-   * <br />
-   * <br />
-   * Unlike the aforementioned light assembly function above, however, this
-   * particular function was initially difficult to implement due to the author
-   * forgetting to include the necessary <code>mat4.rotate</code> code making
-   * use of the frame counter object-global <code>frameCounter</code>. Prior to
-   * discovering this error, the author was simply making use of the deprecated
-   * object-global counter <code>orbitAngle</code> originally used to move
-   * objects around their own axes at various rates. This resulted in an
-   * axes-skew from the camera position, meaning objects were placed properly
-   * but rotated such that the camera was looking down the x-axis rather than
-   * the z-axis. This took some wasted effort to figure out and required a look
-   * at the resource file <code>diskworld-2.html</code>.
+   * @description This assembly function builds an empty cube map of the
+   * included resolution and texture filter, along with a framebuffer and a
+   * depth renderbuffer through which the scene may be rendered into each of
+   * its faces in turn, as done for both the shadow map and the dynamic
+   * reflection maps. The faces share the single depth buffer, which is to be
+   * cleared before each face is drawn.
    *
-   * @returns {void}
+   * @param {number} paramResolution
+   * @param {GLenum} paramFilter
+   * @returns {object} cubeFramebuffer
    */
-  inaccessible.assembleScene = function () {
+  inaccessible.assembleCubeFramebuffer = function (paramResolution,
+      paramFilter) {
 
-    // Declarations
-    let dataContents, current, matrixFunctionName, key, value;
+    // Declaration
+    let cubeFramebuffer;
 
-    if (DEBUG) {
-      dataContents = this.debugSceneObjectsData;
-    } else {
-      dataContents = this.sceneObjectsData;
+    // Definition
+    cubeFramebuffer = {
+      texture: this.gl.createTexture(),
+      depthBuffer: this.gl.createRenderbuffer(),
+      framebuffer: this.gl.createFramebuffer(),
+    };
+
+    this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, cubeFramebuffer.texture);
+    for (let i = 0; i < this.CubeMapFaces.length; i++) {
+      this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0,
+          this.gl.RGBA, paramResolution, paramResolution, 0, this.gl.RGBA,
+          this.gl.UNSIGNED_BYTE, null);
     }
 
-    for (let i = 0; i < dataContents.length; i++) {
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MIN_FILTER,
+        paramFilter);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MAG_FILTER,
+        paramFilter);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_WRAP_S,
+        this.gl.CLAMP_TO_EDGE);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_WRAP_T,
+        this.gl.CLAMP_TO_EDGE);
+
+    this.gl.bindRenderbuffer(this.gl.RENDERBUFFER, cubeFramebuffer.depthBuffer);
+    this.gl.renderbufferStorage(this.gl.RENDERBUFFER,
+        this.gl.DEPTH_COMPONENT16, paramResolution, paramResolution);
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, cubeFramebuffer.framebuffer);
+    this.gl.framebufferRenderbuffer(this.gl.FRAMEBUFFER,
+        this.gl.DEPTH_ATTACHMENT, this.gl.RENDERBUFFER,
+        cubeFramebuffer.depthBuffer);
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+
+    return cubeFramebuffer;
+  };
 
-      // Define
-      current = dataContents[i];
+  /**
+   * @description This assembly function builds the shadow cube map of the
+   * first in-use light whose config includes a <code>shadow</code> object,
+   * returning <code>null</code> if there is no such light. As WebGL1 cannot
+   * render depth into a cube map directly, each of the six RGBA color faces
+   * instead receives the packed light-to-fragment distances written by the
+   * <code>SHADOW_FRAGMENT</code> shader, while a shared renderbuffer handles
+   * the depth testing of each face (see
+   * <code>inaccessible.assembleCubeFramebuffer</code>). The light's
+   * <code>resolution</code> and <code>bias</code> default to the values housed
+   * in <code>inaccessible.Utility</code> if not included.
+   *
+   * @returns {?object} shadowMap
+   */
+  inaccessible.assembleShadowMap = function () {
 
-      // If user wants all items of this shape hidden, we move on to the next
-      if (!this.templates[current.shapeType].isAnimated) {
-        continue;
-      }
+    // Declarations
+    let lightIndex, config, shadowMap;
 
-      this.pushMatrix();
+    // Definitions
+    lightIndex = this.lightSourceData.slice(0, this.lightCount).findIndex(
+        function (paramLight) {
+          return paramLight.shadow != null;
+        });
 
-      // Define object's orbit around the sun (y-axis)
-      if (!DEBUG) {
-        mat4.rotate(this.modelview, this.modelview,
-            (-this.frameNumber) / 180 * Math.PI, [0, 1, 0]);
-      }
+    if (lightIndex === -1) {
+      return null;
+    }
 
-      // Move origin to the object's specific location in system
-      mat4.translate(this.modelview, this.modelview,
-          current.transformations.translate);
+    config = this.lightSourceData[lightIndex].shadow;
+    shadowMap = {
+      lightIndex: lightIndex,
+      resolution: config.resolution || this.Utility.SHADOW_MAP_RESOLUTION,
+      bias: (config.bias != null)
+        ? config.bias
+        : this.Utility.SHADOW_BIAS,
+      projection: mat4.create(),
+      lightView: mat4.create(),
+      a_coords_loc: this.gl.getAttribLocation(this.shadowProgram, 'a_coords'),
+    };
 
-      // Define rotations about the object's own x and y-axes
-      for (key in current.transformations.rotate) {
+    // Packed distances must not be filtered between texels
+    Object.assign(shadowMap, this.assembleCubeFramebuffer(shadowMap.resolution,
+        this.gl.NEAREST));
 
-        // Definitions
-        value = current.transformations.rotate[key];
-        matrixFunctionName = `rotate${key.toUpperCase()}`;
+    // Each face covers a quarter turn of the light's surroundings
+    mat4.perspective(shadowMap.projection, Math.PI / 2, 1,
+        this.Utility.SHADOW_NEAR_PLANE, this.Utility.FRUSTRUM_FAR_PLANE);
 
-        // Either mat4.rotateX or mat4.rotateY
-        mat4[matrixFunctionName](this.modelview, this.modelview,
-            (this.frameNumber * value) / 180 * Math.PI);
-      }
+    ['modelview', 'lightView', 'projection', 'lightPosition', 'shadowFar']
+        .forEach(function (paramUniform) {
+      shadowMap[`u_${paramUniform}`] = this.gl.getUniformLocation(
+          this.shadowProgram, paramUniform);
+    }, this);
 
-      // Object sizing
-      mat4.scale(this.modelview, this.modelview,
-          current.transformations.scale);
+    // Main program compares fragment distances against the map
+    this.gl.uniform1f(this.u_shadowBias, shadowMap.bias);
+    this.gl.uniform1f(this.u_shadowFar, this.Utility.FRUSTRUM_FAR_PLANE);
 
-      // Optional custom shininess property
-      if (current.materialUniforms.specularColor != null) {
-        this.gl.uniform3f(this.u_material.specularColor,
-            ...current.materialUniforms.specularColor);
-      }
+    return shadowMap;
+  };
+
+  /**
+   * @description This assembly function generates the procedural starfield
+   * drawn as the skybox when no images are denoted in
+   * <code>inaccessible.skyboxData</code>. Stars are scattered uniformly over
+   * the sphere of view directions, mostly dim with the occasional bright one
+   * and faintly tinted blue or yellow, and each is written to the texel of the
+   * cube map face through which that direction passes, found by viewing the
+   * direction from the center of the cube as listed in
+   * <code>inaccessible.CubeMapFaces</code>.
+   *
+   * @returns {WebGLTexture} texture
+   */
+  inaccessible.assembleStarfield = function () {
+
+    // Declarations
+    let resolution, faces, views, texture, direction, z, angle, radius, face,
+      projected, texel, brightness, tint;
 
-      // Associated exponent value
-      if (current.materialUniforms.specularExponent != null) {
-        this.gl.uniform1f(this.u_material.specularExponent,
-            current.materialUniforms.specularExponent);
+    // Definitions
+    resolution = this.Utility.STARFIELD_RESOLUTION;
+    texture = this.gl.createTexture();
+    faces = this.CubeMapFaces.map(function () {
+      return new Uint8Array(4 * resolution * resolution);
+    });
+    views = this.CubeMapFaces.map(function (paramFace) {
+      return mat4.lookAt(mat4.create(), [0, 0, 0], paramFace.direction,
+          paramFace.up);
+    });
+    projected = vec3.create();
+
+    for (let i = 0; i < this.Utility.STARFIELD_STAR_COUNT; i++) {
+
+      // Uniform distribution of directions over the unit sphere
+      z = 2 * Math.random() - 1;
+      angle = 2 * Math.PI * Math.random();
+      radius = Math.sqrt(1 - z * z);
+      direction = [radius * Math.cos(angle), radius * Math.sin(angle), z];
+
+      // The face whose direction lies closest to the star's holds it
+      face = 0;
+      for (let j = 1; j < this.CubeMapFaces.length; j++) {
+        if (vec3.dot(direction, this.CubeMapFaces[j].direction) >
+            vec3.dot(direction, this.CubeMapFaces[face].direction)) {
+          face = j;
+        }
       }
 
-      // Render the image shape
-      this.handleShapeTemplateRendering(current);
+      // Project onto the face as though rendered with a 90 degree view
+      vec3.transformMat4(projected, direction, views[face]);
+      texel = 4 * (
+        Math.min(Math.floor((projected[1] / -projected[2] + 1) / 2 *
+            resolution), resolution - 1) * resolution +
+        Math.min(Math.floor((projected[0] / -projected[2] + 1) / 2 *
+            resolution), resolution - 1)
+      );
+
+      brightness = 64 + 191 * Math.pow(Math.random(), 4);
+      tint = 0.15 * (Math.random() - 0.5);
+
+      faces[face][texel] = brightness * (1 + tint);
+      faces[face][texel + 1] = brightness;
+      faces[face][texel + 2] = brightness * (1 - tint);
+    }
+
+    this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, texture);
 
-      // Reset specularColor to default for next item
-      if (current.materialUniforms.specularColor != null) {
-        this.gl.uniform3f(this.u_material.specularColor,
-            ...this.DefaultUniforms.MATERIAL.specularColor);
+    for (let i = 0; i < faces.length; i++) {
+      for (let j = 3; j < faces[i].length; j += 4) {
+        faces[i][j] = 255;
       }
 
-      // Reset specularExponent to default for next item
-      if (current.materialUniforms.specularExponent != null) {
-        this.gl.uniform1f(this.u_material.specularExponent,
-            this.DefaultUniforms.MATERIAL.specularExponent);
+      this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0,
+          this.gl.RGBA, resolution, resolution, 0, this.gl.RGBA,
+          this.gl.UNSIGNED_BYTE, faces[i]);
+    }
+
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MIN_FILTER,
+        this.gl.LINEAR);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_WRAP_S,
+        this.gl.CLAMP_TO_EDGE);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_WRAP_T,
+        this.gl.CLAMP_TO_EDGE);
+
+    return texture;
+  };
+
+  /**
+   * @description This assembly function builds the state needed to draw the
+   * skybox each frame across the <code>screenQuadBuffer</code>, namely the
+   * locations of the skybox program's attribute and uniforms, and, if no
+   * images are denoted in <code>inaccessible.skyboxData</code>, the starfield
+   * cube map drawn in their place. The skybox samplers are pointed at their
+   * texture units once here, as they never change.
+   *
+   * @returns {object} skybox
+   */
+  inaccessible.assembleSkybox = function () {
+
+    // Declaration
+    let skybox;
+
+    // Definition
+    skybox = {
+      inverseViewProjection: mat4.create(),
+      starfield: null,
+      a_coords_loc: this.gl.getAttribLocation(this.skyboxProgram, 'a_coords'),
+    };
+
+    ['inverseViewProjection', 'skybox', 'panorama', 'usePanorama']
+        .forEach(function (paramUniform) {
+      skybox[`u_${paramUniform}`] = this.gl.getUniformLocation(
+          this.skyboxProgram, paramUniform);
+    }, this);
+
+    if (this.skyboxData.faces == null && this.skyboxData.panorama == null) {
+      skybox.starfield = this.assembleStarfield();
+    }
+
+    this.gl.useProgram(this.skyboxProgram);
+    this.gl.uniform1i(skybox.u_skybox, this.Utility.ENVIRONMENT_TEXTURE_UNIT);
+    this.gl.uniform1i(skybox.u_panorama, this.Utility.PANORAMA_TEXTURE_UNIT);
+    this.gl.useProgram(this.shaderProgram);
+
+    return skybox;
+  };
+
+  /**
+   * @description This assembly function builds a dynamic reflection map for
+   * each scene object with <code>dynamicReflection</code> set, storing it as
+   * the object's <code>reflectionMap</code>. The maps are rendered by
+   * <code>inaccessible.handleReflectionMapRendering</code>, which notes the
+   * <code>frameNumber</code> of each rendering so as to know when each is
+   * next due.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleReflectionMaps = function () {
+    [
+      this.debugSceneObjectsData,
+      this.sceneObjectsData,
+      this.planetaryObjectsData,
+    ].forEach(function (paramDataArray) {
+      this.getSceneNodes(paramDataArray).forEach(function (paramConfig) {
+        if (paramConfig.dynamicReflection) {
+          paramConfig.reflectionMap = this.assembleCubeFramebuffer(
+              this.Utility.REFLECTION_MAP_RESOLUTION, this.gl.LINEAR);
+          paramConfig.reflectionMap.position = null;
+          paramConfig.reflectionMap.frameNumber = null;
+        }
+      }, this);
+    }, this);
+  };
+
+  /**
+   * @description This assembly function builds a 2D render target of the
+   * included size, texel type and texture filter, namely a texture attached
+   * to a framebuffer as its color buffer, along with a depth renderbuffer if
+   * <code>paramHasDepth</code> is set. Whether the browser can render into
+   * the framebuffer so built is noted as the target's <code>isComplete</code>
+   * property, as support for floating-point color buffers varies.
+   *
+   * @param {number} paramWidth
+   * @param {number} paramHeight
+   * @param {GLenum} paramType
+   * @param {GLenum} paramFilter
+   * @param {boolean} paramHasDepth
+   * @returns {object} renderTarget
+   */
+  inaccessible.assembleRenderTarget = function (paramWidth, paramHeight,
+      paramType, paramFilter, paramHasDepth) {
+
+    // Declaration
+    let renderTarget;
+
+    // Definition
+    renderTarget = {
+      width: paramWidth,
+      height: paramHeight,
+      texture: this.gl.createTexture(),
+      depthBuffer: (paramHasDepth)
+        ? this.gl.createRenderbuffer()
+        : null,
+      framebuffer: this.gl.createFramebuffer(),
+      isComplete: false,
+    };
+
+    this.gl.bindTexture(this.gl.TEXTURE_2D, renderTarget.texture);
+    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, paramWidth,
+        paramHeight, 0, this.gl.RGBA, paramType, null);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER,
+        paramFilter);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER,
+        paramFilter);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S,
+        this.gl.CLAMP_TO_EDGE);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T,
+        this.gl.CLAMP_TO_EDGE);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, renderTarget.framebuffer);
+    this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER,
+        this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, renderTarget.texture, 0);
+
+    if (paramHasDepth) {
+      this.gl.bindRenderbuffer(this.gl.RENDERBUFFER, renderTarget.depthBuffer);
+      this.gl.renderbufferStorage(this.gl.RENDERBUFFER,
+          this.gl.DEPTH_COMPONENT16, paramWidth, paramHeight);
+      this.gl.framebufferRenderbuffer(this.gl.FRAMEBUFFER,
+          this.gl.DEPTH_ATTACHMENT, this.gl.RENDERBUFFER,
+          renderTarget.depthBuffer);
+    }
+
+    renderTarget.isComplete = this.gl.checkFramebufferStatus(
+        this.gl.FRAMEBUFFER) === this.gl.FRAMEBUFFER_COMPLETE;
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+
+    return renderTarget;
+  };
+
+  /**
+   * @description This assembly function builds the render targets used by the
+   * post-processing chain (see <code>inaccessible.postProcessingData</code>),
+   * namely the canvas-sized target into which the scene is drawn, a pair of
+   * canvas-sized targets between which the passes alternate, and a pair of
+   * smaller targets in which the bloom is blurred. Half-float targets are
+   * preferred so that colors brighter than white survive until tone mapping;
+   * should the browser be unable to render into them, 8-bit targets are used
+   * instead and a warning is displayed in the sidebar.
+   *
+   * @returns {object} postProcessing
+   */
+  inaccessible.assemblePostProcessing = function () {
+
+    // Declarations
+    let postProcessing, halfFloat, type, filter, bloomWidth, bloomHeight;
+
+    // Definitions
+    halfFloat = this.gl.getExtension('OES_texture_half_float');
+    bloomWidth = Math.floor(this.Utility.CANVAS_WIDTH /
+        this.Utility.BLOOM_DOWNSAMPLE_FACTOR);
+    bloomHeight = Math.floor(this.Utility.CANVAS_HEIGHT /
+        this.Utility.BLOOM_DOWNSAMPLE_FACTOR);
+    postProcessing = {
+      sceneTarget: null,
+      pingPongTargets: [],
+      bloomTargets: [],
+      locations: {},
+    };
+
+    if (halfFloat != null) {
+      this.gl.getExtension('EXT_color_buffer_half_float');
+      type = halfFloat.HALF_FLOAT_OES;
+      filter =
+          (this.gl.getExtension('OES_texture_half_float_linear') != null)
+            ? this.gl.LINEAR
+            : this.gl.NEAREST;
+
+      postProcessing.sceneTarget = this.assembleRenderTarget(
+          this.Utility.CANVAS_WIDTH, this.Utility.CANVAS_HEIGHT, type, filter,
+          true);
+
+      // Discard the half-float target if it cannot be drawn into
+      if (!postProcessing.sceneTarget.isComplete) {
+        this.gl.deleteTexture(postProcessing.sceneTarget.texture);
+        this.gl.deleteRenderbuffer(postProcessing.sceneTarget.depthBuffer);
+        this.gl.deleteFramebuffer(postProcessing.sceneTarget.framebuffer);
+        postProcessing.sceneTarget = null;
       }
+    }
+
+    if (postProcessing.sceneTarget == null) {
+      this.handleNoticeDisplay(this.Text.HDR_TARGET_WARNING);
+      type = this.gl.UNSIGNED_BYTE;
+      filter = this.gl.LINEAR;
+      postProcessing.sceneTarget = this.assembleRenderTarget(
+          this.Utility.CANVAS_WIDTH, this.Utility.CANVAS_HEIGHT, type, filter,
+          true);
+    }
+
+    for (let i = 0; i < 2; i++) {
+      postProcessing.pingPongTargets.push(this.assembleRenderTarget(
+          this.Utility.CANVAS_WIDTH, this.Utility.CANVAS_HEIGHT, type, filter,
+          false));
+      postProcessing.bloomTargets.push(this.assembleRenderTarget(bloomWidth,
+          bloomHeight, type, filter, false));
+    }
+
+    return postProcessing;
+  };
+
+  /**
+   * @description This assembly function builds the state needed to draw the
+   * orbit displays of <code>inaccessible.orbitDisplayData</code>, namely the
+   * locations of the orbit program's attributes and uniforms and the buffers
+   * shared by every trail. Each orbiting object of the scene and of astronomy
+   * mode is also given its <code>orbitPath</code>, a buffer holding a line
+   * strip of <code>ORBIT_PATH_SEGMENTS</code> segments once around its orbit
+   * (in the orbital plane, before the plane is oriented), and its
+   * <code>orbitTrail</code>, a ring buffer of its most recent positions in
+   * the scene's own coordinates as recorded by
+   * <code>inaccessible.handleOrbitTrailSampling</code>, along with the scene
+   * time and position at which it was last sampled.
+   * <br />
+   * <br />
+   * Trails are drawn from the scene's <code>trailCoords</code>, into which
+   * each ring buffer is unrolled from oldest to newest such that its newest
+   * position always lies last, and its <code>trailAlphas</code>, into which
+   * an opacity is written for each position, rising from zero at the oldest
+   * to one at the newest. Each is copied into its buffer once per trail.
+   *
+   * @returns {object} orbitDisplay
+   */
+  inaccessible.assembleOrbitDisplay = function () {
+
+    // Declarations
+    let orbitDisplay, trailLength, segments, orbit, coords, position;
+
+    // Definitions
+    trailLength = this.Utility.ORBIT_TRAIL_LENGTH;
+    segments = this.Utility.ORBIT_PATH_SEGMENTS;
+    orbitDisplay = {
+      trailCoords: new Float32Array(trailLength * 3),
+      trailAlphas: new Float32Array(trailLength),
+      trailBuffer: this.assembleBuffer(new Float32Array(trailLength * 3),
+          'ARRAY_BUFFER'),
+      fadeBuffer: this.assembleBuffer(new Float32Array(trailLength),
+          'ARRAY_BUFFER'),
+      a_coords_loc: this.gl.getAttribLocation(this.orbitProgram, 'a_coords'),
+      a_alpha_loc: this.gl.getAttribLocation(this.orbitProgram, 'a_alpha'),
+    };
+
+    ['modelview', 'projection', 'color'].forEach(function (paramUniform) {
+      orbitDisplay[`u_${paramUniform}`] = this.gl.getUniformLocation(
+          this.orbitProgram, paramUniform);
+    }, this);
+
+    [
+      this.sceneObjectsData,
+      this.planetaryObjectsData,
+    ].forEach(function (paramDataArray) {
+      this.getSceneNodes(paramDataArray).forEach(function (paramConfig) {
+        if (paramConfig.orbit == null) {
+          return;
+        }
+
+        orbit = Object.assign({}, this.DefaultOrbit, paramConfig.orbit);
+        coords = new Float32Array((segments + 1) * 3);
+
+        // The last point returns to the first, closing the loop
+        for (let i = 0; i <= segments; i++) {
+          position = this.getOrbitalPosition(orbit,
+              orbit.period * i / segments);
+          coords.set(position, i * 3);
+        }
+
+        paramConfig.orbitPath = this.assembleBuffer(coords, 'ARRAY_BUFFER');
+        paramConfig.orbitTrail = {
+          positions: new Float32Array(trailLength * 3),
+          head: 0,
+          count: 0,
+          time: null,
+          position: null,
+        };
+      }, this);
+    }, this);
+
+    return orbitDisplay;
+  };
+
+  /**
+   * @description Like the assembly function above it, namely
+   * <code>inaccessible.assembleLights</code>, this function is used to create
+   * and configure the various scene objects housed in the object-global array
+   * <code>inaccessible.sceneObjectsData</code>. Depending on the config object,
+   * various transformations about the object's own axes may be undertaken in
+   * addition to each object's orbit around the central "sun" object.
+   * <br />
+   * <br />
+   * Unlike the aforementioned light assembly function above, however, this
+   * particular function was initially difficult to implement due to the author
+   * forgetting to include the necessary <code>mat4.rotate</code> code making
+   * use of the frame counter object-global <code>frameCounter</code>. Prior to
+   * discovering this error, the author was simply making use of the deprecated
+   * object-global counter <code>orbitAngle</code> originally used to move
+   * objects around their own axes at various rates. This resulted in an
+   * axes-skew from the camera position, meaning objects were placed properly
+   * but rotated such that the camera was looking down the x-axis rather than
+   * the z-axis. This took some wasted effort to figure out and required a look
+   * at the resource file <code>diskworld-2.html</code>.
+   * <br />
+   * <br />
+   * The scene is a graph, each object's <code>children</code> being placed
+   * relative to it by <code>inaccessible.assembleSceneNode</code>, which
+   * composes each object's matrix from its parent's on the matrix stack.
+   * Each object is first placed, and then drawn by
+   * <code>inaccessible.handleSceneObjectRendering</code>. Opaque objects are
+   * drawn first in the order listed, after which transparent objects (see
+   * <code>inaccessible.isTransparent</code>) are blended atop them from back
+   * to front by the eye-space depth of their centers, without writing depth
+   * so that those behind are not hidden. Each transparent object draws its
+   * back faces before its front faces, so that the far side of a glassy
+   * shell shows through its near side. Any orbit displays enabled from the
+   * sidebar are drawn between the two, such that translucent objects are
+   * blended atop the lines behind them rather than hidden beneath them,
+   * though not into the reflection maps.
+   * <br />
+   * <br />
+   * The function is also invoked once per cube map face by
+   * <code>inaccessible.handleShadowMapRendering</code>, during which
+   * <code>isShadowPass</code> is set and each object is drawn by
+   * <code>inaccessible.handleShadowCasterRendering</code> instead.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleScene = function () {
+
+    // Declarations
+    let dataContents, placements, opaque, transparent;
+
+    // Definitions
+    dataContents = this.getSceneData();
+    placements = [];
 
+    for (let i = 0; i < dataContents.length; i++) {
+      this.assembleSceneNode(dataContents[i], placements);
+    }
+
+    // Only depth is drawn while rendering the shadow map
+    if (this.isShadowPass) {
+      placements.forEach(this.handleSceneObjectRendering, this);
+      return;
+    }
+
+    opaque = placements.filter(function (paramPlacement) {
+      return !this.isTransparent(paramPlacement.config);
+    }, this);
+
+    // Eye-space depth of each object's center, farthest (most negative) first
+    transparent = placements.filter(function (paramPlacement) {
+      return this.isTransparent(paramPlacement.config);
+    }, this).sort(function (paramFirst, paramSecond) {
+      return paramFirst.modelview[14] - paramSecond.modelview[14];
+    });
+
+    opaque.forEach(this.handleSceneObjectRendering, this);
+
+    // Orbit displays must lie beneath translucent objects, like opaque ones
+    if (this.reflectionTarget == null) {
+      this.handleOrbitDisplayRendering();
+    }
+
+    if (transparent.length === 0) {
+      return;
+    }
+
+    // Blend atop what lies behind without hiding what follows
+    this.gl.enable(this.gl.BLEND);
+    this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+    this.gl.depthMask(false);
+    this.gl.enable(this.gl.CULL_FACE);
+
+    // Inner (back) faces of each object are drawn before its outer ones
+    transparent.forEach(function (paramPlacement) {
+      this.gl.cullFace(this.gl.FRONT);
+      this.handleSceneObjectRendering(paramPlacement);
+      this.gl.cullFace(this.gl.BACK);
+      this.handleSceneObjectRendering(paramPlacement);
+    }, this);
+
+    this.gl.disable(this.gl.CULL_FACE);
+    this.gl.depthMask(true);
+    this.gl.disable(this.gl.BLEND);
+  };
+
+  /**
+   * @description This assembly function places the included scene object
+   * and, in turn, each of its <code>children</code>, adding a placement
+   * consisting of the object's <code>config</code> and its
+   * <code>modelview</code> matrix to the included array for each object to
+   * be drawn. The object's orbit and placement are applied atop those of its
+   * ancestors already on the matrix stack and are left in place while its
+   * children are placed, such that a moon follows its planet about the sun.
+   * The object's rotations about its own axes and its scale are applied to
+   * its own placement alone, so that neither the spinning nor the sizing of
+   * a parent drags or distorts its children.
+   * <br />
+   * <br />
+   * An object whose shape type has been hidden by the user (or whose
+   * imported model has yet to load) is not drawn, nor is the object whose
+   * reflection map is being rendered, though the children of either still
+   * are.
+   *
+   * @param {object} paramConfig
+   * @param {!Array<object>} paramPlacements
+   * @returns {void}
+   */
+  inaccessible.assembleSceneNode = function (paramConfig, paramPlacements) {
+    this.pushMatrix();
+    this.handleNodeTransformation(paramConfig);
+
+    if (
+      this.templates[paramConfig.shapeType] != null &&
+      this.templates[paramConfig.shapeType].isAnimated &&
+      paramConfig !== this.reflectionTarget
+    ) {
+      this.pushMatrix();
+      this.handleShapeTransformation(paramConfig);
+      paramPlacements.push({
+        config: paramConfig,
+        modelview: this.modelview,
+      });
       this.popMatrix();
     }
+
+    if (paramConfig.children != null) {
+      paramConfig.children.forEach(function (paramChild) {
+        this.assembleSceneNode(paramChild, paramPlacements);
+      }, this);
+    }
+
+    this.popMatrix();
   };
 
   /**
@@ -1129,13 +3477,26 @@ const ProjectFourModule = (function (Polyhedra) {
 
     // Declarations
     let that, checkBoxListElement, checkBoxConfig, labelConfig, elementId,
-      tempName, property, aliasIds;
+      tempName, property, isChecked, aliasIds;
 
     // Preserve scope context
     that = this;
 
-    // Ugly way of handling fact that lights need special button text property
-    property = (paramObject.lightText != null) ? 'lightText' : 'shapeType';
+    // Ugly way of handling fact that lights, post-processing passes, and orbit
+    // displays need special button text properties
+    if (paramObject.lightText != null) {
+      property = 'lightText';
+      isChecked = paramObject.lightsUniforms.enabled;
+    } else if (paramObject.passName != null) {
+      property = 'passName';
+      isChecked = paramObject.isEnabled;
+    } else if (paramObject.displayName != null) {
+      property = 'displayName';
+      isChecked = paramObject.isEnabled;
+    } else {
+      property = 'shapeType';
+      isChecked = paramObject.isAnimated;
+    }
 
     // String will be used to create elementId and button text
     tempName = paramObject[property];
@@ -1158,9 +3519,13 @@ const ProjectFourModule = (function (Polyhedra) {
       id: elementId,
       class: aliasIds.CHECKBOX_CLASS,
       name: elementId,
-      checked: paramObject.isAnimated,
     };
 
+    // Any checked attribute at all checks the box, so only add it if needed
+    if (isChecked) {
+      checkBoxConfig.checked = true;
+    }
+
     // Label properties
     labelConfig = {
       for: elementId,
@@ -1225,6 +3590,63 @@ const ProjectFourModule = (function (Polyhedra) {
     }, false);
   };
 
+  /**
+   * @description This function, much like
+   * <code>inaccessible.assembleButtonElement</code> above it, is used to build
+   * the numeric input elements of the time controls module, each labeled with
+   * its name and given an id consisting of that name with a prepended
+   * "input". The id is added to the config object for use in scene resets.
+   * Whenever the input's value is changed, it is passed as a number to the
+   * input's handler.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.assembleInputElement = function (paramObject) {
+
+    // Declarations
+    let that, elementId, tempName, inputConfig, labelConfig, inputElement,
+      aliasIds;
+
+    // Definitions
+    that = this;
+    tempName = paramObject.inputType;
+    elementId = `input${tempName}`;
+
+    // Add id to object as property for use in scene reset
+    paramObject.elementId = elementId;
+
+    // Styleguide permits aliasing enums, see styleguide #2 linked above
+    aliasIds = this.Identifiers;
+
+    // Input properties
+    inputConfig = {
+      type: 'number',
+      id: elementId,
+      class: `${aliasIds.INPUT_CLASS} ${aliasIds.SIDEBAR_ELEMENT_CLASS}`,
+      value: paramObject.value,
+      step: paramObject.step,
+    };
+
+    // Label properties
+    labelConfig = {
+      for: elementId,
+      class: aliasIds.INPUT_LABEL_CLASS,
+    };
+
+    // <label> and <input> inside <div> wrapper
+    inputElement = this.assembleElement(['div', {},
+        ['label', labelConfig, tempName],
+        ['input', inputConfig, '']]);
+
+    // Add to input module
+    this.append(aliasIds.INPUT_HOLDER_ID, inputElement);
+
+    document.getElementById(elementId).addEventListener('change', function () {
+      that[paramObject.functionName](parseFloat(this.value));
+    }, false);
+  };
+
   /**
    * @description As its name implies, this function is used to construct an
    * individual instance of an element or object; in this case, it builds a
@@ -1293,10 +3715,10 @@ const ProjectFourModule = (function (Polyhedra) {
    * <code>inaccessible.assembleElement</code>'s recursive functionality to
    * construct many levels of nested elements. This function mainly just fills
    * the otherwise empty <code>body</code> tag with a container wrapper
-   * <code>div</code>, a set of sidebar containers for checkboxes and buttons,
-   * and a <code>div</code> wrapper for the <code>canvas</code> itself. It is
-   * to these DOM nodes that the rest of the elements are assembled dynamically
-   * and added to the wrapper.
+   * <code>div</code>, a set of sidebar containers for checkboxes, buttons,
+   * and time inputs, and a <code>div</code> wrapper for the
+   * <code>canvas</code> itself. It is to these DOM nodes that the rest of the
+   * elements are assembled dynamically and added to the wrapper.
    *
    * @returns {void}
    */
@@ -1305,7 +3727,8 @@ const ProjectFourModule = (function (Polyhedra) {
     // Declarations
     let containerConfig ,canvasContainerConfig, canvasConfig,
       sidebarContainerConfig, checkboxModuleConfig, checkboxHeaderConfig,
-      buttonModuleConfig, buttonHeaderConfig;
+      buttonModuleConfig, buttonHeaderConfig, inputModuleConfig,
+      inputHeaderConfig;
 
     // Config object for wrapper
     containerConfig = {
@@ -1354,6 +3777,17 @@ const ProjectFourModule = (function (Polyhedra) {
       class: this.Identifiers.HEADER_CLASS,
     };
 
+    // Config object for time inputs sidebar module
+    inputModuleConfig = {
+      id: this.Identifiers.INPUT_HOLDER_ID,
+      class: this.Identifiers.SIDEBAR_MODULE_CLASS,
+    };
+
+    // Config object for time inputs module header
+    inputHeaderConfig = {
+      class: this.Identifiers.HEADER_CLASS,
+    };
+
     // Return assembled interface
     return this.assembleElement(
       ['div', containerConfig,
@@ -1367,6 +3801,11 @@ const ProjectFourModule = (function (Polyhedra) {
             ['div', buttonHeaderConfig,
               this.Text.BUTTON_HOLDER_HEADER
             ]
+          ],
+          ['div', inputModuleConfig,
+            ['div', inputHeaderConfig,
+              this.Text.INPUT_HOLDER_HEADER
+            ]
           ]
         ],
         ['div', canvasContainerConfig,
@@ -1384,15 +3823,17 @@ const ProjectFourModule = (function (Polyhedra) {
    * @description Like the function below it, this handler is used to deal with
    * presses of the "Start animation" button, setting the appropriate object-
    * global boolean <code>isSceneAnimated</code> to true and calling the
-   * animation handler <code>inaccessible.handleFrame</code>. If the scene is
-   * currently animated and the start button pressed again, the program displays
-   * a <code>window.alert</code> popup letting the user know.
+   * animation handler <code>inaccessible.handleFrame</code> once the clock has
+   * been set playing. If the scene is currently animated and the start button
+   * pressed again, the program displays a <code>window.alert</code> popup
+   * letting the user know.
    *
    * @returns {void}
    */
   inaccessible.handleAnimationStart = function () {
     if (!this.isSceneAnimated) {
       this.isSceneAnimated = true;
+      Clock.play();
       this.handleFrame();
     } else {
       window.alert(this.Text.START_BUTTON_ERROR);
@@ -1402,15 +3843,16 @@ const ProjectFourModule = (function (Polyhedra) {
   /**
    * @description This function is like that above it,
    * <code>inaccessible.handleAnimationStart</code>, in that it simply sets the
-   * object-global <code>inaccessible.isSceneAnimated</code> and displays a
-   * <code>window.alert</code> popup if the button is pressed and the animation
-   * is not running.
+   * object-global <code>inaccessible.isSceneAnimated</code>, pausing the clock,
+   * and displays a <code>window.alert</code> popup if the button is pressed
+   * and the animation is not running.
    *
    * @returns {void}
    */
   inaccessible.handleAnimationStop = function () {
     if (this.isSceneAnimated) {
       this.isSceneAnimated = false;
+      Clock.pause();
     } else {
       window.alert(this.Text.STOP_BUTTON_ERROR);
     }
@@ -1424,7 +3866,10 @@ const ProjectFourModule = (function (Polyhedra) {
    * hidden objects restored to view, and all user-unchecked checkboxes checked
    * to true again, removing their red coloration. Furthermore, the default
    * scene camera perspective is reset to the default as evidenced in the
-   * aforementioned <code>diskworld-2.html</code> file.
+   * aforementioned <code>diskworld-2.html</code> file. The clock is also
+   * returned to time zero at normal speed, the time controls to their initial
+   * values, and astronomy mode to the present moment, while the orbit trails
+   * are cleared.
    * <br />
    * <br />
    * For reasons the author does not understand, the moving of the default
@@ -1444,8 +3889,16 @@ const ProjectFourModule = (function (Polyhedra) {
     // Redefine rotator defaults
     this.rotator.setView(17, [0, 1, 2]);
     this.frameNumber = 0;
+    this.epochDays = this.getDaysSinceEpoch();
     this.sceneScale = 1;
     this.isSceneAnimated = false;
+    Clock.reset();
+    this.handleClearingOfOrbitTrails();
+
+    // Return time controls to their initial values
+    this.sidebarInputData.forEach(function (paramInput) {
+      document.getElementById(paramInput.elementId).value = paramInput.value;
+    });
 
     // If user has hidden some object types, display them on reset
     for (template in this.templates) {
@@ -1464,15 +3917,17 @@ const ProjectFourModule = (function (Polyhedra) {
   };
 
   /**
-   * @description One of two checkbox listener handlers, this function simply
-   * sets the negated value of the <code>isAnimated</code> <code>boolean</code>
-   * object property as the property itself, like a toggle function of sorts.
+   * @description This handler is used to deal with presses of the "Toggle
+   * astronomy mode" button, switching the scene between the usual scene
+   * objects and the eight planets of
+   * <code>inaccessible.planetaryObjectsData</code>, whose orbits are timed in
+   * days rather than frames. The sun and other lights remain in both.
    *
-   * @param {object} paramObject
    * @returns {void}
    */
-  inaccessible.handleSceneElementCheckboxChanges = function (paramObject) {
-    paramObject.isAnimated = !paramObject.isAnimated;
+  inaccessible.handleAstronomyModeToggle = function () {
+    this.isAstronomyMode = !this.isAstronomyMode;
+    this.handleClearingOfOrbitTrails();
 
     if (!this.isSceneAnimated) {
       this.render();
@@ -1480,17 +3935,27 @@ const ProjectFourModule = (function (Polyhedra) {
   };
 
   /**
-   * @description The second of the two checkbox event listener handlers, this
-   * function negates the <code>isAnimated</code> <code>boolean</code> property
-   * and switches on or off the light accordingly.
+   * @description This handler is used to deal with presses of the "Switch tone
+   * mapping operator" button, switching the tone mapping pass of
+   * <code>inaccessible.postProcessingData</code> between the ACES filmic
+   * curve and the Reinhard operator. The switch is seen once the pass itself
+   * has been toggled on.
    *
-   * @param {object} paramObject
    * @returns {void}
    */
-  inaccessible.handleLightSourceCheckboxChanges = function (paramObject) {
+  inaccessible.handleToneMappingOperatorSwitch = function () {
 
-    // One of the author's favorite unsung heroes, the XOR bitwise toggler
-    paramObject.lightsUniforms.enabled ^= 1;
+    // Declaration
+    let pass;
+
+    // Definition
+    pass = this.postProcessingData.find(function (paramPass) {
+      return paramPass.functionName === 'handleToneMappingPass';
+    });
+
+    pass.operator = (pass.operator === 'aces')
+      ? 'reinhard'
+      : 'aces';
 
     if (!this.isSceneAnimated) {
       this.render();
@@ -1498,141 +3963,1369 @@ const ProjectFourModule = (function (Polyhedra) {
   };
 
   /**
-   * @description This handler function is used by
-   * <code>inaccessible.assembleLights</code> to set the position of a light
-   * source in the scene. The transformed matrix position of the light source is
-   * applied to the relevent shader uniform in eye coordinates. This function
-   * was taken almost entirely from the Project 4 resources file
-   * <code>diskworld-2.html</code>, specifically the method called
-   * <code>setLightPosition</code>.
+   * @description This handler is used to deal with presses of the "Reverse
+   * time" button, reversing the direction in which the clock runs while
+   * keeping its speed, and showing the negated time scale in its input.
    *
-   * @see diskworld-2.setLightPosition
-   * @param {!Array<number>} paramUniformLocation
-   * @param {!Array<number>} paramLightLocation
    * @returns {void}
    */
-  inaccessible.handleLightPositioning = function (paramUniformLocation,
-      paramLightLocation) {
+  inaccessible.handleTimeReversal = function () {
 
     // Declaration
-    let transformedPosition;
+    let input;
 
     // Definition
-    transformedPosition = new Float32Array(4);
+    input = this.sidebarInputData.find(function (paramInput) {
+      return paramInput.functionName === 'handleTimeScaleChange';
+    });
+
+    Clock.reverse();
+    document.getElementById(input.elementId).value = Clock.getTimeScale();
+  };
+
+  /**
+   * @description This handler is used to deal with presses of the "Step back"
+   * and "Step forward" buttons, moving the clock by a single frame in the
+   * included direction (-1 or 1) and redrawing the scene if paused. Steps
+   * may be taken while the scene is animated, though they are best seen
+   * while it is not.
+   *
+   * @param {number} paramDirection
+   * @returns {void}
+   */
+  inaccessible.handleTimeStep = function (paramDirection) {
+    Clock.step(paramDirection);
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description The first of the two time input handlers, this function sets
+   * the clock's time scale to the value entered, ignoring anything that is
+   * not a number. A time scale of zero freezes the scene in place even while
+   * it is animated.
+   *
+   * @param {number} paramValue
+   * @returns {void}
+   */
+  inaccessible.handleTimeScaleChange = function (paramValue) {
+    if (!isNaN(paramValue)) {
+      Clock.setTimeScale(paramValue);
+    }
+  };
+
+  /**
+   * @description The second of the two time input handlers, this function
+   * sends the clock to the second of clock time entered, ignoring anything
+   * that is not a number, clears the orbit trails left behind, and redraws
+   * the scene if paused.
+   *
+   * @param {number} paramValue
+   * @returns {void}
+   */
+  inaccessible.handleTimeSeek = function (paramValue) {
+    if (isNaN(paramValue)) {
+      return;
+    }
+
+    Clock.seek(paramValue);
+    this.handleClearingOfOrbitTrails();
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description One of four checkbox listener handlers, this function simply
+   * sets the negated value of the <code>isAnimated</code> <code>boolean</code>
+   * object property as the property itself, like a toggle function of sorts.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleSceneElementCheckboxChanges = function (paramObject) {
+    paramObject.isAnimated = !paramObject.isAnimated;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description The second of the four checkbox event listener handlers,
+   * this function negates the <code>isAnimated</code> <code>boolean</code>
+   * property and switches on or off the light accordingly.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleLightSourceCheckboxChanges = function (paramObject) {
+
+    // One of the author's favorite unsung heroes, the XOR bitwise toggler
+    paramObject.lightsUniforms.enabled ^= 1;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description The third of the four checkbox event listener handlers, this
+   * function negates the <code>isEnabled</code> <code>boolean</code> property
+   * of a post-processing pass, adding it to or removing it from the chain run
+   * by <code>inaccessible.handlePostProcessing</code>.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handlePostProcessingCheckboxChanges = function (paramObject) {
+    paramObject.isEnabled = !paramObject.isEnabled;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description The last of the four checkbox event listener handlers, this
+   * function negates the <code>isEnabled</code> <code>boolean</code> property
+   * of an orbit display, showing or hiding the orbit paths or trails drawn by
+   * <code>inaccessible.handleOrbitDisplayRendering</code>.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleOrbitDisplayCheckboxChanges = function (paramObject) {
+    paramObject.isEnabled = !paramObject.isEnabled;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This handler function is used by
+   * <code>inaccessible.assembleLights</code> to set the position of a light
+   * source in the scene. The transformed matrix position of the light source is
+   * applied to the relevent shader uniform in eye coordinates. This function
+   * was taken almost entirely from the Project 4 resources file
+   * <code>diskworld-2.html</code>, specifically the method called
+   * <code>setLightPosition</code>.
+   *
+   * @see diskworld-2.setLightPosition
+   * @param {!Array<number>} paramUniformLocation
+   * @param {!Array<number>} paramLightLocation
+   * @returns {void}
+   */
+  inaccessible.handleLightPositioning = function (paramUniformLocation,
+      paramLightLocation) {
+
+    // Declaration
+    let transformedPosition;
+
+    // Definition
+    transformedPosition = new Float32Array(4);
+
+    // Set light placement in eye coordinates
+    vec4.transformMat4(transformedPosition, paramLightLocation, this.modelview);
+    this.gl.uniform4fv(paramUniformLocation, transformedPosition);
+  };
+
+  /**
+   * @description Like <code>inaccessible.handleLightPositioning</code> above
+   * it, this handler function is used by
+   * <code>inaccessible.assembleLights</code> to transform a spotlight's
+   * direction into eye coordinates. As a direction is unaffected by
+   * translation, it is transformed as a vector with a w component of 0.
+   *
+   * @param {WebGLUniformLocation} paramUniformLocation
+   * @param {!Array<number>} paramDirection
+   * @returns {void}
+   */
+  inaccessible.handleLightDirection = function (paramUniformLocation,
+      paramDirection) {
+
+    // Declaration
+    let transformedDirection;
+
+    // Definition
+    transformedDirection = new Float32Array(4);
+
+    // Set light direction in eye coordinates
+    vec4.transformMat4(transformedDirection, [...paramDirection, 0],
+        this.modelview);
+    this.gl.uniform3f(paramUniformLocation, transformedDirection[0],
+        transformedDirection[1], transformedDirection[2]);
+  };
+
+  /**
+   * @description This handler function draws a single scene object placed by
+   * <code>inaccessible.assembleScene</code>, the included placement consisting
+   * of the object's <code>config</code> and its <code>modelview</code> matrix.
+   * During the shadow pass only the object's depth is drawn; otherwise, its
+   * material uniforms are applied for the duration of the drawing and then
+   * reset to their defaults for the next object.
+   *
+   * @param {object} paramPlacement
+   * @returns {void}
+   */
+  inaccessible.handleSceneObjectRendering = function (paramPlacement) {
+
+    // Declarations
+    let current, key;
+
+    // Definition
+    current = paramPlacement.config;
+
+    this.pushMatrix();
+    this.modelview = paramPlacement.modelview;
+
+    if (this.isShadowPass) {
+      this.handleShadowCasterRendering(current);
+      this.popMatrix();
+      return;
+    }
+
+    // Optional custom shininess, emissive color, etc.
+    for (key in current.materialUniforms) {
+      this.handleDefinitionOfUniform(current.materialUniforms, key);
+    }
+
+    // Render the image shape
+    this.handleShapeTemplateRendering(current);
+
+    // Reset material uniforms to default for next item
+    for (key in current.materialUniforms) {
+      this.handleDefinitionOfUniform(this.DefaultUniforms.MATERIAL, key);
+    }
+
+    this.popMatrix();
+  };
+
+  /**
+   * @description This handler function applies the transformations of the
+   * included scene object and all its ancestors to the modelview matrix, as
+   * required to place it for the current frame outside of the traversal of
+   * the scene graph undertaken by <code>inaccessible.assembleScene</code>.
+   * Each ancestor's placement is applied in turn from the top of the
+   * hierarchy down, followed by the object's own, and finally its rotations
+   * and sizing.
+   * This is used to find the centers of objects' dynamic reflection maps by
+   * <code>inaccessible.handleReflectionMapRendering</code>.
+   *
+   * @param {object} paramConfig
+   * @returns {void}
+   */
+  inaccessible.handleObjectTransformation = function (paramConfig) {
+    this.handleAncestorTransformation(paramConfig);
+    this.handleNodeTransformation(paramConfig);
+    this.handleShapeTransformation(paramConfig);
+  };
+
+  /**
+   * @description This handler function applies the placements of each of the
+   * included scene object's ancestors to the modelview matrix in turn, from
+   * the top of the hierarchy down, such that the object's own placement may
+   * then be applied relative to its parent.
+   *
+   * @param {object} paramConfig
+   * @returns {void}
+   */
+  inaccessible.handleAncestorTransformation = function (paramConfig) {
+
+    // Declarations
+    let ancestors, node;
+
+    // Definition
+    ancestors = [];
+
+    for (node = paramConfig.parent; node != null; node = node.parent) {
+      ancestors.unshift(node);
+    }
+
+    ancestors.forEach(this.handleNodeTransformation, this);
+  };
+
+  /**
+   * @description This handler function applies the placement of the included
+   * scene object relative to its parent (or the sun) to the modelview matrix,
+   * as inherited by the object's children. Unless in debug mode, an object
+   * with an <code>orbit</code> is first moved along it (see
+   * <code>inaccessible.getOrbitalPosition</code>) in its orbital plane,
+   * turned to its ascending node, inclined, and turned again by its argument
+   * of periapsis (see <code>inaccessible.handleOrbitTransformation</code>).
+   * The object is then offset by its <code>translate</code> and oriented.
+   * Objects without an <code>orbit</code> keep still relative to their
+   * parents.
+   *
+   * @param {object} paramConfig
+   * @returns {void}
+   */
+  inaccessible.handleNodeTransformation = function (paramConfig) {
+
+    // Move the object along its own orbit about its parent
+    if (!DEBUG && paramConfig.orbit != null) {
+      this.handleOrbitTransformation(paramConfig.orbit);
+    }
+
+    // Move origin to the object's specific location in system
+    mat4.translate(this.modelview, this.modelview,
+        paramConfig.transformations.translate);
+
+    // Optional static orientation quaternion (e.g. imported glTF nodes)
+    if (paramConfig.transformations.orientation != null) {
+      mat4.multiply(this.modelview, this.modelview, mat4.fromQuat(
+          mat4.create(), paramConfig.transformations.orientation));
+    }
+  };
+
+  /**
+   * @description This handler function moves the modelview matrix along the
+   * included orbit, as merged with <code>inaccessible.DefaultOrbit</code>, to
+   * the position reached at the present scene time (see
+   * <code>inaccessible.getSceneTime</code>). The position is found in the
+   * orbital plane, which is then turned to the orbit's ascending node,
+   * inclined, and turned again by its argument of periapsis. In astronomy
+   * mode, the position is mirrored across the x-axis of the orbital plane,
+   * such that the planets circle the sun counterclockwise as seen from the
+   * ecliptic's north (the y-axis), as they do in the sky.
+   *
+   * @param {object} paramOrbit
+   * @returns {void}
+   */
+  inaccessible.handleOrbitTransformation = function (paramOrbit) {
+
+    // Declarations
+    let orbit, position;
+
+    // Definitions
+    orbit = Object.assign({}, this.DefaultOrbit, paramOrbit);
+    position = this.getOrbitalPosition(orbit, this.getSceneTime());
+
+    if (this.isAstronomyMode) {
+      position[2] = -position[2];
+    }
+
+    this.handleOrbitPlaneTransformation(orbit);
+    mat4.translate(this.modelview, this.modelview, position);
+  };
+
+  /**
+   * @description This handler function orients the modelview matrix to the
+   * plane of the included orbit, already merged with
+   * <code>inaccessible.DefaultOrbit</code>, turning it to the orbit's
+   * ascending node, inclining it, and turning it again by its argument of
+   * periapsis. Positions along the orbit and its precomputed
+   * <code>orbitPath</code> alike are given in this plane.
+   *
+   * @param {object} paramOrbit
+   * @returns {void}
+   */
+  inaccessible.handleOrbitPlaneTransformation = function (paramOrbit) {
+    mat4.rotateY(this.modelview, this.modelview,
+        paramOrbit.ascendingNode / 180 * Math.PI);
+    mat4.rotateX(this.modelview, this.modelview,
+        paramOrbit.inclination / 180 * Math.PI);
+    mat4.rotateY(this.modelview, this.modelview,
+        paramOrbit.periapsisArgument / 180 * Math.PI);
+  };
+
+  /**
+   * @description This handler function applies the transformations of the
+   * included scene object that apply to its own shape alone, and not to its
+   * children, to the modelview matrix; namely its rotations about its own
+   * axes at the rates denoted in <code>rotate</code>, in degrees per elapsed
+   * frame (see <code>inaccessible.getElapsedFrames</code>), followed by its
+   * sizing.
+   *
+   * @param {object} paramConfig
+   * @returns {void}
+   */
+  inaccessible.handleShapeTransformation = function (paramConfig) {
+
+    // Declarations
+    let matrixFunctionName, key, value;
+
+    // Define rotations about the object's own x and y-axes
+    for (key in paramConfig.transformations.rotate) {
+
+      // Definitions
+      value = paramConfig.transformations.rotate[key];
+      matrixFunctionName = `rotate${key.toUpperCase()}`;
+
+      // Either mat4.rotateX or mat4.rotateY
+      mat4[matrixFunctionName](this.modelview, this.modelview,
+          (this.getElapsedFrames() * value) / 180 * Math.PI);
+    }
+
+    // Object sizing
+    mat4.scale(this.modelview, this.modelview,
+        paramConfig.transformations.scale);
+  };
+
+  /**
+   * @description This handler function defines the modelview matrix from
+   * which the scene is built as the included view matrix, scaled either by
+   * the debug zoom or the user's middle-mouse button scaling. The inverse of
+   * the view's rotation is passed to the fragment shader alongside it, such
+   * that reflected directions may be carried from eye coordinates back into
+   * the scene's own, in which the skybox and reflection maps are oriented.
+   *
+   * @param {!Array<number>} paramView
+   * @returns {void}
+   */
+  inaccessible.handleViewDefinition = function (paramView) {
+
+    // Declarations
+    let scale, inverseViewRotation;
+
+    // Definitions
+    scale = this.getSceneScale();
+    inverseViewRotation = mat3.fromMat4(mat3.create(), paramView);
+
+    this.modelview = mat4.scale(mat4.create(), paramView,
+        [scale, scale, scale]);
+
+    // The view is orthonormal, so its transpose is its inverse
+    mat3.transpose(inverseViewRotation, inverseViewRotation);
+    this.gl.uniformMatrix3fv(this.u_inverseViewRotation, false,
+        inverseViewRotation);
+  };
+
+  /**
+   * @description This handler function renders the dynamic reflection map of
+   * each scene object with <code>dynamicReflection</code> set, as built by
+   * <code>inaccessible.assembleReflectionMaps</code>. To keep the cost of
+   * rendering the scene six more times per object in check, the maps are
+   * small and only re-rendered once every
+   * <code>REFLECTION_UPDATE_INTERVAL</code> frames. Each map is centered on
+   * its object's position for the current frame, found by applying the
+   * object's transformations alone, and each face is drawn much like the
+   * scene itself, skybox and lights included, save that the object itself is
+   * left out. Shadows are also left out, as the shadow map's coordinates are
+   * those of the camera's view. The function returns whether any map was
+   * rendered, in which case the caller must restore the camera's view.
+   *
+   * @returns {boolean}
+   */
+  inaccessible.handleReflectionMapRendering = function () {
+
+    // Declarations
+    let dataContents, targets, scale, map, view;
+
+    // Definitions
+    dataContents = this.getSceneData();
+    targets = this.getSceneNodes(dataContents).filter(function (paramConfig) {
+      return paramConfig.reflectionMap != null &&
+          this.templates[paramConfig.shapeType] != null &&
+          this.templates[paramConfig.shapeType].isAnimated && (
+            paramConfig.reflectionMap.frameNumber == null ||
+            Math.abs(this.frameNumber - paramConfig.reflectionMap.frameNumber)
+                >= this.Utility.REFLECTION_UPDATE_INTERVAL
+          );
+    }, this);
+    scale = this.getSceneScale();
+
+    if (targets.length === 0) {
+      return false;
+    }
+
+    this.gl.uniform1i(this.u_shadowLight, -1);
+
+    mat4.perspective(this.projection, Math.PI / 2, 1,
+        this.Utility.FRUSTRUM_NEAR_PLANE, this.Utility.FRUSTRUM_FAR_PLANE);
+    this.gl.uniformMatrix4fv(this.u_projection, false, this.projection);
+
+    this.gl.viewport(0, 0, this.Utility.REFLECTION_MAP_RESOLUTION,
+        this.Utility.REFLECTION_MAP_RESOLUTION);
+    this.gl.clearColor(...this.Colors.BLACK);
+
+    for (let i = 0; i < targets.length; i++) {
+      map = targets[i].reflectionMap;
+
+      // Center of the object in the scene's own coordinates
+      this.pushMatrix();
+      this.modelview = mat4.fromScaling(mat4.create(), [scale, scale, scale]);
+      this.handleObjectTransformation(targets[i]);
+      map.position = vec3.transformMat4(vec3.create(), [0, 0, 0],
+          this.modelview);
+      this.popMatrix();
+
+      // A map still bound for sampling may not also be rendered into
+      this.gl.activeTexture(this.gl.TEXTURE0 +
+          this.Utility.REFLECTION_TEXTURE_UNIT);
+      this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, null);
+      this.gl.activeTexture(this.gl.TEXTURE0);
+
+      this.reflectionTarget = targets[i];
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, map.framebuffer);
+
+      for (let j = 0; j < this.CubeMapFaces.length; j++) {
+        this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER,
+            this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + j,
+            map.texture, 0);
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+
+        view = mat4.lookAt(mat4.create(), map.position, vec3.add(
+            vec3.create(), map.position, this.CubeMapFaces[j].direction),
+            this.CubeMapFaces[j].up);
+
+        this.handleSkyboxRendering(view);
+        this.handleViewDefinition(view);
+        this.assembleLights();
+        this.assembleScene();
+      }
+
+      map.frameNumber = this.frameNumber;
+    }
+
+    this.reflectionTarget = null;
+
+    // Return to drawing the scene itself
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    this.gl.viewport(0, 0, this.Utility.CANVAS_WIDTH,
+        this.Utility.CANVAS_HEIGHT);
+
+    return true;
+  };
+
+  /**
+   * @description As the name implies, this handler function is used to bind a
+   * <code>WebGLBuffer</code> instance attached to a shape template model array
+   * to the appropriate attribute shader location. This functionality is used in
+   * the body of the main rendering function
+   * <code>inaccessible.handleShapeTemplateRendering</code> to bind vertices,
+   * indicies, normals, and possibly texture buffers to locations for use in
+   * rendering, coloring, and texturing the item in question.
+   * <br />
+   * <br />
+   * As with many of the functions included in this program, this particular
+   * function was built from copy/pasted functionality included multiple times
+   * in <code>diskworld-2.html</code>'s <code>createModel.render</code> inner
+   * function and was simply moved to a helper handler to reduce copy/pasta in
+   * the author's submission.
+   *
+   * @see diskworld-2.createModel
+   * @param {GLint} paramLocation
+   * @param {WebGLBuffer} paramBuffer
+   * @param {integer} paramSize
+   * @returns {void}
+   */
+  inaccessible.handleBufferBinding = function (paramLocation, paramBuffer,
+      paramSize) {
+
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, paramBuffer);
+    this.gl.vertexAttribPointer(paramLocation, paramSize, this.gl.FLOAT, false,
+        0, 0);
+    this.gl.enableVertexAttribArray(paramLocation);
+  };
+
+  /**
+   * @description This function is in large part the main image rendering
+   * handler of the program, as it handles the binding of the appropriate shape
+   * template buffers, coloring of various lighting and painting aspects, and
+   * the actual drawing of the object according to a certain type of primitive
+   * (either <code>gl.LINES</code> over the edge buffer for nifty wire frame
+   * objects or <code>gl.TRIANGLES</code> for solid shapes).
+   * <br />
+   * <br />
+   * Wire frame objects (<code>isWireFrame</code>) draw their edges only, while
+   * overlay objects (<code>isWireFrameOverlay</code>) draw their edges atop
+   * the filled shape. Wire frame objects may also set
+   * <code>isHiddenLine</code>, in which case the filled shape is first drawn
+   * to the depth buffer alone so that edges on the far side are hidden. In
+   * both of the latter cases, the filled pass is pushed back slightly via
+   * <code>gl.polygonOffset</code> so that the edges on its surface do not
+   * flicker in and out of view. Edges are drawn unlit in the entry's
+   * <code>wireColor</code> if included; otherwise, wire frames are lit in the
+   * shape's own color as before and overlays are drawn in black.
+   * <br />
+   * <br />
+   * As with the above helper function, this method was mostly pulled from the
+   * inner function of <code>diskworld-2.html</code>'s <code>createModel</code>
+   * function, namely <code>model.render</code>. The author saw fit to extract
+   * that rendering method to the object-global namespace to enhance readability
+   * and remove unnecessarily nested functions.
+   *
+   * @see diskworld-2.createModel
+   * @param {object} paramConfig
+   * @returns {void}
+   */
+  inaccessible.handleShapeTemplateRendering = function (paramConfig) {
+
+    // Declarations
+    let model, hasEdges, wireColor;
+
+    // Entries with one-off attributes carry their own model
+    model = (paramConfig.model != null)
+      ? paramConfig.model
+      : this.templates[paramConfig.shapeType];
+
+    // Handle potential wire frame objects
+    hasEdges = paramConfig.isWireFrame || paramConfig.isWireFrameOverlay;
+    wireColor = paramConfig.wireColor;
+
+    // Overlay edges default to black to stand out against the filled shape
+    if (wireColor == null && paramConfig.isWireFrameOverlay) {
+      wireColor = this.Colors.BLACK;
+    }
+
+    // Bind the appropriate buffers to the attribute locations
+    this.handleBufferBinding(this.a_coords_loc, model.coordsBuffer, 3);
+    this.handleBufferBinding(this.a_normal_loc, model.normalBuffer, 3);
+
+    // Not all models will be texture-friendly
+    if (model.texCoordsBuffer != null) {
+      this.handleBufferBinding(this.a_texCoords_loc, model.texCoordsBuffer, 2);
+      this.handleBufferBinding(this.a_tangent_loc, model.tangentBuffer, 4);
+    } else {
+      this.gl.disableVertexAttribArray(this.a_texCoords_loc);
+      this.gl.disableVertexAttribArray(this.a_tangent_loc);
+    }
+
+    // Assuming the object has a texture property denoting an image path
+    if (paramConfig.texture != null) {
+
+      // Tell shader program that we intend to use texture here
+      this.gl.uniform1i(this.u_useTexture, 1);
+
+      // Bind cached texture, white until the image file has loaded
+      TextureManager.bind(paramConfig.texture, 0, this.Colors.WHITE);
+      this.gl.uniform1i(this.u_texture, 0);
+    } else {
+
+      // In case it's on, turn off the texture boolean since there is no texture
+      this.gl.uniform1i(this.u_useTexture, 0);
+
+      // If no texture used, we pass the flat object color as the diffuseColor
+      this.gl.uniform4fv(this.u_material.diffuseColor, paramConfig.shapeColor);
+    }
+
+    // Surface maps need texture coordinates, and normal maps tangents too
+    this.SurfaceMaps.forEach(function (paramMap) {
+      if (paramConfig[paramMap.name] != null &&
+          model.texCoordsBuffer != null) {
+        this.gl.uniform1i(this[`u_${paramMap.flag}`], 1);
+        TextureManager.bind(paramConfig[paramMap.name], paramMap.unit,
+            paramMap.color);
+      } else {
+        this.gl.uniform1i(this[`u_${paramMap.flag}`], 0);
+      }
+    }, this);
+
+    // Dynamic reflections sample the object's own map
+    if (paramConfig.reflectionMap != null) {
+      this.gl.uniform1i(this.u_useReflectionMap, 1);
+      this.gl.activeTexture(this.gl.TEXTURE0 +
+          this.Utility.REFLECTION_TEXTURE_UNIT);
+      this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP,
+          paramConfig.reflectionMap.texture);
+      this.gl.activeTexture(this.gl.TEXTURE0);
+    } else {
+      this.gl.uniform1i(this.u_useReflectionMap, 0);
+    }
+
+    // Phong lighting unless the object requests the physically based model
+    this.gl.uniform1i(this.u_materialModel, (paramConfig.materialModel != null)
+      ? paramConfig.materialModel
+      : this.MaterialModels.PHONG);
+
+    // Objects may opt out of being shadowed
+    this.gl.uniform1i(this.u_receivesShadow,
+        (paramConfig.receivesShadow !== false) ? 1 : 0);
+
+    // Default render properties
+    this.gl.uniformMatrix4fv(this.u_modelview, false, this.modelview);
+    mat3.normalFromMat4(this.normalMatrix, this.modelview);
+    this.gl.uniformMatrix3fv(this.u_normalMatrix, false, this.normalMatrix);
+
+    // Push filled surfaces back behind their own edges
+    if (hasEdges) {
+      this.gl.enable(this.gl.POLYGON_OFFSET_FILL);
+      this.gl.polygonOffset(1, 1);
+    }
+
+    // Hidden line objects only fill the depth buffer
+    if (paramConfig.isWireFrame && paramConfig.isHiddenLine) {
+      this.gl.colorMask(false, false, false, false);
+    }
+
+    // Make use of indicies buffer and draw the element
+    if (!paramConfig.isWireFrame || paramConfig.isHiddenLine) {
+      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, model.indexBuffer);
+      this.gl.drawElements(this.gl.TRIANGLES, model.count, model.indexType, 0);
+    }
+
+    this.gl.colorMask(true, true, true, true);
+    this.gl.disable(this.gl.POLYGON_OFFSET_FILL);
+
+    // Draw the unique edges atop (or in place of) the filled surface
+    if (hasEdges) {
+      if (wireColor != null) {
+        this.gl.uniform1i(this.u_useWireColor, 1);
+        this.gl.uniform4fv(this.u_wireColor, wireColor);
+      }
+
+      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, model.edgeBuffer);
+      this.gl.drawElements(this.gl.LINES, model.edgeCount, model.indexType, 0);
+      this.gl.uniform1i(this.u_useWireColor, 0);
+    }
+
+    // Turn off attribute location buffer access
+    this.gl.disableVertexAttribArray(this.a_coords_loc);
+    this.gl.disableVertexAttribArray(this.a_normal_loc);
+    this.gl.disableVertexAttribArray(this.a_texCoords_loc);
+    this.gl.disableVertexAttribArray(this.a_tangent_loc);
+  };
+
+  /**
+   * @description This handler function renders the shadow cube map built by
+   * <code>inaccessible.assembleShadowMap</code>, returning <code>false</code>
+   * without drawing anything if the shadow-casting light is presently
+   * disabled. The light's position is first brought into eye coordinates just
+   * as in <code>inaccessible.assembleLights</code>, after which the scene is
+   * drawn once per cube map face through the depth-only shadow program, each
+   * face viewed from the light along the directions listed in
+   * <code>inaccessible.CubeMapFaces</code>. The main program, viewport, and
+   * framebuffer are restored afterwards and the finished map is bound to
+   * texture unit 1 for sampling by <code>lightingEquation</code>.
+   *
+   * @returns {boolean}
+   */
+  inaccessible.handleShadowMapRendering = function () {
+
+    // Declarations
+    let light, lightPosition, face, key;
+
+    // Definitions
+    light = this.lightSourceData[this.shadowMap.lightIndex];
+    lightPosition = vec4.clone(light.lightsUniforms.position);
+
+    // A disabled light casts no shadows
+    if (!light.lightsUniforms.enabled) {
+      return false;
+    }
+
+    // Lights placed in the scene are moved into eye coordinates
+    if (light.transformations != null) {
+      this.pushMatrix();
+
+      for (key in light.transformations) {
+        mat4[key](this.modelview, this.modelview, light.transformations[key]);
+      }
+
+      vec4.transformMat4(lightPosition, lightPosition, this.modelview);
+      this.popMatrix();
+    }
+
+    lightPosition = vec3.fromValues(lightPosition[0], lightPosition[1],
+        lightPosition[2]);
+
+    this.gl.useProgram(this.shadowProgram);
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.shadowMap.framebuffer);
+    this.gl.viewport(0, 0, this.shadowMap.resolution,
+        this.shadowMap.resolution);
+
+    // Unreached texels lie as far from the light as possible
+    this.gl.clearColor(...this.Colors.WHITE);
+
+    this.gl.uniformMatrix4fv(this.shadowMap.u_projection, false,
+        this.shadowMap.projection);
+    this.gl.uniform3fv(this.shadowMap.u_lightPosition, lightPosition);
+    this.gl.uniform1f(this.shadowMap.u_shadowFar,
+        this.Utility.FRUSTRUM_FAR_PLANE);
+
+    this.isShadowPass = true;
+
+    for (let i = 0; i < this.CubeMapFaces.length; i++) {
+      face = this.CubeMapFaces[i];
+
+      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER,
+          this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + i,
+          this.shadowMap.texture, 0);
+      this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+
+      mat4.lookAt(this.shadowMap.lightView, lightPosition,
+          vec3.add(vec3.create(), lightPosition, face.direction), face.up);
+      this.gl.uniformMatrix4fv(this.shadowMap.u_lightView, false,
+          this.shadowMap.lightView);
+
+      this.assembleScene();
+    }
+
+    this.isShadowPass = false;
+
+    // Return to drawing the scene itself
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    this.gl.viewport(0, 0, this.Utility.CANVAS_WIDTH,
+        this.Utility.CANVAS_HEIGHT);
+    this.gl.useProgram(this.shaderProgram);
+
+    this.gl.activeTexture(this.gl.TEXTURE1);
+    this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, this.shadowMap.texture);
+    this.gl.activeTexture(this.gl.TEXTURE0);
+
+    return true;
+  };
+
+  /**
+   * @description This handler function is the shadow pass counterpart of
+   * <code>inaccessible.handleShapeTemplateRendering</code>, drawing the filled
+   * surface of the included scene object through the shadow program. Objects
+   * whose <code>castsShadow</code> property is <code>false</code> are skipped,
+   * as are plain wire frame objects, whose thin edges would otherwise cast
+   * solid shadows.
+   *
+   * @param {object} paramConfig
+   * @returns {void}
+   */
+  inaccessible.handleShadowCasterRendering = function (paramConfig) {
+
+    // Declaration
+    let model;
+
+    if (paramConfig.castsShadow === false ||
+        (paramConfig.isWireFrame && !paramConfig.isHiddenLine)) {
+      return;
+    }
+
+    // Definition
+    model = (paramConfig.model != null)
+      ? paramConfig.model
+      : this.templates[paramConfig.shapeType];
+
+    this.gl.uniformMatrix4fv(this.shadowMap.u_modelview, false,
+        this.modelview);
+    this.handleBufferBinding(this.shadowMap.a_coords_loc, model.coordsBuffer,
+        3);
+
+    this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, model.indexBuffer);
+    this.gl.drawElements(this.gl.TRIANGLES, model.count, model.indexType, 0);
+
+    this.gl.disableVertexAttribArray(this.shadowMap.a_coords_loc);
+  };
+
+  /**
+   * @description This handler function draws the skybox behind the scene as
+   * seen through the included view matrix. Only the rotation of the view
+   * (ordinarily the trackball's) is used, such that the
+   * background turns with the view but can never be approached or zoomed
+   * into. The quad is drawn without writing to the depth buffer, leaving the
+   * scene free to be drawn atop it. The panorama is used if one is denoted,
+   * followed by the six face images, with the starfield as a last resort.
+   *
+   * @param {!Array<number>} paramView
+   * @returns {void}
+   */
+  inaccessible.handleSkyboxRendering = function (paramView) {
+
+    // Declaration
+    let view;
+
+    // Definition
+    view = mat4.clone(paramView);
+
+    // The background lies infinitely far away, so translation is ignored
+    view[12] = view[13] = view[14] = 0;
+    mat4.multiply(this.skybox.inverseViewProjection, this.projection, view);
+    mat4.invert(this.skybox.inverseViewProjection,
+        this.skybox.inverseViewProjection);
+
+    this.gl.useProgram(this.skyboxProgram);
+    this.gl.uniformMatrix4fv(this.skybox.u_inverseViewProjection, false,
+        this.skybox.inverseViewProjection);
+
+    if (this.skyboxData.panorama != null) {
+      this.gl.uniform1i(this.skybox.u_usePanorama, 1);
+      TextureManager.bind(this.skyboxData.panorama,
+          this.Utility.PANORAMA_TEXTURE_UNIT, this.Colors.BLACK);
+    } else if (this.skyboxData.faces != null) {
+      this.gl.uniform1i(this.skybox.u_usePanorama, 0);
+      TextureManager.bindCubeMap(this.skyboxData.faces,
+          this.Utility.ENVIRONMENT_TEXTURE_UNIT, this.Colors.BLACK);
+    } else {
+      this.gl.uniform1i(this.skybox.u_usePanorama, 0);
+      this.gl.activeTexture(this.gl.TEXTURE0 +
+          this.Utility.ENVIRONMENT_TEXTURE_UNIT);
+      this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, this.skybox.starfield);
+    }
+
+    this.gl.depthMask(false);
+    this.handleBufferBinding(this.skybox.a_coords_loc, this.screenQuadBuffer,
+        2);
+    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+    this.gl.disableVertexAttribArray(this.skybox.a_coords_loc);
+    this.gl.depthMask(true);
+
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    this.gl.useProgram(this.shaderProgram);
+  };
+
+  /**
+   * @description This handler function runs the included post-processing
+   * passes, in order, over the image of the scene drawn into the offscreen
+   * <code>sceneTarget</code> by <code>inaccessible.render</code>. Each pass is
+   * run by the handler named in its <code>functionName</code>, reading the
+   * output of the pass before it and writing into whichever of the two
+   * ping-pong targets it did not read, save the last pass, which draws to the
+   * canvas itself. Once done, the images sampled are unbound lest the scene
+   * next be drawn into one of them, and the main program is restored.
+   *
+   * @param {!Array<object>} paramPasses
+   * @returns {void}
+   */
+  inaccessible.handlePostProcessing = function (paramPasses) {
+
+    // Declarations
+    let source, target;
+
+    // Definition
+    source = this.postProcessing.sceneTarget;
+
+    this.gl.disable(this.gl.DEPTH_TEST);
+
+    paramPasses.forEach(function (paramPass, paramIndex) {
+      target = (paramIndex === paramPasses.length - 1)
+        ? null
+        : this.postProcessing.pingPongTargets[paramIndex % 2];
+
+      this[paramPass.functionName](paramPass, source, target);
+      source = target;
+    }, this);
+
+    for (let i = 1; i >= 0; i--) {
+      this.gl.activeTexture(this.gl.TEXTURE0 + i);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+    }
+
+    this.gl.enable(this.gl.DEPTH_TEST);
+    this.gl.useProgram(this.shaderProgram);
+  };
+
+  /**
+   * @description This handler function draws a single full-screen pass with
+   * the post-processing program of the included name (see
+   * <code>inaccessible.Shaders</code>) into the included render target, or
+   * into the canvas if <code>paramTarget</code> is <code>null</code>. The
+   * textures of the <code>paramTextures</code> object are bound to texture
+   * units 0 onward in order and their samplers pointed at them, while the
+   * <code>paramUniforms</code> object's values are applied by type; booleans
+   * as integers, arrays as vectors, and numbers as floats. The locations of
+   * each program's variables are acquired once and cached thereafter.
+   *
+   * @param {string} paramProgramName
+   * @param {?object} paramTarget
+   * @param {object} paramTextures
+   * @param {object} paramUniforms
+   * @returns {void}
+   */
+  inaccessible.handleFullScreenPass = function (paramProgramName, paramTarget,
+      paramTextures, paramUniforms) {
+
+    // Declarations
+    let that, program, locations, getLocation, value;
+
+    // Definitions
+    that = this;
+    program = this.postPrograms[paramProgramName];
+    locations = this.postProcessing.locations[paramProgramName];
+
+    if (locations == null) {
+      locations = this.postProcessing.locations[paramProgramName] = {
+        a_coords: this.gl.getAttribLocation(program, 'a_coords'),
+      };
+    }
+
+    getLocation = function (paramName) {
+      if (!(paramName in locations)) {
+        locations[paramName] = that.gl.getUniformLocation(program, paramName);
+      }
+
+      return locations[paramName];
+    };
+
+    this.gl.useProgram(program);
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, (paramTarget != null)
+      ? paramTarget.framebuffer
+      : null);
+    this.gl.viewport(0, 0,
+        (paramTarget != null)
+          ? paramTarget.width
+          : this.Utility.CANVAS_WIDTH,
+        (paramTarget != null)
+          ? paramTarget.height
+          : this.Utility.CANVAS_HEIGHT);
+
+    Object.keys(paramTextures).forEach(function (paramName, paramUnit) {
+      this.gl.activeTexture(this.gl.TEXTURE0 + paramUnit);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, paramTextures[paramName]);
+      this.gl.uniform1i(getLocation(paramName), paramUnit);
+    }, this);
+
+    for (let uniform in paramUniforms) {
+      value = paramUniforms[uniform];
+
+      if (typeof value === 'boolean') {
+        this.gl.uniform1i(getLocation(uniform), (value) ? 1 : 0);
+      } else if (Array.isArray(value)) {
+        this.gl[`uniform${value.length}fv`](getLocation(uniform), value);
+      } else {
+        this.gl.uniform1f(getLocation(uniform), value);
+      }
+    }
+
+    this.handleBufferBinding(locations.a_coords, this.screenQuadBuffer, 2);
+    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+    this.gl.disableVertexAttribArray(locations.a_coords);
+  };
+
+  /**
+   * @description This post-processing pass handler makes the brightest parts
+   * of the scene, the emissive sun foremost among them, glow. The colors
+   * brighter than the pass's <code>threshold</code> are drawn into the first
+   * of the smaller bloom targets, blurred horizontally and then vertically
+   * between the two of them <code>iterations</code> times, and added back to
+   * the scene, scaled by the pass's <code>intensity</code>.
+   *
+   * @param {object} paramPass
+   * @param {object} paramSource
+   * @param {?object} paramTarget
+   * @returns {void}
+   */
+  inaccessible.handleBloomPass = function (paramPass, paramSource,
+      paramTarget) {
+
+    // Declarations
+    let first, second;
+
+    // Definitions
+    [first, second] = this.postProcessing.bloomTargets;
+
+    this.handleFullScreenPass('BRIGHT_PASS', first,
+        {source: paramSource.texture}, {threshold: paramPass.threshold});
+
+    for (let i = 0; i < paramPass.iterations; i++) {
+      this.handleFullScreenPass('BLUR', second, {source: first.texture},
+          {direction: [1 / first.width, 0]});
+      this.handleFullScreenPass('BLUR', first, {source: second.texture},
+          {direction: [0, 1 / first.height]});
+    }
+
+    this.handleFullScreenPass('BLOOM', paramTarget,
+        {source: paramSource.texture, bloom: first.texture},
+        {intensity: paramPass.intensity});
+  };
+
+  /**
+   * @description This post-processing pass handler compresses the HDR colors
+   * of the scene into the displayable range, scaling them first by the pass's
+   * <code>exposure</code>. The ACES filmic curve is used if the pass's
+   * <code>operator</code> is <code>'aces'</code>, and the Reinhard operator
+   * otherwise.
+   *
+   * @param {object} paramPass
+   * @param {object} paramSource
+   * @param {?object} paramTarget
+   * @returns {void}
+   */
+  inaccessible.handleToneMappingPass = function (paramPass, paramSource,
+      paramTarget) {
+    this.handleFullScreenPass('TONE_MAPPING', paramTarget,
+        {source: paramSource.texture}, {
+          useAces: paramPass.operator === 'aces',
+          exposure: paramPass.exposure,
+        });
+  };
+
+  /**
+   * @description This post-processing pass handler raises each color to the
+   * inverse of the pass's <code>gamma</code>, encoding linear colors for
+   * display.
+   *
+   * @param {object} paramPass
+   * @param {object} paramSource
+   * @param {?object} paramTarget
+   * @returns {void}
+   */
+  inaccessible.handleGammaCorrectionPass = function (paramPass, paramSource,
+      paramTarget) {
+    this.handleFullScreenPass('GAMMA_CORRECTION', paramTarget,
+        {source: paramSource.texture}, {gamma: paramPass.gamma});
+  };
+
+  /**
+   * @description This post-processing pass handler darkens the edges of the
+   * image, fading from no change at the pass's <code>radius</code> (as a
+   * fraction of the distance from the center to a corner) to a darkening of
+   * its <code>strength</code> at the corners.
+   *
+   * @param {object} paramPass
+   * @param {object} paramSource
+   * @param {?object} paramTarget
+   * @returns {void}
+   */
+  inaccessible.handleVignettePass = function (paramPass, paramSource,
+      paramTarget) {
+    this.handleFullScreenPass('VIGNETTE', paramTarget,
+        {source: paramSource.texture}, {
+          strength: paramPass.strength,
+          radius: paramPass.radius,
+        });
+  };
+
+  /**
+   * @description This handler function records the positions of each orbiting
+   * object on display in its <code>orbitTrail</code>, overwriting the oldest
+   * positions once the ring buffer is full. Positions are recorded once every
+   * <code>ORBIT_TRAIL_INTERVAL</code> seconds of clock time, measured in
+   * scene time, rather than once per frame drawn, so that a trail spans the
+   * same stretch of its orbit whatever the frame rate. Each interval passed
+   * since the previous frame is given the position interpolated between the
+   * object's positions at the two frames, and as time may run backwards,
+   * intervals may be passed in either direction.
+   * <br />
+   * <br />
+   * Positions are found in the scene's own coordinates by placing the object
+   * atop an identity matrix, so that trails stay put as the camera moves.
+   * Trails are recorded whether or not they are shown, so as to be complete
+   * as soon as they are toggled on.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleOrbitTrailSampling = function () {
+
+    // Declarations
+    let trailLength, time, interval, record, trail, position, first, last,
+      steps, boundary;
+
+    // Definitions
+    trailLength = this.Utility.ORBIT_TRAIL_LENGTH;
+    time = this.getSceneTime();
+    interval = this.Utility.ORBIT_TRAIL_INTERVAL * ((this.isAstronomyMode)
+      ? this.Utility.ASTRONOMY_DAYS_PER_SECOND
+      : this.Utility.REFERENCE_FRAME_RATE);
+
+    record = function (paramTrail, paramPosition) {
+      paramTrail.positions.set(paramPosition, paramTrail.head * 3);
+      paramTrail.head = (paramTrail.head + 1) % trailLength;
+      paramTrail.count = Math.min(paramTrail.count + 1, trailLength);
+    };
+
+    this.getSceneNodes(this.getSceneData()).forEach(function (paramConfig) {
+      trail = paramConfig.orbitTrail;
+
+      if (trail == null || trail.time === time) {
+        return;
+      }
+
+      this.pushMatrix();
+      this.modelview = mat4.create();
+      this.handleAncestorTransformation(paramConfig);
+      this.handleNodeTransformation(paramConfig);
+      position = vec3.transformMat4(vec3.create(), [0, 0, 0], this.modelview);
+      this.popMatrix();
+
+      // A new trail begins wherever its object lies
+      if (trail.time == null) {
+        record(trail, position);
+      } else {
+        first = Math.floor(trail.time / interval);
+        last = Math.floor(time / interval);
+        steps = Math.abs(last - first);
+
+        // Intervals older than the whole trail would only be overwritten
+        for (let i = Math.max(1, steps - trailLength + 1); i <= steps; i++) {
+          boundary = interval * ((last > first)
+            ? first + i
+            : first - i + 1);
+
+          record(trail, vec3.lerp(vec3.create(), trail.position, position,
+              (boundary - trail.time) / (time - trail.time)));
+        }
+      }
 
-    // Set light placement in eye coordinates
-    vec4.transformMat4(transformedPosition, paramLightLocation, this.modelview);
-    this.gl.uniform4fv(paramUniformLocation, transformedPosition);
+      trail.time = time;
+      trail.position = position;
+    }, this);
   };
 
   /**
-   * @description As the name implies, this handler function is used to bind a
-   * <code>WebGLBuffer</code> instance attached to a shape template model array
-   * to the appropriate attribute shader location. This functionality is used in
-   * the body of the main rendering function
-   * <code>inaccessible.handleShapeTemplateRendering</code> to bind vertices,
-   * indicies, normals, and possibly texture buffers to locations for use in
-   * rendering, coloring, and texturing the item in question.
-   * <br />
-   * <br />
-   * As with many of the functions included in this program, this particular
-   * function was built from copy/pasted functionality included multiple times
-   * in <code>diskworld-2.html</code>'s <code>createModel.render</code> inner
-   * function and was simply moved to a helper handler to reduce copy/pasta in
-   * the author's submission.
+   * @description This handler function empties the <code>orbitTrail</code> of
+   * every orbiting object, as is done whenever the scene time jumps rather
+   * than runs (on resets, seeks, and switches into or out of astronomy mode)
+   * lest a trail draw a line straight across the jump.
    *
-   * @see diskworld-2.createModel
-   * @param {GLint} paramLocation
-   * @param {WebGLBuffer} paramBuffer
-   * @param {integer} paramSize
    * @returns {void}
    */
-  inaccessible.handleBufferBinding = function (paramLocation, paramBuffer,
-      paramSize) {
-
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, paramBuffer);
-    this.gl.vertexAttribPointer(paramLocation, paramSize, this.gl.FLOAT, false,
-        0, 0);
-    this.gl.enableVertexAttribArray(paramLocation);
+  inaccessible.handleClearingOfOrbitTrails = function () {
+    [
+      this.sceneObjectsData,
+      this.planetaryObjectsData,
+    ].forEach(function (paramDataArray) {
+      this.getSceneNodes(paramDataArray).forEach(function (paramConfig) {
+        if (paramConfig.orbitTrail != null) {
+          paramConfig.orbitTrail.head = 0;
+          paramConfig.orbitTrail.count = 0;
+          paramConfig.orbitTrail.time = null;
+          paramConfig.orbitTrail.position = null;
+        }
+      });
+    }, this);
   };
 
   /**
-   * @description This function is in large part the main image rendering
-   * handler of the program, as it handles the binding of the appropriate shape
-   * template buffers, coloring of various lighting and painting aspects, and
-   * the actual drawing of the object according to a certain type of primitive
-   * (either <code>gl.LINE_LOOP</code> for nifty wire frame objects or
-   * <code>gl.TRIANGLES</code> for solid shapes).
-   * <br />
-   * <br />
-   * As with the above helper function, this method was mostly pulled from the
-   * inner function of <code>diskworld-2.html</code>'s <code>createModel</code>
-   * function, namely <code>model.render</code>. The author saw fit to extract
-   * that rendering method to the object-global namespace to enhance readability
-   * and remove unnecessarily nested functions.
+   * @description This handler function draws the orbit displays enabled from
+   * the sidebar through the orbit program, each by the handler named in its
+   * <code>functionName</code>. It is invoked by
+   * <code>inaccessible.assembleScene</code> once the opaque objects have been
+   * drawn. The lines are blended over the scene without writing depth, so
+   * that faded trails and translucent paths hide neither each other nor
+   * anything drawn after them, though they are still hidden behind the
+   * objects they pass. The main program is restored afterwards.
    *
-   * @see diskworld-2.createModel
-   * @param {object} paramConfig
    * @returns {void}
    */
-  inaccessible.handleShapeTemplateRendering = function (paramConfig) {
+  inaccessible.handleOrbitDisplayRendering = function () {
 
     // Declaration
-    let model, primitive;
+    let displays;
 
     // Definition
-    model = this.templates[paramConfig.shapeType];
+    displays = this.orbitDisplayData.filter(function (paramDisplay) {
+      return paramDisplay.isEnabled;
+    });
 
-    // Handle potential wire frame objects
-    if (paramConfig.isWireFrame) {
-      primitive = this.gl.LINE_LOOP;
-    } else {
-      primitive = this.gl.TRIANGLES;
+    if (displays.length === 0) {
+      return;
     }
 
-    // Bind the appropriate buffers to the attribute locations
-    this.handleBufferBinding(this.a_coords_loc, model.coordsBuffer, 3);
-    this.handleBufferBinding(this.a_normal_loc, model.normalBuffer, 3);
+    this.gl.useProgram(this.orbitProgram);
+    this.gl.uniformMatrix4fv(this.orbitDisplay.u_projection, false,
+        this.projection);
 
-    // Not all models will be texture-friendly
-    if (model.texCoordsBuffer != null) {
-      this.handleBufferBinding(this.a_texCoords_loc, model.texCoordsBuffer, 2);
-    } else {
-      this.gl.disableVertexAttribArray(this.a_texCoords_loc);
-    }
+    this.gl.enable(this.gl.BLEND);
+    this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+    this.gl.depthMask(false);
 
-    // Assuming the object has a texture property denoting an image path
-    if (paramConfig.texture != null) {
+    displays.forEach(function (paramDisplay) {
+      this[paramDisplay.functionName]();
+    }, this);
 
-      // Tell shader program that we intend to use texture here
-      this.gl.uniform1i(this.u_useTexture, 1);
+    this.gl.disableVertexAttribArray(this.orbitDisplay.a_coords_loc);
+    this.gl.disableVertexAttribArray(this.orbitDisplay.a_alpha_loc);
+    this.gl.depthMask(true);
+    this.gl.disable(this.gl.BLEND);
+    this.gl.useProgram(this.shaderProgram);
+  };
 
-      // Apply temporary color texture while loading image texture from file
-      this.handleTextureLoading(paramConfig.texture, this.Colors.WHITE);
-    } else {
+  /**
+   * @description This handler function draws the <code>orbitPath</code> of
+   * each orbiting object on display whose shape type has not been hidden.
+   * Each path is placed as its object would be, atop the current placements
+   * of the object's ancestors, in its orbital plane, and offset by the
+   * object's <code>translate</code>, such that its object always lies upon
+   * it. Paths are drawn at a uniform <code>ORBIT_PATH_OPACITY</code>.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleOrbitPathRendering = function () {
 
-      // In case it's on, turn off the texture boolean since there is no texture
-      this.gl.uniform1i(this.u_useTexture, 0);
+    // Declarations
+    let orbit;
+
+    this.gl.disableVertexAttribArray(this.orbitDisplay.a_alpha_loc);
+    this.gl.vertexAttrib1f(this.orbitDisplay.a_alpha_loc,
+        this.Utility.ORBIT_PATH_OPACITY);
+
+    this.getSceneNodes(this.getSceneData()).forEach(function (paramConfig) {
+      if (
+        paramConfig.orbitPath == null ||
+        this.templates[paramConfig.shapeType] == null ||
+        !this.templates[paramConfig.shapeType].isAnimated
+      ) {
+        return;
+      }
 
-      // If no texture used, we pass the flat object color as the diffuseColor
-      this.gl.uniform4fv(this.u_material.diffuseColor, paramConfig.shapeColor);
-    }
+      orbit = Object.assign({}, this.DefaultOrbit, paramConfig.orbit);
 
-    // Default render properties
-    this.gl.uniformMatrix4fv(this.u_modelview, false, this.modelview);
-    mat3.normalFromMat4(this.normalMatrix, this.modelview);
-    this.gl.uniformMatrix3fv(this.u_normalMatrix, false, this.normalMatrix);
+      this.pushMatrix();
+      this.handleAncestorTransformation(paramConfig);
+      this.handleOrbitPlaneTransformation(orbit);
+      mat4.translate(this.modelview, this.modelview,
+          paramConfig.transformations.translate);
+
+      this.gl.uniformMatrix4fv(this.orbitDisplay.u_modelview, false,
+          this.modelview);
+      this.gl.uniform4fv(this.orbitDisplay.u_color, paramConfig.shapeColor);
+      this.handleBufferBinding(this.orbitDisplay.a_coords_loc,
+          paramConfig.orbitPath, 3);
+      this.gl.drawArrays(this.gl.LINE_STRIP, 0,
+          this.Utility.ORBIT_PATH_SEGMENTS + 1);
+      this.popMatrix();
+    }, this);
+  };
 
-    // Make use of indicies buffer
-    this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, model.indexBuffer);
+  /**
+   * @description This handler function draws the <code>orbitTrail</code> of
+   * each orbiting object on display whose shape type has not been hidden.
+   * Each ring buffer is unrolled into the shared <code>trailCoords</code>
+   * from oldest to newest, ending at its last element, alongside opacities in
+   * <code>trailAlphas</code> rising evenly over however many positions the
+   * trail holds, such that the newest position is drawn fully opaque and the
+   * oldest fully transparent even while the trail is still filling. As trail
+   * positions lie in the scene's own coordinates, the view alone is applied.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleOrbitTrailRendering = function () {
+
+    // Declarations
+    let trailLength, coords, alphas, trail, first, index;
 
-    // Draw the element
-    this.gl.drawElements(primitive, model.count, this.gl.UNSIGNED_SHORT, 0);
+    // Definitions
+    trailLength = this.Utility.ORBIT_TRAIL_LENGTH;
+    coords = this.orbitDisplay.trailCoords;
+    alphas = this.orbitDisplay.trailAlphas;
+
+    this.gl.uniformMatrix4fv(this.orbitDisplay.u_modelview, false,
+        this.modelview);
+
+    this.getSceneNodes(this.getSceneData()).forEach(function (paramConfig) {
+      trail = paramConfig.orbitTrail;
+
+      if (
+        trail == null ||
+        trail.count < 2 ||
+        this.templates[paramConfig.shapeType] == null ||
+        !this.templates[paramConfig.shapeType].isAnimated
+      ) {
+        return;
+      }
 
-    // Turn off attribute location buffer access
-    this.gl.disableVertexAttribArray(this.a_coords_loc);
-    this.gl.disableVertexAttribArray(this.a_normal_loc);
-    this.gl.disableVertexAttribArray(this.a_texCoords_loc);
+      first = trailLength - trail.count;
+
+      // The oldest position lies count places behind the head
+      for (let i = 0; i < trail.count; i++) {
+        index = (trail.head - trail.count + i + trailLength) % trailLength;
+        coords.set(trail.positions.subarray(index * 3, index * 3 + 3),
+            (first + i) * 3);
+        alphas[first + i] = i / (trail.count - 1);
+      }
+
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.orbitDisplay.trailBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, coords, this.gl.DYNAMIC_DRAW);
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.orbitDisplay.fadeBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, alphas, this.gl.DYNAMIC_DRAW);
+      this.gl.uniform4fv(this.orbitDisplay.u_color, paramConfig.shapeColor);
+      this.handleBufferBinding(this.orbitDisplay.a_coords_loc,
+          this.orbitDisplay.trailBuffer, 3);
+      this.handleBufferBinding(this.orbitDisplay.a_alpha_loc,
+          this.orbitDisplay.fadeBuffer, 1);
+      this.gl.drawArrays(this.gl.LINE_STRIP, first, trail.count);
+    }, this);
   };
 
   /**
@@ -1762,8 +5455,8 @@ const ProjectFourModule = (function (Polyhedra) {
               ...value);
         }
       } else {
-        if (paramProperty === 'enabled') {
-          this.gl.uniform1i(this.u_lights[paramCounter].enabled, value);
+        if (paramProperty === 'enabled' || paramProperty === 'type') {
+          this.gl.uniform1i(this.u_lights[paramCounter][paramProperty], value);
         } else {
           this.gl.uniform1f(this.u_lights[paramCounter][paramProperty], value);
         }
@@ -1820,96 +5513,71 @@ const ProjectFourModule = (function (Polyhedra) {
   };
 
   /**
-   * @description This function is supposed to be the means by which a series of
-   * <code>.jpg</code> image textures are applied to various objects in the
-   * scene. It is supposed to work by applying a temporary color texture to a
-   * scene object while the image itself is loaded. Once the image is loaded,
-   * the included callback function replaces the color texture with the scene
-   * object image texture itself as desired. The use of the color texture was
-   * suggested by a number of StackOverflow threads and several Mozilla
-   * tutorials as a way to enter an object into service in the scene without
-   * render-blocking the rest of the scene while waiting for the texture to load
-   * entirely.
-   * <br />
-   * <br />
-   * However, for reasons the author cannot fully understand, the color texture
-   * is properly applied by the shaders as a legitimate texture, but the image
-   * itself, though loaded, is never applied to the object. The author has tried
-   * all manner of alternate approaches, including hardcoding the images into
-   * the DOM as child nodes of the <code>body</code> tag, deferring loading of
-   * this JS file until the DOM has been completed. Once loaded, this function
-   * was reconfigured to grab these loaded images and their <code>src</code>
-   * attributes by their ids. However, not even this approach worked. The author
-   * also tried render-blocking the program until the images had been obtained,
-   * forcing the textures to be fully loaded prior to even the first render of
-   * the scene. However, this approach too did not work. The author is unsure of
-   * whether or not the issue is with his shaders or with this method, as the
-   * console does not display any errors as to a misapplied or misconfigured
-   * texture. For now, since the color textures <em>technically</em> are
-   * textures as per the rubric requirement to use textures, the author must be
-   * content with not knowning why the images are not displayed.
+   * @description This handler function is used to import an external model
+   * file denoted by an entry of <code>inaccessible.importedModelData</code>.
+   * The file is fetched asynchronously and, depending on its extension, passed
+   * to the appropriate <code>Loaders</code> parser, after which the resulting
+   * shape data is registered as a template via
+   * <code>inaccessible.assembleImportedShapeTemplate</code> (OBJ) or added to
+   * the scene via <code>inaccessible.assembleImportedScene</code> (glTF). Any
+   * network or parsing failures are displayed in the sidebar via
+   * <code>inaccessible.handleNoticeDisplay</code> rather than interrupting the
+   * rest of the scene.
    *
-   * @param {string} paramAddress
-   * @param {!Array<number>} paramColorTexture
-   * @returns {void}
+   * @param {object} paramConfig
+   * @returns {Promise}
    */
-  inaccessible.handleTextureLoading = function (paramAddress,
-      paramColorTexture) {
+  inaccessible.handleModelImport = function (paramConfig) {
 
     // Declarations
-    let that, image, texture, colorTexture;
+    let that, extension, isGltf, transformations, rootMatrix, baseUri;
 
     // Definitions
     that = this;
-    image = new Image();
-    colorTexture = this.convertColorToUint8Array(paramColorTexture);
-    texture = this.gl.createTexture();
-
-    // We bind the texture
-    this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
-
-    // Add temporary color texture to begin object use; replace once image ready
-    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, 1, 1, 0,
-        this.gl.RGBA, this.gl.UNSIGNED_BYTE, colorTexture);
-
-    image.onload = function() {
-
-      // Add active texture at unit 0
-      that.gl.activeTexture(that.gl.TEXTURE0);
-
-      // Bind the texture to texture unit 0
-      that.gl.bindTexture(that.gl.TEXTURE_2D, texture);
+    extension = paramConfig.source.split('.').pop().toLowerCase();
+    isGltf = extension === 'gltf' || extension === 'glb';
+    transformations = paramConfig.transformations || {};
+    baseUri = paramConfig.source.slice(0,
+        paramConfig.source.lastIndexOf('/') + 1);
+
+    return fetch(paramConfig.source).then(function (paramResponse) {
+      if (!paramResponse.ok) {
+        throw new Error(`${paramResponse.status} ${paramResponse.statusText}`);
+      }
 
-      // Tell the shader we bound the texture to texture unit 0
-      that.gl.uniform1i(that.u_texture, 0);
+      return (isGltf) ? paramResponse.arrayBuffer() : paramResponse.text();
+    }).then(function (paramContents) {
+      if (isGltf) {
 
-      // Replace default texture color with loaded image
-      that.gl.texImage2D(that.gl.TEXTURE_2D, 0, that.gl.RGBA, that.gl.RGBA,
-          that.gl.UNSIGNED_BYTE, this);
+        // Place the model as a whole within the scene
+        rootMatrix = mat4.fromRotationTranslationScale(mat4.create(),
+            [0, 0, 0, 1], transformations.translate || [0, 0, 0],
+            transformations.scale || [1, 1, 1]);
 
-      // WebGL1 has different requirements for power-of-two images
-      if (that.isPowerOf2(image.width) && that.isPowerOf2(image.height)) {
-        that.gl.generateMipmap(that.gl.TEXTURE_2D);
+        that.assembleImportedScene(paramConfig.shapeType,
+            Loaders.parseGltf(paramContents, rootMatrix, baseUri));
+      } else if (extension === 'obj') {
+        that.assembleImportedShapeTemplate(paramConfig.shapeType,
+            Loaders.parseObj(paramContents));
       } else {
-        that.gl.texParameteri(that.gl.TEXTURE_2D, that.gl.TEXTURE_WRAP_S,
-            that.gl.CLAMP_TO_EDGE);
-        that.gl.texParameteri(that.gl.TEXTURE_2D, that.gl.TEXTURE_WRAP_T,
-            that.gl.CLAMP_TO_EDGE);
-        that.gl.texParameteri(that.gl.TEXTURE_2D, that.gl.TEXTURE_MIN_FILTER,
-            that.gl.LINEAR); // Should be NEAREST?
+        throw new Error(`${that.Text.MODEL_FORMAT_ERROR} (${extension})`);
       }
-    };
-    image.src = paramAddress;
+    }).catch(function (paramError) {
+      that.handleNoticeDisplay(`${that.Text.MODEL_IMPORT_ERROR} ` +
+          `${paramConfig.source}: ${paramError.message}`);
+    });
   };
 
   /**
    * @description This function is responsible for handling the frame-by-frame
    * rendering of the scene by calling the main <code>inaccessible.render</code>
    * function via <code>window.requestAnimationFrame</code>. It is also used to
-   * increment the <code>frameNumber</code> counter used to rotate the scene
-   * objects around the "sun" as well as adjust the orbital rotation angle value
-   * used by the objects to determine the rate at which they spin about their
-   * individual axes.
+   * advance the clock by the real time elapsed since the previous frame, as
+   * given by the frame's timestamp, from which the orbits of the scene
+   * objects around the "sun" and their spins about their individual axes are
+   * timed. The scene thus moves at the same pace whatever the display's
+   * refresh rate, and its time may run faster, slower, or backwards as the
+   * clock's time scale allows.
    * <br />
    * <br />
    * As with many functions included herein, this function was based on one in
@@ -1917,11 +5585,12 @@ const ProjectFourModule = (function (Polyhedra) {
    * <code>frame</code>.
    *
    * @see diskworld-2.frame
+   * @param {number=} paramTimestamp
    * @returns {void}
    */
-  inaccessible.handleFrame = function () {
+  inaccessible.handleFrame = function (paramTimestamp) {
     if (this.isSceneAnimated) {
-      this.frameNumber += 1;
+      Clock.update(paramTimestamp);
       this.render();
       window.requestAnimationFrame(this.handleFrame.bind(this));
     }
@@ -1948,12 +5617,53 @@ const ProjectFourModule = (function (Polyhedra) {
    * scene have a 4:3 aspect ratio and draw magic numbers from the appropriate
    * enum as needed, the basic skeleton of the function comes from its
    * progenitor.
+   * <br />
+   * <br />
+   * If any post-processing passes are enabled, the scene is drawn into the
+   * offscreen <code>sceneTarget</code> rather than the canvas, after which
+   * <code>inaccessible.handlePostProcessing</code> carries it through the
+   * passes and onto the canvas. The positions that make up the orbit trails
+   * are recorded before the scene is built, so that they are ready to be
+   * drawn alongside it.
    *
    * @see diskworld-2.draw
    * @returns {void}
    */
   inaccessible.render = function () {
 
+    // Declarations
+    let view, shadowLight, passes;
+
+    // Definition
+    view = this.rotator.getViewMatrix();
+
+    // Count frames drawn, by which reflection map updates are spaced
+    this.frameNumber += 1;
+
+    // Apply middle-mouse button (or debug) scaling prior to scene build
+    this.handleViewDefinition(view);
+
+    // Shadow map must be rendered from the light before the scene itself
+    shadowLight = (this.shadowMap != null && this.handleShadowMapRendering())
+      ? this.shadowMap.lightIndex
+      : -1;
+
+    // As must any reflection maps due, after which the view is restored
+    if (this.handleReflectionMapRendering()) {
+      this.handleViewDefinition(view);
+    }
+
+    this.gl.uniform1i(this.u_shadowLight, shadowLight);
+
+    // Enabled post-processing passes require the scene be drawn offscreen
+    passes = this.postProcessingData.filter(function (paramPass) {
+      return paramPass.isEnabled;
+    });
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, (passes.length > 0)
+      ? this.postProcessing.sceneTarget.framebuffer
+      : null);
+
     // Background color
     this.gl.clearColor(...this.Colors.BLACK);
 
@@ -1966,24 +5676,20 @@ const ProjectFourModule = (function (Polyhedra) {
         this.Utility.FRUSTRUM_FAR_PLANE);
 
     this.gl.uniformMatrix4fv(this.u_projection, false, this.projection);
-    this.modelview = this.rotator.getViewMatrix();
-
-    if (DEBUG) {
 
-      // Default zoom-in on sun + test object
-      mat4.scale(this.modelview, this.modelview,
-        [this.Utility.DEBUG_ZOOM_DEGREE, this.Utility.DEBUG_ZOOM_DEGREE,
-           this.Utility.DEBUG_ZOOM_DEGREE]);
-    } else {
+    // Background is drawn first so that the scene covers it
+    this.handleSkyboxRendering(view);
 
-      // Apply middle-mouse button (or debug) scaling prior to scene build
-      mat4.scale(this.modelview, this.modelview,
-          [this.sceneScale, this.sceneScale, this.sceneScale]);
-    }
+    // Orbit trails follow the scene time, whether or not they are shown
+    this.handleOrbitTrailSampling();
 
     // Build lights and scene objects
     this.assembleLights();
     this.assembleScene();
+
+    if (passes.length > 0) {
+      this.handlePostProcessing(passes);
+    }
   };
 
   /**
@@ -2018,6 +5724,7 @@ const ProjectFourModule = (function (Polyhedra) {
       'a_coords',
       'a_normal',
       'a_texCoords',
+      'a_tangent',
     ];
     requestedUniforms = [
       'modelview',
@@ -2025,6 +5732,20 @@ const ProjectFourModule = (function (Polyhedra) {
       'normalMatrix',
       'texture',
       'useTexture',
+      'useWireColor',
+      'wireColor',
+      'materialModel',
+      'environment',
+      'environmentPanorama',
+      'useEnvironmentPanorama',
+      'reflectionMap',
+      'useReflectionMap',
+      'inverseViewRotation',
+      'shadowMap',
+      'shadowLight',
+      'receivesShadow',
+      'shadowBias',
+      'shadowFar',
     ];
 
     // Make use if init-defined shader program
@@ -2045,9 +5766,112 @@ const ProjectFourModule = (function (Polyhedra) {
     this.handleSettingOfDefaultUniforms('Material');
 
     // Get uniforms locations and set defaults for each of the defined lights
-    for (let i = 0; i < this.lightSourceData.length; i++) {
+    for (let i = 0; i < this.lightCount; i++) {
       this.handleSettingOfDefaultUniforms('Lights', i);
     }
+
+    // Lights beyond this count are skipped by the fragment shader
+    this.handleUniformLocationAcquisition('lightCount');
+    this.gl.uniform1i(this.u_lightCount, this.lightCount);
+
+    // Shadow cube map is bound to texture unit 1, unused until rendered
+    this.gl.uniform1i(this.u_shadowMap, 1);
+    this.gl.uniform1i(this.u_shadowLight, -1);
+
+    // Each surface map samples its own texture unit
+    this.SurfaceMaps.forEach(function (paramMap) {
+      this.handleUniformLocationAcquisition(paramMap.name);
+      this.handleUniformLocationAcquisition(paramMap.flag);
+      this.gl.uniform1i(this[`u_${paramMap.name}`], paramMap.unit);
+    }, this);
+
+    // Reflections share the skybox's images, bound as it is drawn
+    this.gl.uniform1i(this.u_environment,
+        this.Utility.ENVIRONMENT_TEXTURE_UNIT);
+    this.gl.uniform1i(this.u_environmentPanorama,
+        this.Utility.PANORAMA_TEXTURE_UNIT);
+    this.gl.uniform1i(this.u_useEnvironmentPanorama,
+        (this.skyboxData.panorama != null) ? 1 : 0);
+    this.gl.uniform1i(this.u_reflectionMap,
+        this.Utility.REFLECTION_TEXTURE_UNIT);
+  };
+
+  /**
+   * @description This handler is used to report problems that do not prevent
+   * the scene from being drawn, such as a feature unsupported by the user's
+   * browser, without interrupting the user with a <code>window.alert</code>.
+   * Each message is added to a module at the bottom of the sidebar, created
+   * upon the first message, in the same style as initialization failures. A
+   * message already displayed is not repeated.
+   *
+   * @param {string} paramMessage
+   * @returns {void}
+   */
+  inaccessible.handleNoticeDisplay = function (paramMessage) {
+
+    // Declarations
+    let holder, isDisplayed;
+
+    // Definitions
+    holder = document.getElementById(this.Identifiers.NOTICE_HOLDER_ID);
+
+    if (holder == null) {
+      holder = this.assembleElement(
+        ['div', {
+          id: this.Identifiers.NOTICE_HOLDER_ID,
+          class: this.Identifiers.SIDEBAR_MODULE_CLASS,
+        },
+          ['div', {class: this.Identifiers.HEADER_CLASS},
+            this.Text.NOTICE_HOLDER_HEADER
+          ]
+        ]
+      );
+
+      this.append(this.Identifiers.SIDEBAR_ID, holder);
+    }
+
+    isDisplayed = Array.prototype.some.call(holder.children,
+        function (paramChild) {
+          return paramChild.textContent === paramMessage;
+        });
+
+    if (!isDisplayed) {
+      holder.appendChild(this.assembleElement(
+        ['pre', {class: this.Identifiers.ERROR_CLASS},
+          paramMessage
+        ]
+      ));
+    }
+  };
+
+  /**
+   * @description This handler is used by <code>inaccessible.init</code> to
+   * report a failure to initialize the scene, such as a shader that does not
+   * compile. Rather than leaving the user with a blank canvas, the reason is
+   * logged to the console and displayed in its own module at the bottom of the
+   * sidebar, preserving the line breaks of annotated shader logs, and the
+   * interface is faded in so that the message may be read.
+   *
+   * @param {string} paramMessage
+   * @returns {void}
+   */
+  inaccessible.handleInitializationFailure = function (paramMessage) {
+    console.error(`${this.Text.INIT_ERROR}\n${paramMessage}`);
+
+    document.getElementById(this.Identifiers.SIDEBAR_ID).appendChild(
+      this.assembleElement(
+        ['div', {class: this.Identifiers.SIDEBAR_MODULE_CLASS},
+          ['div', {class: this.Identifiers.HEADER_CLASS},
+            this.Text.INIT_ERROR
+          ],
+          ['pre', {class: this.Identifiers.ERROR_CLASS},
+            paramMessage
+          ]
+        ]
+      )
+    );
+
+    this.fadeIn(this.Identifiers.CONTAINER_ID);
   };
 
   /**
@@ -2070,8 +5894,14 @@ const ProjectFourModule = (function (Polyhedra) {
    * function also included functionality supporting a zoom-in ability used via
    * the middle mouse scroll wheel. Using this wheel, the user can zoom in on
    * certain objects in the scene and view them in detail.
+   * <br />
+   * <br />
+   * Should the WebGL context be unavailable or the shader program fail to
+   * build, initialization stops short, the reason is reported via
+   * <code>inaccessible.handleInitializationFailure</code>, and
+   * <code>false</code> is returned.
    *
-   * @returns {void}
+   * @returns {boolean} Whether the scene was initialized
    */
   inaccessible.init = function () {
 
@@ -2092,11 +5922,112 @@ const ProjectFourModule = (function (Polyhedra) {
       that.assembleButtonElement(button);
     });
 
+    // Build sidebar inputs for control of the clock
+    this.sidebarInputData.forEach(function (input) {
+      that.assembleInputElement(input);
+    });
+
     // Acquire WebGL context and define as object-global
     this.glcanvas = document.getElementById('glcanvas');
     this.gl = this.glcanvas.getContext('webgl') ||
         this.glcanvas.getContext('experimental-webgl');
 
+    // Without a context, there is nothing more to be done
+    if (this.gl == null) {
+      this.handleInitializationFailure(this.Text.ERROR_TEXT);
+      return false;
+    }
+
+    // Array of objects denoting types of shader used
+    shaderSet = [
+      {
+        name: 'VERTEX',
+        type: this.gl.VERTEX_SHADER,
+        contents: this.Shaders.VERTEX,
+      },
+      {
+        name: 'FRAGMENT',
+        type: this.gl.FRAGMENT_SHADER,
+        contents: this.Shaders.FRAGMENT,
+      }
+    ];
+
+    // Build the shader programs first, as nothing can be drawn without them
+    try {
+      this.shaderProgram = this.assembleShaderProgram(shaderSet);
+      this.shadowProgram = this.assembleShaderProgram([
+        {
+          name: 'SHADOW_VERTEX',
+          type: this.gl.VERTEX_SHADER,
+          contents: this.Shaders.SHADOW_VERTEX,
+        },
+        {
+          name: 'SHADOW_FRAGMENT',
+          type: this.gl.FRAGMENT_SHADER,
+          contents: this.Shaders.SHADOW_FRAGMENT,
+        }
+      ]);
+      this.skyboxProgram = this.assembleShaderProgram([
+        {
+          name: 'SKYBOX_VERTEX',
+          type: this.gl.VERTEX_SHADER,
+          contents: this.Shaders.SKYBOX_VERTEX,
+        },
+        {
+          name: 'SKYBOX_FRAGMENT',
+          type: this.gl.FRAGMENT_SHADER,
+          contents: this.Shaders.SKYBOX_FRAGMENT,
+        }
+      ]);
+      this.orbitProgram = this.assembleShaderProgram([
+        {
+          name: 'ORBIT_VERTEX',
+          type: this.gl.VERTEX_SHADER,
+          contents: this.Shaders.ORBIT_VERTEX,
+        },
+        {
+          name: 'ORBIT_FRAGMENT',
+          type: this.gl.FRAGMENT_SHADER,
+          contents: this.Shaders.ORBIT_FRAGMENT,
+        }
+      ]);
+
+      // Post-processing programs share a single full-screen vertex shader
+      this.postPrograms = {};
+      Object.keys(this.Shaders).forEach(function (paramName) {
+        if (paramName.startsWith('POST_') && paramName !== 'POST_VERTEX') {
+          this.postPrograms[paramName.slice(5)] = this.assembleShaderProgram([
+            {
+              name: 'POST_VERTEX',
+              type: this.gl.VERTEX_SHADER,
+              contents: this.Shaders.POST_VERTEX,
+            },
+            {
+              name: paramName,
+              type: this.gl.FRAGMENT_SHADER,
+              contents: this.Shaders[paramName],
+            }
+          ]);
+        }
+      }, this);
+    } catch (paramError) {
+      this.handleInitializationFailure(paramError.message);
+      return false;
+    }
+
+    // Textures are cached per address; redraw paused scenes once loaded
+    TextureManager.init(this.gl, function () {
+      if (!that.isSceneAnimated) {
+        that.render();
+      }
+    }, function (paramMessage) {
+      that.handleNoticeDisplay(paramMessage);
+    });
+
+    // Permits drawing of meshes with more than 65536 vertices
+    this.hasUintIndices =
+        this.gl.getExtension('OES_element_index_uint') != null;
+
     // Important global properties
     this.templates = {};
     this.isSceneAnimated = false;
@@ -2104,12 +6035,32 @@ const ProjectFourModule = (function (Polyhedra) {
     this.normalMatrix = mat3.create();
     this.matrixStack = [];
     this.u_lights = [];
+    this.lightCount = Math.min(this.lightSourceData.length,
+        this.Utility.MAX_LIGHTS);
+
+    if (this.lightCount < this.lightSourceData.length) {
+      this.handleNoticeDisplay(`${this.Text.LIGHT_COUNT_WARNING} ` +
+          `${this.Utility.MAX_LIGHTS}`);
+    }
     this.sceneScale = 1;
     this.frameNumber = 0;
+    this.isAstronomyMode = false;
+    this.epochDays = this.getDaysSinceEpoch();
 
     // Build buffers and define templates for each of the polyhedra models
     this.assembleShapeTemplates();
 
+    // Link each scene object to its parent for placement within the hierarchy
+    this.assembleSceneGraph(this.debugSceneObjectsData, null);
+    this.assembleSceneGraph(this.sceneObjectsData, null);
+    this.assembleSceneGraph(this.planetaryObjectsData, null);
+
+    // Build one-off models for entries with custom options or attributes
+    this.assembleShapeVariants(this.getSceneNodes(this.debugSceneObjectsData));
+    this.assembleShapeVariants(this.getSceneNodes(this.sceneObjectsData));
+    this.assembleShapeVariants(this.getSceneNodes(this.planetaryObjectsData));
+    this.assembleShapeVariants(this.lightSourceData);
+
     // Add a toggle checkbox affecting all instances of polyhedron type
     for (let model in this.templates) {
       this.assembleCheckBoxElement(this.templates[model],
@@ -2117,11 +6068,27 @@ const ProjectFourModule = (function (Polyhedra) {
     }
 
     // Create checkbox for each light source
-    for (let i = 0; i < this.lightSourceData.length; i++) {
+    for (let i = 0; i < this.lightCount; i++) {
       this.assembleCheckBoxElement(this.lightSourceData[i],
           'handleLightSourceCheckboxChanges');
     }
 
+    // Create checkbox for each post-processing pass
+    this.postProcessingData.forEach(function (pass) {
+      that.assembleCheckBoxElement(pass, 'handlePostProcessingCheckboxChanges');
+    });
+
+    // Create checkbox for each orbit display
+    this.orbitDisplayData.forEach(function (display) {
+      that.assembleCheckBoxElement(display,
+          'handleOrbitDisplayCheckboxChanges');
+    });
+
+    // Begin importing external models, registered as templates once loaded
+    this.importedModelData.forEach(function (model) {
+      that.handleModelImport(model);
+    });
+
     // Define TrackballRotator and callback handler
     this.rotator = new TrackballRotator(this.glcanvas, function () {
       if (!that.isSceneAnimated) {
@@ -2138,29 +6105,35 @@ const ProjectFourModule = (function (Polyhedra) {
       }
     }, false);
 
-    // Array of objects denoting types of shader used
-    shaderSet = [
-      {
-        type: this.gl.VERTEX_SHADER,
-        contents: this.Shaders.VERTEX,
-      },
-      {
-        type: this.gl.FRAGMENT_SHADER,
-        contents: this.Shaders.FRAGMENT,
-      }
-    ];
-
-    // Build the vertex shader and fragment shader program from array
-    this.shaderProgram = this.assembleShaderProgram(shaderSet);
-
     // Acquire shader locations and set defaults
     this.initGL();
 
+    // Build the shadow cube map of the shadow-casting light, if any
+    this.shadowMap = this.assembleShadowMap();
+
+    // Quad covering the canvas, shared by the skybox and post-processing
+    this.screenQuadBuffer = this.assembleBuffer(new Float32Array([-1, -1, 1,
+      -1, -1, 1, 1, 1]), 'ARRAY_BUFFER');
+
+    // Build the background drawn behind the scene
+    this.skybox = this.assembleSkybox();
+
+    // Build the reflection maps of objects reflecting the scene around them
+    this.assembleReflectionMaps();
+
+    // Build the offscreen render targets of the post-processing chain
+    this.postProcessing = this.assemblePostProcessing();
+
+    // Build the orbit paths and trails drawn atop the scene
+    this.orbitDisplay = this.assembleOrbitDisplay();
+
     // Fade in on the canvas
     this.fadeIn(this.Identifiers.CONTAINER_ID);
 
     // Render the scene
     this.render();
+
+    return true;
   };
 
   // Accessible functions
@@ -2236,13 +6209,88 @@ const ProjectFourModule = (function (Polyhedra) {
    * module, and simply calls <code>inaccessible.int</code> to get the program
    * started.
    *
-   * @returns {void}
+   * @returns {boolean} Whether the scene was initialized
    */
   accessible.init = function () {
-    inaccessible.init();
+    return inaccessible.init();
+  };
+
+  /**
+   * @description This accessible function permits external scripts to register
+   * a shape template from the text contents of a Wavefront OBJ file under the
+   * included <code>shapeType</code> name, allowing scene objects to reference
+   * models obtained by means other than
+   * <code>inaccessible.importedModelData</code>. It must be called after
+   * <code>accessible.init</code>.
+   *
+   * @param {string} paramShapeType
+   * @param {string} paramText
+   * @returns {void}
+   */
+  accessible.registerObjModel = function (paramShapeType, paramText) {
+    inaccessible.assembleImportedShapeTemplate(paramShapeType,
+        Loaders.parseObj(paramText));
+  };
+
+  /**
+   * @description Like <code>accessible.registerObjModel</code>, this accessible
+   * function permits external scripts to add a glTF 2.0 asset (the
+   * <code>ArrayBuffer</code> contents of a <code>.gltf</code> or
+   * <code>.glb</code> file, or its parsed JSON) to the scene, registering its
+   * primitives as templates under the included <code>shapeType</code> name and
+   * adding its mesh nodes to the scene. It must be called after
+   * <code>accessible.init</code>.
+   *
+   * @param {string} paramShapeType
+   * @param {ArrayBuffer|object} paramSource
+   * @returns {void}
+   */
+  accessible.registerGltfModel = function (paramShapeType, paramSource) {
+    inaccessible.assembleImportedScene(paramShapeType,
+        Loaders.parseGltf(paramSource));
+  };
+
+  /**
+   * @description This accessible function permits external scripts to edit
+   * the properties of a light source at runtime, such as its
+   * <code>attenuation</code> terms or <code>range</code>. The included
+   * properties are merged into the <code>lightsUniforms</code> object of the
+   * <code>inaccessible.lightSourceData</code> entry whose
+   * <code>lightText</code> matches the included name, and take effect from the
+   * next frame on. A paused scene is redrawn immediately. It must be called
+   * after <code>accessible.init</code>.
+   *
+   * @param {string} paramLightText "SunLight"
+   * @param {object} paramProperties
+   * @throws {Error} If no light source of that name exists
+   * @returns {void}
+   */
+  accessible.setLightProperties = function (paramLightText,
+      paramProperties) {
+
+    // Declaration
+    let light;
+
+    // Definition
+    light = inaccessible.lightSourceData.find(function (paramLight) {
+      return paramLight.lightText === paramLightText;
+    });
+
+    if (light == null) {
+      throw new Error(
+          `${inaccessible.Text.LIGHT_NOT_FOUND_ERROR} ${paramLightText}`);
+    }
+
+    Object.assign(light.lightsUniforms, paramProperties);
+
+    if (!inaccessible.isSceneAnimated) {
+      inaccessible.render();
+    }
   };
 
   // Return external-facing namespace object
   return accessible;
 
-})(ProjectFourDataModule);
\ No newline at end of file
+})(ProjectFourDataModule, ProjectFourLoaderModule,
+    ProjectFourGeometryModule, ProjectFourTextureModule,
+    ProjectFourClockModule);
\ No newline at end of file
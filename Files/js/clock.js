@@ -0,0 +1,284 @@
+/**
+ * @file clock.js
+ * @fileoverview The clock module of the program, contains several access
+ * namespaces denoting which functions related to the keeping of simulated time
+ * may be returned for external or global usage.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/**
+ * @description This JavaScript module keeps the simulated time by which the
+ * scene is animated. Rather than counting the frames drawn, which would spin
+ * the scene twice as fast on a 120 Hz display as on a 60 Hz one, the clock
+ * advances by the real milliseconds elapsed between the timestamps passed to
+ * <code>accessible.update</code> by each animation frame, multiplied by the
+ * clock's time scale. A negative time scale runs time backwards. While paused,
+ * the clock ignores the time elapsed, though it may still be stepped forward
+ * or back by a single nominal frame or sent to any time directly.
+ * <br />
+ * <br />
+ * Times are measured in seconds of simulated time, starting from zero. The
+ * clock is shared by the whole program, so that everything drawn in a frame
+ * reads the same time from <code>accessible.getTime</code>.
+ *
+ * @author Andrew Eissen
+ * @module ProjectFourClockModule
+ * @const
+ */
+const ProjectFourClockModule = (function () {
+
+  // Declare access namespaces
+  let accessible, inaccessible;
+
+  // Define access namespaces
+  accessible = accessible || {};
+  inaccessible = inaccessible || {};
+
+  // Enums
+
+  /**
+   * @description Enum for assorted clock constants, namely the length in
+   * seconds of the nominal frame by which the clock is stepped and the number
+   * of milliseconds in a second, the unit of animation frame timestamps.
+   *
+   * @readonly
+   * @enum {number}
+   */
+  inaccessible.Utility = Object.freeze({
+    STEP_DURATION: 1 / 60,
+    MILLISECONDS_PER_SECOND: 1000,
+  });
+
+  // Module state
+
+  /**
+   * @description The simulated time in seconds.
+   */
+  inaccessible.time = 0;
+
+  /**
+   * @description The number of simulated seconds that pass per real second,
+   * negative if time runs backwards.
+   */
+  inaccessible.timeScale = 1;
+
+  /**
+   * @description Whether the clock advances with the time elapsed between
+   * updates.
+   */
+  inaccessible.isPlaying = false;
+
+  /**
+   * @description The timestamp of the previous update, or <code>null</code>
+   * if the clock has not been updated since it began playing.
+   */
+  inaccessible.lastTimestamp = null;
+
+  // Clock functions
+
+  /**
+   * @description This function advances the clock by the real time elapsed
+   * since the previous update, scaled by the time scale, and notes the
+   * included timestamp for the next. The first update after the clock begins
+   * playing only notes its timestamp, so that time spent paused is not
+   * counted, as is any update made without a timestamp.
+   *
+   * @param {number=} paramTimestamp Milliseconds, as per
+   *     <code>window.requestAnimationFrame</code>
+   * @returns {number} time
+   */
+  inaccessible.update = function (paramTimestamp) {
+    if (
+      this.isPlaying &&
+      this.lastTimestamp != null &&
+      paramTimestamp != null
+    ) {
+      this.time += (paramTimestamp - this.lastTimestamp) /
+          this.Utility.MILLISECONDS_PER_SECOND * this.timeScale;
+    }
+
+    this.lastTimestamp = (paramTimestamp != null)
+      ? paramTimestamp
+      : null;
+
+    return this.time;
+  };
+
+  /**
+   * @description This function starts the clock, discarding any timestamp
+   * left over from before it was paused.
+   *
+   * @returns {void}
+   */
+  inaccessible.play = function () {
+    this.isPlaying = true;
+    this.lastTimestamp = null;
+  };
+
+  /**
+   * @description This function stops the clock until it is next played.
+   *
+   * @returns {void}
+   */
+  inaccessible.pause = function () {
+    this.isPlaying = false;
+  };
+
+  /**
+   * @description This function moves the clock a single nominal frame forward
+   * (for a direction of 1) or back (for -1) at the present speed of the
+   * clock, regardless of the direction in which it runs, or at normal speed if
+   * the time scale is zero.
+   *
+   * @param {number} paramDirection
+   * @returns {number} time
+   */
+  inaccessible.step = function (paramDirection) {
+    this.time += paramDirection * this.Utility.STEP_DURATION *
+        (Math.abs(this.timeScale) || 1);
+
+    return this.time;
+  };
+
+  /**
+   * @description This function sends the clock to the included time.
+   *
+   * @param {number} paramTime
+   * @returns {void}
+   */
+  inaccessible.seek = function (paramTime) {
+    this.time = paramTime;
+  };
+
+  /**
+   * @description This function reverses the direction in which time runs,
+   * keeping its speed.
+   *
+   * @returns {void}
+   */
+  inaccessible.reverse = function () {
+    this.timeScale = -this.timeScale;
+  };
+
+  /**
+   * @description This function returns the clock to its initial state, paused
+   * at time zero and running forward at normal speed.
+   *
+   * @returns {void}
+   */
+  inaccessible.reset = function () {
+    this.time = 0;
+    this.timeScale = 1;
+    this.isPlaying = false;
+    this.lastTimestamp = null;
+  };
+
+  // Accessible functions
+
+  /**
+   * @description External getter for <code>update</code>
+   *
+   * @param {number=} paramTimestamp
+   * @returns {number} inaccessible.update
+   */
+  accessible.update = function (paramTimestamp) {
+    return inaccessible.update(paramTimestamp);
+  };
+
+  /**
+   * @description External getter for <code>play</code>
+   *
+   * @returns {void}
+   */
+  accessible.play = function () {
+    inaccessible.play();
+  };
+
+  /**
+   * @description External getter for <code>pause</code>
+   *
+   * @returns {void}
+   */
+  accessible.pause = function () {
+    inaccessible.pause();
+  };
+
+  /**
+   * @description External getter for <code>step</code>
+   *
+   * @param {number} paramDirection
+   * @returns {number} inaccessible.step
+   */
+  accessible.step = function (paramDirection) {
+    return inaccessible.step(paramDirection);
+  };
+
+  /**
+   * @description External getter for <code>seek</code>
+   *
+   * @param {number} paramTime
+   * @returns {void}
+   */
+  accessible.seek = function (paramTime) {
+    inaccessible.seek(paramTime);
+  };
+
+  /**
+   * @description External getter for <code>reverse</code>
+   *
+   * @returns {void}
+   */
+  accessible.reverse = function () {
+    inaccessible.reverse();
+  };
+
+  /**
+   * @description External getter for <code>reset</code>
+   *
+   * @returns {void}
+   */
+  accessible.reset = function () {
+    inaccessible.reset();
+  };
+
+  /**
+   * @description External getter for the simulated time in seconds
+   *
+   * @returns {number}
+   */
+  accessible.getTime = function () {
+    return inaccessible.time;
+  };
+
+  /**
+   * @description External getter for the time scale
+   *
+   * @returns {number}
+   */
+  accessible.getTimeScale = function () {
+    return inaccessible.timeScale;
+  };
+
+  /**
+   * @description External setter for the time scale, the number of simulated
+   * seconds that pass per real second
+   *
+   * @param {number} paramTimeScale
+   * @returns {void}
+   */
+  accessible.setTimeScale = function (paramTimeScale) {
+    inaccessible.timeScale = paramTimeScale;
+  };
+
+  /**
+   * @description External getter for whether the clock is playing
+   *
+   * @returns {boolean}
+   */
+  accessible.isPlaying = function () {
+    return inaccessible.isPlaying;
+  };
+
+  return accessible;
+})();
@@ -7,6 +7,8 @@
  */
 'use strict';
 
+/* global vec3, ProjectFourGeometryModule */
+
 /**
  * @description This JavaScript module is the means by which the main JS module,
  * <code>app.js</code>, constructs the objects that make up the interface
@@ -19,19 +21,18 @@
  * polyhedra.
  * <br />
  * <br />
- * The data contained herein was retrieved from several sources.
- * <code>inaccessible.defineSphere</code> was taken from the Week 8 template
- * resources file <code>basic-object-models-IFS.js</code> and the arrays of
- * <code>defineRing</code> generated from the <code>ring()</code> function of
- * the same file. All other scene items were generated from functions found in
- * the indomitable Nick Desaulniers' (nick@mozilla.com)
+ * The shapes were originally shipped as literal arrays retrieved from several
+ * sources. <code>inaccessible.defineSphere</code> was taken from the Week 8
+ * template resources file <code>basic-object-models-IFS.js</code> and the
+ * arrays of <code>defineRing</code> generated from the <code>ring()</code>
+ * function of the same file. All other scene items were generated from
+ * functions found in the indomitable Nick Desaulniers' (nick@mozilla.com)
  * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
- * for WebGL"</a> free-use GitHub repository.
- * <br />
- * <br />
- * And yes, before you ask, I did go through each shape line-by-line to make the
- * arrays conform to the Google Styleguide's 80 character limit. The Sierpinkski
- * triangle arrays were particularly painful.
+ * for WebGL"</a> free-use GitHub repository. Each shape is now computed
+ * procedurally from an optional options object (radius, slices, stacks,
+ * height, inner/outer radius, recursion depth) whose default values, housed
+ * in <code>inaccessible.Defaults</code>, reproduce the original arrays' size
+ * and tessellation as closely as possible.
  *
  * @see {@link https://bit.ly/2OnaOu5|basic-object-models-IFS.js, math.hws.edu}
  * @see {@link https://github.com/nickdesaulniers/prims|/prims}
@@ -48,28 +49,461 @@ const ProjectFourDataModule = (function () {
   accessible = accessible || {};
   inaccessible = inaccessible || {};
 
+  // Enums
+
+  /**
+   * @description Enum for assorted utility constants used by the shape
+   * generators, namely the golden ratio from which the icosahedron and its
+   * dual the dodecahedron are built, and the tolerance used when comparing
+   * floating point edge lengths.
+   *
+   * @readonly
+   * @enum {number}
+   */
+  inaccessible.Utility = Object.freeze({
+    PHI: (1 + Math.sqrt(5)) / 2,
+    EPSILON: 1e-6,
+  });
+
+  /**
+   * @description This enum contains the default options applied to each of the
+   * shape generators when the calling function does not specify a value of its
+   * own. The values were chosen to reproduce the dimensions and tessellation of
+   * the hard-coded arrays the generators replaced, so the default scene looks
+   * as it did before. Radii denote circumradii for the polyhedra.
+   *
+   * @readonly
+   * @enum {object}
+   */
+  inaccessible.Defaults = Object.freeze({
+    CUBE: {
+      size: 2,
+    },
+    CYLINDER: {
+      radius: 1,
+      height: 2,
+      slices: 20,
+    },
+    DODECAHEDRON: {
+      radius: Math.sqrt(3) / inaccessible.Utility.PHI,
+    },
+    ICOSAHEDRON: {
+      radius: Math.sqrt(1 + 1 / Math.pow(inaccessible.Utility.PHI, 2)),
+    },
+    ICOSPHERE: {
+      radius: 1,
+      level: 2,
+    },
+    OCTAHEDRON: {
+      radius: 1,
+    },
+    PYRAMID: {
+      radius: 1,
+      height: Math.SQRT2,
+      slices: 3,
+    },
+    RING: {
+      innerRadius: 0.25,
+      outerRadius: 0.5,
+      slices: 32,
+    },
+    SIERPINSKI: {
+      radius: 1,
+      depth: 3,
+    },
+    SPHERE: {
+      radius: 1,
+      slices: 32,
+      stacks: 16,
+    },
+    TETRAHEDRON: {
+      radius: Math.sqrt(3),
+    },
+  });
+
+  // Utility functions
+
+  /**
+   * @description This utility function merges the user-provided options object
+   * passed to a shape getter with the appropriate entry of the
+   * <code>inaccessible.Defaults</code> enum, returning a new object so that
+   * neither of the originals is mutated.
+   *
+   * @param {object} paramDefaults
+   * @param {object=} paramOptions
+   * @returns {object}
+   */
+  inaccessible.applyDefaults = function (paramDefaults, paramOptions) {
+    return Object.assign({}, paramDefaults, paramOptions || {});
+  };
+
+  /**
+   * @description This function creates the empty accumulator object into which
+   * the various generators push vertex data as plain arrays. Once complete, the
+   * accumulator is converted into the typed array object expected by
+   * <code>app.js</code> via <code>inaccessible.assembleMeshData</code>.
+   *
+   * @returns {object}
+   */
+  inaccessible.createMesh = function () {
+    return {
+      positions: [],
+      normals: [],
+      texCoords: [],
+      indices: [],
+    };
+  };
+
+  /**
+   * @description This function converts a mesh accumulator built by the
+   * generators into the <code>{vertexPositions, vertexNormals,
+   * vertexTextureCoords, indices}</code> object returned by each getter. Meshes
+   * without texture coordinates return <code>null</code> for that property, as
+   * the original hard-coded polyhedra did. Meshes whose vertex count exceeds
+   * the range of a 16-bit index fall back to a <code>Uint32Array</code> index
+   * buffer, as chosen by
+   * <code>ProjectFourGeometryModule.getIndexArrayType</code>.
+   *
+   * @param {object} paramMesh
+   * @returns {object}
+   */
+  inaccessible.assembleMeshData = function (paramMesh) {
+
+    // Declaration
+    let IndexArray;
+
+    // Definition
+    IndexArray = ProjectFourGeometryModule.getIndexArrayType(
+        paramMesh.positions.length / 3);
+
+    return {
+      vertexPositions: new Float32Array(paramMesh.positions),
+      vertexNormals: new Float32Array(paramMesh.normals),
+      vertexTextureCoords: (paramMesh.texCoords.length)
+        ? new Float32Array(paramMesh.texCoords)
+        : null,
+      indices: new IndexArray(paramMesh.indices),
+    };
+  };
+
+  /**
+   * @description This function adds a single flat-shaded convex polygon to the
+   * mesh accumulator. The face normal is computed from the first three points
+   * and, should it point toward the included center point rather than away
+   * from it, the winding of the polygon is reversed so that all faces of the
+   * solid face outward. The polygon is then fan-triangulated. If texture
+   * coordinates are provided, they are reversed alongside the points.
+   *
+   * @param {object} paramMesh
+   * @param {!Array<!Array<number>>} paramPolygon
+   * @param {!Array<number>} paramCenter
+   * @param {!Array<!Array<number>>=} paramTexCoords
+   * @returns {void}
+   */
+  inaccessible.appendFlatPolygon = function (paramMesh, paramPolygon,
+      paramCenter, paramTexCoords = null) {
+
+    // Declarations
+    let polygon, texCoords, normal, edgeOne, edgeTwo, outward, offset;
+
+    // Definitions
+    polygon = paramPolygon.slice();
+    texCoords = (paramTexCoords != null) ? paramTexCoords.slice() : null;
+    normal = vec3.create();
+    edgeOne = vec3.create();
+    edgeTwo = vec3.create();
+    outward = vec3.create();
+    offset = paramMesh.positions.length / 3;
+
+    vec3.subtract(edgeOne, polygon[1], polygon[0]);
+    vec3.subtract(edgeTwo, polygon[2], polygon[0]);
+    vec3.cross(normal, edgeOne, edgeTwo);
+    vec3.subtract(outward, polygon[0], paramCenter);
+
+    // Flip inward-facing polygons
+    if (vec3.dot(normal, outward) < 0) {
+      polygon.reverse();
+      vec3.negate(normal, normal);
+
+      if (texCoords != null) {
+        texCoords.reverse();
+      }
+    }
+
+    vec3.normalize(normal, normal);
+
+    for (let i = 0; i < polygon.length; i++) {
+      paramMesh.positions.push(...polygon[i]);
+      paramMesh.normals.push(...normal);
+
+      if (texCoords != null) {
+        paramMesh.texCoords.push(...texCoords[i]);
+      }
+    }
+
+    for (let i = 1; i < polygon.length - 1; i++) {
+      paramMesh.indices.push(offset, offset + i, offset + i + 1);
+    }
+  };
+
+  /**
+   * @description This function locates the triangular faces of a convex
+   * polyhedron whose faces are all equilateral triangles (the tetrahedron,
+   * octahedron, and icosahedron) by finding every triple of vertices whose
+   * pairwise distances all equal the shortest edge length. This saves the
+   * author from having to hard-code a face table for each such solid.
+   *
+   * @param {!Array<!Array<number>>} paramVertices
+   * @returns {!Array<!Array<number>>} faces
+   */
+  inaccessible.findTriangularFaces = function (paramVertices) {
+
+    // Declarations
+    let faces, edgeLength, isEdge, count;
+
+    // Definitions
+    faces = [];
+    edgeLength = Infinity;
+    count = paramVertices.length;
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        edgeLength = Math.min(edgeLength,
+            vec3.distance(paramVertices[i], paramVertices[j]));
+      }
+    }
+
+    isEdge = function (paramA, paramB) {
+      return Math.abs(vec3.distance(paramVertices[paramA],
+          paramVertices[paramB]) - edgeLength) < inaccessible.Utility.EPSILON;
+    };
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        if (!isEdge(i, j)) {
+          continue;
+        }
+
+        for (let k = j + 1; k < count; k++) {
+          if (isEdge(i, k) && isEdge(j, k)) {
+            faces.push([i, j, k]);
+          }
+        }
+      }
+    }
+
+    return faces;
+  };
+
+  /**
+   * @description This function scales each of the included vertices such that
+   * it lies on a sphere of the given radius. As all vertices of a Platonic
+   * solid lie on its circumsphere, this is used to size the regular polyhedra.
+   *
+   * @param {!Array<!Array<number>>} paramVertices
+   * @param {number} paramRadius
+   * @returns {!Array<!Array<number>>}
+   */
+  inaccessible.projectOntoSphere = function (paramVertices, paramRadius) {
+    return paramVertices.map(function (vertex) {
+      return Array.from(vec3.scale(vec3.create(),
+          vec3.normalize(vec3.create(), vertex), paramRadius));
+    });
+  };
+
+  /**
+   * @description This function builds a flat-shaded regular polyhedron from a
+   * set of canonical vertices centered on the origin, scaling them to the
+   * desired circumradius and locating the triangular faces automatically.
+   *
+   * @param {!Array<!Array<number>>} paramVertices
+   * @param {number} paramRadius
+   * @returns {object}
+   */
+  inaccessible.defineRegularPolyhedron = function (paramVertices, paramRadius) {
+
+    // Declarations
+    let mesh, vertices, faces;
+
+    // Definitions
+    mesh = this.createMesh();
+    vertices = this.projectOntoSphere(paramVertices, paramRadius);
+    faces = this.findTriangularFaces(vertices);
+
+    faces.forEach(function (face) {
+      inaccessible.appendFlatPolygon(mesh, face.map(function (index) {
+        return vertices[index];
+      }), [0, 0, 0]);
+    });
+
+    return this.assembleMeshData(mesh);
+  };
+
+  /**
+   * @description This function returns the twelve canonical vertices of the
+   * icosahedron, namely the cyclic permutations of <code>(0, ±1, ±φ)</code>.
+   * They are used both by <code>inaccessible.defineIcosahedron</code> and by
+   * <code>inaccessible.defineDodecahedron</code>, which builds its dual.
+   *
+   * @returns {!Array<!Array<number>>} vertices
+   */
+  inaccessible.getIcosahedronVertices = function () {
+
+    // Declarations
+    let vertices, phi;
+
+    // Definitions
+    vertices = [];
+    phi = this.Utility.PHI;
+
+    [-1, 1].forEach(function (a) {
+      [-phi, phi].forEach(function (b) {
+        vertices.push([0, a, b], [a, b, 0], [b, 0, a]);
+      });
+    });
+
+    return vertices;
+  };
+
+  /**
+   * @description This function welds the duplicated corners of a flat-shaded,
+   * non-indexed mesh (such as that returned by
+   * <code>inaccessible.defineIcosahedron</code>) back into a list of unique
+   * vertices and a list of triangular faces indexing into it.
+   *
+   * @param {object} paramMeshData
+   * @returns {object} <code>{vertices, faces}</code>
+   */
+  inaccessible.weldVertices = function (paramMeshData) {
+
+    // Declarations
+    let vertices, faces, lookup, positions, indices, key, corners;
+
+    // Definitions
+    vertices = [];
+    faces = [];
+    lookup = {};
+    positions = paramMeshData.vertexPositions;
+    indices = paramMeshData.indices;
+
+    for (let i = 0; i < indices.length; i += 3) {
+      corners = [];
+
+      for (let j = 0; j < 3; j++) {
+        key = Array.from(positions.subarray(3 * indices[i + j],
+            3 * indices[i + j] + 3)).map(function (paramValue) {
+              return paramValue.toFixed(5);
+            }).join(',');
+
+        if (lookup[key] == null) {
+          lookup[key] = vertices.length;
+          vertices.push(Array.from(positions.subarray(3 * indices[i + j],
+              3 * indices[i + j] + 3)));
+        }
+
+        corners.push(lookup[key]);
+      }
+
+      faces.push(corners);
+    }
+
+    return {
+      vertices: vertices,
+      faces: faces,
+    };
+  };
+
+  /**
+   * @description This function splits each triangular face of an indexed mesh
+   * into four smaller triangles by way of its edge midpoints, repeating the
+   * process <code>paramLevel</code> times. Midpoints are cached by edge so
+   * neighboring faces share their new vertices, and each new vertex is
+   * projected onto the sphere of the included radius as it is created.
+   *
+   * @param {!Array<!Array<number>>} paramVertices
+   * @param {!Array<!Array<number>>} paramFaces
+   * @param {number} paramLevel
+   * @param {number} paramRadius
+   * @returns {object} <code>{vertices, faces}</code>
+   */
+  inaccessible.subdivideFaces = function (paramVertices, paramFaces,
+      paramLevel, paramRadius) {
+
+    // Declarations
+    let vertices, faces, midpoints, getMidpoint, subdivided, a, b, c;
+
+    // Definitions
+    vertices = this.projectOntoSphere(paramVertices, paramRadius);
+    faces = paramFaces;
+
+    getMidpoint = function (paramA, paramB) {
+
+      // Declaration
+      let key;
+
+      // Same key regardless of the edge's direction
+      key = (paramA < paramB) ? `${paramA}_${paramB}` : `${paramB}_${paramA}`;
+
+      if (midpoints[key] == null) {
+        midpoints[key] = vertices.length;
+        vertices.push(inaccessible.projectOntoSphere([Array.from(vec3.lerp(
+            vec3.create(), vertices[paramA], vertices[paramB], 0.5))],
+            paramRadius)[0]);
+      }
+
+      return midpoints[key];
+    };
+
+    for (let level = 0; level < paramLevel; level++) {
+      midpoints = {};
+      subdivided = [];
+
+      faces.forEach(function (face) {
+        a = getMidpoint(face[0], face[1]);
+        b = getMidpoint(face[1], face[2]);
+        c = getMidpoint(face[2], face[0]);
+
+        subdivided.push([face[0], a, c], [face[1], b, a], [face[2], c, b],
+            [a, b, c]);
+      });
+
+      faces = subdivided;
+    }
+
+    return {
+      vertices: vertices,
+      faces: faces,
+    };
+  };
+
+  // Definition functions
+
   /**
    * Generator for Sphere object, taken from Project 4 template resource file
    * <code>basic-object-models-IFS.js</code>.
    *
    * @see {@link https://bit.ly/2OnaOu5|basic-object-models-IFS.js}
+   * @param {object=} paramOptions <code>{radius, slices, stacks}</code>
    * @returns {object}
    */
-  inaccessible.defineSphere = function () {
+  inaccessible.defineSphere = function (paramOptions) {
 
     // Declarations
-    let radius, slices, stacks, vertexCount, vertices, normals, texCoords,
-      indices, du, dv, i, j, k, u, v, x, y, z, indexV, indexT, row1, row2;
+    let options, radius, slices, stacks, vertexCount, vertices, normals,
+      texCoords, indices, du, dv, i, j, k, u, v, x, y, z, indexV, indexT, row1,
+      row2;
 
     // Definitions
-    radius = 1;
-    slices = 32;
-    stacks = 16;
+    options = this.applyDefaults(this.Defaults.SPHERE, paramOptions);
+    radius = options.radius;
+    slices = options.slices;
+    stacks = options.stacks;
     vertexCount = (slices + 1) * (stacks + 1);
     vertices = new Float32Array(3 * vertexCount);
     normals = new Float32Array(3 * vertexCount);
     texCoords = new Float32Array(2 *vertexCount);
-    indices = new Uint16Array(2 * slices * stacks * 3);
+    indices = new (ProjectFourGeometryModule.getIndexArrayType(
+        vertexCount))(2 * slices * stacks * 3);
     du = 2 * Math.PI / slices;
     dv = Math.PI / stacks;
     indexV = 0;
@@ -116,2168 +550,629 @@ const ProjectFourDataModule = (function () {
   };
 
   /**
-   * @description Generator for Icosahedron object, created from Nick
+   * @description Generator for Icosahedron object, originally created from Nick
    * Desaulniers' (nick@mozilla.com)
    * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
-   * for WebGL"</a> free-use GitHub repository.
+   * for WebGL"</a> free-use GitHub repository and now built from the cyclic
+   * permutations of <code>(0, ±1, ±φ)</code>.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
+   * @param {object=} paramOptions <code>{radius}</code>
    * @returns {object}
    */
-  inaccessible.defineIcosahedron = function () {
+  inaccessible.defineIcosahedron = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, index;
-
-    vertices = new Float32Array([
-      0,0.6180339887498948,-1,-0.6180339887498948,1,0,0.6180339887498948,1,0,
-      -0.6180339887498948,1,0,0,0.6180339887498948,1,0.6180339887498948,1,0,0,
-      -0.6180339887498948,1,0,0.6180339887498948,1,-1,0,0.6180339887498948,1,0,
-      0.6180339887498948,0,0.6180339887498948,1,0,-0.6180339887498948,1,0,
-      -0.6180339887498948,-1,0,0.6180339887498948,-1,1,0,-0.6180339887498948,-1,
-      0,-0.6180339887498948,0,0.6180339887498948,-1,0,-0.6180339887498948,-1,
-      0.6180339887498948,-1,0,0,-0.6180339887498948,1,-0.6180339887498948,-1,0,
-      -0.6180339887498948,-1,0,0,-0.6180339887498948,-1,0.6180339887498948,-1,0,
-      -1,0,0.6180339887498948,-0.6180339887498948,1,0,-1,0,-0.6180339887498948,
-      -1,0,-0.6180339887498948,-0.6180339887498948,-1,0,-1,0,0.6180339887498948,
-      1,0,-0.6180339887498948,0.6180339887498948,1,0,1,0,0.6180339887498948,1,0,
-      0.6180339887498948,0.6180339887498948,-1,0,1,0,-0.6180339887498948,-1,0,
-      0.6180339887498948,0,0.6180339887498948,1,-0.6180339887498948,1,0,
-      0.6180339887498948,1,0,0,0.6180339887498948,1,1,0,0.6180339887498948,
-      -0.6180339887498948,1,0,0,0.6180339887498948,-1,-1,0,-0.6180339887498948,
-      1,0,-0.6180339887498948,0,0.6180339887498948,-1,0.6180339887498948,1,0,-1,
-      0,-0.6180339887498948,0,-0.6180339887498948,-1,-0.6180339887498948,-1,0,
-      0.6180339887498948,-1,0,0,-0.6180339887498948,-1,1,0,-0.6180339887498948,
-      -0.6180339887498948,-1,0,0,-0.6180339887498948,1,-1,0,0.6180339887498948,
-      1,0,0.6180339887498948,0,-0.6180339887498948,1,0.6180339887498948,-1,0,
-    ]);
-
-    normals = new Float32Array([
-      0,0.7060113295832983,-0.2696723314583159,0,0.7060113295832983,
-      -0.2696723314583159,0,0.7060113295832983,-0.2696723314583159,0,
-      0.7060113295832983,0.2696723314583159,0,0.7060113295832983,
-      0.2696723314583159,0,0.7060113295832983,0.2696723314583159,
-      -0.2696723314583159,0,0.7060113295832983,-0.2696723314583159,0,
-      0.7060113295832983,-0.2696723314583159,0,0.7060113295832983,
-      0.2696723314583159,0,0.7060113295832983,0.2696723314583159,0,
-      0.7060113295832983,0.2696723314583159,0,0.7060113295832983,
-      0.2696723314583159,0,-0.7060113295832983,0.2696723314583159,0,
-      -0.7060113295832983,0.2696723314583159,0,-0.7060113295832983,
-      -0.2696723314583159,0,-0.7060113295832983,-0.2696723314583159,0,
-      -0.7060113295832983,-0.2696723314583159,0,-0.7060113295832983,0,
-      -0.7060113295832983,0.2696723314583159,0,-0.7060113295832983,
-      0.2696723314583159,0,-0.7060113295832983,0.2696723314583159,0,
-      -0.7060113295832983,-0.2696723314583159,0,-0.7060113295832983,
-      -0.2696723314583159,0,-0.7060113295832983,-0.2696723314583159,
-      -0.7060113295832983,0.2696723314583159,0,-0.7060113295832983,
-      0.2696723314583159,0,-0.7060113295832983,0.2696723314583159,0,
-      -0.7060113295832983,-0.2696723314583159,0,-0.7060113295832983,
-      -0.2696723314583159,0,-0.7060113295832983,-0.2696723314583159,0,
-      0.7060113295832983,0.2696723314583159,0,0.7060113295832983,
-      0.2696723314583159,0,0.7060113295832983,0.2696723314583159,0,
-      0.7060113295832983,-0.2696723314583159,0,0.7060113295832983,
-      -0.2696723314583159,0,0.7060113295832983,-0.2696723314583159,0,
-      -0.43633899812498245,0.43633899812498245,0.43633899812498245,
-      -0.43633899812498245,0.43633899812498245,0.43633899812498245,
-      -0.43633899812498245,0.43633899812498245,0.43633899812498245,
-      0.43633899812498245,0.43633899812498245,0.43633899812498245,
-      0.43633899812498245,0.43633899812498245,0.43633899812498245,
-      0.43633899812498245,0.43633899812498245,0.43633899812498245,
-      -0.43633899812498245,0.43633899812498245,-0.43633899812498245,
-      -0.43633899812498245,0.43633899812498245,-0.43633899812498245,
-      -0.43633899812498245,0.43633899812498245,-0.43633899812498245,
-      0.43633899812498245,0.43633899812498245,-0.43633899812498245,
-      0.43633899812498245,0.43633899812498245,-0.43633899812498245,
-      0.43633899812498245,0.43633899812498245,-0.43633899812498245,
-      -0.43633899812498245,-0.43633899812498245,-0.43633899812498245,
-      -0.43633899812498245,-0.43633899812498245,-0.43633899812498245,
-      -0.43633899812498245,-0.43633899812498245,-0.43633899812498245,
-      0.43633899812498245,-0.43633899812498245,-0.43633899812498245,
-      0.43633899812498245,-0.43633899812498245,-0.43633899812498245,
-      0.43633899812498245,-0.43633899812498245,-0.43633899812498245,
-      -0.43633899812498245,-0.43633899812498245,0.43633899812498245,
-      -0.43633899812498245,-0.43633899812498245,0.43633899812498245,
-      -0.43633899812498245,-0.43633899812498245,0.43633899812498245,
-      0.43633899812498245,-0.43633899812498245,0.43633899812498245,
-      0.43633899812498245,-0.43633899812498245,0.43633899812498245,
-      0.43633899812498245,-0.43633899812498245,0.43633899812498245,
-    ]);
-
-    index = new Uint16Array([
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-      39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-      57, 58, 59,
-    ]);
+    let options;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: null,
-      indices: index,
+    // Definitions
+    options = this.applyDefaults(this.Defaults.ICOSAHEDRON, paramOptions);
+
+    return this.defineRegularPolyhedron(this.getIcosahedronVertices(),
+        options.radius);
+  };
+
+  /**
+   * @description Generator for Icosphere object, a geodesic sphere built by
+   * subdividing each face of the mesh returned by
+   * <code>inaccessible.defineIcosahedron</code> <code>level</code> times and
+   * projecting the new vertices onto the sphere. Unlike the UV sphere of
+   * <code>inaccessible.defineSphere</code>, the triangles are of near-uniform
+   * size, so there is no pinching at the poles.
+   * <br />
+   * <br />
+   * Normals are simply the normalized vertex positions. Texture coordinates
+   * follow the same spherical convention as <code>defineSphere</code> (with the
+   * poles along the z-axis) so the same textures may be applied to either.
+   * Triangles that straddle the texture seam are cut in two along it, the
+   * vertices on the seam being duplicated with a <code>u</code> of 1 on the
+   * one side and 0 on the other, and pole vertices are duplicated per
+   * triangle with the mean <code>u</code> of the other corners, so the
+   * texture does not smear across either. No <code>u</code> lies outside the
+   * [0, 1] range, as textures whose sizes are not powers of two are clamped
+   * rather than repeated.
+   *
+   * @param {object|number=} paramOptions <code>{radius, level}</code> or the
+   *     subdivision level alone
+   * @returns {object}
+   */
+  inaccessible.defineIcosphere = function (paramOptions) {
+
+    // Declarations
+    let that, options, mesh, geodesic, lookup, getTexCoord, getSide,
+      addVertex, splitAtSeam, corners, uValues, polygons;
+
+    // Definitions
+    that = this;
+
+    if (typeof paramOptions === 'number') {
+      paramOptions = {level: paramOptions};
+    }
+
+    options = this.applyDefaults(this.Defaults.ICOSPHERE, paramOptions);
+    mesh = this.createMesh();
+    geodesic = this.weldVertices(this.defineIcosahedron());
+    geodesic = this.subdivideFaces(geodesic.vertices, geodesic.faces,
+        Math.max(0, Math.floor(options.level)), options.radius);
+    lookup = {};
+
+    getTexCoord = function (paramVertex) {
+      return [
+        (Math.atan2(paramVertex[1], paramVertex[0]) / (2 * Math.PI) + 1) % 1,
+        Math.asin(Math.max(-1, Math.min(1, paramVertex[2] / options.radius))) /
+            Math.PI + 0.5,
+      ];
+    };
+
+    // Poles and vertices on the seam itself belong to both of its sides
+    getSide = function (paramCorner) {
+      if (
+        Math.abs(paramCorner.position[1]) < that.Utility.EPSILON &&
+        paramCorner.position[0] > -that.Utility.EPSILON
+      ) {
+        return 'seam';
+      }
+
+      return (paramCorner.texCoord[0] < 0.5)
+        ? 'low'
+        : 'high';
+    };
+
+    // Vertices are shared unless their texture coordinates differ
+    addVertex = function (paramPosition, paramTexCoord) {
+
+      // Declaration
+      let key;
+
+      // Definition
+      key = paramPosition.concat(paramTexCoord[0]).map(function (paramValue) {
+        return paramValue.toFixed(5);
+      }).join('_');
+
+      if (lookup[key] == null) {
+        lookup[key] = mesh.positions.length / 3;
+        mesh.positions.push(...paramPosition);
+        mesh.normals.push(...vec3.normalize(vec3.create(), paramPosition));
+        mesh.texCoords.push(...paramTexCoord);
+      }
+
+      return lookup[key];
     };
+
+    // Cut a triangle straddling the seam into a polygon on either side of it
+    splitAtSeam = function (paramCorners) {
+
+      // Declarations
+      let high, low, first, second, firstSide, secondSide, weight, position;
+
+      // Definitions
+      high = [];
+      low = [];
+
+      for (let i = 0; i < paramCorners.length; i++) {
+        first = paramCorners[i];
+        second = paramCorners[(i + 1) % paramCorners.length];
+        firstSide = getSide(first);
+        secondSide = getSide(second);
+
+        if (firstSide !== 'low') {
+          high.push(Object.assign({}, first, {
+            texCoord: [(firstSide === 'seam') ? 1 : first.texCoord[0],
+                first.texCoord[1]],
+          }));
+        }
+
+        if (firstSide !== 'high') {
+          low.push(Object.assign({}, first, {
+            texCoord: [(firstSide === 'seam') ? 0 : first.texCoord[0],
+                first.texCoord[1]],
+          }));
+        }
+
+        // Edges running from one side to the other cross the seam at y = 0
+        if (
+          firstSide !== 'seam' &&
+          secondSide !== 'seam' &&
+          firstSide !== secondSide
+        ) {
+          weight = first.position[1] /
+              (first.position[1] - second.position[1]);
+          position = vec3.lerp(vec3.create(), first.position,
+              second.position, weight);
+          position = Array.from(vec3.scale(position,
+              vec3.normalize(position, position), options.radius));
+          position[1] = 0;
+
+          high.push({
+            position: position,
+            texCoord: [1, getTexCoord(position)[1]],
+            isPole: false,
+          });
+          low.push({
+            position: position,
+            texCoord: [0, getTexCoord(position)[1]],
+            isPole: false,
+          });
+        }
+      }
+
+      return [high, low].filter(function (paramPolygon) {
+        return paramPolygon.length >= 3;
+      });
+    };
+
+    geodesic.faces.forEach(function (face) {
+      corners = face.map(function (paramIndex) {
+        return {
+          position: geodesic.vertices[paramIndex],
+          texCoord: getTexCoord(geodesic.vertices[paramIndex]),
+          isPole: Math.abs(geodesic.vertices[paramIndex][0]) <
+              that.Utility.EPSILON && Math.abs(
+              geodesic.vertices[paramIndex][1]) < that.Utility.EPSILON,
+        };
+      });
+      uValues = corners.filter(function (paramCorner) {
+        return !paramCorner.isPole;
+      }).map(function (paramCorner) {
+        return paramCorner.texCoord[0];
+      });
+
+      // Triangles whose corners lie far apart in u straddle the seam
+      polygons = (Math.max(...uValues) - Math.min(...uValues) > 0.5)
+        ? splitAtSeam(corners)
+        : [corners];
+
+      polygons.forEach(function (paramPolygon) {
+
+        // Fan out from the first corner, keeping the face's winding
+        for (let i = 1; i < paramPolygon.length - 1; i++) {
+          [
+            paramPolygon[0],
+            paramPolygon[i],
+            paramPolygon[i + 1],
+          ].forEach(function (paramCorner, paramIndex, paramTriangle) {
+
+            // Declarations
+            let texCoord, others;
+
+            // Definitions
+            texCoord = paramCorner.texCoord.slice();
+            others = paramTriangle.filter(function (paramOther) {
+              return !paramOther.isPole;
+            });
+
+            // Pole corners take the mean u of the remaining corners
+            if (paramCorner.isPole) {
+              texCoord[0] = others.reduce(function (paramSum, paramOther) {
+                return paramSum + paramOther.texCoord[0];
+              }, 0) / others.length;
+            }
+
+            mesh.indices.push(addVertex(paramCorner.position, texCoord));
+          });
+        }
+      });
+    });
+
+    return this.assembleMeshData(mesh);
   };
 
   /**
-   * @description Generator for Octahedron object, created from Nick
+   * @description Generator for Octahedron object, originally created from Nick
    * Desaulniers' (nick@mozilla.com)
    * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
-   * for WebGL"</a> free-use GitHub repository.
+   * for WebGL"</a> free-use GitHub repository and now built from the six unit
+   * axis vectors.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
+   * @param {object=} paramOptions <code>{radius}</code>
    * @returns {object}
    */
-  inaccessible.defineOctahedron = function () {
+  inaccessible.defineOctahedron = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, index;
-
-    vertices = new Float32Array([
-      -0.7071067811865475,0,-0.7071067811865475,-0.7071067811865475,0,
-      0.7071067811865475,0,1,0,0.7071067811865475,0,-0.7071067811865475,
-      -0.7071067811865475,0,-0.7071067811865475,0,1,0,0.7071067811865475,0,
-      0.7071067811865475,0.7071067811865475,0,-0.7071067811865475,0,1,0,
-      -0.7071067811865475,0,0.7071067811865475,0.7071067811865475,0,
-      0.7071067811865475,0,1,0,-0.7071067811865475,0,-0.7071067811865475,
-      0.7071067811865475,0,-0.7071067811865475,0,-1,0,-0.7071067811865475,0,
-      0.7071067811865475,-0.7071067811865475,0,-0.7071067811865475,0,-1,0,
-      0.7071067811865475,0,-0.7071067811865475,0.7071067811865475,0,
-      0.7071067811865475,0,-1,0,0.7071067811865475,0,0.7071067811865475,
-      -0.7071067811865475,0,0.7071067811865475,0,-1,0,
-    ]);
-
-    normals = new Float32Array([
-      -0.4714045207910318,0.33333333333333337,0,-0.4714045207910318,
-      0.33333333333333337,0,-0.4714045207910318,0.33333333333333337,0,0,
-      0.33333333333333337,-0.4714045207910318,0,0.33333333333333337,
-      -0.4714045207910318,0,0.33333333333333337,-0.4714045207910318,
-      0.4714045207910318,0.33333333333333337,0,0.4714045207910318,
-      0.33333333333333337,0,0.4714045207910318,0.33333333333333337,0,0,
-      0.33333333333333337,0.4714045207910318,0,0.33333333333333337,
-      0.4714045207910318,0,0.33333333333333337,0.4714045207910318,0,
-      -0.33333333333333337,-0.4714045207910318,0,-0.33333333333333337,
-      -0.4714045207910318,0,-0.33333333333333337,-0.4714045207910318,
-      -0.4714045207910318,-0.33333333333333337,0,-0.4714045207910318,
-      -0.33333333333333337,0,-0.4714045207910318,-0.33333333333333337,0,
-      0.4714045207910318,-0.33333333333333337,0,0.4714045207910318,
-      -0.33333333333333337,0,0.4714045207910318,-0.33333333333333337,0,0,
-      -0.33333333333333337,0.4714045207910318,0,-0.33333333333333337,
-      0.4714045207910318,0,-0.33333333333333337,0.4714045207910318,
-    ]);
-
-    index = new Uint16Array([
-      0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,
-    ]);
+    let options, vertices;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: null,
-      indices: index,
-    };
+    // Definitions
+    options = this.applyDefaults(this.Defaults.OCTAHEDRON, paramOptions);
+    vertices = [
+      [1, 0, 0], [-1, 0, 0],
+      [0, 1, 0], [0, -1, 0],
+      [0, 0, 1], [0, 0, -1],
+    ];
+
+    return this.defineRegularPolyhedron(vertices, options.radius);
   };
 
   /**
-   * @description Generator for Tetrahedron object, created from Nick
+   * @description Generator for Tetrahedron object, originally created from Nick
    * Desaulniers' (nick@mozilla.com)
    * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
-   * for WebGL"</a> free-use GitHub repository.
+   * for WebGL"</a> free-use GitHub repository and now built from four
+   * alternating corners of a cube.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
+   * @param {object=} paramOptions <code>{radius}</code>
    * @returns {object}
    */
-  inaccessible.defineTetrahedron = function () {
+  inaccessible.defineTetrahedron = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, index;
-
-    vertices = new Float32Array([
-      -1,1,-1,1,1,1,1,-1,-1,-1,-1,1,-1,1,-1,1,-1,-1,1,-1,-1,1,1,1,-1,-1,1,-1,-1,
-      1,1,1,1,-1,1,-1,
-    ]);
-
-    normals = new Float32Array([
-      0.08333333333333333,0.08333333333333333,-0.08333333333333333,
-      0.08333333333333333,0.08333333333333333,-0.08333333333333333,
-      0.08333333333333333,0.08333333333333333,-0.08333333333333333,
-      -0.08333333333333333,-0.08333333333333333,-0.08333333333333333,
-      -0.08333333333333333,-0.08333333333333333,-0.08333333333333333,
-      -0.08333333333333333,-0.08333333333333333,-0.08333333333333333,
-      0.08333333333333333,-0.08333333333333333,0.08333333333333333,
-      0.08333333333333333,-0.08333333333333333,0.08333333333333333,
-      0.08333333333333333,-0.08333333333333333,0.08333333333333333,
-      -0.08333333333333333,0.08333333333333333,0.08333333333333333,
-      -0.08333333333333333,0.08333333333333333,0.08333333333333333,
-      -0.08333333333333333,0.08333333333333333,0.08333333333333333,
-    ]);
-
-    index = new Uint16Array([
-      0,1,2,3,4,5,6,7,8,9,10,11,
-    ]);
+    let options, vertices;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: null,
-      indices: index,
-    };
+    // Definitions
+    options = this.applyDefaults(this.Defaults.TETRAHEDRON, paramOptions);
+    vertices = [
+      [1, 1, 1], [1, -1, -1],
+      [-1, 1, -1], [-1, -1, 1],
+    ];
+
+    return this.defineRegularPolyhedron(vertices, options.radius);
   };
 
   /**
-   * @description Generator for Pyramid object, created from Nick Desaulniers'
-   * (nick@mozilla.com) <a href="https://github.com/nickdesaulniers/prims">"3D
-   * Geometry Primitives for WebGL"</a> free-use GitHub repository.
+   * @description Generator for Pyramid object, originally created from Nick
+   * Desaulniers' (nick@mozilla.com)
+   * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
+   * for WebGL"</a> free-use GitHub repository. The pyramid is now built from a
+   * regular base polygon of <code>slices</code> sides centered below the apex,
+   * with the solid as a whole centered vertically on the origin.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
+   * @param {object=} paramOptions <code>{radius, height, slices}</code>
    * @returns {object}
    */
-  inaccessible.definePyramid = function () {
+  inaccessible.definePyramid = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, index;
-
-    vertices = new Float32Array([
-      -0.7071067811865476,-0.7071067811865476,0.7071067811865476,0,
-      -0.7071067811865476,-0.7071067811865476,0.7071067811865476,
-      -0.7071067811865476,0.7071067811865476,-0.7071067811865476,
-      -0.7071067811865476,0.7071067811865476,0.7071067811865476,
-      -0.7071067811865476,0.7071067811865476,0,0.7071067811865476,0,
-      0.7071067811865476,-0.7071067811865476,0.7071067811865476,0,
-      -0.7071067811865476,-0.7071067811865476,0,0.7071067811865476,0,
-      -0.7071067811865476,-0.7071067811865476,0.7071067811865476,0,
-      0.7071067811865476,0,0,-0.7071067811865476,-0.7071067811865476,
-    ]);
-
-    normals = new Float32Array([
-      0,-0.4999999999999999,0,0,-0.4999999999999999,0,0,-0.4999999999999999,0,0,
-      0.19999999999999998,0.39999999999999997,0,0.19999999999999998,
-      0.39999999999999997,0,0.19999999999999998,0.39999999999999997,
-      0.38095238095238093,0.09523809523809523,-0.19047619047619047,
-      0.38095238095238093,0.09523809523809523,-0.19047619047619047,
-      0.38095238095238093,0.09523809523809523,-0.19047619047619047,
-      -0.38095238095238093,0.09523809523809523,-0.19047619047619047,
-      -0.38095238095238093,0.09523809523809523,-0.19047619047619047,
-      -0.38095238095238093,0.09523809523809523,-0.19047619047619047,
-    ]);
-
-    index = new Uint16Array([
-      0,1,2,3,4,5,6,7,8,9,10,11,
-    ]);
+    let options, mesh, base, apex, center, angle;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: null,
-      indices: index,
-    };
+    // Definitions
+    options = this.applyDefaults(this.Defaults.PYRAMID, paramOptions);
+    mesh = this.createMesh();
+    base = [];
+    apex = [0, options.height / 2, 0];
+    center = [0, -options.height / 4, 0];
+
+    for (let i = 0; i < options.slices; i++) {
+      angle = 2 * Math.PI * i / options.slices;
+      base.push([
+        options.radius * Math.sin(angle),
+        -options.height / 2,
+        options.radius * Math.cos(angle),
+      ]);
+    }
+
+    // Sides
+    for (let i = 0; i < options.slices; i++) {
+      this.appendFlatPolygon(mesh,
+          [base[i], base[(i + 1) % options.slices], apex], center);
+    }
+
+    // Base
+    this.appendFlatPolygon(mesh, base, center);
+
+    return this.assembleMeshData(mesh);
   };
 
   /**
-   * @description Generator for Dodecahedron object, created from Nick
-   * Desaulniers' (nick@mozilla.com)
+   * @description Generator for Dodecahedron object, originally created from
+   * Nick Desaulniers' (nick@mozilla.com)
    * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
-   * for WebGL"</a> free-use GitHub repository.
+   * for WebGL"</a> free-use GitHub repository. It is now built as the dual of
+   * the icosahedron; each icosahedron face center becomes a vertex, and the
+   * five faces surrounding each icosahedron vertex become a pentagon, sorted by
+   * angle about that vertex.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
+   * @param {object=} paramOptions <code>{radius}</code>
    * @returns {object}
    */
-  inaccessible.defineDodecahedron = function () {
+  inaccessible.defineDodecahedron = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, index;
-
-    vertices = new Float32Array([
-      0.6180339887498948,0.6180339887498948,0.6180339887498948,0,1,
-      0.3819660112501051,0,0.447213595499958,0.7236067977499789,0,1,
-      0.3819660112501051,-0.6180339887498948,0.6180339887498948,
-      0.6180339887498948,0,0.447213595499958,0.7236067977499789,
-      -0.6180339887498948,0.6180339887498948,0.6180339887498948,
-      -0.3819660112501051,0,1,0,0.447213595499958,0.7236067977499789,
-      -0.3819660112501051,0,1,0.3819660112501051,0,1,0,0.447213595499958,
-      0.7236067977499789,0.3819660112501051,0,1,0.6180339887498948,
-      0.6180339887498948,0.6180339887498948,0,0.447213595499958,
-      0.7236067977499789,-0.6180339887498948,-0.6180339887498948,
-      0.6180339887498948,0,-1,0.3819660112501051,0,-0.447213595499958,
-      0.7236067977499789,0,-1,0.3819660112501051,0.6180339887498948,
-      -0.6180339887498948,0.6180339887498948,0,-0.447213595499958,
-      0.7236067977499789,0.6180339887498948,-0.6180339887498948,
-      0.6180339887498948,0.3819660112501051,0,1,0,-0.447213595499958,
-      0.7236067977499789,0.3819660112501051,0,1,-0.3819660112501051,0,1,0,
-      -0.447213595499958,0.7236067977499789,-0.3819660112501051,0,1,
-      -0.6180339887498948,-0.6180339887498948,0.6180339887498948,0,
-      -0.447213595499958,0.7236067977499789,0.6180339887498948,
-      -0.6180339887498948,-0.6180339887498948,0,-1,-0.3819660112501051,0,
-      -0.447213595499958,-0.7236067977499789,0,-1,-0.3819660112501051,
-      -0.6180339887498948,-0.6180339887498948,-0.6180339887498948,0,
-      -0.447213595499958,-0.7236067977499789,-0.6180339887498948,
-      -0.6180339887498948,-0.6180339887498948,-0.3819660112501051,0,-1,0,
-      -0.447213595499958,-0.7236067977499789,-0.3819660112501051,0,-1,
-      0.3819660112501051,0,-1,0,-0.447213595499958,-0.7236067977499789,
-      0.3819660112501051,0,-1,0.6180339887498948,-0.6180339887498948,
-      -0.6180339887498948,0,-0.447213595499958,-0.7236067977499789,
-      -0.6180339887498948,0.6180339887498948,-0.6180339887498948,0,1,
-      -0.3819660112501051,0,0.447213595499958,-0.7236067977499789,0,1,
-      -0.3819660112501051,0.6180339887498948,0.6180339887498948,
-      -0.6180339887498948,0,0.447213595499958,-0.7236067977499789,
-      0.6180339887498948,0.6180339887498948,-0.6180339887498948,
-      0.3819660112501051,0,-1,0,0.447213595499958,-0.7236067977499789,
-      0.3819660112501051,0,-1,-0.3819660112501051,0,-1,0,0.447213595499958,
-      -0.7236067977499789,-0.3819660112501051,0,-1,-0.6180339887498948,
-      0.6180339887498948,-0.6180339887498948,0,0.447213595499958,
-      -0.7236067977499789,0,1,-0.3819660112501051,0,1,0.3819660112501051,
-      0.447213595499958,0.7236067977499789,0,0,1,0.3819660112501051,
-      0.6180339887498948,0.6180339887498948,0.6180339887498948,
-      0.447213595499958,0.7236067977499789,0,0.6180339887498948,
-      0.6180339887498948,0.6180339887498948,1,0.3819660112501051,0,
-      0.447213595499958,0.7236067977499789,0,1,0.3819660112501051,0,
-      0.6180339887498948,0.6180339887498948,-0.6180339887498948,
-      0.447213595499958,0.7236067977499789,0,0.6180339887498948,
-      0.6180339887498948,-0.6180339887498948,0,1,-0.3819660112501051,
-      0.447213595499958,0.7236067977499789,0,0,1,0.3819660112501051,0,1,
-      -0.3819660112501051,-0.447213595499958,0.7236067977499789,0,0,1,
-      -0.3819660112501051,-0.6180339887498948,0.6180339887498948,
-      -0.6180339887498948,-0.447213595499958,0.7236067977499789,0,
-      -0.6180339887498948,0.6180339887498948,-0.6180339887498948,-1,
-      0.3819660112501051,0,-0.447213595499958,0.7236067977499789,0,-1,
-      0.3819660112501051,0,-0.6180339887498948,0.6180339887498948,
-      0.6180339887498948,-0.447213595499958,0.7236067977499789,0,
-      -0.6180339887498948,0.6180339887498948,0.6180339887498948,0,1,
-      0.3819660112501051,-0.447213595499958,0.7236067977499789,0,0,-1,
-      -0.3819660112501051,0,-1,0.3819660112501051,-0.447213595499958,
-      -0.7236067977499789,0,0,-1,0.3819660112501051,-0.6180339887498948,
-      -0.6180339887498948,0.6180339887498948,-0.447213595499958,
-      -0.7236067977499789,0,-0.6180339887498948,-0.6180339887498948,
-      0.6180339887498948,-1,-0.3819660112501051,0,-0.447213595499958,
-      -0.7236067977499789,0,-1,-0.3819660112501051,0,-0.6180339887498948,
-      -0.6180339887498948,-0.6180339887498948,-0.447213595499958,
-      -0.7236067977499789,0,-0.6180339887498948,-0.6180339887498948,
-      -0.6180339887498948,0,-1,-0.3819660112501051,-0.447213595499958,
-      -0.7236067977499789,0,0,-1,0.3819660112501051,0,-1,
-      -0.3819660112501051,0.447213595499958,-0.7236067977499789,0,0,-1,
-      -0.3819660112501051,0.6180339887498948,-0.6180339887498948,
-      -0.6180339887498948,0.447213595499958,-0.7236067977499789,0,
-      0.6180339887498948,-0.6180339887498948,-0.6180339887498948,1,
-      -0.3819660112501051,0,0.447213595499958,-0.7236067977499789,0,1,
-      -0.3819660112501051,0,0.6180339887498948,-0.6180339887498948,
-      0.6180339887498948,0.447213595499958,-0.7236067977499789,0,
-      0.6180339887498948,-0.6180339887498948,0.6180339887498948,0,-1,
-      0.3819660112501051,0.447213595499958,-0.7236067977499789,0,
-      0.6180339887498948,0.6180339887498948,0.6180339887498948,
-      0.3819660112501051,0,1,0.7236067977499789,0,0.447213595499958,
-      0.3819660112501051,0,1,0.6180339887498948,-0.6180339887498948,
-      0.6180339887498948,0.7236067977499789,0,0.447213595499958,
-      0.6180339887498948,-0.6180339887498948,0.6180339887498948,1,
-      -0.3819660112501051,0,0.7236067977499789,0,0.447213595499958,1,
-      -0.3819660112501051,0,1,0.3819660112501051,0,0.7236067977499789,0,
-      0.447213595499958,1,0.3819660112501051,0,0.6180339887498948,
-      0.6180339887498948,0.6180339887498948,0.7236067977499789,0,
-      0.447213595499958,0.6180339887498948,-0.6180339887498948,
-      -0.6180339887498948,0.3819660112501051,0,-1,0.7236067977499789,0,
-      -0.447213595499958,0.3819660112501051,0,-1,0.6180339887498948,
-      0.6180339887498948,-0.6180339887498948,0.7236067977499789,0,
-      -0.447213595499958,0.6180339887498948,0.6180339887498948,
-      -0.6180339887498948,1,0.3819660112501051,0,0.7236067977499789,0,
-      -0.447213595499958,1,0.3819660112501051,0,1,-0.3819660112501051,0,
-      0.7236067977499789,0,-0.447213595499958,1,-0.3819660112501051,0,
-      0.6180339887498948,-0.6180339887498948,-0.6180339887498948,
-      0.7236067977499789,0,-0.447213595499958,-0.6180339887498948,
-      0.6180339887498948,-0.6180339887498948,-0.3819660112501051,0,-1,
-      -0.7236067977499789,0,-0.447213595499958,-0.3819660112501051,0,-1,
-      -0.6180339887498948,-0.6180339887498948,-0.6180339887498948,
-      -0.7236067977499789,0,-0.447213595499958,-0.6180339887498948,
-      -0.6180339887498948,-0.6180339887498948,-1,-0.3819660112501051,0,
-      -0.7236067977499789,0,-0.447213595499958,-1,-0.3819660112501051,0,-1,
-      0.3819660112501051,0,-0.7236067977499789,0,-0.447213595499958,-1,
-      0.3819660112501051,0,-0.6180339887498948,0.6180339887498948,
-      -0.6180339887498948,-0.7236067977499789,0,-0.447213595499958,
-      -0.6180339887498948,-0.6180339887498948,0.6180339887498948,
-      -0.3819660112501051,0,1,-0.7236067977499789,0,0.447213595499958,
-      -0.3819660112501051,0,1,-0.6180339887498948,0.6180339887498948,
-      0.6180339887498948,-0.7236067977499789,0,0.447213595499958,
-      -0.6180339887498948,0.6180339887498948,0.6180339887498948,-1,
-      0.3819660112501051,0,-0.7236067977499789,0,0.447213595499958,-1,
-      0.3819660112501051,0,-1,-0.3819660112501051,0,-0.7236067977499789,0,
-      0.447213595499958,-1,-0.3819660112501051,0,-0.6180339887498948,
-      -0.6180339887498948,0.6180339887498948,-0.7236067977499789,0,
-      0.447213595499958,
-    ]);
-
-    normals = new Float32Array([
-      2.5810992797507307e-16,1.3090169943749475,2.118033988749895,
-      2.5810992797507307e-16,1.3090169943749475,2.118033988749895,
-      2.5810992797507307e-16,1.3090169943749475,2.118033988749895,
-      -3.4414657063343076e-16,1.3090169943749475,2.118033988749895,
-      -3.4414657063343076e-16,1.3090169943749475,2.118033988749895,
-      -3.4414657063343076e-16,1.3090169943749475,2.118033988749895,
-      -2.5810992797507307e-16,1.3090169943749477,2.118033988749895,
-      -2.5810992797507307e-16,1.3090169943749477,2.118033988749895,
-      -2.5810992797507307e-16,1.3090169943749477,2.118033988749895,0,
-      1.3090169943749475,2.118033988749895,0,1.3090169943749475,
-      2.118033988749895,0,1.3090169943749475,2.118033988749895,
-      1.7207328531671538e-16,1.3090169943749475,2.118033988749895,
-      1.7207328531671538e-16,1.3090169943749475,2.118033988749895,
-      1.7207328531671538e-16,1.3090169943749475,2.118033988749895,
-      -2.5810992797507307e-16,-1.3090169943749475,2.118033988749895,
-      -2.5810992797507307e-16,-1.3090169943749475,2.118033988749895,
-      -2.5810992797507307e-16,-1.3090169943749475,2.118033988749895,
-      3.4414657063343076e-16,-1.3090169943749475,2.118033988749895,
-      3.4414657063343076e-16,-1.3090169943749475,2.118033988749895,
-      3.4414657063343076e-16,-1.3090169943749475,2.118033988749895,
-      2.5810992797507307e-16,-1.3090169943749477,2.118033988749895,
-      2.5810992797507307e-16,-1.3090169943749477,2.118033988749895,
-      2.5810992797507307e-16,-1.3090169943749477,2.118033988749895,0,
-      -1.3090169943749475,2.118033988749895,0,-1.3090169943749475,
-      2.118033988749895,0,-1.3090169943749475,2.118033988749895,
-      -1.7207328531671538e-16,-1.3090169943749475,2.118033988749895,
-      -1.7207328531671538e-16,-1.3090169943749475,2.118033988749895,
-      -1.7207328531671538e-16,-1.3090169943749475,2.118033988749895,
-      2.5810992797507307e-16,-1.3090169943749475,-2.118033988749895,
-      2.5810992797507307e-16,-1.3090169943749475,-2.118033988749895,
-      2.5810992797507307e-16,-1.3090169943749475,-2.118033988749895,
-      -3.4414657063343076e-16,-1.3090169943749475,-2.118033988749895,
-      -3.4414657063343076e-16,-1.3090169943749475,-2.118033988749895,
-      -3.4414657063343076e-16,-1.3090169943749475,-2.118033988749895,
-      -2.5810992797507307e-16,-1.3090169943749477,-2.118033988749895,
-      -2.5810992797507307e-16,-1.3090169943749477,-2.118033988749895,
-      -2.5810992797507307e-16,-1.3090169943749477,-2.118033988749895,0,
-      -1.3090169943749475,-2.118033988749895,0,-1.3090169943749475,
-      -2.118033988749895,0,-1.3090169943749475,-2.118033988749895,
-      1.7207328531671538e-16,-1.3090169943749475,-2.118033988749895,
-      1.7207328531671538e-16,-1.3090169943749475,-2.118033988749895,
-      1.7207328531671538e-16,-1.3090169943749475,-2.118033988749895,
-      -2.5810992797507307e-16,1.3090169943749475,-2.118033988749895,
-      -2.5810992797507307e-16,1.3090169943749475,-2.118033988749895,
-      -2.5810992797507307e-16,1.3090169943749475,-2.118033988749895,
-      3.4414657063343076e-16,1.3090169943749475,-2.118033988749895,
-      3.4414657063343076e-16,1.3090169943749475,-2.118033988749895,
-      3.4414657063343076e-16,1.3090169943749475,-2.118033988749895,
-      2.5810992797507307e-16,1.3090169943749477,-2.118033988749895,
-      2.5810992797507307e-16,1.3090169943749477,-2.118033988749895,
-      2.5810992797507307e-16,1.3090169943749477,-2.118033988749895,0,
-      1.3090169943749475,-2.118033988749895,0,1.3090169943749475,
-      -2.118033988749895,0,1.3090169943749475,-2.118033988749895,
-      -1.7207328531671538e-16,1.3090169943749475,-2.118033988749895,
-      -1.7207328531671538e-16,1.3090169943749475,-2.118033988749895,
-      -1.7207328531671538e-16,1.3090169943749475,-2.118033988749895,
-      1.3090169943749475,2.118033988749895,0,1.3090169943749475,
-      2.118033988749895,0,1.3090169943749475,2.118033988749895,0,
-      1.3090169943749475,2.118033988749895,1.7207328531671538e-16,
-      1.3090169943749475,2.118033988749895,1.7207328531671538e-16,
-      1.3090169943749475,2.118033988749895,1.7207328531671538e-16,
-      1.3090169943749475,2.118033988749895,2.5810992797507307e-16,
-      1.3090169943749475,2.118033988749895,2.5810992797507307e-16,
-      1.3090169943749475,2.118033988749895,2.5810992797507307e-16,
-      1.3090169943749475,2.118033988749895,-3.4414657063343076e-16,
-      1.3090169943749475,2.118033988749895,-3.4414657063343076e-16,
-      1.3090169943749475,2.118033988749895,-3.4414657063343076e-16,
-      1.3090169943749477,2.118033988749895,-2.5810992797507307e-16,
-      1.3090169943749477,2.118033988749895,-2.5810992797507307e-16,
-      1.3090169943749477,2.118033988749895,-2.5810992797507307e-16,
-      -1.3090169943749475,2.118033988749895,0,-1.3090169943749475,
-      2.118033988749895,0,-1.3090169943749475,2.118033988749895,0,
-      -1.3090169943749475,2.118033988749895,-1.7207328531671538e-16,
-      -1.3090169943749475,2.118033988749895,-1.7207328531671538e-16,
-      -1.3090169943749475,2.118033988749895,-1.7207328531671538e-16,
-      -1.3090169943749475,2.118033988749895,-2.5810992797507307e-16,
-      -1.3090169943749475,2.118033988749895,-2.5810992797507307e-16,
-      -1.3090169943749475,2.118033988749895,-2.5810992797507307e-16,
-      -1.3090169943749475,2.118033988749895,3.4414657063343076e-16,
-      -1.3090169943749475,2.118033988749895,3.4414657063343076e-16,
-      -1.3090169943749475,2.118033988749895,3.4414657063343076e-16,
-      -1.3090169943749477,2.118033988749895,2.5810992797507307e-16,
-      -1.3090169943749477,2.118033988749895,2.5810992797507307e-16,
-      -1.3090169943749477,2.118033988749895,2.5810992797507307e-16,
-      -1.3090169943749475,-2.118033988749895,0,-1.3090169943749475,
-      -2.118033988749895,0,-1.3090169943749475,-2.118033988749895,0,
-      -1.3090169943749475,-2.118033988749895,1.7207328531671538e-16,
-      -1.3090169943749475,-2.118033988749895,1.7207328531671538e-16,
-      -1.3090169943749475,-2.118033988749895,1.7207328531671538e-16,
-      -1.3090169943749475,-2.118033988749895,2.5810992797507307e-16,
-      -1.3090169943749475,-2.118033988749895,2.5810992797507307e-16,
-      -1.3090169943749475,-2.118033988749895,2.5810992797507307e-16,
-      -1.3090169943749475,-2.118033988749895,-3.4414657063343076e-16,
-      -1.3090169943749475,-2.118033988749895,-3.4414657063343076e-16,
-      -1.3090169943749475,-2.118033988749895,-3.4414657063343076e-16,
-      -1.3090169943749477,-2.118033988749895,-2.5810992797507307e-16,
-      -1.3090169943749477,-2.118033988749895,-2.5810992797507307e-16,
-      -1.3090169943749477,-2.118033988749895,-2.5810992797507307e-16,
-      1.3090169943749475,-2.118033988749895,0,1.3090169943749475,
-      -2.118033988749895,0,1.3090169943749475,-2.118033988749895,0,
-      1.3090169943749475,-2.118033988749895,-1.7207328531671538e-16,
-      1.3090169943749475,-2.118033988749895,-1.7207328531671538e-16,
-      1.3090169943749475,-2.118033988749895,-1.7207328531671538e-16,
-      1.3090169943749475,-2.118033988749895,-2.5810992797507307e-16,
-      1.3090169943749475,-2.118033988749895,-2.5810992797507307e-16,
-      1.3090169943749475,-2.118033988749895,-2.5810992797507307e-16,
-      1.3090169943749475,-2.118033988749895,3.4414657063343076e-16,
-      1.3090169943749475,-2.118033988749895,3.4414657063343076e-16,
-      1.3090169943749475,-2.118033988749895,3.4414657063343076e-16,
-      1.3090169943749477,-2.118033988749895,2.5810992797507307e-16,
-      1.3090169943749477,-2.118033988749895,2.5810992797507307e-16,
-      1.3090169943749477,-2.118033988749895,2.5810992797507307e-16,
-      2.118033988749895,2.5810992797507307e-16,1.3090169943749475,
-      2.118033988749895,2.5810992797507307e-16,1.3090169943749475,
-      2.118033988749895,2.5810992797507307e-16,1.3090169943749475,
-      2.118033988749895,-3.4414657063343076e-16,1.3090169943749475,
-      2.118033988749895,-3.4414657063343076e-16,1.3090169943749475,
-      2.118033988749895,-3.4414657063343076e-16,1.3090169943749475,
-      2.118033988749895,-2.5810992797507307e-16,1.3090169943749477,
-      2.118033988749895,-2.5810992797507307e-16,1.3090169943749477,
-      2.118033988749895,-2.5810992797507307e-16,1.3090169943749477,
-      2.118033988749895,0,1.3090169943749475,2.118033988749895,0,
-      1.3090169943749475,2.118033988749895,0,1.3090169943749475,
-      2.118033988749895,1.7207328531671538e-16,1.3090169943749475,
-      2.118033988749895,1.7207328531671538e-16,1.3090169943749475,
-      2.118033988749895,1.7207328531671538e-16,1.3090169943749475,
-      2.118033988749895,-2.5810992797507307e-16,-1.3090169943749475,
-      2.118033988749895,-2.5810992797507307e-16,-1.3090169943749475,
-      2.118033988749895,-2.5810992797507307e-16,-1.3090169943749475,
-      2.118033988749895,3.4414657063343076e-16,-1.3090169943749475,
-      2.118033988749895,3.4414657063343076e-16,-1.3090169943749475,
-      2.118033988749895,3.4414657063343076e-16,-1.3090169943749475,
-      2.118033988749895,2.5810992797507307e-16,-1.3090169943749477,
-      2.118033988749895,2.5810992797507307e-16,-1.3090169943749477,
-      2.118033988749895,2.5810992797507307e-16,-1.3090169943749477,
-      2.118033988749895,0,-1.3090169943749475,2.118033988749895,0,
-      -1.3090169943749475,2.118033988749895,0,-1.3090169943749475,
-      2.118033988749895,-1.7207328531671538e-16,-1.3090169943749475,
-      2.118033988749895,-1.7207328531671538e-16,-1.3090169943749475,
-      2.118033988749895,-1.7207328531671538e-16,-1.3090169943749475,
-      -2.118033988749895,2.5810992797507307e-16,-1.3090169943749475,
-      -2.118033988749895,2.5810992797507307e-16,-1.3090169943749475,
-      -2.118033988749895,2.5810992797507307e-16,-1.3090169943749475,
-      -2.118033988749895,-3.4414657063343076e-16,-1.3090169943749475,
-      -2.118033988749895,-3.4414657063343076e-16,-1.3090169943749475,
-      -2.118033988749895,-3.4414657063343076e-16,-1.3090169943749475,
-      -2.118033988749895,-2.5810992797507307e-16,-1.3090169943749477,
-      -2.118033988749895,-2.5810992797507307e-16,-1.3090169943749477,
-      -2.118033988749895,-2.5810992797507307e-16,-1.3090169943749477,
-      -2.118033988749895,0,-1.3090169943749475,-2.118033988749895,0,
-      -1.3090169943749475,-2.118033988749895,0,-1.3090169943749475,
-      -2.118033988749895,1.7207328531671538e-16,-1.3090169943749475,
-      -2.118033988749895,1.7207328531671538e-16,-1.3090169943749475,
-      -2.118033988749895,1.7207328531671538e-16,-1.3090169943749475,
-      -2.118033988749895,-2.5810992797507307e-16,1.3090169943749475,
-      -2.118033988749895,-2.5810992797507307e-16,1.3090169943749475,
-      -2.118033988749895,-2.5810992797507307e-16,1.3090169943749475,
-      -2.118033988749895,3.4414657063343076e-16,1.3090169943749475,
-      -2.118033988749895,3.4414657063343076e-16,1.3090169943749475,
-      -2.118033988749895,3.4414657063343076e-16,1.3090169943749475,
-      -2.118033988749895,2.5810992797507307e-16,1.3090169943749477,
-      -2.118033988749895,2.5810992797507307e-16,1.3090169943749477,
-      -2.118033988749895,2.5810992797507307e-16,1.3090169943749477,
-      -2.118033988749895,0,1.3090169943749475,-2.118033988749895,0,
-      1.3090169943749475,-2.118033988749895,0,1.3090169943749475,
-      -2.118033988749895,-1.7207328531671538e-16,1.3090169943749475,
-      -2.118033988749895,-1.7207328531671538e-16,1.3090169943749475,
-      -2.118033988749895,-1.7207328531671538e-16,1.3090169943749475,
-    ]);
-
-    index = new Uint16Array([
-      0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,
-      28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,
-      52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,
-      76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,
-      100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,
-      118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,
-      136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,
-      154,155,156,157,158,159,160,161,162,163,164,165,166,167,168,169,170,171,
-      172,173,174,175,176,177,178,179,
-    ]);
+    let options, mesh, icosahedron, faces, centers, pentagon, axis, reference,
+      binormal, offset;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: null,
-      indices: index,
-    };
+    // Definitions
+    options = this.applyDefaults(this.Defaults.DODECAHEDRON, paramOptions);
+    mesh = this.createMesh();
+    icosahedron = this.getIcosahedronVertices();
+    faces = this.findTriangularFaces(icosahedron);
+
+    centers = this.projectOntoSphere(faces.map(function (face) {
+      return [0, 1, 2].map(function (axisIndex) {
+        return (icosahedron[face[0]][axisIndex] +
+            icosahedron[face[1]][axisIndex] +
+            icosahedron[face[2]][axisIndex]) / 3;
+      });
+    }), options.radius);
+
+    for (let i = 0; i < icosahedron.length; i++) {
+
+      // Definitions
+      axis = vec3.normalize(vec3.create(), icosahedron[i]);
+      pentagon = [];
+      offset = vec3.create();
+
+      for (let j = 0; j < faces.length; j++) {
+        if (faces[j].indexOf(i) !== -1) {
+          pentagon.push(centers[j]);
+        }
+      }
+
+      // Build a tangent frame about the icosahedron vertex
+      reference = vec3.subtract(vec3.create(), pentagon[0],
+          vec3.scale(offset, axis, vec3.dot(pentagon[0], axis)));
+      binormal = vec3.cross(vec3.create(), axis, reference);
+
+      pentagon.sort(function (paramA, paramB) {
+        return Math.atan2(vec3.dot(paramA, binormal),
+            vec3.dot(paramA, reference)) - Math.atan2(vec3.dot(paramB,
+            binormal), vec3.dot(paramB, reference));
+      });
+
+      this.appendFlatPolygon(mesh, pentagon, [0, 0, 0]);
+    }
+
+    return this.assembleMeshData(mesh);
   };
 
   /**
-   * @description Generator for Cube object, created from Nick Desaulniers'
-   * (nick@mozilla.com) <a href="https://github.com/nickdesaulniers/prims">"3D
-   * Geometry Primitives for WebGL"</a> free-use GitHub repository.
+   * @description Generator for Cube object, originally created from Nick
+   * Desaulniers' (nick@mozilla.com)
+   * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
+   * for WebGL"</a> free-use GitHub repository. Each of the six faces receives
+   * its own four vertices so that normals and texture coordinates remain flat.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
+   * @param {object=} paramOptions <code>{size}</code>
    * @returns {object}
    */
-  inaccessible.defineCube = function () {
+  inaccessible.defineCube = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, textures, index;
-
-    vertices = new Float32Array([
-      1.0,  1.0,  1.0, -1.0,  1.0, 1.0, -1.0, -1.0, 1.0, 1.0, -1.0,  1.0, 1.0,
-      1.0, -1.0, 1.0, 1.0, 1.0, 1.0, -1.0, 1.0, 1.0, -1.0, -1.0, 1.0,  1.0,
-      -1.0, -1.0,  1.0, -1.0, -1.0, 1.0, 1.0, 1.0, 1.0,  1.0, -1.0,  1.0, 1.0,
-      -1.0, 1.0, -1.0, -1.0, -1.0, -1.0, -1.0, -1.0, 1.0, 1.0, -1.0, 1.0, -1.0,
-      -1.0, 1.0, -1.0, -1.0, -1.0, 1.0, -1.0, -1.0, -1.0, 1.0, -1.0, 1.0,  1.0,
-      -1.0, 1.0, -1.0, -1.0, -1.0, -1.0, -1.0,
-    ]);
-
-    normals = new Float32Array([
-      0.0, 0.0, 1.0, 0.0, 0.0, 1.0, 0.0, 0.0, 1.0, 0.0, 0.0, 1.0, 1.0, 0.0, 0.0,
-      1.0, 0.0, 0.0, 1.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 1.0, 0.0,
-      0.0, 1.0, 0.0, 0.0, 1.0, 0.0, -1.0, 0.0, 0.0, -1.0, 0.0, 0.0, -1.0, 0.0,
-      0.0, -1.0, 0.0, 0.0, 0.0, -1.0, 0.0, 0.0, -1.0, 0.0, 0.0, -1.0, 0.0, 0.0,
-      -1.0, 0.0, 0.0, 0.0, -1.0, 0.0, 0.0, -1.0, 0.0, 0.0, -1.0, 0.0, 0.0, -1.0,
-    ]);
-
-    textures = new Float32Array([
-      1.0, 1.0, 0.0, 1.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0, 0.0, 0.0, 1.0,
-      0.0, 1.0, 1.0, 0.0, 1.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0, 0.0, 0.0,
-      1.0, 0.0, 1.0, 1.0, 0.0, 1.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0, 0.0,
-      0.0, 1.0, 0.0,
-    ]);
-
-    index = new Uint16Array([
-      0, 1, 2, 0, 2, 3, 4, 5, 6, 4, 6, 7, 8, 9, 10, 8, 10, 11, 12, 13, 14, 12,
-      14, 15, 16, 17, 18, 16, 18, 19, 20, 21, 22, 20, 22, 23,
-    ]);
+    let options, mesh, half, texCoords, u, v, face, corner;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: textures,
-      indices: index,
-    };
+    // Definitions
+    options = this.applyDefaults(this.Defaults.CUBE, paramOptions);
+    mesh = this.createMesh();
+    half = options.size / 2;
+    texCoords = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+    // Each face is defined by its normal axis and two in-plane axes
+    for (let axis = 0; axis < 3; axis++) {
+      for (let sign = -1; sign <= 1; sign += 2) {
+
+        // Definitions
+        u = (axis + 1) % 3;
+        v = (axis + 2) % 3;
+        face = [];
+
+        [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(function (square) {
+          corner = [0, 0, 0];
+          corner[axis] = sign * half;
+          corner[u] = square[0] * half;
+          corner[v] = square[1] * half;
+          face.push(corner);
+        });
+
+        this.appendFlatPolygon(mesh, face, [0, 0, 0], texCoords);
+      }
+    }
+
+    return this.assembleMeshData(mesh);
   };
 
   /**
-   * @description Generator for Cylinder object, created from Nick Desaulniers'
-   * (nick@mozilla.com) <a href="https://github.com/nickdesaulniers/prims">"3D
-   * Geometry Primitives for WebGL"</a> free-use GitHub repository.
+   * @description Generator for Cylinder object, originally created from Nick
+   * Desaulniers' (nick@mozilla.com)
+   * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
+   * for WebGL"</a> free-use GitHub repository. The cylinder is aligned with the
+   * y-axis and consists of a smooth-shaded side wall with a seam column of
+   * duplicated vertices (for texture wrapping) and two flat end caps.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
-   * @returns {Object}
+   * @param {object=} paramOptions <code>{radius, height, slices}</code>
+   * @returns {object}
    */
-  inaccessible.defineCylinder = function () {
-
-    let vertices, normals, index;
-
-    vertices = new Float32Array([
-      1,1,0,0,1,0,0.9510565162951535,1,0.3090169943749474,0.9510565162951535,1,
-      0.3090169943749474,0,1,0,0.8090169943749475,1,0.5877852522924731,
-      0.8090169943749475,1,0.5877852522924731,0,1,0,0.5877852522924731,1,
-      0.8090169943749475,0.5877852522924731,1,0.8090169943749475,0,1,0,
-      0.30901699437494745,1,0.9510565162951535,0.30901699437494745,1,
-      0.9510565162951535,0,1,0,6.123233995736766e-17,1,1,6.123233995736766e-17,
-      1,1,0,1,0,-0.30901699437494734,1,0.9510565162951536,-0.30901699437494734,
-      1,0.9510565162951536,0,1,0,-0.587785252292473,1,0.8090169943749475,
-      -0.587785252292473,1,0.8090169943749475,0,1,0,-0.8090169943749473,1,
-      0.5877852522924732,-0.8090169943749473,1,0.5877852522924732,0,1,0,
-      -0.9510565162951535,1,0.3090169943749475,-0.9510565162951535,1,
-      0.3090169943749475,0,1,0,-1,1,1.2246467991473532e-16,-1,1,
-      1.2246467991473532e-16,0,1,0,-0.9510565162951536,1,-0.3090169943749473,
-      -0.9510565162951536,1,-0.3090169943749473,0,1,0,-0.8090169943749475,
-      1,-0.587785252292473,-0.8090169943749475,1,-0.587785252292473,0,1,0,
-      -0.5877852522924732,1,-0.8090169943749473,-0.5877852522924732,1,
-      -0.8090169943749473,0,1,0,-0.30901699437494756,1,-0.9510565162951535,
-      -0.30901699437494756,1,-0.9510565162951535,0,1,0,
-      -1.8369701987210297e-16,1,-1,-1.8369701987210297e-16,1,-1,0,1,0,
-      0.30901699437494723,1,-0.9510565162951536,0.30901699437494723,1,
-      -0.9510565162951536,0,1,0,0.5877852522924729,1,-0.8090169943749476,
-      0.5877852522924729,1,-0.8090169943749476,0,1,0,0.8090169943749473,1,
-      -0.5877852522924734,0.8090169943749473,1,-0.5877852522924734,0,1,0,
-      0.9510565162951535,1,-0.3090169943749476,0.9510565162951535,1,
-      -0.3090169943749476,0,1,0,1,1,-2.4492935982947064e-16,0.9510565162951535,
-      -1,0.3090169943749474,0,-1,0,1,-1,0,0.8090169943749475,-1,
-      0.5877852522924731,0,-1,0,0.9510565162951535,-1,0.3090169943749474,
-      0.5877852522924731,-1,0.8090169943749475,0,-1,0,0.8090169943749475,-1,
-      0.5877852522924731,0.30901699437494745,-1,0.9510565162951535,0,-1,0,
-      0.5877852522924731,-1,0.8090169943749475,6.123233995736766e-17,-1,1,0,-1,
-      0,0.30901699437494745,-1,0.9510565162951535,-0.30901699437494734,-1,
-      0.9510565162951536,0,-1,0,6.123233995736766e-17,-1,1,-0.587785252292473,
-      -1,0.8090169943749475,0,-1,0,-0.30901699437494734,-1,0.9510565162951536,
-      -0.8090169943749473,-1,0.5877852522924732,0,-1,0,-0.587785252292473,-1,
-      0.8090169943749475,-0.9510565162951535,-1,0.3090169943749475,0,-1,0,
-      -0.8090169943749473,-1,0.5877852522924732,-1,-1,1.2246467991473532e-16,0,
-      -1,0,-0.9510565162951535,-1,0.3090169943749475,-0.9510565162951536,-1,
-      -0.3090169943749473,0,-1,0,-1,-1,1.2246467991473532e-16,
-      -0.8090169943749475,-1,-0.587785252292473,0,-1,0,-0.9510565162951536,-1,
-      -0.3090169943749473,-0.5877852522924732,-1,-0.8090169943749473,0,-1,0,
-      -0.8090169943749475,-1,-0.587785252292473,-0.30901699437494756,-1,
-      -0.9510565162951535,0,-1,0,-0.5877852522924732,-1,-0.8090169943749473,
-      -1.8369701987210297e-16,-1,-1,0,-1,0,-0.30901699437494756,-1,
-      -0.9510565162951535,0.30901699437494723,-1,-0.9510565162951536,0,-1,0,
-      -1.8369701987210297e-16,-1,-1,0.5877852522924729,-1,-0.8090169943749476,
-      0,-1,0,0.30901699437494723,-1,-0.9510565162951536,0.8090169943749473,-1,
-      -0.5877852522924734,0,-1,0,0.5877852522924729,-1,-0.8090169943749476,
-      0.9510565162951535,-1,-0.3090169943749476,0,-1,0,0.8090169943749473,-1,
-      -0.5877852522924734,1,-1,-2.4492935982947064e-16,0,-1,0,
-      0.9510565162951535,-1,-0.3090169943749476,1,1,0,0.9510565162951535,1,
-      0.3090169943749474,0.9510565162951535,-1,0.3090169943749474,1,1,0,
-      0.9510565162951535,-1,0.3090169943749474,1,-1,0,0.9510565162951535,1,
-      0.3090169943749474,0.8090169943749475,1,0.5877852522924731,
-      0.8090169943749475,-1,0.5877852522924731,0.9510565162951535,1,
-      0.3090169943749474,0.8090169943749475,-1,0.5877852522924731,
-      0.9510565162951535,-1,0.3090169943749474,0.8090169943749475,1,
-      0.5877852522924731,0.5877852522924731,1,0.8090169943749475,
-      0.5877852522924731,-1,0.8090169943749475,0.8090169943749475,1,
-      0.5877852522924731,0.5877852522924731,-1,0.8090169943749475,
-      0.8090169943749475,-1,0.5877852522924731,0.5877852522924731,1,
-      0.8090169943749475,0.30901699437494745,1,0.9510565162951535,
-      0.30901699437494745,-1,0.9510565162951535,0.5877852522924731,1,
-      0.8090169943749475,0.30901699437494745,-1,0.9510565162951535,
-      0.5877852522924731,-1,0.8090169943749475,0.30901699437494745,1,
-      0.9510565162951535,6.123233995736766e-17,1,1,6.123233995736766e-17,-1,1,
-      0.30901699437494745,1,0.9510565162951535,6.123233995736766e-17,-1,1,
-      0.30901699437494745,-1,0.9510565162951535,6.123233995736766e-17,1,1,
-      -0.30901699437494734,1,0.9510565162951536,-0.30901699437494734,-1,
-      0.9510565162951536,6.123233995736766e-17,1,1,-0.30901699437494734,-1,
-      0.9510565162951536,6.123233995736766e-17,-1,1,-0.30901699437494734,1,
-      0.9510565162951536,-0.587785252292473,1,0.8090169943749475,
-      -0.587785252292473,-1,0.8090169943749475,-0.30901699437494734,1,
-      0.9510565162951536,-0.587785252292473,-1,0.8090169943749475,
-      -0.30901699437494734,-1,0.9510565162951536,-0.587785252292473,1,
-      0.8090169943749475,-0.8090169943749473,1,0.5877852522924732,
-      -0.8090169943749473,-1,0.5877852522924732,-0.587785252292473,1,
-      0.8090169943749475,-0.8090169943749473,-1,0.5877852522924732,
-      -0.587785252292473,-1,0.8090169943749475,-0.8090169943749473,1,
-      0.5877852522924732,-0.9510565162951535,1,0.3090169943749475,
-      -0.9510565162951535,-1,0.3090169943749475,-0.8090169943749473,1,
-      0.5877852522924732,-0.9510565162951535,-1,0.3090169943749475,
-      -0.8090169943749473,-1,0.5877852522924732,-0.9510565162951535,1,
-      0.3090169943749475,-1,1,1.2246467991473532e-16,-1,-1,
-      1.2246467991473532e-16,-0.9510565162951535,1,0.3090169943749475,-1,-1,
-      1.2246467991473532e-16,-0.9510565162951535,-1,0.3090169943749475,-1,1,
-      1.2246467991473532e-16,-0.9510565162951536,1,-0.3090169943749473,
-      -0.9510565162951536,-1,-0.3090169943749473,-1,1,1.2246467991473532e-16,
-      -0.9510565162951536,-1,-0.3090169943749473,-1,-1,1.2246467991473532e-16,
-      -0.9510565162951536,1,-0.3090169943749473,-0.8090169943749475,1,
-      -0.587785252292473,-0.8090169943749475,-1,-0.587785252292473,
-      -0.9510565162951536,1,-0.3090169943749473,-0.8090169943749475,-1,
-      -0.587785252292473,-0.9510565162951536,-1,-0.3090169943749473,
-      -0.8090169943749475,1,-0.587785252292473,-0.5877852522924732,1,
-      -0.8090169943749473,-0.5877852522924732,-1,-0.8090169943749473,
-      -0.8090169943749475,1,-0.587785252292473,-0.5877852522924732,-1,
-      -0.8090169943749473,-0.8090169943749475,-1,-0.587785252292473,
-      -0.5877852522924732,1,-0.8090169943749473,-0.30901699437494756,1,
-      -0.9510565162951535,-0.30901699437494756,-1,-0.9510565162951535,
-      -0.5877852522924732,1,-0.8090169943749473,-0.30901699437494756,-1,
-      -0.9510565162951535,-0.5877852522924732,-1,-0.8090169943749473,
-      -0.30901699437494756,1,-0.9510565162951535,-1.8369701987210297e-16,1,-1,
-      -1.8369701987210297e-16,-1,-1,-0.30901699437494756,1,
-      -0.9510565162951535,-1.8369701987210297e-16,-1,-1,-0.30901699437494756,-1,
-      -0.9510565162951535,-1.8369701987210297e-16,1,-1,0.30901699437494723,1,
-      -0.9510565162951536,0.30901699437494723,-1,-0.9510565162951536,
-      -1.8369701987210297e-16,1,-1,0.30901699437494723,-1,-0.9510565162951536,
-      -1.8369701987210297e-16,-1,-1,0.30901699437494723,1,-0.9510565162951536,
-      0.5877852522924729,1,-0.8090169943749476,0.5877852522924729,-1,
-      -0.8090169943749476,0.30901699437494723,1,-0.9510565162951536,
-      0.5877852522924729,-1,-0.8090169943749476,0.30901699437494723,-1,
-      -0.9510565162951536,0.5877852522924729,1,-0.8090169943749476,
-      0.8090169943749473,1,-0.5877852522924734,0.8090169943749473,-1,
-      -0.5877852522924734,0.5877852522924729,1,-0.8090169943749476,
-      0.8090169943749473,-1,-0.5877852522924734,0.5877852522924729,-1,
-      -0.8090169943749476,0.8090169943749473,1,-0.5877852522924734,
-      0.9510565162951535,1,-0.3090169943749476,0.9510565162951535,-1,
-      -0.3090169943749476,0.8090169943749473,1,-0.5877852522924734,
-      0.9510565162951535,-1,-0.3090169943749476,0.8090169943749473,-1,
-      -0.5877852522924734,0.9510565162951535,1,-0.3090169943749476,1,1,
-      -2.4492935982947064e-16,1,-1,-2.4492935982947064e-16,0.9510565162951535,1,
-      -0.3090169943749476,1,-1,-2.4492935982947064e-16,0.9510565162951535,-1,
-      -0.3090169943749476,
-    ]);
-
-    normals = new Float32Array([
-      0,3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.2360679774997894,0,0,3.2360679774997894,0,0,3.2360679774997894,0,0,
-      3.2360679774997894,0,0,3.2360679774997894,0,0,3.2360679774997894,0,0,
-      3.2360679774997907,0,0,3.2360679774997907,0,0,3.2360679774997907,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.2360679774997894,0,0,3.2360679774997894,0,0,3.2360679774997894,0,0,
-      3.2360679774997907,0,0,3.2360679774997907,0,0,3.2360679774997907,0,0,
-      3.2360679774997894,0,0,3.2360679774997894,0,0,3.2360679774997894,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.2360679774997885,0,0,3.2360679774997885,0,0,3.2360679774997885,0,0,
-      3.2360679774997907,0,0,3.2360679774997907,0,0,3.2360679774997907,0,0,
-      3.2360679774997894,0,0,3.2360679774997894,0,0,3.2360679774997894,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      3.2360679774997894,0,0,3.2360679774997894,0,0,3.2360679774997894,0,0,
-      3.2360679774997885,0,0,3.2360679774997885,0,0,3.2360679774997885,0,0,
-      3.23606797749979,0,0,3.23606797749979,0,0,3.23606797749979,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.2360679774997894,0,0,-3.2360679774997894,0,0,-3.2360679774997894,0,0,
-      -3.2360679774997894,0,0,-3.2360679774997894,0,0,-3.2360679774997894,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.2360679774997907,0,0,-3.2360679774997907,0,0,-3.2360679774997907,0,0,
-      -3.2360679774997894,0,0,-3.2360679774997894,0,0,-3.2360679774997894,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.2360679774997894,0,0,-3.2360679774997894,0,0,-3.2360679774997894,0,0,
-      -3.2360679774997907,0,0,-3.2360679774997907,0,0,-3.2360679774997907,0,0,
-      -3.2360679774997894,0,0,-3.2360679774997894,0,0,-3.2360679774997894,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,0,
-      -3.2360679774997894,0,0,-3.2360679774997894,0,0,-3.2360679774997894,0,0,
-      -3.2360679774997885,0,0,-3.2360679774997885,0,0,-3.2360679774997885,0,0,
-      -3.23606797749979,0,0,-3.23606797749979,0,0,-3.23606797749979,0,
-      1.578437878668761,0,0.2500000000000002,1.578437878668761,0,
-      0.2500000000000002,1.578437878668761,0,0.2500000000000002,
-      1.578437878668761,0,0.2500000000000002,1.578437878668761,0,
-      0.2500000000000002,1.578437878668761,0,0.2500000000000002,
-      1.4239293814812872,0,0.7255282581475765,1.4239293814812872,0,
-      0.7255282581475765,1.4239293814812872,0,0.7255282581475765,
-      1.4239293814812872,0,0.7255282581475765,1.4239293814812872,0,
-      0.7255282581475765,1.4239293814812872,0,0.7255282581475765,
-      1.1300367553350505,0,1.1300367553350505,1.1300367553350505,0,
-      1.1300367553350505,1.1300367553350505,0,1.1300367553350505,
-      1.1300367553350505,0,1.1300367553350505,1.1300367553350505,0,
-      1.1300367553350505,1.1300367553350505,0,1.1300367553350505,
-      0.7255282581475766,0,1.4239293814812874,0.7255282581475766,0,
-      1.4239293814812874,0.7255282581475766,0,1.4239293814812874,
-      0.7255282581475766,0,1.4239293814812874,0.7255282581475766,0,
-      1.4239293814812874,0.7255282581475766,0,1.4239293814812874,
-      0.2500000000000002,0,1.578437878668761,0.2500000000000002,0,
-      1.578437878668761,0.2500000000000002,0,1.578437878668761,
-      0.2500000000000002,0,1.578437878668761,0.2500000000000002,0,
-      1.578437878668761,0.2500000000000002,0,1.578437878668761,
-      -0.2499999999999997,0,1.578437878668761,-0.2499999999999997,0,
-      1.578437878668761,-0.2499999999999997,0,1.578437878668761,
-      -0.2499999999999997,0,1.578437878668761,-0.2499999999999997,0,
-      1.578437878668761,-0.2499999999999997,0,1.578437878668761,
-      -0.725528258147577,0,1.423929381481287,-0.725528258147577,0,
-      1.423929381481287,-0.725528258147577,0,1.423929381481287,
-      -0.725528258147577,0,1.423929381481287,-0.725528258147577,0,
-      1.423929381481287,-0.725528258147577,0,1.423929381481287,
-      -1.1300367553350503,0,1.130036755335051,-1.1300367553350503,0,
-      1.130036755335051,-1.1300367553350503,0,1.130036755335051,
-      -1.1300367553350503,0,1.130036755335051,-1.1300367553350503,0,
-      1.130036755335051,-1.1300367553350503,0,1.130036755335051,
-      -1.4239293814812868,0,0.7255282581475768,-1.4239293814812868,0,
-      0.7255282581475768,-1.4239293814812868,0,0.7255282581475768,
-      -1.4239293814812868,0,0.7255282581475768,-1.4239293814812868,0,
-      0.7255282581475768,-1.4239293814812868,0,0.7255282581475768,
-      -1.578437878668761,0,0.2500000000000002,-1.578437878668761,0,
-      0.2500000000000002,-1.578437878668761,0,0.2500000000000002,
-      -1.578437878668761,0,0.2500000000000002,-1.578437878668761,0,
-      0.2500000000000002,-1.578437878668761,0,0.2500000000000002,
-      -1.578437878668761,0,-0.2499999999999997,-1.578437878668761,0,
-      -0.2499999999999997,-1.578437878668761,0,-0.2499999999999997,
-      -1.578437878668761,0,-0.2499999999999997,-1.578437878668761,0,
-      -0.2499999999999997,-1.578437878668761,0,-0.2499999999999997,
-      -1.4239293814812868,0,-0.7255282581475768,-1.4239293814812868,0,
-      -0.7255282581475768,-1.4239293814812868,0,-0.7255282581475768,
-      -1.4239293814812868,0,-0.7255282581475768,-1.4239293814812868,0,
-      -0.7255282581475768,-1.4239293814812868,0,-0.7255282581475768,
-      -1.130036755335051,0,-1.1300367553350503,-1.130036755335051,0,
-      -1.1300367553350503,-1.130036755335051,0,-1.1300367553350503,
-      -1.130036755335051,0,-1.1300367553350503,-1.130036755335051,0,
-      -1.1300367553350503,-1.130036755335051,0,-1.1300367553350503,
-      -0.725528258147577,0,-1.423929381481287,-0.725528258147577,0,
-      -1.423929381481287,-0.725528258147577,0,-1.423929381481287,
-      -0.725528258147577,0,-1.423929381481287,-0.725528258147577,0,
-      -1.423929381481287,-0.725528258147577,0,-1.423929381481287,
-      -0.2500000000000002,0,-1.578437878668761,-0.2500000000000002,0,
-      -1.578437878668761,-0.2500000000000002,0,-1.578437878668761,
-      -0.2500000000000002,0,-1.578437878668761,-0.2500000000000002,0,
-      -1.578437878668761,-0.2500000000000002,0,-1.578437878668761,
-      0.2499999999999997,0,-1.578437878668761,0.2499999999999997,0,
-      -1.578437878668761,0.2499999999999997,0,-1.578437878668761,
-      0.2499999999999997,0,-1.578437878668761,0.2499999999999997,0,
-      -1.578437878668761,0.2499999999999997,0,-1.578437878668761,
-      0.7255282581475766,0,-1.4239293814812874,0.7255282581475766,0,
-      -1.4239293814812874,0.7255282581475766,0,-1.4239293814812874,
-      0.7255282581475766,0,-1.4239293814812874,0.7255282581475766,0,
-      -1.4239293814812874,0.7255282581475766,0,-1.4239293814812874,
-      1.1300367553350499,0,-1.130036755335051,1.1300367553350499,0,
-      -1.130036755335051,1.1300367553350499,0,-1.130036755335051,
-      1.1300367553350499,0,-1.130036755335051,1.1300367553350499,0,
-      -1.130036755335051,1.1300367553350499,0,-1.130036755335051,
-      1.4239293814812868,0,-0.7255282581475768,1.4239293814812868,0
-      ,-0.7255282581475768,1.4239293814812868,0,-0.7255282581475768,
-      1.4239293814812868,0,-0.7255282581475768,1.4239293814812868,0,
-      -0.7255282581475768,1.4239293814812868,0,-0.7255282581475768,
-      1.578437878668761,0,-0.2500000000000002,1.578437878668761,0,
-      -0.2500000000000002,1.578437878668761,0,-0.2500000000000002,
-      1.578437878668761,0,-0.2500000000000002,1.578437878668761,0,
-      -0.2500000000000002,1.578437878668761,0,-0.2500000000000002,
-    ]);
-
-    index = new Uint16Array([
-      0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,
-      28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,
-      52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,
-      76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,
-      100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,
-      118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,
-      136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,
-      154,155,156,157,158,159,160,161,162,163,164,165,166,167,168,169,170,171,
-      172,173,174,175,176,177,178,179,180,181,182,183,184,185,186,187,188,189,
-      190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,
-      208,209,210,211,212,213,214,215,216,217,218,219,220,221,222,223,224,225,
-      226,227,228,229,230,231,232,233,234,235,236,237,238,239,
-    ]);
+  inaccessible.defineCylinder = function (paramOptions) {
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: null,
-      indices: index,
-    };
+    // Declarations
+    let options, mesh, slices, half, angle, x, z, offset, center;
+
+    // Definitions
+    options = this.applyDefaults(this.Defaults.CYLINDER, paramOptions);
+    mesh = this.createMesh();
+    slices = options.slices;
+    half = options.height / 2;
+
+    // Side wall, top and bottom vertex per column
+    for (let i = 0; i <= slices; i++) {
+      angle = 2 * Math.PI * i / slices;
+      x = Math.cos(angle);
+      z = Math.sin(angle);
+
+      mesh.positions.push(options.radius * x, half, options.radius * z);
+      mesh.positions.push(options.radius * x, -half, options.radius * z);
+      mesh.normals.push(x, 0, z, x, 0, z);
+      mesh.texCoords.push(i / slices, 1, i / slices, 0);
+    }
+
+    for (let i = 0; i < slices; i++) {
+      offset = 2 * i;
+      mesh.indices.push(offset, offset + 3, offset + 1);
+      mesh.indices.push(offset, offset + 2, offset + 3);
+    }
+
+    // Top and bottom caps, each a fan about a center vertex
+    [1, -1].forEach(function (sign) {
+      center = mesh.positions.length / 3;
+
+      mesh.positions.push(0, sign * half, 0);
+      mesh.normals.push(0, sign, 0);
+      mesh.texCoords.push(0.5, 0.5);
+
+      for (let i = 0; i <= slices; i++) {
+        angle = 2 * Math.PI * i / slices;
+        x = Math.cos(angle);
+        z = Math.sin(angle);
+
+        mesh.positions.push(options.radius * x, sign * half,
+            options.radius * z);
+        mesh.normals.push(0, sign, 0);
+        mesh.texCoords.push(0.5 + x / 2, 0.5 + z / 2);
+      }
+
+      for (let i = 1; i <= slices; i++) {
+        if (sign > 0) {
+          mesh.indices.push(center, center + i + 1, center + i);
+        } else {
+          mesh.indices.push(center, center + i, center + i + 1);
+        }
+      }
+    });
+
+    return this.assembleMeshData(mesh);
   };
 
   /**
-   * @description Generator for Sierpinski object, created from Nick
+   * @description Generator for Sierpinski object, originally created from Nick
    * Desaulniers' (nick@mozilla.com)
    * <a href="https://github.com/nickdesaulniers/prims">"3D Geometry Primitives
-   * for WebGL"</a> free-use GitHub repository.
+   * for WebGL"</a> free-use GitHub repository. The fractal is now built by
+   * recursively replacing a regular tetrahedron with the four half-sized
+   * tetrahedra at its corners <code>depth</code> times; a depth of three
+   * matches the original arrays. As each level quadruples the number of
+   * tetrahedra (each with twelve flat-shaded vertices), depths of seven and
+   * above exceed the 16-bit index range and make for a decent stress-test
+   * object.
    *
    * @see {@link https://github.com/nickdesaulniers/prims|/prims}
+   * @param {object=} paramOptions <code>{radius, depth}</code>
    * @returns {object}
    */
-  inaccessible.defineSierpinski = function () {
+  inaccessible.defineSierpinski = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, index;
-
-    vertices = new Float32Array([
-      0,0,-1,-0.1020625,-0.058925,-0.8333375000000001,0,0.11785,
-      -0.8333375000000001,0,0,-1,0.1020625,-0.058925,-0.8333375000000001,
-      -0.1020625,-0.058925,-0.8333375000000001,0,0,-1,0,0.11785,
-      -0.8333375000000001,0.1020625,-0.058925,-0.8333375000000001,0,
-      0.11785,-0.8333375000000001,-0.1020625,-0.058925,-0.8333375000000001,
-      0.1020625,-0.058925,-0.8333375000000001,0,0.11785,-0.8333375000000001,
-      -0.1020625,0.058925,-0.666675,0,0.2357,-0.666675,0,0.11785,
-      -0.8333375000000001,0.1020625,0.058925,-0.666675,-0.1020625,0.058925,
-      -0.666675,0,0.11785,-0.8333375000000001,0,0.2357,-0.666675,0.1020625,
-      0.058925,-0.666675,0,0.2357,-0.666675,-0.1020625,0.058925,-0.666675,
-      0.1020625,0.058925,-0.666675,-0.1020625,-0.058925,-0.8333375000000001,
-      -0.204125,-0.11785,-0.666675,-0.1020625,0.058925,-0.666675,-0.1020625,
-      -0.058925,-0.8333375000000001,0,-0.11785,-0.666675,-0.204125,-0.11785,
-      -0.666675,-0.1020625,-0.058925,-0.8333375000000001,-0.1020625,0.058925,
-      -0.666675,0,-0.11785,-0.666675,-0.1020625,0.058925,-0.666675,-0.204125,
-      -0.11785,-0.666675,0,-0.11785,-0.666675,0.1020625,-0.058925,
-      -0.8333375000000001,0,-0.11785,-0.666675,0.1020625,0.058925,-0.666675,
-      0.1020625,-0.058925,-0.8333375000000001,0.204125,-0.11785,-0.666675,0,
-      -0.11785,-0.666675,0.1020625,-0.058925,-0.8333375000000001,0.1020625,
-      0.058925,-0.666675,0.204125,-0.11785,-0.666675,0.1020625,0.058925,
-      -0.666675,0,-0.11785,-0.666675,0.204125,-0.11785,-0.666675,0,0.2357,
-      -0.666675,-0.1020625,0.176775,-0.5000125,0,0.35355,-0.5000125,0,0.2357,
-      -0.666675,0.1020625,0.176775,-0.5000125,-0.1020625,0.176775,-0.5000125,0,
-      0.2357,-0.666675,0,0.35355,-0.5000125,0.1020625,0.176775,-0.5000125,0,
-      0.35355,-0.5000125,-0.1020625,0.176775,-0.5000125,0.1020625,0.176775,
-      -0.5000125,0,0.35355,-0.5000125,-0.1020625,0.29462499999999997,
-      -0.33335000000000004,0,0.4714,-0.33335000000000004,0,0.35355,-0.5000125,
-      0.1020625,0.29462499999999997,-0.33335000000000004,-0.1020625,
-      0.29462499999999997,-0.33335000000000004,0,0.35355,-0.5000125,0,0.4714,
-      -0.33335000000000004,0.1020625,0.29462499999999997,-0.33335000000000004,0,
-      0.4714,-0.33335000000000004,-0.1020625,0.29462499999999997,
-      -0.33335000000000004,0.1020625,0.29462499999999997,-0.33335000000000004,
-      -0.1020625,0.176775,-0.5000125,-0.204125,0.11785,-0.33335000000000004,
-      -0.1020625,0.29462499999999997,-0.33335000000000004,-0.1020625,0.176775,
-      -0.5000125,0,0.11785,-0.33335000000000004,-0.204125,0.11785,
-      -0.33335000000000004,-0.1020625,0.176775,-0.5000125,-0.1020625,
-      0.29462499999999997,-0.33335000000000004,0,0.11785,-0.33335000000000004,
-      -0.1020625,0.29462499999999997,-0.33335000000000004,-0.204125,0.11785,
-      -0.33335000000000004,0,0.11785,-0.33335000000000004,0.1020625,0.176775,
-      -0.5000125,0,0.11785,-0.33335000000000004,0.1020625,0.29462499999999997,
-      -0.33335000000000004,0.1020625,0.176775,-0.5000125,0.204125,0.11785,
-      -0.33335000000000004,0,0.11785,-0.33335000000000004,0.1020625,0.176775,
-      -0.5000125,0.1020625,0.29462499999999997,-0.33335000000000004,0.204125,
-      0.11785,-0.33335000000000004,0.1020625,0.29462499999999997,
-      -0.33335000000000004,0,0.11785,-0.33335000000000004,0.204125,0.11785,
-      -0.33335000000000004,-0.204125,-0.11785,-0.666675,-0.3061875,-0.176775,
-      -0.5000125,-0.204125,0,-0.5000125,-0.204125,-0.11785,-0.666675,-0.1020625,
-      -0.176775,-0.5000125,-0.3061875,-0.176775,-0.5000125,-0.204125,-0.11785,
-      -0.666675,-0.204125,0,-0.5000125,-0.1020625,-0.176775,-0.5000125,
-      -0.204125,0,-0.5000125,-0.3061875,-0.176775,-0.5000125,-0.1020625,
-      -0.176775,-0.5000125,-0.204125,0,-0.5000125,-0.3061875,-0.058925,
-      -0.33335000000000004,-0.204125,0.11785,-0.33335000000000004,-0.204125,0,
-      -0.5000125,-0.1020625,-0.058925,-0.33335000000000004,-0.3061875,
-      -0.058925,-0.33335000000000004,-0.204125,0,-0.5000125,-0.204125,0.11785,
-      -0.33335000000000004,-0.1020625,-0.058925,-0.33335000000000004,-0.204125,
-      0.11785,-0.33335000000000004,-0.3061875,-0.058925,-0.33335000000000004,
-      -0.1020625,-0.058925,-0.33335000000000004,-0.3061875,-0.176775,
-      -0.5000125,-0.40825,-0.2357,-0.33335000000000004,-0.3061875,-0.058925,
-      -0.33335000000000004,-0.3061875,-0.176775,-0.5000125,-0.204125,-0.2357,
-      -0.33335000000000004,-0.40825,-0.2357,-0.33335000000000004,-0.3061875,
-      -0.176775,-0.5000125,-0.3061875,-0.058925,-0.33335000000000004,-0.204125,
-      -0.2357,-0.33335000000000004,-0.3061875,-0.058925,-0.33335000000000004,
-      -0.40825,-0.2357,-0.33335000000000004,-0.204125,-0.2357,
-      -0.33335000000000004,-0.1020625,-0.176775,-0.5000125,-0.204125,-0.2357,
-      -0.33335000000000004,-0.1020625,-0.058925,-0.33335000000000004,-0.1020625,
-      -0.176775,-0.5000125,0,-0.2357,-0.33335000000000004,-0.204125,-0.2357,
-      -0.33335000000000004,-0.1020625,-0.176775,-0.5000125,-0.1020625,-0.058925,
-      -0.33335000000000004,0,-0.2357,-0.33335000000000004,-0.1020625,-0.058925,
-      -0.33335000000000004,-0.204125,-0.2357,-0.33335000000000004,0,-0.2357,
-      -0.33335000000000004,0.204125,-0.11785,-0.666675,0.1020625,-0.176775,
-      -0.5000125,0.204125,0,-0.5000125,0.204125,-0.11785,-0.666675,0.3061875,
-      -0.176775,-0.5000125,0.1020625,-0.176775,-0.5000125,0.204125,-0.11785,
-      -0.666675,0.204125,0,-0.5000125,0.3061875,-0.176775,-0.5000125,0.204125,0,
-      -0.5000125,0.1020625,-0.176775,-0.5000125,0.3061875,-0.176775,-0.5000125,
-      0.204125,0,-0.5000125,0.1020625,-0.058925,-0.33335000000000004,0.204125,
-      0.11785,-0.33335000000000004,0.204125,0,-0.5000125,0.3061875,-0.058925,
-      -0.33335000000000004,0.1020625,-0.058925,-0.33335000000000004,0.204125,0,
-      -0.5000125,0.204125,0.11785,-0.33335000000000004,0.3061875,-0.058925,
-      -0.33335000000000004,0.204125,0.11785,-0.33335000000000004,0.1020625,
-      -0.058925,-0.33335000000000004,0.3061875,-0.058925,-0.33335000000000004,
-      0.1020625,-0.176775,-0.5000125,0,-0.2357,-0.33335000000000004,0.1020625,
-      -0.058925,-0.33335000000000004,0.1020625,-0.176775,-0.5000125,0.204125,
-      -0.2357,-0.33335000000000004,0,-0.2357,-0.33335000000000004,0.1020625,
-      -0.176775,-0.5000125,0.1020625,-0.058925,-0.33335000000000004,0.204125,
-      -0.2357,-0.33335000000000004,0.1020625,-0.058925,-0.33335000000000004,0,
-      -0.2357,-0.33335000000000004,0.204125,-0.2357,-0.33335000000000004,
-      0.3061875,-0.176775,-0.5000125,0.204125,-0.2357,-0.33335000000000004,
-      0.3061875,-0.058925,-0.33335000000000004,0.3061875,-0.176775,-0.5000125,
-      0.40825,-0.2357,-0.33335000000000004,0.204125,-0.2357,
-      -0.33335000000000004,0.3061875,-0.176775,-0.5000125,0.3061875,-0.058925,
-      -0.33335000000000004,0.40825,-0.2357,-0.33335000000000004,0.3061875,
-      -0.058925,-0.33335000000000004,0.204125,-0.2357,-0.33335000000000004,
-      0.40825,-0.2357,-0.33335000000000004,0,0.4714,-0.33335000000000004,
-      -0.1020625,0.412475,-0.16668750000000004,0,0.5892499999999999,
-      -0.16668750000000004,0,0.4714,-0.33335000000000004,0.1020625,0.412475,
-      -0.16668750000000004,-0.1020625,0.412475,-0.16668750000000004,0,0.4714,
-      -0.33335000000000004,0,0.5892499999999999,-0.16668750000000004,0.1020625,
-      0.412475,-0.16668750000000004,0,0.5892499999999999,-0.16668750000000004,
-      -0.1020625,0.412475,-0.16668750000000004,0.1020625,0.412475,
-      -0.16668750000000004,0,0.5892499999999999,-0.16668750000000004,-0.1020625,
-      0.5303249999999999,-0.000025000000000025002,0,0.7071,
-      -0.000025000000000025002,0,0.5892499999999999,-0.16668750000000004,
-      0.1020625,0.5303249999999999,-0.000025000000000025002,-0.1020625,
-      0.5303249999999999,-0.000025000000000025002,0,0.5892499999999999,
-      -0.16668750000000004,0,0.7071,-0.000025000000000025002,0.1020625,
-      0.5303249999999999,-0.000025000000000025002,0,0.7071,
-      -0.000025000000000025002,-0.1020625,0.5303249999999999,
-      -0.000025000000000025002,0.1020625,0.5303249999999999,
-      -0.000025000000000025002,-0.1020625,0.412475,-0.16668750000000004,
-      -0.204125,0.35355,-0.000025000000000025002,-0.1020625,0.5303249999999999,
-      -0.000025000000000025002,-0.1020625,0.412475,-0.16668750000000004,0,
-      0.35355,-0.000025000000000025002,-0.204125,0.35355,
-      -0.000025000000000025002,-0.1020625,0.412475,-0.16668750000000004,
-      -0.1020625,0.5303249999999999,-0.000025000000000025002,0,0.35355,
-      -0.000025000000000025002,-0.1020625,0.5303249999999999,
-      -0.000025000000000025002,-0.204125,0.35355,-0.000025000000000025002,0,
-      0.35355,-0.000025000000000025002,0.1020625,0.412475,-0.16668750000000004,
-      0,0.35355,-0.000025000000000025002,0.1020625,0.5303249999999999,
-      -0.000025000000000025002,0.1020625,0.412475,-0.16668750000000004,0.204125,
-      0.35355,-0.000025000000000025002,0,0.35355,-0.000025000000000025002,
-      0.1020625,0.412475,-0.16668750000000004,0.1020625,0.5303249999999999,
-      -0.000025000000000025002,0.204125,0.35355,-0.000025000000000025002,
-      0.1020625,0.5303249999999999,-0.000025000000000025002,0,0.35355,
-      -0.000025000000000025002,0.204125,0.35355,-0.000025000000000025002,0,
-      0.7071,-0.000025000000000025002,-0.1020625,0.648175,0.1666375,0,0.82495,
-      0.1666375,0,0.7071,-0.000025000000000025002,0.1020625,0.648175,0.1666375,
-      -0.1020625,0.648175,0.1666375,0,0.7071,-0.000025000000000025002,0,0.82495,
-      0.1666375,0.1020625,0.648175,0.1666375,0,0.82495,0.1666375,-0.1020625,
-      0.648175,0.1666375,0.1020625,0.648175,0.1666375,0,0.82495,0.1666375,
-      -0.1020625,0.766025,0.3333,0,0.9428,0.3333,0,0.82495,0.1666375,0.1020625,
-      0.766025,0.3333,-0.1020625,0.766025,0.3333,0,0.82495,0.1666375,0,0.9428,
-      0.3333,0.1020625,0.766025,0.3333,0,0.9428,0.3333,-0.1020625,0.766025,
-      0.3333,0.1020625,0.766025,0.3333,-0.1020625,0.648175,0.1666375,-0.204125,
-      0.5892499999999999,0.3333,-0.1020625,0.766025,0.3333,-0.1020625,0.648175,
-      0.1666375,0,0.5892499999999999,0.3333,-0.204125,0.5892499999999999,0.3333,
-      -0.1020625,0.648175,0.1666375,-0.1020625,0.766025,0.3333,0,
-      0.5892499999999999,0.3333,-0.1020625,0.766025,0.3333,-0.204125,
-      0.5892499999999999,0.3333,0,0.5892499999999999,0.3333,0.1020625,
-      0.648175,0.1666375,0,0.5892499999999999,0.3333,0.1020625,0.766025,0.3333,
-      0.1020625,0.648175,0.1666375,0.204125,0.5892499999999999,0.3333,0,
-      0.5892499999999999,0.3333,0.1020625,0.648175,0.1666375,0.1020625,0.766025,
-      0.3333,0.204125,0.5892499999999999,0.3333,0.1020625,0.766025,0.3333,0,
-      0.5892499999999999,0.3333,0.204125,0.5892499999999999,0.3333,-0.204125,
-      0.35355,-0.000025000000000025002,-0.3061875,0.29462499999999997,0.1666375,
-      -0.204125,0.47139999999999993,0.1666375,-0.204125,0.35355,
-      -0.000025000000000025002,-0.1020625,0.29462499999999997,0.1666375,
-      -0.3061875,0.29462499999999997,0.1666375,-0.204125,0.35355,
-      -0.000025000000000025002,-0.204125,0.47139999999999993,0.1666375,
-      -0.1020625,0.29462499999999997,0.1666375,-0.204125,0.47139999999999993,
-      0.1666375,-0.3061875,0.29462499999999997,0.1666375,-0.1020625,
-      0.29462499999999997,0.1666375,-0.204125,0.47139999999999993,0.1666375,
-      -0.3061875,0.412475,0.3333,-0.204125,0.5892499999999999,0.3333,-0.204125,
-      0.47139999999999993,0.1666375,-0.1020625,0.412475,0.3333,-0.3061875,
-      0.412475,0.3333,-0.204125,0.47139999999999993,0.1666375,-0.204125,
-      0.5892499999999999,0.3333,-0.1020625,0.412475,0.3333,-0.204125,
-      0.5892499999999999,0.3333,-0.3061875,0.412475,0.3333,-0.1020625,0.412475,
-      0.3333,-0.3061875,0.29462499999999997,0.1666375,-0.40825,0.2357,0.3333,
-      -0.3061875,0.412475,0.3333,-0.3061875,0.29462499999999997,0.1666375,
-      -0.204125,0.2357,0.3333,-0.40825,0.2357,0.3333,-0.3061875,
-      0.29462499999999997,0.1666375,-0.3061875,0.412475,0.3333,-0.204125,0.2357,
-      0.3333,-0.3061875,0.412475,0.3333,-0.40825,0.2357,0.3333,-0.204125,0.2357,
-      0.3333,-0.1020625,0.29462499999999997,0.1666375,-0.204125,0.2357,0.3333,
-      -0.1020625,0.412475,0.3333,-0.1020625,0.29462499999999997,0.1666375,0,
-      0.2357,0.3333,-0.204125,0.2357,0.3333,-0.1020625,0.29462499999999997,
-      0.1666375,-0.1020625,0.412475,0.3333,0,0.2357,0.3333,-0.1020625,0.412475,
-      0.3333,-0.204125,0.2357,0.3333,0,0.2357,0.3333,0.204125,0.35355,
-      -0.000025000000000025002,0.1020625,0.29462499999999997,0.1666375,0.204125,
-      0.47139999999999993,0.1666375,0.204125,0.35355,-0.000025000000000025002,
-      0.3061875,0.29462499999999997,0.1666375,0.1020625,0.29462499999999997,
-      0.1666375,0.204125,0.35355,-0.000025000000000025002,0.204125,
-      0.47139999999999993,0.1666375,0.3061875,0.29462499999999997,0.1666375,
-      0.204125,0.47139999999999993,0.1666375,0.1020625,0.29462499999999997,
-      0.1666375,0.3061875,0.29462499999999997,0.1666375,0.204125,
-      0.47139999999999993,0.1666375,0.1020625,0.412475,0.3333,0.204125,
-      0.5892499999999999,0.3333,0.204125,0.47139999999999993,0.1666375,
-      0.3061875,0.412475,0.3333,0.1020625,0.412475,0.3333,0.204125,
-      0.47139999999999993,0.1666375,0.204125,0.5892499999999999,0.3333,
-      0.3061875,0.412475,0.3333,0.204125,0.5892499999999999,0.3333,0.1020625,
-      0.412475,0.3333,0.3061875,0.412475,0.3333,0.1020625,0.29462499999999997,
-      0.1666375,0,0.2357,0.3333,0.1020625,0.412475,0.3333,0.1020625,
-      0.29462499999999997,0.1666375,0.204125,0.2357,0.3333,0,0.2357,0.3333,
-      0.1020625,0.29462499999999997,0.1666375,0.1020625,0.412475,0.3333,
-      0.204125,0.2357,0.3333,0.1020625,0.412475,0.3333,0,0.2357,0.3333,0.204125,
-      0.2357,0.3333,0.3061875,0.29462499999999997,0.1666375,0.204125,0.2357,
-      0.3333,0.3061875,0.412475,0.3333,0.3061875,0.29462499999999997,0.1666375,
-      0.40825,0.2357,0.3333,0.204125,0.2357,0.3333,0.3061875,
-      0.29462499999999997,0.1666375,0.3061875,0.412475,0.3333,0.40825,0.2357,
-      0.3333,0.3061875,0.412475,0.3333,0.204125,0.2357,0.3333,0.40825,0.2357,
-      0.3333,-0.40825,-0.2357,-0.33335000000000004,-0.5103125,
-      -0.29462499999999997,-0.16668750000000004,-0.40825,-0.11785,
-      -0.16668750000000004,-0.40825,-0.2357,-0.33335000000000004,-0.3061875,
-      -0.29462499999999997,-0.16668750000000004,-0.5103125,-0.29462499999999997,
-      -0.16668750000000004,-0.40825,-0.2357,-0.33335000000000004,-0.40825,
-      -0.11785,-0.16668750000000004,-0.3061875,-0.29462499999999997,
-      -0.16668750000000004,-0.40825,-0.11785,-0.16668750000000004,-0.5103125,
-      -0.29462499999999997,-0.16668750000000004,-0.3061875,-0.29462499999999997,
-      -0.16668750000000004,-0.40825,-0.11785,-0.16668750000000004,-0.5103125,
-      -0.176775,-0.000025000000000025002,-0.40825,0,-0.000025000000000025002,
-      -0.40825,-0.11785,-0.16668750000000004,-0.3061875,-0.176775,
-      -0.000025000000000025002,-0.5103125,-0.176775,-0.000025000000000025002,
-      -0.40825,-0.11785,-0.16668750000000004,-0.40825,0,
-      -0.000025000000000025002,-0.3061875,-0.176775,-0.000025000000000025002,
-      -0.40825,0,-0.000025000000000025002,-0.5103125,-0.176775,
-      -0.000025000000000025002,-0.3061875,-0.176775,-0.000025000000000025002,
-      -0.5103125,-0.29462499999999997,-0.16668750000000004,-0.612375,-0.35355,
-      -0.000025000000000025002,-0.5103125,-0.176775,-0.000025000000000025002,
-      -0.5103125,-0.29462499999999997,-0.16668750000000004,-0.40825,-0.35355,
-      -0.000025000000000025002,-0.612375,-0.35355,-0.000025000000000025002,
-      -0.5103125,-0.29462499999999997,-0.16668750000000004,-0.5103125,-0.176775,
-      -0.000025000000000025002,-0.40825,-0.35355,-0.000025000000000025002,
-      -0.5103125,-0.176775,-0.000025000000000025002,-0.612375,-0.35355,
-      -0.000025000000000025002,-0.40825,-0.35355,-0.000025000000000025002,
-      -0.3061875,-0.29462499999999997,-0.16668750000000004,-0.40825,-0.35355,
-      -0.000025000000000025002,-0.3061875,-0.176775,-0.000025000000000025002,
-      -0.3061875,-0.29462499999999997,-0.16668750000000004,-0.204125,-0.35355,
-      -0.000025000000000025002,-0.40825,-0.35355,-0.000025000000000025002,
-      -0.3061875,-0.29462499999999997,-0.16668750000000004,-0.3061875,-0.176775,
-      -0.000025000000000025002,-0.204125,-0.35355,-0.000025000000000025002,
-      -0.3061875,-0.176775,-0.000025000000000025002,-0.40825,-0.35355,
-      -0.000025000000000025002,-0.204125,-0.35355,-0.000025000000000025002,
-      -0.40825,0,-0.000025000000000025002,-0.5103125,-0.058925,0.1666375,
-      -0.40825,0.11785,0.1666375,-0.40825,0,-0.000025000000000025002,-0.3061875,
-      -0.058925,0.1666375,-0.5103125,-0.058925,0.1666375,-0.40825,0,
-      -0.000025000000000025002,-0.40825,0.11785,0.1666375,-0.3061875,-0.058925,
-      0.1666375,-0.40825,0.11785,0.1666375,-0.5103125,-0.058925,0.1666375,
-      -0.3061875,-0.058925,0.1666375,-0.40825,0.11785,0.1666375,-0.5103125,
-      0.058925,0.3333,-0.40825,0.2357,0.3333,-0.40825,0.11785,0.1666375,
-      -0.3061875,0.058925,0.3333,-0.5103125,0.058925,0.3333,-0.40825,0.11785,
-      0.1666375,-0.40825,0.2357,0.3333,-0.3061875,0.058925,0.3333,-0.40825,
-      0.2357,0.3333,-0.5103125,0.058925,0.3333,-0.3061875,0.058925,0.3333,
-      -0.5103125,-0.058925,0.1666375,-0.612375,-0.11785,0.3333,-0.5103125,
-      0.058925,0.3333,-0.5103125,-0.058925,0.1666375,-0.40825,-0.11785,0.3333,
-      -0.612375,-0.11785,0.3333,-0.5103125,-0.058925,0.1666375,-0.5103125,
-      0.058925,0.3333,-0.40825,-0.11785,0.3333,-0.5103125,0.058925,0.3333,
-      -0.612375,-0.11785,0.3333,-0.40825,-0.11785,0.3333,-0.3061875,-0.058925,
-      0.1666375,-0.40825,-0.11785,0.3333,-0.3061875,0.058925,0.3333,-0.3061875,
-      -0.058925,0.1666375,-0.204125,-0.11785,0.3333,-0.40825,-0.11785,0.3333,
-      -0.3061875,-0.058925,0.1666375,-0.3061875,0.058925,0.3333,-0.204125,
-      -0.11785,0.3333,-0.3061875,0.058925,0.3333,-0.40825,-0.11785,0.3333,
-      -0.204125,-0.11785,0.3333,-0.612375,-0.35355,-0.000025000000000025002,
-      -0.7144375000000001,-0.412475,0.1666375,-0.612375,-0.2357,0.1666375,
-      -0.612375,-0.35355,-0.000025000000000025002,-0.5103125,-0.412475,
-      0.1666375,-0.7144375000000001,-0.412475,0.1666375,-0.612375,-0.35355,
-      -0.000025000000000025002,-0.612375,-0.2357,0.1666375,-0.5103125,
-      -0.412475,0.1666375,-0.612375,-0.2357,0.1666375,-0.7144375000000001,
-      -0.412475,0.1666375,-0.5103125,-0.412475,0.1666375,-0.612375,-0.2357,
-      0.1666375,-0.7144375000000001,-0.29462499999999997,0.3333,-0.612375,
-      -0.11785,0.3333,-0.612375,-0.2357,0.1666375,-0.5103125,
-      -0.29462499999999997,0.3333,-0.7144375000000001,-0.29462499999999997,
-      0.3333,-0.612375,-0.2357,0.1666375,-0.612375,-0.11785,0.3333,-0.5103125,
-      -0.29462499999999997,0.3333,-0.612375,-0.11785,0.3333,-0.7144375000000001,
-      -0.29462499999999997,0.3333,-0.5103125,-0.29462499999999997,0.3333,
-      -0.7144375000000001,-0.412475,0.1666375,-0.8165,-0.4714,0.3333,
-      -0.7144375000000001,-0.29462499999999997,0.3333,-0.7144375000000001,
-      -0.412475,0.1666375,-0.612375,-0.4714,0.3333,-0.8165,-0.4714,0.3333,
-      -0.7144375000000001,-0.412475,0.1666375,-0.7144375000000001,
-      -0.29462499999999997,0.3333,-0.612375,-0.4714,0.3333,-0.7144375000000001,
-      -0.29462499999999997,0.3333,-0.8165,-0.4714,0.3333,-0.612375,-0.4714,
-      0.3333,-0.5103125,-0.412475,0.1666375,-0.612375,-0.4714,0.3333,-0.5103125,
-      -0.29462499999999997,0.3333,-0.5103125,-0.412475,0.1666375,-0.40825,
-      -0.4714,0.3333,-0.612375,-0.4714,0.3333,-0.5103125,-0.412475,0.1666375,
-      -0.5103125,-0.29462499999999997,0.3333,-0.40825,-0.4714,0.3333,-0.5103125,
-      -0.29462499999999997,0.3333,-0.612375,-0.4714,0.3333,-0.40825,-0.4714,
-      0.3333,-0.204125,-0.35355,-0.000025000000000025002,-0.3061875,-0.412475,
-      0.1666375,-0.204125,-0.2357,0.1666375,-0.204125,-0.35355,
-      -0.000025000000000025002,-0.1020625,-0.412475,0.1666375,-0.3061875,
-      -0.412475,0.1666375,-0.204125,-0.35355,-0.000025000000000025002,-0.204125,
-      -0.2357,0.1666375,-0.1020625,-0.412475,0.1666375,-0.204125,-0.2357,
-      0.1666375,-0.3061875,-0.412475,0.1666375,-0.1020625,-0.412475,0.1666375,
-      -0.204125,-0.2357,0.1666375,-0.3061875,-0.29462499999999997,0.3333,
-      -0.204125,-0.11785,0.3333,-0.204125,-0.2357,0.1666375,-0.1020625,
-      -0.29462499999999997,0.3333,-0.3061875,-0.29462499999999997,0.3333,
-      -0.204125,-0.2357,0.1666375,-0.204125,-0.11785,0.3333,-0.1020625,
-      -0.29462499999999997,0.3333,-0.204125,-0.11785,0.3333,-0.3061875,
-      -0.29462499999999997,0.3333,-0.1020625,-0.29462499999999997,0.3333,
-      -0.3061875,-0.412475,0.1666375,-0.40825,-0.4714,0.3333,-0.3061875,
-      -0.29462499999999997,0.3333,-0.3061875,-0.412475,0.1666375,-0.204125,
-      -0.4714,0.3333,-0.40825,-0.4714,0.3333,-0.3061875,-0.412475,0.1666375,
-      -0.3061875,-0.29462499999999997,0.3333,-0.204125,-0.4714,0.3333,
-      -0.3061875,-0.29462499999999997,0.3333,-0.40825,-0.4714,0.3333,-0.204125,
-      -0.4714,0.3333,-0.1020625,-0.412475,0.1666375,-0.204125,-0.4714,0.3333,
-      -0.1020625,-0.29462499999999997,0.3333,-0.1020625,-0.412475,0.1666375,0,
-      -0.4714,0.3333,-0.204125,-0.4714,0.3333,-0.1020625,-0.412475,0.1666375,
-      -0.1020625,-0.29462499999999997,0.3333,0,-0.4714,0.3333,-0.1020625,
-      -0.29462499999999997,0.3333,-0.204125,-0.4714,0.3333,0,-0.4714,0.3333,
-      0.40825,-0.2357,-0.33335000000000004,0.3061875,-0.29462499999999997,
-      -0.16668750000000004,0.40825,-0.11785,-0.16668750000000004,0.40825,
-      -0.2357,-0.33335000000000004,0.5103125,-0.29462499999999997,
-      -0.16668750000000004,0.3061875,-0.29462499999999997,-0.16668750000000004,
-      0.40825,-0.2357,-0.33335000000000004,0.40825,-0.11785,
-      -0.16668750000000004,0.5103125,-0.29462499999999997,-0.16668750000000004,
-      0.40825,-0.11785,-0.16668750000000004,0.3061875,-0.29462499999999997,
-      -0.16668750000000004,0.5103125,-0.29462499999999997,-0.16668750000000004,
-      0.40825,-0.11785,-0.16668750000000004,0.3061875,-0.176775,
-      -0.000025000000000025002,0.40825,0,-0.000025000000000025002,0.40825,
-      -0.11785,-0.16668750000000004,0.5103125,-0.176775,
-      -0.000025000000000025002,0.3061875,-0.176775,-0.000025000000000025002,
-      0.40825,-0.11785,-0.16668750000000004,0.40825,0,-0.000025000000000025002,
-      0.5103125,-0.176775,-0.000025000000000025002,0.40825,0,
-      -0.000025000000000025002,0.3061875,-0.176775,-0.000025000000000025002,
-      0.5103125,-0.176775,-0.000025000000000025002,0.3061875,
-      -0.29462499999999997,-0.16668750000000004,0.204125,-0.35355,
-      -0.000025000000000025002,0.3061875,-0.176775,-0.000025000000000025002,
-      0.3061875,-0.29462499999999997,-0.16668750000000004,0.40825,-0.35355,
-      -0.000025000000000025002,0.204125,-0.35355,-0.000025000000000025002,
-      0.3061875,-0.29462499999999997,-0.16668750000000004,0.3061875,-0.176775,
-      -0.000025000000000025002,0.40825,-0.35355,-0.000025000000000025002,
-      0.3061875,-0.176775,-0.000025000000000025002,0.204125,-0.35355,
-      -0.000025000000000025002,0.40825,-0.35355,-0.000025000000000025002,
-      0.5103125,-0.29462499999999997,-0.16668750000000004,0.40825,-0.35355,
-      -0.000025000000000025002,0.5103125,-0.176775,-0.000025000000000025002,
-      0.5103125,-0.29462499999999997,-0.16668750000000004,0.612375,-0.35355,
-      -0.000025000000000025002,0.40825,-0.35355,-0.000025000000000025002,
-      0.5103125,-0.29462499999999997,-0.16668750000000004,0.5103125,-0.176775,
-      -0.000025000000000025002,0.612375,-0.35355,-0.000025000000000025002,
-      0.5103125,-0.176775,-0.000025000000000025002,0.40825,-0.35355,
-      -0.000025000000000025002,0.612375,-0.35355,-0.000025000000000025002,
-      0.40825,0,-0.000025000000000025002,0.3061875,-0.058925,0.1666375,0.40825,
-      0.11785,0.1666375,0.40825,0,-0.000025000000000025002,0.5103125,-0.058925,
-      0.1666375,0.3061875,-0.058925,0.1666375,0.40825,0,
-      -0.000025000000000025002,0.40825,0.11785,0.1666375,0.5103125,-0.058925,
-      0.1666375,0.40825,0.11785,0.1666375,0.3061875,-0.058925,0.1666375,
-      0.5103125,-0.058925,0.1666375,0.40825,0.11785,0.1666375,0.3061875,
-      0.058925,0.3333,0.40825,0.2357,0.3333,0.40825,0.11785,0.1666375,0.5103125,
-      0.058925,0.3333,0.3061875,0.058925,0.3333,0.40825,0.11785,0.1666375,
-      0.40825,0.2357,0.3333,0.5103125,0.058925,0.3333,0.40825,0.2357,0.3333,
-      0.3061875,0.058925,0.3333,0.5103125,0.058925,0.3333,0.3061875,-0.058925,
-      0.1666375,0.204125,-0.11785,0.3333,0.3061875,0.058925,0.3333,0.3061875,
-      -0.058925,0.1666375,0.40825,-0.11785,0.3333,0.204125,-0.11785,0.3333,
-      0.3061875,-0.058925,0.1666375,0.3061875,0.058925,0.3333,0.40825,-0.11785,
-      0.3333,0.3061875,0.058925,0.3333,0.204125,-0.11785,0.3333,0.40825,
-      -0.11785,0.3333,0.5103125,-0.058925,0.1666375,0.40825,-0.11785,0.3333,
-      0.5103125,0.058925,0.3333,0.5103125,-0.058925,0.1666375,0.612375,-0.11785,
-      0.3333,0.40825,-0.11785,0.3333,0.5103125,-0.058925,0.1666375,0.5103125,
-      0.058925,0.3333,0.612375,-0.11785,0.3333,0.5103125,0.058925,0.3333,
-      0.40825,-0.11785,0.3333,0.612375,-0.11785,0.3333,0.204125,-0.35355,
-      -0.000025000000000025002,0.1020625,-0.412475,0.1666375,0.204125,-0.2357,
-      0.1666375,0.204125,-0.35355,-0.000025000000000025002,0.3061875,-0.412475,
-      0.1666375,0.1020625,-0.412475,0.1666375,0.204125,-0.35355,
-      -0.000025000000000025002,0.204125,-0.2357,0.1666375,0.3061875,-0.412475,
-      0.1666375,0.204125,-0.2357,0.1666375,0.1020625,-0.412475,0.1666375,
-      0.3061875,-0.412475,0.1666375,0.204125,-0.2357,0.1666375,0.1020625,
-      -0.29462499999999997,0.3333,0.204125,-0.11785,0.3333,0.204125,-0.2357,
-      0.1666375,0.3061875,-0.29462499999999997,0.3333,0.1020625,
-      -0.29462499999999997,0.3333,0.204125,-0.2357,0.1666375,0.204125,-0.11785,
-      0.3333,0.3061875,-0.29462499999999997,0.3333,0.204125,-0.11785,0.3333,
-      0.1020625,-0.29462499999999997,0.3333,0.3061875,-0.29462499999999997,
-      0.3333,0.1020625,-0.412475,0.1666375,0,-0.4714,0.3333,0.1020625,
-      -0.29462499999999997,0.3333,0.1020625,-0.412475,0.1666375,0.204125,
-      -0.4714,0.3333,0,-0.4714,0.3333,0.1020625,-0.412475,0.1666375,0.1020625,
-      -0.29462499999999997,0.3333,0.204125,-0.4714,0.3333,0.1020625,
-      -0.29462499999999997,0.3333,0,-0.4714,0.3333,0.204125,-0.4714,0.3333,
-      0.3061875,-0.412475,0.1666375,0.204125,-0.4714,0.3333,0.3061875,
-      -0.29462499999999997,0.3333,0.3061875,-0.412475,0.1666375,0.40825,-0.4714,
-      0.3333,0.204125,-0.4714,0.3333,0.3061875,-0.412475,0.1666375,0.3061875,
-      -0.29462499999999997,0.3333,0.40825,-0.4714,0.3333,0.3061875,
-      -0.29462499999999997,0.3333,0.204125,-0.4714,0.3333,0.40825,-0.4714,
-      0.3333,0.612375,-0.35355,-0.000025000000000025002,0.5103125,-0.412475,
-      0.1666375,0.612375,-0.2357,0.1666375,0.612375,-0.35355,
-      -0.000025000000000025002,0.7144375000000001,-0.412475,0.1666375,0.5103125,
-      -0.412475,0.1666375,0.612375,-0.35355,-0.000025000000000025002,0.612375,
-      -0.2357,0.1666375,0.7144375000000001,-0.412475,0.1666375,0.612375,-0.2357,
-      0.1666375,0.5103125,-0.412475,0.1666375,0.7144375000000001,-0.412475,
-      0.1666375,0.612375,-0.2357,0.1666375,0.5103125,-0.29462499999999997,
-      0.3333,0.612375,-0.11785,0.3333,0.612375,-0.2357,0.1666375,
-      0.7144375000000001,-0.29462499999999997,0.3333,0.5103125,
-      -0.29462499999999997,0.3333,0.612375,-0.2357,0.1666375,0.612375,
-      -0.11785,0.3333,0.7144375000000001,-0.29462499999999997,0.3333,0.612375,
-      -0.11785,0.3333,0.5103125,-0.29462499999999997,0.3333,0.7144375000000001,
-      -0.29462499999999997,0.3333,0.5103125,-0.412475,0.1666375,0.40825,-0.4714,
-      0.3333,0.5103125,-0.29462499999999997,0.3333,0.5103125,-0.412475,
-      0.1666375,0.612375,-0.4714,0.3333,0.40825,-0.4714,0.3333,0.5103125,
-      -0.412475,0.1666375,0.5103125,-0.29462499999999997,0.3333,0.612375,
-      -0.4714,0.3333,0.5103125,-0.29462499999999997,0.3333,0.40825,-0.4714,
-      0.3333,0.612375,-0.4714,0.3333,0.7144375000000001,-0.412475,0.1666375,
-      0.612375,-0.4714,0.3333,0.7144375000000001,-0.29462499999999997,0.3333,
-      0.7144375000000001,-0.412475,0.1666375,0.8165,-0.4714,0.3333,0.612375,
-      -0.4714,0.3333,0.7144375000000001,-0.412475,0.1666375,0.7144375000000001,
-      -0.29462499999999997,0.3333,0.8165,-0.4714,0.3333,0.7144375000000001,
-      -0.29462499999999997,0.3333,0.612375,-0.4714,0.3333,0.8165,-0.4714,0.3333,
-    ]);
-
-    normals = new Float32Array([
-      -22.627914369158763,13.064412446908591,-9.238076993133896,
-      -22.627914369158763,13.064412446908591,-9.238076993133896,
-      -22.627914369158763,13.064412446908591,-9.238076993133896,0,
-      -26.128344912967457,-9.237907291661937,0,-26.128344912967457,
-      -9.237907291661937,0,-26.128344912967457,-9.237907291661937,
-      22.627914369158763,13.064412446908591,-9.238076993133896,
-      22.627914369158763,13.064412446908591,-9.238076993133896,
-      22.627914369158763,13.064412446908591,-9.238076993133896,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,0,
-      -26.128344912967442,-9.237907291661926,0,-26.128344912967442,
-      -9.237907291661926,0,-26.128344912967442,-9.237907291661926,
-      22.627914369158756,13.06441244690859,-9.238076993133888,
-      22.627914369158756,13.06441244690859,-9.238076993133888,
-      22.627914369158756,13.06441244690859,-9.238076993133888,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,0,
-      -26.128344912967442,-9.237907291661926,0,-26.128344912967442,
-      -9.237907291661926,0,-26.128344912967442,-9.237907291661926,
-      22.627914369158756,13.06441244690859,-9.238076993133888,
-      22.627914369158756,13.06441244690859,-9.238076993133888,
-      22.627914369158756,13.06441244690859,-9.238076993133888,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,
-      -22.627914369158756,13.06441244690859,-9.238076993133888,0,
-      -26.128344912967442,-9.237907291661926,0,-26.128344912967442,
-      -9.237907291661926,0,-26.128344912967442,-9.237907291661926,
-      22.627914369158756,13.06441244690859,-9.238076993133888,
-      22.627914369158756,13.06441244690859,-9.238076993133888,
-      22.627914369158756,13.06441244690859,-9.238076993133888,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.627914369158752,13.064412446908586,-9.238076993133886,
-      -22.627914369158752,13.064412446908586,-9.238076993133886,
-      -22.627914369158752,13.064412446908586,-9.238076993133886,0,
-      -26.12834491296744,-9.237907291661926,0,-26.12834491296744,
-      -9.237907291661926,0,-26.12834491296744,-9.237907291661926,
-      22.627914369158752,13.064412446908586,-9.238076993133886,
-      22.627914369158752,13.064412446908586,-9.238076993133886,
-      22.627914369158752,13.064412446908586,-9.238076993133886,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.62791436915876,13.06441244690859,-9.238076993133895,
-      -22.62791436915876,13.06441244690859,-9.238076993133895,
-      -22.62791436915876,13.06441244690859,-9.238076993133895,0,
-      -26.128344912967453,-9.237907291661937,0,-26.128344912967453,
-      -9.237907291661937,0,-26.128344912967453,-9.237907291661937,
-      22.62791436915876,13.06441244690859,-9.238076993133895,22.62791436915876,
-      13.06441244690859,-9.238076993133895,22.62791436915876,13.06441244690859,
-      -9.238076993133895,0,0,27.71296264301296,0,0,27.71296264301296,0,0,
-      27.71296264301296,-22.627914369158766,13.064412446908596,
-      -9.238076993133898,-22.627914369158766,13.064412446908596,
-      -9.238076993133898,-22.627914369158766,13.064412446908596,
-      -9.238076993133898,0,-26.128344912967457,-9.237907291661937,0,
-      -26.128344912967457,-9.237907291661937,0,-26.128344912967457,
-      -9.237907291661937,22.627914369158766,13.064412446908596,
-      -9.238076993133898,22.627914369158766,13.064412446908596,
-      -9.238076993133898,22.627914369158766,13.064412446908596,
-      -9.238076993133898,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158766,13.064412446908596,
-      -9.238076993133898,-22.627914369158766,13.064412446908596,
-      -9.238076993133898,-22.627914369158766,13.064412446908596,
-      -9.238076993133898,0,-26.128344912967457,-9.237907291661937,0,
-      -26.128344912967457,-9.237907291661937,0,-26.128344912967457,
-      -9.237907291661937,22.627914369158766,13.064412446908596,
-      -9.238076993133898,22.627914369158766,13.064412446908596,
-      -9.238076993133898,22.627914369158766,13.064412446908596,
-      -9.238076993133898,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158756,13.06441244690859,
-      -9.238076993133888,-22.627914369158756,13.06441244690859,
-      -9.238076993133888,-22.627914369158756,13.06441244690859,
-      -9.238076993133888,0,-26.128344912967442,-9.237907291661926,0,
-      -26.128344912967442,-9.237907291661926,0,-26.128344912967442,
-      -9.237907291661926,22.627914369158756,13.06441244690859,
-      -9.238076993133888,22.627914369158756,13.06441244690859,
-      -9.238076993133888,22.627914369158756,13.06441244690859,
-      -9.238076993133888,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908591,
-      -9.238076993133896,-22.627914369158763,13.064412446908591,
-      -9.238076993133896,-22.627914369158763,13.064412446908591,
-      -9.238076993133896,0,-26.128344912967457,-9.237907291661937,0,
-      -26.128344912967457,-9.237907291661937,0,-26.128344912967457,
-      -9.237907291661937,22.627914369158763,13.064412446908591,
-      -9.238076993133896,22.627914369158763,13.064412446908591,
-      -9.238076993133896,22.627914369158763,13.064412446908591,
-      -9.238076993133896,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,-26.128344912967453,-9.237907291661937,0,
-      -26.128344912967453,-9.237907291661937,0,-26.128344912967453,
-      -9.237907291661937,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,-26.128344912967453,-9.237907291661937,0,
-      -26.128344912967453,-9.237907291661937,0,-26.128344912967453,
-      -9.237907291661937,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158756,13.06441244690859,
-      -9.238076993133888,-22.627914369158756,13.06441244690859,
-      -9.238076993133888,-22.627914369158756,13.06441244690859,
-      -9.238076993133888,0,-26.128344912967442,-9.237907291661926,0,
-      -26.128344912967442,-9.237907291661926,0,-26.128344912967442,
-      -9.237907291661926,22.627914369158756,13.06441244690859,
-      -9.238076993133888,22.627914369158756,13.06441244690859,
-      -9.238076993133888,22.627914369158756,13.06441244690859,
-      -9.238076993133888,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908591,
-      -9.238076993133896,-22.627914369158763,13.064412446908591,
-      -9.238076993133896,-22.627914369158763,13.064412446908591,
-      -9.238076993133896,0,-26.128344912967457,-9.237907291661937,0,
-      -26.128344912967457,-9.237907291661937,0,-26.128344912967457,
-      -9.237907291661937,22.627914369158763,13.064412446908591,
-      -9.238076993133896,22.627914369158763,13.064412446908591,
-      -9.238076993133896,22.627914369158763,13.064412446908591,
-      -9.238076993133896,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,-26.128344912967453,-9.237907291661937,0,
-      -26.128344912967453,-9.237907291661937,0,-26.128344912967453,
-      -9.237907291661937,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,-22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,-26.128344912967453,-9.237907291661937,0,
-      -26.128344912967453,-9.237907291661937,0,-26.128344912967453,
-      -9.237907291661937,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,22.627914369158763,13.064412446908593,
-      -9.238076993133896,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.62791436915876,13.06441244690859,-9.23807699313389,
-      -22.62791436915876,13.06441244690859,-9.23807699313389,-22.62791436915876,
-      13.06441244690859,-9.23807699313389,0,-26.128344912967442,
-      -9.237907291661934,0,-26.128344912967442,-9.237907291661934,0,
-      -26.128344912967442,-9.237907291661934,22.62791436915876,
-      13.06441244690859,-9.23807699313389,22.62791436915876,13.06441244690859,
-      -9.23807699313389,22.62791436915876,13.06441244690859,-9.23807699313389,0,
-      0,27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.627914369158756,13.064412446908586,-9.23807699313389,
-      -22.627914369158756,13.064412446908586,-9.23807699313389,
-      -22.627914369158756,13.064412446908586,-9.23807699313389,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.627914369158756,13.064412446908586,-9.23807699313389,
-      22.627914369158756,13.064412446908586,-9.23807699313389,
-      22.627914369158756,13.064412446908586,-9.23807699313389,0,0,
-      27.71296264301296,0,0,27.71296264301296,0,0,27.71296264301296,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.627914369158756,13.064412446908591,-9.238076993133888,
-      22.627914369158756,13.064412446908591,-9.238076993133888,
-      22.627914369158756,13.064412446908591,-9.238076993133888,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.627914369158756,13.064412446908591,-9.238076993133888,
-      22.627914369158756,13.064412446908591,-9.238076993133888,
-      22.627914369158756,13.064412446908591,-9.238076993133888,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.627914369158756,13.064412446908586,-9.23807699313389,
-      -22.627914369158756,13.064412446908586,-9.23807699313389,
-      -22.627914369158756,13.064412446908586,-9.23807699313389,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.627914369158756,13.064412446908586,-9.23807699313389,
-      22.627914369158756,13.064412446908586,-9.23807699313389,
-      22.627914369158756,13.064412446908586,-9.23807699313389,0,0,
-      27.71296264301296,0,0,27.71296264301296,0,0,27.71296264301296,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,0,
-      -26.128344912967442,-9.237907291661934,0,-26.128344912967442,
-      -9.237907291661934,0,-26.128344912967442,-9.237907291661934,
-      22.627914369158756,13.064412446908586,-9.238076993133891,
-      22.627914369158756,13.064412446908586,-9.238076993133891,
-      22.627914369158756,13.064412446908586,-9.238076993133891,0,0,
-      27.71296264301296,0,0,27.71296264301296,0,0,27.71296264301296,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,0,
-      -26.128344912967442,-9.237907291661934,0,-26.128344912967442,
-      -9.237907291661934,0,-26.128344912967442,-9.237907291661934,
-      22.627914369158756,13.064412446908586,-9.238076993133891,
-      22.627914369158756,13.064412446908586,-9.238076993133891,
-      22.627914369158756,13.064412446908586,-9.238076993133891,0,0,
-      27.71296264301296,0,0,27.71296264301296,0,0,27.71296264301296,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,
-      -22.627914369158756,13.064412446908586,-9.238076993133891,0,
-      -26.128344912967442,-9.237907291661934,0,-26.128344912967442,
-      -9.237907291661934,0,-26.128344912967442,-9.237907291661934,
-      22.627914369158756,13.064412446908586,-9.238076993133891,
-      22.627914369158756,13.064412446908586,-9.238076993133891,
-      22.627914369158756,13.064412446908586,-9.238076993133891,0,0,
-      27.71296264301296,0,0,27.71296264301296,0,0,27.71296264301296,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,
-      -22.627914369158756,13.064412446908591,-9.238076993133888,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.627914369158756,13.064412446908591,-9.238076993133888,
-      22.627914369158756,13.064412446908591,-9.238076993133888,
-      22.627914369158756,13.064412446908591,-9.238076993133888,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.62791436915876,13.064412446908591,-9.238076993133895,
-      -22.62791436915876,13.064412446908591,-9.238076993133895,
-      -22.62791436915876,13.064412446908591,-9.238076993133895,0,
-      -26.128344912967453,-9.237907291661928,0,-26.128344912967453,
-      -9.237907291661928,0,-26.128344912967453,-9.237907291661928,
-      22.62791436915876,13.064412446908591,-9.238076993133895,22.62791436915876,
-      13.064412446908591,-9.238076993133895,22.62791436915876,
-      13.064412446908591,-9.238076993133895,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,-26.12834491296745,
-      -9.23790729166193,0,-26.12834491296745,-9.23790729166193,0,
-      -26.12834491296745,-9.23790729166193,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,-26.12834491296745,
-      -9.23790729166193,0,-26.12834491296745,-9.23790729166193,0,
-      -26.12834491296745,-9.23790729166193,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158756,
-      13.064412446908591,-9.238076993133888,-22.627914369158756,
-      13.064412446908591,-9.238076993133888,-22.627914369158756,
-      13.064412446908591,-9.238076993133888,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,22.627914369158756,
-      13.064412446908591,-9.238076993133888,22.627914369158756,
-      13.064412446908591,-9.238076993133888,22.627914369158756,
-      13.064412446908591,-9.238076993133888,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.62791436915876,
-      13.064412446908591,-9.238076993133895,-22.62791436915876,
-      13.064412446908591,-9.238076993133895,-22.62791436915876,
-      13.064412446908591,-9.238076993133895,0,-26.128344912967453,
-      -9.237907291661928,0,-26.128344912967453,-9.237907291661928,0,
-      -26.128344912967453,-9.237907291661928,22.62791436915876,
-      13.064412446908591,-9.238076993133895,22.62791436915876,
-      13.064412446908591,-9.238076993133895,22.62791436915876,
-      13.064412446908591,-9.238076993133895,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,-26.12834491296745,
-      -9.23790729166193,0,-26.12834491296745,-9.23790729166193,0,
-      -26.12834491296745,-9.23790729166193,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,-22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,-26.12834491296745,
-      -9.23790729166193,0,-26.12834491296745,-9.23790729166193,0,
-      -26.12834491296745,-9.23790729166193,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,22.627914369158756,
-      13.064412446908587,-9.238076993133893,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158763,
-      13.064412446908586,-9.23807699313389,-22.627914369158763,
-      13.064412446908586,-9.23807699313389,-22.627914369158763,
-      13.064412446908586,-9.23807699313389,0,-26.128344912967457,
-      -9.237907291661932,0,-26.128344912967457,-9.237907291661932,0,
-      -26.128344912967457,-9.237907291661932,22.62791436915876,
-      13.06441244690859,-9.238076993133893,22.62791436915876,13.06441244690859,
-      -9.238076993133893,22.62791436915876,13.06441244690859,-9.238076993133893,
-      0,0,27.71296264301297,0,0,27.71296264301297,0,0,27.71296264301297,
-      -22.627914369158763,13.064412446908587,-9.23807699313389,
-      -22.627914369158763,13.064412446908587,-9.23807699313389,
-      -22.627914369158763,13.064412446908587,-9.23807699313389,0,
-      -26.12834491296745,-9.23790729166193,0,-26.12834491296745,
-      -9.23790729166193,0,-26.12834491296745,-9.23790729166193,
-      22.627914369158756,13.064412446908587,-9.23807699313389,
-      22.627914369158756,13.064412446908587,-9.23807699313389,
-      22.627914369158756,13.064412446908587,-9.23807699313389,0,0,
-      27.71296264301297,0,0,27.71296264301297,0,0,27.71296264301297,
-      -22.62791436915875,13.06441244690859,-9.23807699313389,-22.62791436915875,
-      13.06441244690859,-9.23807699313389,-22.62791436915875,13.06441244690859,
-      -9.23807699313389,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,22.627914369158763,13.064412446908586,
-      -9.238076993133886,22.627914369158763,13.064412446908586,
-      -9.238076993133886,22.627914369158763,13.064412446908586,
-      -9.238076993133886,0,0,27.71296264301296,0,0,27.71296264301296,0,0,
-      27.71296264301296,-22.62791436915876,13.064412446908587,-9.23807699313389,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.62791436915876,13.064412446908587,-9.23807699313389,22.62791436915876,
-      13.064412446908587,-9.23807699313389,22.62791436915876,13.064412446908587,
-      -9.23807699313389,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908587,
-      -9.23807699313389,-22.627914369158763,13.064412446908587,
-      -9.23807699313389,-22.627914369158763,13.064412446908587,
-      -9.23807699313389,0,-26.12834491296745,-9.237907291661932,0,
-      -26.12834491296745,-9.237907291661932,0,-26.12834491296745,
-      -9.237907291661932,22.627914369158756,13.064412446908587,
-      -9.23807699313389,22.627914369158756,13.064412446908587,-9.23807699313389,
-      22.627914369158756,13.064412446908587,-9.23807699313389,0,0,
-      27.71296264301297,0,0,27.71296264301297,0,0,27.71296264301297,
-      -22.627914369158763,13.064412446908584,-9.23807699313389,
-      -22.627914369158763,13.064412446908584,-9.23807699313389,
-      -22.627914369158763,13.064412446908584,-9.23807699313389,0,
-      -26.128344912967457,-9.237907291661937,0,-26.128344912967457,
-      -9.237907291661937,0,-26.128344912967457,-9.237907291661937,
-      22.62791436915876,13.064412446908587,-9.238076993133891,22.62791436915876,
-      13.064412446908587,-9.238076993133891,22.62791436915876,
-      13.064412446908587,-9.238076993133891,0,0,27.71296264301297,0,0,
-      27.71296264301297,0,0,27.71296264301297,-22.627914369158752,
-      13.064412446908591,-9.238076993133893,-22.627914369158752,
-      13.064412446908591,-9.238076993133893,-22.627914369158752,
-      13.064412446908591,-9.238076993133893,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,22.627914369158763,
-      13.064412446908584,-9.23807699313389,22.627914369158763,
-      13.064412446908584,-9.23807699313389,22.627914369158763,
-      13.064412446908584,-9.23807699313389,0,0,27.71296264301296,0,0,
-      27.71296264301296,0,0,27.71296264301296,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,0,-26.12834491296745,
-      -9.237907291661934,0,-26.12834491296745,-9.237907291661934,0,
-      -26.12834491296745,-9.237907291661934,22.62791436915876,
-      13.064412446908587,-9.238076993133891,22.62791436915876,
-      13.064412446908587,-9.238076993133891,22.62791436915876,
-      13.064412446908587,-9.238076993133891,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.62791436915875,
-      13.06441244690859,-9.23807699313389,-22.62791436915875,13.06441244690859,
-      -9.23807699313389,-22.62791436915875,13.06441244690859,-9.23807699313389,
-      0,-26.12834491296743,-9.237907291661926,0,-26.12834491296743,
-      -9.237907291661926,0,-26.12834491296743,-9.237907291661926,
-      22.62791436915875,13.06441244690859,-9.23807699313389,22.62791436915875,
-      13.06441244690859,-9.23807699313389,22.62791436915875,13.06441244690859,
-      -9.23807699313389,0,0,27.712962643012947,0,0,27.712962643012947,0,0,
-      27.712962643012947,-22.62791436915875,13.064412446908591,
-      -9.238076993133893,-22.62791436915875,13.064412446908591,
-      -9.238076993133893,-22.62791436915875,13.064412446908591,
-      -9.238076993133893,0,-26.128344912967435,-9.237907291661925,0,
-      -26.128344912967435,-9.237907291661925,0,-26.128344912967435,
-      -9.237907291661925,22.62791436915875,13.064412446908591,
-      -9.238076993133893,22.62791436915875,13.064412446908591,
-      -9.238076993133893,22.62791436915875,13.064412446908591,
-      -9.238076993133893,0,0,27.71296264301295,0,0,27.71296264301295,0,0,
-      27.71296264301295,-22.627914369158763,13.064412446908584,
-      -9.23807699313389,-22.627914369158763,13.064412446908584,
-      -9.23807699313389,-22.627914369158763,13.064412446908584,
-      -9.23807699313389,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,22.627914369158752,13.064412446908591,
-      -9.238076993133895,22.627914369158752,13.064412446908591,
-      -9.238076993133895,22.627914369158752,13.064412446908591,
-      -9.238076993133895,0,0,27.71296264301296,0,0,27.71296264301296,0,0,
-      27.71296264301296,-22.627914369158752,13.064412446908591,
-      -9.238076993133895,-22.627914369158752,13.064412446908591,
-      -9.238076993133895,-22.627914369158752,13.064412446908591,
-      -9.238076993133895,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,22.627914369158763,13.064412446908584,-9.23807699313389,
-      22.627914369158763,13.064412446908584,-9.23807699313389,
-      22.627914369158763,13.064412446908584,-9.23807699313389,0,0,
-      27.71296264301296,0,0,27.71296264301296,0,0,27.71296264301296,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.62791436915876,13.064412446908587,-9.23807699313389,22.62791436915876,
-      13.064412446908587,-9.23807699313389,22.62791436915876,13.064412446908587,
-      -9.23807699313389,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.62791436915876,13.06441244690859,
-      -9.238076993133893,-22.62791436915876,13.06441244690859,
-      -9.238076993133893,-22.62791436915876,13.06441244690859,
-      -9.238076993133893,0,-26.12834491296745,-9.23790729166193,0,
-      -26.12834491296745,-9.23790729166193,0,-26.12834491296745,
-      -9.23790729166193,22.62791436915876,13.06441244690859,-9.238076993133893,
-      22.62791436915876,13.06441244690859,-9.238076993133893,22.62791436915876,
-      13.06441244690859,-9.238076993133893,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158756,
-      13.064412446908586,-9.238076993133891,-22.627914369158756,
-      13.064412446908586,-9.238076993133891,-22.627914369158756,
-      13.064412446908586,-9.238076993133891,0,-26.128344912967442,
-      -9.237907291661934,0,-26.128344912967442,-9.237907291661934,0,
-      -26.128344912967442,-9.237907291661934,22.627914369158756,
-      13.064412446908586,-9.238076993133891,22.627914369158756,
-      13.064412446908586,-9.238076993133891,22.627914369158756,
-      13.064412446908586,-9.238076993133891,0,0,27.71296264301296,0,0,
-      27.71296264301296,0,0,27.71296264301296,-22.627914369158756,
-      13.064412446908586,-9.238076993133891,-22.627914369158756,
-      13.064412446908586,-9.238076993133891,-22.627914369158756,
-      13.064412446908586,-9.238076993133891,0,-26.128344912967442,
-      -9.237907291661934,0,-26.128344912967442,-9.237907291661934,0,
-      -26.128344912967442,-9.237907291661934,22.627914369158756,
-      13.064412446908586,-9.238076993133891,22.627914369158756,
-      13.064412446908586,-9.238076993133891,22.627914369158756,
-      13.064412446908586,-9.238076993133891,0,0,27.71296264301296,0,0,
-      27.71296264301296,0,0,27.71296264301296,-22.62791436915876,
-      13.06441244690859,-9.238076993133893,-22.62791436915876,13.06441244690859,
-      -9.238076993133893,-22.62791436915876,13.06441244690859,
-      -9.238076993133893,0,-26.128344912967457,-9.237907291661932,0,
-      -26.128344912967457,-9.237907291661932,0,-26.128344912967457,
-      -9.237907291661932,22.627914369158763,13.064412446908586,
-      -9.23807699313389,22.627914369158763,13.064412446908586,-9.23807699313389,
-      22.627914369158763,13.064412446908586,-9.23807699313389,0,0,
-      27.71296264301297,0,0,27.71296264301297,0,0,27.71296264301297,
-      -22.627914369158756,13.064412446908587,-9.23807699313389,
-      -22.627914369158756,13.064412446908587,-9.23807699313389,
-      -22.627914369158756,13.064412446908587,-9.23807699313389,0,
-      -26.12834491296745,-9.23790729166193,0,-26.12834491296745,
-      -9.23790729166193,0,-26.12834491296745,-9.23790729166193,
-      22.627914369158763,13.064412446908587,-9.23807699313389,
-      22.627914369158763,13.064412446908587,-9.23807699313389,
-      22.627914369158763,13.064412446908587,-9.23807699313389,0,0,
-      27.71296264301297,0,0,27.71296264301297,0,0,27.71296264301297,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,
-      -22.62791436915876,13.064412446908587,-9.23807699313389,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,
-      22.62791436915876,13.064412446908587,-9.23807699313389,22.62791436915876,
-      13.064412446908587,-9.23807699313389,22.62791436915876,13.064412446908587,
-      -9.23807699313389,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158763,13.064412446908586,
-      -9.238076993133886,-22.627914369158763,13.064412446908586,
-      -9.238076993133886,-22.627914369158763,13.064412446908586,
-      -9.238076993133886,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,0,-26.12834491296744,
-      -9.23790729166193,22.62791436915875,13.06441244690859,-9.23807699313389,
-      22.62791436915875,13.06441244690859,-9.23807699313389,22.62791436915875,
-      13.06441244690859,-9.23807699313389,0,0,27.71296264301296,0,0,
-      27.71296264301296,0,0,27.71296264301296,-22.627914369158756,
-      13.064412446908587,-9.23807699313389,-22.627914369158756,
-      13.064412446908587,-9.23807699313389,-22.627914369158756,
-      13.064412446908587,-9.23807699313389,0,-26.12834491296745,
-      -9.237907291661932,0,-26.12834491296745,-9.237907291661932,0,
-      -26.12834491296745,-9.237907291661932,22.627914369158763,
-      13.064412446908587,-9.23807699313389,22.627914369158763,
-      13.064412446908587,-9.23807699313389,22.627914369158763,
-      13.064412446908587,-9.23807699313389,0,0,27.71296264301297,0,0,
-      27.71296264301297,0,0,27.71296264301297,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,0,-26.128344912967457,
-      -9.237907291661937,0,-26.128344912967457,-9.237907291661937,0,
-      -26.128344912967457,-9.237907291661937,22.627914369158763,
-      13.064412446908584,-9.23807699313389,22.627914369158763,
-      13.064412446908584,-9.23807699313389,22.627914369158763,
-      13.064412446908584,-9.23807699313389,0,0,27.71296264301297,0,0,
-      27.71296264301297,0,0,27.71296264301297,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,-22.62791436915876,
-      13.064412446908587,-9.238076993133891,0,-26.12834491296745,
-      -9.237907291661934,0,-26.12834491296745,-9.237907291661934,0,
-      -26.12834491296745,-9.237907291661934,22.62791436915876,
-      13.064412446908587,-9.238076993133891,22.62791436915876,
-      13.064412446908587,-9.238076993133891,22.62791436915876,
-      13.064412446908587,-9.238076993133891,0,0,27.712962643012965,0,0,
-      27.712962643012965,0,0,27.712962643012965,-22.627914369158763,
-      13.064412446908584,-9.23807699313389,-22.627914369158763,
-      13.064412446908584,-9.23807699313389,-22.627914369158763,
-      13.064412446908584,-9.23807699313389,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,22.627914369158752,
-      13.064412446908591,-9.238076993133893,22.627914369158752,
-      13.064412446908591,-9.238076993133893,22.627914369158752,
-      13.064412446908591,-9.238076993133893,0,0,27.71296264301296,0,0,
-      27.71296264301296,0,0,27.71296264301296,-22.62791436915876,
-      13.064412446908587,-9.23807699313389,-22.62791436915876,
-      13.064412446908587,-9.23807699313389,-22.62791436915876,
-      13.064412446908587,-9.23807699313389,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,22.62791436915876,13.064412446908587,
-      -9.23807699313389,22.62791436915876,13.064412446908587,-9.23807699313389,
-      22.62791436915876,13.064412446908587,-9.23807699313389,0,0,
-      27.712962643012965,0,0,27.712962643012965,0,0,27.712962643012965,
-      -22.62791436915876,13.06441244690859,-9.238076993133893,
-      -22.62791436915876,13.06441244690859,-9.238076993133893,
-      -22.62791436915876,13.06441244690859,-9.238076993133893,0,
-      -26.12834491296745,-9.23790729166193,0,-26.12834491296745,
-      -9.23790729166193,0,-26.12834491296745,-9.23790729166193,
-      22.62791436915876,13.06441244690859,-9.238076993133893,22.62791436915876,
-      13.06441244690859,-9.238076993133893,22.62791436915876,13.06441244690859,
-      -9.238076993133893,0,0,27.712962643012965,0,0,27.712962643012965,0,0,
-      27.712962643012965,-22.627914369158756,13.064412446908586,
-      -9.238076993133891,-22.627914369158756,13.064412446908586,
-      -9.238076993133891,-22.627914369158756,13.064412446908586,
-      -9.238076993133891,0,-26.128344912967442,-9.237907291661934,0,
-      -26.128344912967442,-9.237907291661934,0,-26.128344912967442,
-      -9.237907291661934,22.627914369158756,13.064412446908586,
-      -9.238076993133891,22.627914369158756,13.064412446908586,
-      -9.238076993133891,22.627914369158756,13.064412446908586,
-      -9.238076993133891,0,0,27.71296264301296,0,0,27.71296264301296,0,0,
-      27.71296264301296,-22.627914369158756,13.064412446908586,
-      -9.238076993133891,-22.627914369158756,13.064412446908586,
-      -9.238076993133891,-22.627914369158756,13.064412446908586,
-      -9.238076993133891,0,-26.128344912967442,-9.237907291661934,0,
-      -26.128344912967442,-9.237907291661934,0,-26.128344912967442,
-      -9.237907291661934,22.627914369158756,13.064412446908586,
-      -9.238076993133891,22.627914369158756,13.064412446908586,
-      -9.238076993133891,22.627914369158756,13.064412446908586,
-      -9.238076993133891,0,0,27.71296264301296,0,0,27.71296264301296,0,0,
-      27.71296264301296,-22.62791436915875,13.06441244690859,-9.23807699313389,
-      -22.62791436915875,13.06441244690859,-9.23807699313389,-22.62791436915875,
-      13.06441244690859,-9.23807699313389,0,-26.12834491296743,
-      -9.237907291661926,0,-26.12834491296743,-9.237907291661926,0,
-      -26.12834491296743,-9.237907291661926,22.62791436915875,13.06441244690859,
-      -9.23807699313389,22.62791436915875,13.06441244690859,-9.23807699313389,
-      22.62791436915875,13.06441244690859,-9.23807699313389,0,0,
-      27.712962643012947,0,0,27.712962643012947,0,0,27.712962643012947,
-      -22.62791436915875,13.064412446908591,-9.238076993133893,
-      -22.62791436915875,13.064412446908591,-9.238076993133893,
-      -22.62791436915875,13.064412446908591,-9.238076993133893,0,
-      -26.128344912967435,-9.237907291661925,0,-26.128344912967435,
-      -9.237907291661925,0,-26.128344912967435,-9.237907291661925,
-      22.62791436915875,13.064412446908591,-9.238076993133893,22.62791436915875,
-      13.064412446908591,-9.238076993133893,22.62791436915875,
-      13.064412446908591,-9.238076993133893,0,0,27.71296264301295,0,0,
-      27.71296264301295,0,0,27.71296264301295,-22.627914369158763,
-      13.064412446908584,-9.23807699313389,-22.627914369158763,
-      13.064412446908584,-9.23807699313389,-22.627914369158763,
-      13.064412446908584,-9.23807699313389,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,22.627914369158752,
-      13.064412446908591,-9.238076993133895,22.627914369158752,
-      13.064412446908591,-9.238076993133895,22.627914369158752,
-      13.064412446908591,-9.238076993133895,0,0,27.71296264301296,0,0,
-      27.71296264301296,0,0,27.71296264301296,-22.627914369158752,
-      13.064412446908591,-9.238076993133895,-22.627914369158752,
-      13.064412446908591,-9.238076993133895,-22.627914369158752,
-      13.064412446908591,-9.238076993133895,0,-26.12834491296744,
-      -9.23790729166193,0,-26.12834491296744,-9.23790729166193,0,
-      -26.12834491296744,-9.23790729166193,22.627914369158763,
-      13.064412446908584,-9.23807699313389,22.627914369158763,
-      13.064412446908584,-9.23807699313389,22.627914369158763,
-      13.064412446908584,-9.23807699313389,0,0,27.71296264301296,0,0,
-      27.71296264301296,0,0,27.71296264301296,
-    ]);
-
-    index = new Uint16Array([
-      0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,
-      28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,
-      52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,
-      76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,
-      100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,
-      118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,
-      136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,
-      154,155,156,157,158,159,160,161,162,163,164,165,166,167,168,169,170,171,
-      172,173,174,175,176,177,178,179,180,181,182,183,184,185,186,187,188,189,
-      190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,
-      208,209,210,211,212,213,214,215,216,217,218,219,220,221,222,223,224,225,
-      226,227,228,229,230,231,232,233,234,235,236,237,238,239,240,241,242,243,
-      244,245,246,247,248,249,250,251,252,253,254,255,256,257,258,259,260,261,
-      262,263,264,265,266,267,268,269,270,271,272,273,274,275,276,277,278,279,
-      280,281,282,283,284,285,286,287,288,289,290,291,292,293,294,295,296,297,
-      298,299,300,301,302,303,304,305,306,307,308,309,310,311,312,313,314,315,
-      316,317,318,319,320,321,322,323,324,325,326,327,328,329,330,331,332,333,
-      334,335,336,337,338,339,340,341,342,343,344,345,346,347,348,349,350,351,
-      352,353,354,355,356,357,358,359,360,361,362,363,364,365,366,367,368,369,
-      370,371,372,373,374,375,376,377,378,379,380,381,382,383,384,385,386,387,
-      388,389,390,391,392,393,394,395,396,397,398,399,400,401,402,403,404,405,
-      406,407,408,409,410,411,412,413,414,415,416,417,418,419,420,421,422,423,
-      424,425,426,427,428,429,430,431,432,433,434,435,436,437,438,439,440,441,
-      442,443,444,445,446,447,448,449,450,451,452,453,454,455,456,457,458,459,
-      460,461,462,463,464,465,466,467,468,469,470,471,472,473,474,475,476,477,
-      478,479,480,481,482,483,484,485,486,487,488,489,490,491,492,493,494,495,
-      496,497,498,499,500,501,502,503,504,505,506,507,508,509,510,511,512,513,
-      514,515,516,517,518,519,520,521,522,523,524,525,526,527,528,529,530,531,
-      532,533,534,535,536,537,538,539,540,541,542,543,544,545,546,547,548,549,
-      550,551,552,553,554,555,556,557,558,559,560,561,562,563,564,565,566,567,
-      568,569,570,571,572,573,574,575,576,577,578,579,580,581,582,583,584,585,
-      586,587,588,589,590,591,592,593,594,595,596,597,598,599,600,601,602,603,
-      604,605,606,607,608,609,610,611,612,613,614,615,616,617,618,619,620,621,
-      622,623,624,625,626,627,628,629,630,631,632,633,634,635,636,637,638,639,
-      640,641,642,643,644,645,646,647,648,649,650,651,652,653,654,655,656,657,
-      658,659,660,661,662,663,664,665,666,667,668,669,670,671,672,673,674,675,
-      676,677,678,679,680,681,682,683,684,685,686,687,688,689,690,691,692,693,
-      694,695,696,697,698,699,700,701,702,703,704,705,706,707,708,709,710,711,
-      712,713,714,715,716,717,718,719,720,721,722,723,724,725,726,727,728,729,
-      730,731,732,733,734,735,736,737,738,739,740,741,742,743,744,745,746,747,
-      748,749,750,751,752,753,754,755,756,757,758,759,760,761,762,763,764,765,
-      766,767,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,null,null,null,
-      null,null,null,null,null,null,null,null,null,null,null,
-    ]);
+    let options, mesh, corners, subdivide;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: null,
-      indices: index,
+    // Definitions
+    options = this.applyDefaults(this.Defaults.SIERPINSKI, paramOptions);
+    mesh = this.createMesh();
+    corners = this.projectOntoSphere([
+      [0, 0, -3],
+      [0, 2 * Math.SQRT2, 1],
+      [Math.sqrt(6), -Math.SQRT2, 1],
+      [-Math.sqrt(6), -Math.SQRT2, 1],
+    ], options.radius);
+
+    subdivide = function (paramCorners, paramDepth) {
+
+      // Declarations
+      let center, midpoint;
+
+      if (paramDepth === 0) {
+        center = [0, 1, 2].map(function (axis) {
+          return paramCorners.reduce(function (paramSum, paramCorner) {
+            return paramSum + paramCorner[axis];
+          }, 0) / 4;
+        });
+
+        // Four faces, each skipping one of the corners
+        for (let i = 0; i < 4; i++) {
+          inaccessible.appendFlatPolygon(mesh, paramCorners.filter(
+              function (paramCorner, paramIndex) {
+                return paramIndex !== i;
+              }), center);
+        }
+
+        return;
+      }
+
+      midpoint = function (paramA, paramB) {
+        return Array.from(vec3.lerp(vec3.create(), paramCorners[paramA],
+            paramCorners[paramB], 0.5));
+      };
+
+      // Each corner keeps its position and takes the midpoints of its edges
+      for (let i = 0; i < 4; i++) {
+        subdivide([0, 1, 2, 3].map(function (paramIndex) {
+          return (paramIndex === i)
+            ? paramCorners[i]
+            : midpoint(i, paramIndex);
+        }), paramDepth - 1);
+      }
     };
+
+    // Negative or fractional depths are clamped to whole levels
+    subdivide(corners, Math.max(0, Math.floor(options.depth)));
+
+    return this.assembleMeshData(mesh);
   };
 
   /**
    * @description Generator for Ring object, taken from Project 4 template
-   * resource file <code>basic-object-models-IFS.js</code>.
+   * resource file <code>basic-object-models-IFS.js</code> and now computed from
+   * its inner and outer radii. The ring lies in the xy-plane facing the
+   * positive z-axis and is textured by planar projection onto that plane.
    *
    * @see {@link https://bit.ly/2OnaOu5|basic-object-models-IFS.js}
+   * @param {object=} paramOptions <code>{innerRadius, outerRadius,
+   *     slices}</code>
    * @returns {object}
    */
-  inaccessible.defineRing = function () {
+  inaccessible.defineRing = function (paramOptions) {
 
     // Declarations
-    let vertices, normals, textures, index;
-
-    vertices = new Float32Array([
-      0.25,0,0,0.5,0,0,0.2451963201008076,0.04877258050403206,0,
-      0.4903926402016152,0.09754516100806412,0,0.23096988312782168,
-      0.09567085809127245,0,0.46193976625564337,0.1913417161825449,0,
-      0.2078674030756363,0.13889255825490054,0,0.4157348061512726,
-      0.2777851165098011,0,0.1767766952966369,0.17677669529663687,0,
-      0.3535533905932738,0.35355339059327373,0,0.13889255825490057,
-      0.2078674030756363,0,0.27778511650980114,0.4157348061512726,0,
-      0.09567085809127246,0.23096988312782168,0,0.19134171618254492,
-      0.46193976625564337,0,0.04877258050403208,0.2451963201008076,0,
-      0.09754516100806417,0.4903926402016152,0,1.5308084989341915e-17,0.25,0,
-      3.061616997868383e-17,0.5,0,-0.04877258050403205,0.2451963201008076,0,
-      -0.0975451610080641,0.4903926402016152,0,-0.09567085809127243,
-      0.23096988312782168,0,-0.19134171618254486,0.46193976625564337,0,
-      -0.1388925582549005,0.20786740307563634,0,-0.277785116509801,
-      0.4157348061512727,0,-0.17677669529663687,0.1767766952966369,0,
-      -0.35355339059327373,0.3535533905932738,0,-0.20786740307563634,
-      0.13889255825490054,0,-0.4157348061512727,0.2777851165098011,0,
-      -0.23096988312782168,0.09567085809127247,0,-0.46193976625564337,
-      0.19134171618254495,0,-0.2451963201008076,0.04877258050403215,0,
-      -0.4903926402016152,0.0975451610080643,0,-0.25,3.061616997868383e-17,0,
-      -0.5,6.123233995736766e-17,0,-0.2451963201008076,-0.04877258050403209,0,
-      -0.4903926402016152,-0.09754516100806418,0,-0.2309698831278217,
-      -0.09567085809127242,0,-0.4619397662556434,-0.19134171618254484,0,
-      -0.20786740307563636,-0.1388925582549005,0,-0.41573480615127273,
-      -0.277785116509801,0,-0.17677669529663692,-0.17677669529663687,0,
-      -0.35355339059327384,-0.35355339059327373,0,-0.13889255825490054,
-      -0.2078674030756363,0,-0.2777851165098011,-0.4157348061512726,0,
-      -0.09567085809127258,-0.23096988312782163,0,-0.19134171618254517,
-      -0.46193976625564326,0,-0.048772580504032166,-0.24519632010080758,0,
-      -0.09754516100806433,-0.49039264020161516,0,-4.592425496802574e-17,-0.25,
-      0,-9.184850993605148e-17,-0.5,0,0.048772580504032076,-0.2451963201008076,
-      0,0.09754516100806415,-0.4903926402016152,0,0.0956708580912725,
-      -0.23096988312782166,0,0.191341716182545,-0.4619397662556433,0,
-      0.13889255825490046,-0.20786740307563636,0,0.2777851165098009,
-      -0.41573480615127273,0,0.17677669529663684,-0.17677669529663692,0,
-      0.3535533905932737,-0.35355339059327384,0,0.2078674030756363,
-      -0.13889255825490054,0,0.4157348061512726,-0.2777851165098011,0,
-      0.23096988312782163,-0.0956708580912726,0,0.46193976625564326,
-      -0.1913417161825452,0,0.24519632010080758,-0.04877258050403218,0,
-      0.49039264020161516,-0.09754516100806436,0,
-    ]);
-
-    normals = new Float32Array([
-      0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,
-      0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,
-      1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,
-      0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,
-      0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,1,0,0,
-      1,0,0,1,0,0,1,
-    ]);
-
-    textures = new Float32Array([
-      0.75, 0.5, 1, 0.5, 0.7451963424682617, 0.5487725734710693,
-      0.9903926253318787, 0.5975451469421387, 0.7309699058532715,
-      0.5956708788871765, 0.9619397521018982, 0.6913416981697083,
-      0.7078673839569092, 0.6388925313949585, 0.9157348275184631,
-      0.7777851223945618, 0.6767767071723938, 0.6767767071723938,
-      0.8535534143447876, 0.8535534143447876, 0.6388925313949585,
-      0.7078673839569092, 0.7777851223945618, 0.9157348275184631,
-      0.5956708788871765, 0.7309699058532715, 0.6913416981697083,
-      0.9619397521018982, 0.5487725734710693, 0.7451963424682617,
-      0.5975451469421387, 0.9903926253318787, 0.5, 0.75, 0.5, 1,
-      0.45122742652893066, 0.7451963424682617, 0.40245485305786133,
-      0.9903926253318787, 0.4043291509151459, 0.7309699058532715,
-      0.30865827202796936, 0.9619397521018982, 0.3611074388027191,
-      0.7078673839569092, 0.22221487760543823, 0.9157348275184631,
-      0.3232232928276062, 0.6767767071723938, 0.1464466154575348,
-      0.8535534143447876, 0.29213258624076843, 0.6388925313949585,
-      0.08426519483327866, 0.7777851223945618, 0.2690301239490509,
-      0.5956708788871765, 0.03806023299694061, 0.6913416981697083,
-      0.25480368733406067, 0.5487725734710693, 0.009607359766960144,
-      0.5975451469421387, 0.25, 0.5, 0, 0.5, 0.25480368733406067,
-      0.45122742652893066, 0.009607359766960144, 0.40245485305786133,
-      0.2690301239490509, 0.4043291509151459, 0.03806023299694061,
-      0.30865827202796936, 0.29213258624076843, 0.3611074388027191,
-      0.08426519483327866, 0.22221487760543823, 0.3232232928276062,
-      0.3232232928276062, 0.1464466154575348, 0.1464466154575348,
-      0.3611074388027191, 0.29213258624076843, 0.22221487760543823,
-      0.08426519483327866, 0.4043291509151459, 0.2690301239490509,
-      0.30865827202796936, 0.03806023299694061, 0.45122742652893066,
-      0.25480368733406067, 0.40245485305786133, 0.009607359766960144, 0.5, 0.25,
-      0.5, 0, 0.5487725734710693, 0.25480368733406067, 0.5975451469421387,
-      0.009607359766960144, 0.5956708788871765, 0.2690301239490509,
-      0.6913416981697083, 0.03806023299694061, 0.6388925313949585,
-      0.29213258624076843, 0.7777851223945618, 0.08426519483327866,
-      0.6767767071723938, 0.3232232928276062, 0.8535534143447876,
-      0.1464466154575348, 0.7078673839569092, 0.3611074388027191,
-      0.9157348275184631, 0.22221487760543823, 0.7309699058532715,
-      0.4043291509151459, 0.9619397521018982, 0.30865827202796936,
-      0.7451963424682617, 0.45122742652893066, 0.9903926253318787,
-      0.40245485305786133,
-    ]);
-
-    index = new Uint16Array([
-      0,1,3,0,3,2,2,3,5,2,5,4,4,5,7,4,7,6,6,7,9,6,9,8,8,9,11,8,11,10,10,11,13,
-      10,13,12,12,13,15,12,15,14,14,15,17,14,17,16,16,17,19,16,19,18,18,19,21,
-      18,21,20,20,21,23,20,23,22,22,23,25,22,25,24,24,25,27,24,27,26,26,27,29,
-      26,29,28,28,29,31,28,31,30,30,31,33,30,33,32,32,33,35,32,35,34,34,35,37,
-      34,37,36,36,37,39,36,39,38,38,39,41,38,41,40,40,41,43,40,43,42,42,43,45,
-      42,45,44,44,45,47,44,47,46,46,47,49,46,49,48,48,49,51,48,51,50,50,51,53,
-      50,53,52,52,53,55,52,55,54,54,55,57,54,57,56,56,57,59,56,59,58,58,59,61,
-      58,61,60,60,61,63,60,63,62,62,63,1,62,1,0,
-    ]);
+    let options, mesh, slices, angle, x, y, next, scale;
 
-    return {
-      vertexPositions: vertices,
-      vertexNormals: normals,
-      vertexTextureCoords: textures,
-      indices: index,
-    };
+    // Definitions
+    options = this.applyDefaults(this.Defaults.RING, paramOptions);
+    mesh = this.createMesh();
+    slices = options.slices;
+    scale = 2 * options.outerRadius;
+
+    for (let i = 0; i < slices; i++) {
+      angle = 2 * Math.PI * i / slices;
+      x = Math.cos(angle);
+      y = Math.sin(angle);
+
+      [options.innerRadius, options.outerRadius].forEach(function (radius) {
+        mesh.positions.push(radius * x, radius * y, 0);
+        mesh.normals.push(0, 0, 1);
+        mesh.texCoords.push(0.5 + radius * x / scale, 0.5 + radius * y / scale);
+      });
+    }
+
+    // Quad between this inner/outer pair and the next, wrapping at the end
+    for (let i = 0; i < slices; i++) {
+      next = 2 * ((i + 1) % slices);
+      mesh.indices.push(2 * i, 2 * i + 1, next + 1);
+      mesh.indices.push(2 * i, next + 1, next);
+    }
+
+    return this.assembleMeshData(mesh);
   };
 
   // Accessible functions (alphabetized)
@@ -2285,92 +1180,112 @@ const ProjectFourDataModule = (function () {
   /**
    * @description External getter for <code>defineCube</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineCube
    */
-  accessible.getCube = function () {
-    return inaccessible.defineCube();
+  accessible.getCube = function (paramOptions) {
+    return inaccessible.defineCube(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineCylinder</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineCylinder
    */
-  accessible.getCylinder = function () {
-    return inaccessible.defineCylinder();
+  accessible.getCylinder = function (paramOptions) {
+    return inaccessible.defineCylinder(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineDodecahedron</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineDodecahedron
    */
-  accessible.getDodecahedron = function () {
-    return inaccessible.defineDodecahedron();
+  accessible.getDodecahedron = function (paramOptions) {
+    return inaccessible.defineDodecahedron(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineIcosahedron</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineIcosahedron
    */
-  accessible.getIcosahedron = function () {
-    return inaccessible.defineIcosahedron();
+  accessible.getIcosahedron = function (paramOptions) {
+    return inaccessible.defineIcosahedron(paramOptions);
+  };
+
+  /**
+   * @description External getter for <code>defineIcosphere</code>
+   *
+   * @param {object|number=} paramOptions
+   * @returns {object} inaccessible.defineIcosphere
+   */
+  accessible.getIcosphere = function (paramOptions) {
+    return inaccessible.defineIcosphere(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineOctahedron</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineOctahedron
    */
-  accessible.getOctahedron = function () {
-    return inaccessible.defineOctahedron();
+  accessible.getOctahedron = function (paramOptions) {
+    return inaccessible.defineOctahedron(paramOptions);
   };
 
   /**
    * @description External getter for <code>definePyramid</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.definePyramid
    */
-  accessible.getPyramid = function () {
-    return inaccessible.definePyramid();
+  accessible.getPyramid = function (paramOptions) {
+    return inaccessible.definePyramid(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineRing</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineRing
    */
-  accessible.getRing = function () {
-    return inaccessible.defineRing();
+  accessible.getRing = function (paramOptions) {
+    return inaccessible.defineRing(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineSierpinski</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineSierpinski
    */
-  accessible.getSierpinski = function () {
-    return inaccessible.defineSierpinski();
+  accessible.getSierpinski = function (paramOptions) {
+    return inaccessible.defineSierpinski(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineSphere</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineSphere
    */
-  accessible.getSphere = function () {
-    return inaccessible.defineSphere();
+  accessible.getSphere = function (paramOptions) {
+    return inaccessible.defineSphere(paramOptions);
   };
 
   /**
    * @description External getter for <code>defineTetrahedron</code>
    *
+   * @param {object=} paramOptions
    * @returns {object} inaccessible.defineTetrahedron
    */
-  accessible.getTetrahedron = function () {
-    return inaccessible.defineTetrahedron();
+  accessible.getTetrahedron = function (paramOptions) {
+    return inaccessible.defineTetrahedron(paramOptions);
   };
 
   return accessible;
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,894 @@
+/**
+ * @file geometry.js
+ * @fileoverview The geometry utility module of the program, contains several
+ * access namespaces denoting which functions related to the processing of
+ * shape data may be returned for external or global usage.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/* global vec3 */
+
+/**
+ * @description This JavaScript module contains utility functions that operate
+ * on the <code>{vertexPositions, vertexNormals, vertexTextureCoords,
+ * indices}</code> shape data objects returned by the getters of
+ * <code>ProjectFourDataModule</code> and the parsers of
+ * <code>ProjectFourLoaderModule</code>. Each function accepts such an object
+ * and returns a new one, leaving the original untouched, so that the same
+ * shape data may be processed differently for different scene objects.
+ *
+ * @author Andrew Eissen
+ * @module ProjectFourGeometryModule
+ * @const
+ */
+const ProjectFourGeometryModule = (function () {
+
+  // Declare access namespaces
+  let accessible, inaccessible;
+
+  // Define access namespaces
+  accessible = accessible || {};
+  inaccessible = inaccessible || {};
+
+  // Enums
+
+  /**
+   * @description Enum for assorted utility constants, namely the largest
+   * vertex count addressable by a <code>Uint16Array</code> index buffer, the
+   * default crease angle (in degrees) of smooth normals, beyond which adjacent
+   * faces are not smoothed together, the precision with which positions are
+   * compared when welding vertices, and the tolerance used in floating point
+   * comparisons.
+   *
+   * @readonly
+   * @enum {number}
+   */
+  inaccessible.Utility = Object.freeze({
+    MAX_UINT16_VERTICES: 65536,
+    DEFAULT_CREASE_ANGLE: 180,
+    WELD_PRECISION: 5,
+    EPSILON: 1e-6,
+  });
+
+  /**
+   * @description This enum contains the text of the various errors thrown by
+   * the geometry utilities when passed invalid arguments.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.Text = Object.freeze({
+    NORMALS_MODE_ERROR: 'Normals mode must be either "flat" or "smooth"',
+    UV_MAPPING_ERROR: 'UV mapping must be "planar", "cylindrical", ' +
+        '"spherical", or "box"',
+    TANGENTS_ERROR: 'Tangents require shape data with texture coordinates',
+  });
+
+  /**
+   * @description This enum lists the texture coordinate projection modes
+   * accepted by <code>inaccessible.generateTextureCoords</code> and, by
+   * extension, by the <code>uvMapping</code> property of scene entries.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.UvMappings = Object.freeze({
+    PLANAR: 'planar',
+    CYLINDRICAL: 'cylindrical',
+    SPHERICAL: 'spherical',
+    BOX: 'box',
+  });
+
+  // Utility functions
+
+  /**
+   * @description This utility function returns the typed array in which the
+   * indices of shape data of the included vertex count are to be stored,
+   * namely a <code>Uint16Array</code> unless the count exceeds the range of a
+   * 16-bit index, in which case a <code>Uint32Array</code>, which
+   * <code>app.js</code> draws using <code>OES_element_index_uint</code>. As the
+   * shape generators and model loaders build indices of their own, it is also
+   * made accessible to them.
+   *
+   * @param {number} paramVertexCount
+   * @returns {function} <code>Uint16Array</code> or <code>Uint32Array</code>
+   */
+  inaccessible.getIndexArrayType = function (paramVertexCount) {
+    return (paramVertexCount > this.Utility.MAX_UINT16_VERTICES)
+      ? Uint32Array
+      : Uint16Array;
+  };
+
+  /**
+   * @description This utility function returns the three components of the
+   * vertex at the included index of a flat array of vec3 values.
+   *
+   * @param {!Array<number>|Float32Array} paramArray
+   * @param {number} paramIndex
+   * @returns {!Array<number>}
+   */
+  inaccessible.getVector = function (paramArray, paramIndex) {
+    return [
+      paramArray[3 * paramIndex],
+      paramArray[3 * paramIndex + 1],
+      paramArray[3 * paramIndex + 2],
+    ];
+  };
+
+  /**
+   * @description This utility function returns a <code>String</code> key
+   * identifying the included position, rounded such that vertices duplicated
+   * across faces (as in the flat-shaded polyhedra) share the same key.
+   *
+   * @param {!Array<number>} paramVector
+   * @returns {string}
+   */
+  inaccessible.getVectorKey = function (paramVector) {
+    return paramVector.map(function (paramValue) {
+      return paramValue.toFixed(this.Utility.WELD_PRECISION);
+    }, this).join(',');
+  };
+
+  /**
+   * @description This function computes the unit normal and the interior
+   * angle at each corner of each triangle of the included shape data. The
+   * corner angles are used to weight each face's contribution to the smooth
+   * normal of a shared vertex, so that the result does not depend on how
+   * finely the surrounding faces happen to be triangulated.
+   *
+   * @param {object} paramData
+   * @returns {!Array<object>} faces <code>{normal, angles}</code>
+   */
+  inaccessible.computeFaceProperties = function (paramData) {
+
+    // Declarations
+    let faces, indices, corners, edges, normal, angles;
+
+    // Definitions
+    faces = [];
+    indices = paramData.indices;
+
+    for (let i = 0; i < indices.length; i += 3) {
+      corners = [0, 1, 2].map(function (paramCorner) {
+        return this.getVector(paramData.vertexPositions, indices[i +
+            paramCorner]);
+      }, this);
+
+      edges = [0, 1, 2].map(function (paramCorner) {
+        return vec3.subtract(vec3.create(), corners[(paramCorner + 1) % 3],
+            corners[paramCorner]);
+      });
+
+      normal = vec3.cross(vec3.create(), edges[0], edges[2]);
+      vec3.negate(normal, normal);
+      vec3.normalize(normal, normal);
+
+      // Angle at each corner between its outgoing and incoming edges
+      angles = [0, 1, 2].map(function (paramCorner) {
+        return Math.acos(Math.max(-1, Math.min(1, -vec3.dot(
+            vec3.normalize(vec3.create(), edges[paramCorner]),
+            vec3.normalize(vec3.create(), edges[(paramCorner + 2) % 3])))));
+      });
+
+      faces.push({
+        normal: normal,
+        angles: angles,
+      });
+    }
+
+    return faces;
+  };
+
+  /**
+   * @description This function returns the minimum, maximum, and center of
+   * the axis-aligned bounding box of the included shape data's positions,
+   * along with its extent along each axis. Zero extents (as along the normal
+   * of a planar mesh) are replaced with one to avoid dividing by zero when
+   * positions are normalized against the box.
+   *
+   * @param {object} paramData
+   * @returns {object} bounds <code>{min, max, center, extent}</code>
+   */
+  inaccessible.computeBounds = function (paramData) {
+
+    // Declarations
+    let min, max, position;
+
+    // Definitions
+    min = [Infinity, Infinity, Infinity];
+    max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < paramData.vertexPositions.length / 3; i++) {
+      position = this.getVector(paramData.vertexPositions, i);
+
+      for (let j = 0; j < 3; j++) {
+        min[j] = Math.min(min[j], position[j]);
+        max[j] = Math.max(max[j], position[j]);
+      }
+    }
+
+    return {
+      min: min,
+      max: max,
+      center: min.map(function (paramValue, paramAxis) {
+        return (paramValue + max[paramAxis]) / 2;
+      }),
+      extent: min.map(function (paramValue, paramAxis) {
+        return (max[paramAxis] - paramValue > 0)
+          ? max[paramAxis] - paramValue
+          : 1;
+      }),
+    };
+  };
+
+  /**
+   * @description This function assembles a new shape data object from a set
+   * of per-corner (that is, per-index) normals and/or texture coordinates.
+   * Either array may be <code>null</code>, in which case that attribute is
+   * copied from the original vertex referenced by each corner. Corners of the
+   * same original vertex are only merged into a single output vertex if they
+   * share the same attribute values, so vertices are split exactly where
+   * creases, flat faces, or texture seams require. The index type falls back
+   * to <code>Uint32Array</code> should the vertex count require it.
+   *
+   * @param {object} paramData
+   * @param {?Array<!Array<number>>} paramNormals
+   * @param {?Array<!Array<number>>} paramTexCoords
+   * @returns {object}
+   */
+  inaccessible.assembleFromCorners = function (paramData, paramNormals,
+      paramTexCoords) {
+
+    // Declarations
+    let hasTexCoords, positions, normals, texCoords, indices, lookup, vertex,
+      normal, texCoord, key, IndexArray;
+
+    // Definitions
+    hasTexCoords = paramTexCoords != null ||
+        paramData.vertexTextureCoords != null;
+    positions = [];
+    normals = [];
+    texCoords = [];
+    indices = [];
+    lookup = {};
+
+    for (let i = 0; i < paramData.indices.length; i++) {
+      vertex = paramData.indices[i];
+      normal = (paramNormals != null)
+        ? paramNormals[i]
+        : this.getVector(paramData.vertexNormals, vertex);
+      texCoord = (paramTexCoords != null)
+        ? paramTexCoords[i]
+        : (paramData.vertexTextureCoords != null)
+          ? [
+            paramData.vertexTextureCoords[2 * vertex],
+            paramData.vertexTextureCoords[2 * vertex + 1],
+          ]
+          : [];
+
+      key = `${vertex}/${this.getVectorKey(Array.from(normal))}/` +
+          this.getVectorKey(texCoord);
+
+      if (lookup[key] == null) {
+        lookup[key] = positions.length / 3;
+        positions.push(...this.getVector(paramData.vertexPositions, vertex));
+        normals.push(...normal);
+        texCoords.push(...texCoord);
+      }
+
+      indices.push(lookup[key]);
+    }
+
+    IndexArray = this.getIndexArrayType(positions.length / 3);
+
+    return {
+      vertexPositions: new Float32Array(positions),
+      vertexNormals: new Float32Array(normals),
+      vertexTextureCoords: (hasTexCoords)
+        ? new Float32Array(texCoords)
+        : null,
+      indices: new IndexArray(indices),
+    };
+  };
+
+  // Geometry functions
+
+  /**
+   * @description This function regenerates the normals of the included shape
+   * data from its positions and indices alone. In <code>'flat'</code> mode,
+   * each triangle corner receives the normal of its face. In
+   * <code>'smooth'</code> mode, each corner receives the angle-weighted average
+   * of the normals of all faces sharing its position whose normal lies within
+   * <code>paramCreaseAngle</code> degrees of its own face's normal; edges
+   * sharper than the crease angle thus remain hard. As faces sharing a
+   * position may be stored with separate (duplicated) vertices, positions are
+   * welded before smoothing.
+   *
+   * @param {object} paramData
+   * @param {string} paramMode <code>'flat'</code> or <code>'smooth'</code>
+   * @param {number=} paramCreaseAngle Degrees, smooth mode only
+   * @returns {object}
+   */
+  inaccessible.generateNormals = function (paramData, paramMode,
+      paramCreaseAngle = null) {
+
+    // Declarations
+    let faces, threshold, positionFaces, normals, face, key, normal, neighbor;
+
+    // Definitions
+    faces = this.computeFaceProperties(paramData);
+    threshold = Math.cos(((paramCreaseAngle != null)
+      ? paramCreaseAngle
+      : this.Utility.DEFAULT_CREASE_ANGLE) / 180 * Math.PI);
+    positionFaces = {};
+    normals = [];
+
+    if (paramMode !== 'flat' && paramMode !== 'smooth') {
+      throw new Error(this.Text.NORMALS_MODE_ERROR);
+    }
+
+    // Map each welded position to the face corners that touch it
+    for (let i = 0; i < paramData.indices.length; i++) {
+      key = this.getVectorKey(this.getVector(paramData.vertexPositions,
+          paramData.indices[i]));
+      positionFaces[key] = positionFaces[key] || [];
+      positionFaces[key].push({
+        face: Math.floor(i / 3),
+        corner: i % 3,
+      });
+    }
+
+    for (let i = 0; i < paramData.indices.length; i++) {
+      face = faces[Math.floor(i / 3)];
+
+      if (paramMode === 'flat') {
+        normal = vec3.clone(face.normal);
+      } else {
+        normal = vec3.create();
+        key = this.getVectorKey(this.getVector(paramData.vertexPositions,
+            paramData.indices[i]));
+
+        for (let j = 0; j < positionFaces[key].length; j++) {
+          neighbor = positionFaces[key][j];
+
+          if (vec3.dot(faces[neighbor.face].normal, face.normal) >=
+              threshold - this.Utility.EPSILON) {
+            vec3.scaleAndAdd(normal, normal, faces[neighbor.face].normal,
+                faces[neighbor.face].angles[neighbor.corner]);
+          }
+        }
+
+        vec3.normalize(normal, normal);
+      }
+
+      normals.push(normal);
+    }
+
+    return this.assembleFromCorners(paramData, normals, null);
+  };
+
+  /**
+   * @description This function cuts each triangle of the included shape data
+   * that straddles the seam of the wrapping texture projections, namely the
+   * half-plane y = 0, x > 0 about the included center, along that seam.
+   * Triangles straddle the seam if the angles about the z-axis of their
+   * corners (other than those on the axis itself) lie more than half a turn
+   * apart. Each edge crossing from one side of the seam to the other gains a
+   * new vertex where it meets the seam, shared by both triangles bordering
+   * the edge and with a normal interpolated between those of its ends, and
+   * the triangle is replaced by a fan of triangles on either side. Texture
+   * coordinates are not carried over, as they are about to be replaced.
+   *
+   * @param {object} paramData
+   * @param {!Array<number>} paramCenter
+   * @returns {object}
+   */
+  inaccessible.splitAtTextureSeam = function (paramData, paramCenter) {
+
+    // Declarations
+    let that, positions, normals, indices, crossings, getRelative, getAngle,
+      getSide, getCrossing, corners, angles, high, low, first, second;
+
+    // Definitions
+    that = this;
+    positions = Array.from(paramData.vertexPositions);
+    normals = Array.from(paramData.vertexNormals);
+    indices = [];
+    crossings = {};
+
+    getRelative = function (paramIndex) {
+      return that.getVector(positions, paramIndex).map(
+          function (paramValue, paramAxis) {
+            return paramValue - paramCenter[paramAxis];
+          });
+    };
+
+    getAngle = function (paramIndex) {
+
+      // Declaration
+      let position;
+
+      // Definition
+      position = getRelative(paramIndex);
+
+      return (Math.abs(position[0]) < that.Utility.EPSILON &&
+          Math.abs(position[1]) < that.Utility.EPSILON)
+        ? null
+        : (Math.atan2(position[1], position[0]) / (2 * Math.PI) + 1) % 1;
+    };
+
+    // Corners on the seam (or on the axis) lie on both sides of it
+    getSide = function (paramIndex) {
+
+      // Declaration
+      let position;
+
+      // Definition
+      position = getRelative(paramIndex);
+
+      if (
+        Math.abs(position[1]) < that.Utility.EPSILON &&
+        position[0] > -that.Utility.EPSILON
+      ) {
+        return 'seam';
+      }
+
+      return (getAngle(paramIndex) < 0.5)
+        ? 'low'
+        : 'high';
+    };
+
+    // Edges are cut where they meet y = 0, each only once
+    getCrossing = function (paramFirst, paramSecond) {
+
+      // Declarations
+      let key, firstY, secondY, weight, normal;
+
+      // Definitions
+      key = `${Math.min(paramFirst, paramSecond)}/` +
+          `${Math.max(paramFirst, paramSecond)}`;
+
+      if (crossings[key] == null) {
+        firstY = getRelative(paramFirst)[1];
+        secondY = getRelative(paramSecond)[1];
+        weight = firstY / (firstY - secondY);
+        normal = vec3.lerp(vec3.create(),
+            that.getVector(normals, paramFirst),
+            that.getVector(normals, paramSecond), weight);
+
+        crossings[key] = positions.length / 3;
+        positions.push(...vec3.lerp(vec3.create(),
+            that.getVector(positions, paramFirst),
+            that.getVector(positions, paramSecond), weight));
+        positions[positions.length - 2] = paramCenter[1];
+        normals.push(...vec3.normalize(normal, normal));
+      }
+
+      return crossings[key];
+    };
+
+    for (let i = 0; i < paramData.indices.length; i += 3) {
+      corners = Array.from(paramData.indices.slice(i, i + 3));
+      angles = corners.map(getAngle).filter(function (paramAngle) {
+        return paramAngle != null;
+      });
+
+      if (Math.max(...angles) - Math.min(...angles) <= 0.5) {
+        indices.push(...corners);
+        continue;
+      }
+
+      high = [];
+      low = [];
+
+      for (let j = 0; j < corners.length; j++) {
+        first = corners[j];
+        second = corners[(j + 1) % corners.length];
+
+        if (getSide(first) !== 'low') {
+          high.push(first);
+        }
+
+        if (getSide(first) !== 'high') {
+          low.push(first);
+        }
+
+        if (
+          getSide(first) !== 'seam' &&
+          getSide(second) !== 'seam' &&
+          getSide(first) !== getSide(second)
+        ) {
+          high.push(getCrossing(first, second));
+          low.push(getCrossing(first, second));
+        }
+      }
+
+      // Fan out from the first corner of each side, keeping the winding
+      [high, low].forEach(function (paramPolygon) {
+        for (let j = 1; j < paramPolygon.length - 1; j++) {
+          indices.push(paramPolygon[0], paramPolygon[j], paramPolygon[j + 1]);
+        }
+      });
+    }
+
+    return {
+      vertexPositions: new Float32Array(positions),
+      vertexNormals: new Float32Array(normals),
+      vertexTextureCoords: null,
+      indices: indices,
+    };
+  };
+
+  /**
+   * @description This function generates texture coordinates for the included
+   * shape data by projecting its positions, measured relative to the center of
+   * their bounding box, in one of four ways. The projections share the
+   * z-axis-as-pole convention of the sphere and icosphere in
+   * <code>ProjectFourDataModule</code>.
+   * <br />
+   * <br />
+   * <code>'planar'</code> projects straight down the z-axis, stretching the
+   * texture over the x and y extents of the box. <code>'cylindrical'</code>
+   * wraps the texture once around the z-axis, with v running along the box's
+   * height, while <code>'spherical'</code> additionally maps latitude to v.
+   * <code>'box'</code> (or triplanar) mapping projects each triangle along the
+   * axis its face normal points most closely toward.
+   * <br />
+   * <br />
+   * For the wrapping projections, triangles that straddle the seam at u = 0
+   * are first cut along it by <code>inaccessible.splitAtTextureSeam</code>, so
+   * that the texture does not run backwards across them. Corners lying on the
+   * seam then take a u of 1 or 0 depending on the side of it their triangle
+   * lies, while corners lying on the pole take the average u of the remaining
+   * corners. Both cases split the affected vertices via
+   * <code>inaccessible.assembleFromCorners</code>. No u lies outside the
+   * [0, 1] range, as textures whose sizes are not powers of two are clamped
+   * rather than repeated.
+   *
+   * @param {object} paramData
+   * @param {string} paramMode
+   * @returns {object}
+   */
+  inaccessible.generateTextureCoords = function (paramData, paramMode) {
+
+    // Declarations
+    let that, bounds, faces, texCoords, corners, axis, normal, project, u,
+      isSeam;
+
+    // Definitions
+    that = this;
+    bounds = this.computeBounds(paramData);
+    faces = this.computeFaceProperties(paramData);
+    texCoords = [];
+
+    if (Object.values(this.UvMappings).indexOf(paramMode) === -1) {
+      throw new Error(this.Text.UV_MAPPING_ERROR);
+    }
+
+    // Wrapping projections need their seam-straddling triangles cut first
+    if (
+      paramMode === this.UvMappings.CYLINDRICAL ||
+      paramMode === this.UvMappings.SPHERICAL
+    ) {
+      paramData = this.splitAtTextureSeam(paramData, bounds.center);
+    }
+
+    // Position relative to the bounding box's center
+    project = function (paramIndex) {
+      return that.getVector(paramData.vertexPositions, paramIndex).map(
+          function (paramValue, paramAxis) {
+            return paramValue - bounds.center[paramAxis];
+          });
+    };
+
+    for (let i = 0; i < paramData.indices.length; i += 3) {
+      corners = [0, 1, 2].map(function (paramCorner) {
+        return project(paramData.indices[i + paramCorner]);
+      });
+
+      switch (paramMode) {
+        case this.UvMappings.PLANAR:
+          corners = corners.map(function (paramPosition) {
+            return [
+              paramPosition[0] / bounds.extent[0] + 0.5,
+              paramPosition[1] / bounds.extent[1] + 0.5,
+            ];
+          });
+          break;
+        case this.UvMappings.BOX:
+          normal = faces[i / 3].normal.map(Math.abs);
+          axis = normal.indexOf(Math.max(...normal));
+          corners = corners.map(function (paramPosition) {
+            return [0, 1, 2].filter(function (paramAxis) {
+              return paramAxis !== axis;
+            }).map(function (paramAxis) {
+              return paramPosition[paramAxis] / bounds.extent[paramAxis] + 0.5;
+            });
+          });
+          break;
+        default:
+          isSeam = corners.map(function (paramPosition) {
+            return Math.abs(paramPosition[1]) < that.Utility.EPSILON &&
+                paramPosition[0] > that.Utility.EPSILON;
+          });
+          corners = corners.map(function (paramPosition) {
+            return [
+              (Math.abs(paramPosition[0]) < that.Utility.EPSILON &&
+                  Math.abs(paramPosition[1]) < that.Utility.EPSILON)
+                ? null
+                : (Math.atan2(paramPosition[1], paramPosition[0]) /
+                    (2 * Math.PI) + 1) % 1,
+              (paramMode === that.UvMappings.CYLINDRICAL)
+                ? paramPosition[2] / bounds.extent[2] + 0.5
+                : Math.asin(Math.max(-1, Math.min(1, paramPosition[2] /
+                    (vec3.length(paramPosition) || 1)))) / Math.PI + 0.5,
+            ];
+          });
+
+          u = corners.filter(function (paramTexCoord, paramCorner) {
+            return paramTexCoord[0] != null && !isSeam[paramCorner];
+          }).map(function (paramTexCoord) {
+            return paramTexCoord[0];
+          });
+
+          // Seam corners take the u of whichever side their triangle lies on
+          corners.forEach(function (paramTexCoord, paramCorner) {
+            if (isSeam[paramCorner]) {
+              paramTexCoord[0] = (Math.max(...u) > 0.5)
+                ? 1
+                : 0;
+            }
+          });
+
+          // Pole corners take the average u of the others
+          corners.forEach(function (paramTexCoord) {
+            if (paramTexCoord[0] == null) {
+              paramTexCoord[0] = corners.filter(function (paramOther) {
+                return paramOther[0] != null;
+              }).reduce(function (paramSum, paramOther, paramIndex, array) {
+                return paramSum + paramOther[0] / array.length;
+              }, 0);
+            }
+          });
+          break;
+      }
+
+      texCoords.push(...corners);
+    }
+
+    return this.assembleFromCorners(paramData, null, texCoords);
+  };
+
+  /**
+   * @description This function builds an index array listing each unique edge
+   * of the included shape data's triangles once, as pairs of vertex indices
+   * suitable for drawing with <code>gl.LINES</code>. Edges are identified by
+   * their welded end positions rather than their vertex indices, so that an
+   * edge shared by two faces with separate (duplicated) vertices, as in the
+   * flat-shaded polyhedra, is still only drawn once. Edges lying between two
+   * coplanar triangles, such as the diagonals left by the fan triangulation of
+   * the cube's squares or the dodecahedron's pentagons, are omitted so that
+   * only the edges of the original polygons remain. The returned array is of
+   * the same type as the shape data's own indices.
+   *
+   * @param {object} paramData
+   * @returns {Uint16Array|Uint32Array} edges
+   */
+  inaccessible.generateEdgeIndices = function (paramData) {
+
+    // Declarations
+    let faces, lookup, order, edges, start, end, key, edge;
+
+    // Definitions
+    faces = this.computeFaceProperties(paramData);
+    lookup = {};
+    order = [];
+    edges = [];
+
+    // Collect the faces adjacent to each welded edge
+    for (let i = 0; i < paramData.indices.length; i++) {
+      start = paramData.indices[i];
+      end = paramData.indices[(i % 3 === 2) ? i - 2 : i + 1];
+      key = [start, end].map(function (paramIndex) {
+        return this.getVectorKey(this.getVector(paramData.vertexPositions,
+            paramIndex));
+      }, this).sort();
+
+      if (key[0] === key[1]) {
+        continue;
+      }
+
+      key = key.join('/');
+
+      if (lookup[key] == null) {
+        lookup[key] = {
+          indices: [start, end],
+          faces: [],
+        };
+        order.push(key);
+      }
+
+      lookup[key].faces.push(faces[Math.floor(i / 3)].normal);
+    }
+
+    for (let i = 0; i < order.length; i++) {
+      edge = lookup[order[i]];
+
+      if (
+        edge.faces.length !== 2 ||
+        vec3.dot(edge.faces[0], edge.faces[1]) < 1 - this.Utility.EPSILON
+      ) {
+        edges.push(...edge.indices);
+      }
+    }
+
+    return new paramData.indices.constructor(edges);
+  };
+
+  /**
+   * @description This function generates a tangent for each vertex of the
+   * included shape data, as required to light the surface using a normal map
+   * whose normals are given relative to that surface. The tangent of each
+   * triangle is the direction in which its texture's u coordinate increases,
+   * and the per-vertex tangents are the sums of those of the adjacent
+   * triangles, weighted implicitly by their area, made perpendicular to the
+   * vertex normal. Each tangent is returned as four components, the last of
+   * which (either 1 or -1) denotes the handedness of the texture mapping, so
+   * that the bitangent may be reconstructed as
+   * <code>cross(normal, tangent.xyz) * tangent.w</code> in the shader even
+   * where the texture is mirrored. Vertices whose triangles have degenerate
+   * texture coordinates are given an arbitrary tangent perpendicular to their
+   * normal.
+   *
+   * @param {object} paramData
+   * @returns {Float32Array} tangents
+   */
+  inaccessible.generateTangents = function (paramData) {
+
+    // Declarations
+    let count, tangents, bitangents, corners, uvs, edges, deltas, determinant,
+      tangent, bitangent, normal, result;
+
+    if (paramData.vertexTextureCoords == null) {
+      throw new Error(this.Text.TANGENTS_ERROR);
+    }
+
+    // Definitions
+    count = paramData.vertexPositions.length / 3;
+    tangents = new Float32Array(3 * count);
+    bitangents = new Float32Array(3 * count);
+    result = new Float32Array(4 * count);
+
+    for (let i = 0; i < paramData.indices.length; i += 3) {
+      corners = [0, 1, 2].map(function (paramCorner) {
+        return paramData.indices[i + paramCorner];
+      });
+      uvs = corners.map(function (paramVertex) {
+        return [
+          paramData.vertexTextureCoords[2 * paramVertex],
+          paramData.vertexTextureCoords[2 * paramVertex + 1],
+        ];
+      });
+      edges = [1, 2].map(function (paramCorner) {
+        return vec3.subtract(vec3.create(),
+            this.getVector(paramData.vertexPositions, corners[paramCorner]),
+            this.getVector(paramData.vertexPositions, corners[0]));
+      }, this);
+      deltas = [1, 2].map(function (paramCorner) {
+        return [
+          uvs[paramCorner][0] - uvs[0][0],
+          uvs[paramCorner][1] - uvs[0][1],
+        ];
+      });
+      determinant = deltas[0][0] * deltas[1][1] - deltas[1][0] * deltas[0][1];
+
+      // Triangles with no extent in texture space have no defined tangent
+      if (Math.abs(determinant) < this.Utility.EPSILON) {
+        continue;
+      }
+
+      tangent = vec3.create();
+      vec3.scaleAndAdd(tangent, tangent, edges[0], deltas[1][1]);
+      vec3.scaleAndAdd(tangent, tangent, edges[1], -deltas[0][1]);
+      vec3.scale(tangent, tangent, 1 / determinant);
+
+      bitangent = vec3.create();
+      vec3.scaleAndAdd(bitangent, bitangent, edges[1], deltas[0][0]);
+      vec3.scaleAndAdd(bitangent, bitangent, edges[0], -deltas[1][0]);
+      vec3.scale(bitangent, bitangent, 1 / determinant);
+
+      for (let j = 0; j < corners.length; j++) {
+        for (let k = 0; k < 3; k++) {
+          tangents[3 * corners[j] + k] += tangent[k];
+          bitangents[3 * corners[j] + k] += bitangent[k];
+        }
+      }
+    }
+
+    for (let i = 0; i < count; i++) {
+      normal = vec3.normalize(vec3.create(),
+          this.getVector(paramData.vertexNormals, i));
+      tangent = this.getVector(tangents, i);
+
+      // Gram-Schmidt orthogonalization against the vertex normal
+      vec3.scaleAndAdd(tangent, tangent, normal, -vec3.dot(normal, tangent));
+
+      if (vec3.length(tangent) < this.Utility.EPSILON) {
+        vec3.cross(tangent, normal, (Math.abs(normal[0]) < 0.9)
+          ? [1, 0, 0]
+          : [0, 1, 0]);
+      }
+
+      vec3.normalize(tangent, tangent);
+      bitangent = vec3.cross(vec3.create(), normal, tangent);
+
+      result.set(tangent, 4 * i);
+      result[4 * i + 3] =
+          (vec3.dot(bitangent, this.getVector(bitangents, i)) < 0)
+            ? -1
+            : 1;
+    }
+
+    return result;
+  };
+
+  // Accessible functions
+
+  /**
+   * @description External getter for <code>generateNormals</code>
+   *
+   * @param {object} paramData
+   * @param {string} paramMode
+   * @param {number=} paramCreaseAngle
+   * @returns {object} inaccessible.generateNormals
+   */
+  accessible.generateNormals = function (paramData, paramMode,
+      paramCreaseAngle) {
+    return inaccessible.generateNormals(paramData, paramMode,
+        paramCreaseAngle);
+  };
+
+  /**
+   * @description External getter for <code>generateTextureCoords</code>
+   *
+   * @param {object} paramData
+   * @param {string} paramMode
+   * @returns {object} inaccessible.generateTextureCoords
+   */
+  accessible.generateTextureCoords = function (paramData, paramMode) {
+    return inaccessible.generateTextureCoords(paramData, paramMode);
+  };
+
+  /**
+   * @description External getter for <code>generateEdgeIndices</code>
+   *
+   * @param {object} paramData
+   * @returns {Uint16Array|Uint32Array} inaccessible.generateEdgeIndices
+   */
+  accessible.generateEdgeIndices = function (paramData) {
+    return inaccessible.generateEdgeIndices(paramData);
+  };
+
+  /**
+   * @description External getter for <code>generateTangents</code>
+   *
+   * @param {object} paramData
+   * @returns {Float32Array} inaccessible.generateTangents
+   */
+  accessible.generateTangents = function (paramData) {
+    return inaccessible.generateTangents(paramData);
+  };
+
+  /**
+   * @description External getter for <code>getIndexArrayType</code>
+   *
+   * @param {number} paramVertexCount
+   * @returns {function} inaccessible.getIndexArrayType
+   */
+  accessible.getIndexArrayType = function (paramVertexCount) {
+    return inaccessible.getIndexArrayType(paramVertexCount);
+  };
+
+  return accessible;
+})();
@@ -0,0 +1,722 @@
+/**
+ * @file loader.js
+ * @fileoverview The model loader module of the program, contains several access
+ * namespaces denoting which functions related to the importing of external
+ * model files may be returned for external or global usage.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/* global mat3, mat4, quat, vec3, ProjectFourGeometryModule */
+
+/**
+ * @description This JavaScript module is used to convert external model files
+ * into the same <code>{vertexPositions, vertexNormals, vertexTextureCoords,
+ * indices}</code> object returned by the getters of
+ * <code>ProjectFourDataModule</code>, allowing <code>app.js</code> to build
+ * shape templates from the user's own models in the same manner as it does
+ * for the built-in polyhedra. It is passed as an argument when the
+ * <code>ProjectFourModule</code> IIFE is invoked.
+ * <br />
+ * <br />
+ * At present, the module supports the Wavefront OBJ format's
+ * <code>v</code>, <code>vt</code>, <code>vn</code>, and <code>f</code>
+ * records (all other records, such as groups, smoothing groups, and
+ * materials, are ignored) and the glTF 2.0 format in both its JSON
+ * (<code>.gltf</code>) and binary (<code>.glb</code>) forms. glTF buffers must
+ * either be embedded in the binary chunk or encoded as data URIs, as the
+ * loader does not fetch external files.
+ *
+ * @see {@link http://paulbourke.net/dataformats/obj/|OBJ specification}
+ * @see {@link https://github.com/KhronosGroup/glTF/tree/master/specification/2.0|glTF 2.0}
+ * @author Andrew Eissen
+ * @module ProjectFourLoaderModule
+ * @const
+ */
+const ProjectFourLoaderModule = (function () {
+
+  // Declare access namespaces
+  let accessible, inaccessible;
+
+  // Define access namespaces
+  accessible = accessible || {};
+  inaccessible = inaccessible || {};
+
+  // Enums
+
+  /**
+   * @description This enum contains the constants of the glTF 2.0 format
+   * required to read binary <code>.glb</code> containers and accessor data,
+   * namely the container magic numbers, the typed array associated with each
+   * accessor <code>componentType</code>, the number of components of each
+   * accessor <code>type</code>, and the supported primitive modes.
+   *
+   * @readonly
+   * @enum {number|object}
+   */
+  inaccessible.Gltf = Object.freeze({
+    GLB_MAGIC: 0x46546C67,
+    JSON_CHUNK: 0x4E4F534A,
+    BIN_CHUNK: 0x004E4942,
+    COMPONENT_TYPES: {
+      5120: Int8Array,
+      5121: Uint8Array,
+      5122: Int16Array,
+      5123: Uint16Array,
+      5125: Uint32Array,
+      5126: Float32Array,
+    },
+    TYPE_SIZES: {
+      SCALAR: 1,
+      VEC2: 2,
+      VEC3: 3,
+      VEC4: 4,
+      MAT4: 16,
+    },
+    TRIANGLES: 4,
+    TRIANGLE_STRIP: 5,
+    TRIANGLE_FAN: 6,
+  });
+
+  /**
+   * @description This enum contains the text of the various errors thrown by
+   * the loaders when a model file is malformed.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.Text = Object.freeze({
+    OBJ_INDEX_ERROR: 'OBJ index out of range',
+    OBJ_FACE_ERROR: 'OBJ face has fewer than three vertices',
+    OBJ_EMPTY_ERROR: 'OBJ file contains no faces',
+    GLTF_VERSION_ERROR: 'Only glTF 2.0 is supported',
+    GLTF_BUFFER_ERROR: 'glTF buffers must be embedded or data URIs',
+    GLTF_SPARSE_ERROR: 'Sparse glTF accessors are not supported',
+    GLTF_MODE_ERROR: 'Only triangle glTF primitives are supported',
+  });
+
+  // Utility functions
+
+  /**
+   * @description This utility function converts a one-based (or, if negative,
+   * end-relative) OBJ index into a zero-based array index, throwing an error
+   * noting the offending line should the index fall outside the list of
+   * records read thus far.
+   *
+   * @param {string} paramIndex
+   * @param {number} paramCount Number of records of this type read thus far
+   * @param {number} paramLine
+   * @returns {number}
+   */
+  inaccessible.resolveObjIndex = function (paramIndex, paramCount,
+      paramLine) {
+
+    // Declarations
+    let index;
+
+    // Definition
+    index = parseInt(paramIndex, 10);
+    index = (index < 0) ? paramCount + index : index - 1;
+
+    if (isNaN(index) || index < 0 || index >= paramCount) {
+      throw new Error(`${this.Text.OBJ_INDEX_ERROR} (line ${paramLine})`);
+    }
+
+    return index;
+  };
+
+  /**
+   * @description This utility function decodes the contents of a
+   * <code>data:</code> URI, whether base64 or percent-encoded, into an
+   * <code>ArrayBuffer</code>.
+   *
+   * @param {string} paramUri
+   * @returns {ArrayBuffer}
+   */
+  inaccessible.decodeDataUri = function (paramUri) {
+
+    // Declarations
+    let header, payload, binary, bytes;
+
+    // Definitions
+    header = paramUri.slice(0, paramUri.indexOf(','));
+    payload = paramUri.slice(paramUri.indexOf(',') + 1);
+    binary = (/;base64$/.test(header))
+      ? atob(payload)
+      : unescape(payload);
+    bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes.buffer;
+  };
+
+  /**
+   * @description This function splits a binary <code>.glb</code> container
+   * into its JSON chunk, parsed into an object, and its optional binary chunk,
+   * which serves as the contents of any buffer lacking a <code>uri</code>.
+   *
+   * @param {ArrayBuffer} paramBuffer
+   * @returns {object} <code>{json, bin}</code>
+   */
+  inaccessible.readGlb = function (paramBuffer) {
+
+    // Declarations
+    let view, offset, chunkLength, chunkType, json, bin;
+
+    // Definitions
+    view = new DataView(paramBuffer);
+    offset = 12; // Skip magic, version, and length header
+    bin = null;
+
+    if (view.getUint32(4, true) !== 2) {
+      throw new Error(this.Text.GLTF_VERSION_ERROR);
+    }
+
+    while (offset < view.byteLength) {
+      chunkLength = view.getUint32(offset, true);
+      chunkType = view.getUint32(offset + 4, true);
+
+      if (chunkType === this.Gltf.JSON_CHUNK) {
+        json = JSON.parse(new TextDecoder().decode(
+            new Uint8Array(paramBuffer, offset + 8, chunkLength)));
+      } else if (chunkType === this.Gltf.BIN_CHUNK) {
+        bin = paramBuffer.slice(offset + 8, offset + 8 + chunkLength);
+      }
+
+      offset += 8 + chunkLength;
+    }
+
+    return {
+      json: json,
+      bin: bin,
+    };
+  };
+
+  /**
+   * @description This function reads the contents of a glTF accessor into a
+   * new typed array of the accessor's component type, honoring the byte stride
+   * of interleaved buffer views. Normalized integer accessors (often used for
+   * texture coordinates) are converted to floats in the range 0 -> 1.
+   *
+   * @param {object} paramJson
+   * @param {!Array<ArrayBuffer>} paramBuffers
+   * @param {number} paramIndex
+   * @returns {object} <code>{values, size}</code>
+   */
+  inaccessible.readAccessor = function (paramJson, paramBuffers, paramIndex) {
+
+    // Declarations
+    let accessor, bufferView, ComponentArray, size, values, stride, source,
+      base, maximum;
+
+    // Definitions
+    accessor = paramJson.accessors[paramIndex];
+
+    if (accessor.sparse != null) {
+      throw new Error(this.Text.GLTF_SPARSE_ERROR);
+    }
+
+    ComponentArray = this.Gltf.COMPONENT_TYPES[accessor.componentType];
+    size = this.Gltf.TYPE_SIZES[accessor.type];
+    values = new ComponentArray(accessor.count * size);
+
+    // Accessors without a buffer view are all zeros
+    if (accessor.bufferView == null) {
+      return {
+        values: values,
+        size: size,
+      };
+    }
+
+    bufferView = paramJson.bufferViews[accessor.bufferView];
+    stride = bufferView.byteStride || size * ComponentArray.BYTES_PER_ELEMENT;
+    base = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+    for (let i = 0; i < accessor.count; i++) {
+      source = new ComponentArray(paramBuffers[bufferView.buffer].slice(
+          base + i * stride,
+          base + i * stride + size * ComponentArray.BYTES_PER_ELEMENT));
+      values.set(source, i * size);
+    }
+
+    if (accessor.normalized && ComponentArray !== Float32Array) {
+      maximum = Math.pow(2, 8 * ComponentArray.BYTES_PER_ELEMENT -
+          (/^Int/.test(ComponentArray.name) ? 1 : 0)) - 1;
+      values = Float32Array.from(values, function (paramValue) {
+        return Math.max(paramValue / maximum, -1);
+      });
+    }
+
+    return {
+      values: values,
+      size: size,
+    };
+  };
+
+  /**
+   * @description This function converts the indices of a glTF triangle strip
+   * or triangle fan primitive into an equivalent list of separate triangles,
+   * preserving the winding order of each.
+   *
+   * @param {!Array<number>} paramIndices
+   * @param {number} paramMode
+   * @returns {!Array<number>} triangles
+   */
+  inaccessible.triangulateGltfIndices = function (paramIndices, paramMode) {
+
+    // Declaration
+    let triangles;
+
+    // Definition
+    triangles = [];
+
+    if (paramMode === this.Gltf.TRIANGLES) {
+      return Array.from(paramIndices);
+    } else if (paramMode === this.Gltf.TRIANGLE_STRIP) {
+      for (let i = 0; i < paramIndices.length - 2; i++) {
+
+        // Every other triangle of a strip has reversed winding
+        if (i % 2 === 0) {
+          triangles.push(paramIndices[i], paramIndices[i + 1],
+              paramIndices[i + 2]);
+        } else {
+          triangles.push(paramIndices[i + 1], paramIndices[i],
+              paramIndices[i + 2]);
+        }
+      }
+    } else if (paramMode === this.Gltf.TRIANGLE_FAN) {
+      for (let i = 1; i < paramIndices.length - 1; i++) {
+        triangles.push(paramIndices[0], paramIndices[i], paramIndices[i + 1]);
+      }
+    } else {
+      throw new Error(this.Text.GLTF_MODE_ERROR);
+    }
+
+    return triangles;
+  };
+
+  /**
+   * @description This function splits a node's world matrix back into the
+   * translation, orientation quaternion, and scale expected by the
+   * <code>transformations</code> object of a scene entry. A negative
+   * determinant (i.e. a mirrored node) is folded into the x-axis scale.
+   *
+   * @param {mat4} paramMatrix
+   * @returns {object} <code>{translate, orientation, scale}</code>
+   */
+  inaccessible.decomposeMatrix = function (paramMatrix) {
+
+    // Declarations
+    let scale, rotation, orientation;
+
+    // Definitions
+    scale = [0, 1, 2].map(function (paramColumn) {
+      return vec3.length(paramMatrix.slice(4 * paramColumn,
+          4 * paramColumn + 3));
+    });
+
+    if (mat4.determinant(paramMatrix) < 0) {
+      scale[0] = -scale[0];
+    }
+
+    rotation = mat3.fromMat4(mat3.create(), paramMatrix);
+    orientation = quat.create();
+
+    for (let i = 0; i < 9; i++) {
+      rotation[i] /= scale[Math.floor(i / 3)] || 1;
+    }
+
+    quat.normalize(orientation, quat.fromMat3(orientation, rotation));
+
+    return {
+      translate: Array.from(paramMatrix.slice(12, 15)),
+      orientation: Array.from(orientation),
+      scale: scale,
+    };
+  };
+
+  // Parser functions
+
+  /**
+   * @description This function parses the contents of a Wavefront OBJ file
+   * into a shape data object. Each unique <code>v/vt/vn</code> tuple
+   * referenced by a face becomes a single vertex of the output, so tuples
+   * shared by multiple faces are stored only once. Polygonal faces are
+   * fan-triangulated, which is sufficient for the convex polygons exported by
+   * most modeling packages.
+   * <br />
+   * <br />
+   * Should any face corner lack a <code>vn</code> index, as in files with no
+   * normals or that mix <code>f v/vt/vn</code> and <code>f v/vt</code> records,
+   * smooth normals are generated for the whole shape from its faces by
+   * <code>ProjectFourGeometryModule</code> in place of those read. Should the
+   * file contain no <code>vt</code> records, <code>vertexTextureCoords</code>
+   * is <code>null</code>, as with the untextured polyhedra of
+   * <code>ProjectFourDataModule</code>.
+   *
+   * @param {string} paramText
+   * @returns {object}
+   */
+  inaccessible.parseObj = function (paramText) {
+
+    // Declarations
+    let that, lines, records, lookup, positions, normals, texCoords, indices,
+      missingNormals, hasTexCoords, tokens, corners, addCorner, data;
+
+    // Definitions
+    that = this;
+    lines = paramText.split(/\r?\n/);
+    records = {v: [], vt: [], vn: []};
+    lookup = {};
+    positions = [];
+    normals = [];
+    texCoords = [];
+    indices = [];
+    missingNormals = false;
+    hasTexCoords = false;
+
+    // Converts a "v/vt/vn" tuple into an output vertex index
+    addCorner = function (paramTuple, paramLine) {
+
+      // Declarations
+      let parts, position, texCoord, normal, key;
+
+      // Definitions
+      parts = paramTuple.split('/');
+      position = that.resolveObjIndex(parts[0], records.v.length, paramLine);
+      texCoord = (parts[1]) ? that.resolveObjIndex(parts[1],
+          records.vt.length, paramLine) : null;
+      normal = (parts[2]) ? that.resolveObjIndex(parts[2], records.vn.length,
+          paramLine) : null;
+      key = `${position}/${texCoord}/${normal}`;
+
+      if (lookup[key] == null) {
+        lookup[key] = positions.length / 3;
+        positions.push(...records.v[position]);
+        texCoords.push(...((texCoord != null) ? records.vt[texCoord] : [0, 0]));
+        normals.push(...((normal != null) ? records.vn[normal] : [0, 0, 0]));
+        hasTexCoords = hasTexCoords || texCoord != null;
+        missingNormals = missingNormals || normal == null;
+      }
+
+      return lookup[key];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      tokens = lines[i].split('#')[0].trim().split(/\s+/);
+
+      switch (tokens[0]) {
+        case 'v':
+        case 'vn':
+          records[tokens[0]].push(tokens.slice(1, 4).map(parseFloat));
+          break;
+        case 'vt':
+          records.vt.push([parseFloat(tokens[1]), parseFloat(tokens[2]) || 0]);
+          break;
+        case 'f':
+          if (tokens.length < 4) {
+            throw new Error(`${this.Text.OBJ_FACE_ERROR} (line ${i + 1})`);
+          }
+
+          corners = tokens.slice(1).map(function (paramTuple) {
+            return addCorner(paramTuple, i + 1);
+          });
+
+          // Fan triangulation about the first corner
+          for (let j = 1; j < corners.length - 1; j++) {
+            indices.push(corners[0], corners[j], corners[j + 1]);
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (!indices.length) {
+      throw new Error(this.Text.OBJ_EMPTY_ERROR);
+    }
+
+    data = {
+      vertexPositions: new Float32Array(positions),
+      vertexNormals: new Float32Array(normals),
+      vertexTextureCoords: (hasTexCoords) ? new Float32Array(texCoords) : null,
+      indices: new (ProjectFourGeometryModule.getIndexArrayType(
+          positions.length / 3))(indices),
+    };
+
+    return (missingNormals)
+      ? ProjectFourGeometryModule.generateNormals(data, 'smooth')
+      : data;
+  };
+
+  /**
+   * @description This function parses a single glTF mesh primitive into a
+   * shape data object. Non-indexed primitives are given sequential indices,
+   * strips and fans are converted to separate triangles, and primitives
+   * lacking a <code>NORMAL</code> attribute have smooth normals generated by
+   * <code>ProjectFourGeometryModule</code>. Only
+   * the first texture coordinate set, <code>TEXCOORD_0</code>, is used.
+   *
+   * @param {object} paramJson
+   * @param {!Array<ArrayBuffer>} paramBuffers
+   * @param {object} paramPrimitive
+   * @returns {object}
+   */
+  inaccessible.parseGltfPrimitive = function (paramJson, paramBuffers,
+      paramPrimitive) {
+
+    // Declarations
+    let attributes, positions, normals, texCoords, indices, mode, data;
+
+    // Definitions
+    attributes = paramPrimitive.attributes;
+    mode = (paramPrimitive.mode != null)
+      ? paramPrimitive.mode
+      : this.Gltf.TRIANGLES;
+    positions = this.readAccessor(paramJson, paramBuffers,
+        attributes.POSITION).values;
+
+    if (paramPrimitive.indices != null) {
+      indices = this.readAccessor(paramJson, paramBuffers,
+          paramPrimitive.indices).values;
+    } else {
+      indices = Array.from({length: positions.length / 3},
+          function (paramValue, paramIndex) {
+            return paramIndex;
+          });
+    }
+
+    indices = this.triangulateGltfIndices(indices, mode);
+    normals = (attributes.NORMAL != null)
+      ? this.readAccessor(paramJson, paramBuffers, attributes.NORMAL).values
+      : null;
+    texCoords = (attributes.TEXCOORD_0 != null)
+      ? this.readAccessor(paramJson, paramBuffers, attributes.TEXCOORD_0).values
+      : null;
+    data = {
+      vertexPositions: new Float32Array(positions),
+      vertexNormals: (normals != null)
+        ? new Float32Array(normals)
+        : new Float32Array(positions.length),
+      vertexTextureCoords: (texCoords != null)
+        ? new Float32Array(texCoords)
+        : null,
+      indices: new (ProjectFourGeometryModule.getIndexArrayType(
+          positions.length / 3))(indices),
+    };
+
+    return (normals != null)
+      ? data
+      : ProjectFourGeometryModule.generateNormals(data, 'smooth');
+  };
+
+  /**
+   * @description This function reads the metallic-roughness material of a
+   * glTF primitive, returning its factors with the specification's defaults
+   * applied and, if it has one, the address of its base color texture image.
+   * Embedded images are exposed as object URLs so that they may be loaded like
+   * any other texture address; <code>ProjectFourTextureModule</code> revokes
+   * each once its image has loaded.
+   *
+   * @param {object} paramJson
+   * @param {!Array<ArrayBuffer>} paramBuffers
+   * @param {?number} paramIndex
+   * @param {string} paramBaseUri
+   * @returns {object}
+   */
+  inaccessible.parseGltfMaterial = function (paramJson, paramBuffers,
+      paramIndex, paramBaseUri) {
+
+    // Declarations
+    let material, pbr, texture, image, bufferView, address;
+
+    // Definitions
+    material = (paramIndex != null) ? paramJson.materials[paramIndex] : {};
+    pbr = material.pbrMetallicRoughness || {};
+    address = null;
+
+    if (pbr.baseColorTexture != null) {
+      texture = paramJson.textures[pbr.baseColorTexture.index];
+      image = paramJson.images[texture.source];
+
+      if (image.uri != null) {
+        address = (/^data:/.test(image.uri))
+          ? image.uri
+          : paramBaseUri + image.uri;
+      } else {
+        bufferView = paramJson.bufferViews[image.bufferView];
+        address = URL.createObjectURL(new Blob([
+          paramBuffers[bufferView.buffer].slice(bufferView.byteOffset || 0,
+              (bufferView.byteOffset || 0) + bufferView.byteLength),
+        ], {type: image.mimeType}));
+      }
+    }
+
+    return {
+      name: material.name,
+      baseColorFactor: pbr.baseColorFactor || [1, 1, 1, 1],
+      metallicFactor: (pbr.metallicFactor != null) ? pbr.metallicFactor : 1,
+      roughnessFactor: (pbr.roughnessFactor != null) ? pbr.roughnessFactor : 1,
+      emissiveFactor: material.emissiveFactor || [0, 0, 0],
+      baseColorTexture: address,
+    };
+  };
+
+  /**
+   * @description This function parses a glTF 2.0 asset, provided either as the
+   * <code>ArrayBuffer</code> contents of a <code>.gltf</code> or
+   * <code>.glb</code> file or as an already-parsed JSON object. The result
+   * contains a flat list of <code>primitives</code> (each with its shape data
+   * and material), a <code>meshes</code> list mapping each mesh to the indices
+   * of its primitives, and a list of mesh <code>instances</code>, one for each
+   * node of the default scene's node tree that references a mesh. The node
+   * tree is flattened by composing each node's local transform with those of
+   * its ancestors (and the optional root matrix), and the resulting world
+   * transform decomposed into translation, orientation, and scale.
+   *
+   * @param {ArrayBuffer|object} paramSource
+   * @param {mat4=} paramRootMatrix
+   * @param {string=} paramBaseUri Prepended to relative image addresses
+   * @returns {object} <code>{primitives, meshes, instances}</code>
+   */
+  inaccessible.parseGltf = function (paramSource, paramRootMatrix = null,
+      paramBaseUri = '') {
+
+    // Declarations
+    let that, json, buffers, glb, primitives, meshes, instances, roots,
+      children, visit, rootMatrix;
+
+    // Definitions
+    that = this;
+    primitives = [];
+    meshes = [];
+    instances = [];
+    rootMatrix = paramRootMatrix || mat4.create();
+
+    if (paramSource instanceof ArrayBuffer) {
+      if (paramSource.byteLength >= 12 && new DataView(paramSource)
+          .getUint32(0, true) === this.Gltf.GLB_MAGIC) {
+        glb = this.readGlb(paramSource);
+        json = glb.json;
+      } else {
+        json = JSON.parse(new TextDecoder().decode(paramSource));
+      }
+    } else {
+      json = paramSource;
+    }
+
+    if (!/^2\./.test((json.asset || {}).version)) {
+      throw new Error(this.Text.GLTF_VERSION_ERROR);
+    }
+
+    // Resolve each buffer to its contents
+    buffers = (json.buffers || []).map(function (buffer) {
+      if (buffer.uri == null && glb != null && glb.bin != null) {
+        return glb.bin;
+      } else if (buffer.uri != null && /^data:/.test(buffer.uri)) {
+        return that.decodeDataUri(buffer.uri);
+      }
+
+      throw new Error(that.Text.GLTF_BUFFER_ERROR);
+    });
+
+    // Each primitive becomes its own shape
+    (json.meshes || []).forEach(function (mesh) {
+      meshes.push(mesh.primitives.map(function (primitive) {
+        primitives.push({
+          name: mesh.name,
+          data: that.parseGltfPrimitive(json, buffers, primitive),
+          material: that.parseGltfMaterial(json, buffers, primitive.material,
+              paramBaseUri),
+        });
+
+        return primitives.length - 1;
+      }));
+    });
+
+    visit = function (paramIndex, paramParentMatrix) {
+
+      // Declarations
+      let node, local, world;
+
+      // Definitions
+      node = json.nodes[paramIndex];
+      world = mat4.create();
+
+      if (node.matrix != null) {
+        local = mat4.clone(node.matrix);
+      } else {
+        local = mat4.fromRotationTranslationScale(mat4.create(),
+            node.rotation || [0, 0, 0, 1], node.translation || [0, 0, 0],
+            node.scale || [1, 1, 1]);
+      }
+
+      mat4.multiply(world, paramParentMatrix, local);
+
+      if (node.mesh != null) {
+        instances.push(Object.assign({
+          name: node.name,
+          mesh: node.mesh,
+        }, that.decomposeMatrix(world)));
+      }
+
+      (node.children || []).forEach(function (child) {
+        visit(child, world);
+      });
+    };
+
+    // Default scene, else every node that is not another node's child
+    if (json.scenes != null && json.scenes.length) {
+      roots = json.scenes[json.scene || 0].nodes || [];
+    } else {
+      children = [].concat(...(json.nodes || []).map(function (node) {
+        return node.children || [];
+      }));
+      roots = (json.nodes || []).map(function (node, paramIndex) {
+        return paramIndex;
+      }).filter(function (paramIndex) {
+        return children.indexOf(paramIndex) === -1;
+      });
+    }
+
+    roots.forEach(function (root) {
+      visit(root, rootMatrix);
+    });
+
+    return {
+      primitives: primitives,
+      meshes: meshes,
+      instances: instances,
+    };
+  };
+
+  // Accessible functions
+
+  /**
+   * @description External getter for <code>parseObj</code>
+   *
+   * @param {string} paramText
+   * @returns {object} inaccessible.parseObj
+   */
+  accessible.parseObj = function (paramText) {
+    return inaccessible.parseObj(paramText);
+  };
+
+  /**
+   * @description External getter for <code>parseGltf</code>
+   *
+   * @param {ArrayBuffer|object} paramSource
+   * @param {mat4=} paramRootMatrix
+   * @param {string=} paramBaseUri
+   * @returns {object} inaccessible.parseGltf
+   */
+  accessible.parseGltf = function (paramSource, paramRootMatrix,
+      paramBaseUri) {
+    return inaccessible.parseGltf(paramSource, paramRootMatrix, paramBaseUri);
+  };
+
+  return accessible;
+})();
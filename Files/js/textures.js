@@ -0,0 +1,553 @@
+/**
+ * @file textures.js
+ * @fileoverview The texture manager module of the program, contains several
+ * access namespaces denoting which functions related to the loading, caching,
+ * and binding of image textures may be returned for external or global usage.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/**
+ * @description This JavaScript module is responsible for the image textures
+ * applied to objects in the scene. Each texture address is loaded exactly once;
+ * the first request creates a GL texture holding a temporary 1x1 color
+ * texture so that the object may be drawn immediately, and starts loading the
+ * image itself, which replaces the color texture once ready. Every later
+ * request for the same address simply binds the cached texture. The module
+ * keeps track of the load state of each texture, and the GL textures it holds
+ * may be freed explicitly via <code>accessible.dispose</code>. Cube maps built
+ * from six face images are cached in the same way under the combined
+ * addresses of their faces, though as a cube map is only complete once its
+ * faces share a size, their images replace the temporary color all at once.
+ * <br />
+ * <br />
+ * The module must be passed the program's <code>WebGLRenderingContext</code>
+ * via <code>accessible.init</code> before use, optionally along with a
+ * callback invoked whenever a texture image finishes loading so that a paused
+ * scene may be redrawn to show it and a callback to which a warning is passed
+ * whenever an image fails to load, so that it may be shown to the user.
+ *
+ * @author Andrew Eissen
+ * @module ProjectFourTextureModule
+ * @const
+ */
+const ProjectFourTextureModule = (function () {
+
+  // Declare access namespaces
+  let accessible, inaccessible;
+
+  // Define access namespaces
+  accessible = accessible || {};
+  inaccessible = inaccessible || {};
+
+  // Enums
+
+  /**
+   * @description This enum lists the load states through which each cached
+   * texture passes. A texture is <code>LOADING</code> (and thus displayed in
+   * its temporary color) from the moment it is first requested until its image
+   * either loads or fails to load.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.States = Object.freeze({
+    LOADING: 'loading',
+    LOADED: 'loaded',
+    FAILED: 'failed',
+  });
+
+  /**
+   * @description This enum contains the text of the warnings passed to the
+   * error callback by the texture manager.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.Text = Object.freeze({
+    LOAD_WARNING: 'Warning: Unable to load texture image',
+  });
+
+  // Module state
+
+  /**
+   * @description The <code>WebGLRenderingContext</code> in which textures are
+   * created, set by <code>accessible.init</code>.
+   */
+  inaccessible.gl = null;
+
+  /**
+   * @description Optional callback invoked with the texture address each time
+   * a texture image finishes loading.
+   */
+  inaccessible.onLoad = null;
+
+  /**
+   * @description Optional callback invoked with a warning message each time a
+   * texture image fails to load.
+   */
+  inaccessible.onError = null;
+
+  /**
+   * @description The texture cache, mapping each texture address to an object
+   * of the form <code>{texture, state, image}</code>. Cube map entries are
+   * instead of the form <code>{texture, state, images, remaining}</code>.
+   */
+  inaccessible.cache = {};
+
+  // Utility functions
+
+  /**
+   * This helper method is used to determine whether or not the included
+   * parameter argument is of a power of two. This is used by the function
+   * <code>inaccessible.handleImageLoad</code> to know whether or not the
+   * image width and height properties merit the generation of mipmaps.
+   *
+   * @param {number} paramValue
+   * @returns {boolean}
+   */
+  inaccessible.isPowerOf2 = function (paramValue) {
+    return (paramValue & (paramValue - 1)) === 0;
+  };
+
+  /**
+   * @description This utility method is used to apply a temporary color texture
+   * to the object while waiting for the actual image <code>.jpg</code> file to
+   * load for use. This function converts a color array from a range of 0 -> 1
+   * to a range of 0 -> 255 and returns it within a new <code>Uint8Array</code>
+   * instance.
+   *
+   * @param {!Array<number>} paramColorArray
+   * @returns {Uint8Array}
+   */
+  inaccessible.convertColorToUint8Array = function (paramColorArray) {
+
+    // Declaration
+    let newUint8Array;
+
+    //Definition
+    newUint8Array = [];
+    for (let i = 0; i < paramColorArray.length; i++) {
+      newUint8Array.push(paramColorArray[i] * 255);
+    }
+
+    return new Uint8Array(newUint8Array);
+  };
+
+  /**
+   * @description This utility method returns the cache key of the included
+   * texture address or, in the case of a cube map, the array of its six face
+   * addresses.
+   *
+   * @param {string|!Array<string>} paramAddress
+   * @returns {string}
+   */
+  inaccessible.getCacheKey = function (paramAddress) {
+    return (Array.isArray(paramAddress))
+      ? paramAddress.join('|')
+      : paramAddress;
+  };
+
+  /**
+   * @description This utility method revokes the included texture address
+   * should it be an object URL, such as those made by
+   * <code>ProjectFourLoaderModule</code> for images embedded in glTF files.
+   * Once its image has been read, the URL is no longer needed, and revoking it
+   * allows the browser to free the underlying <code>Blob</code>.
+   *
+   * @param {string} paramAddress
+   * @returns {void}
+   */
+  inaccessible.revokeObjectUrl = function (paramAddress) {
+    if (/^blob:/.test(paramAddress)) {
+      URL.revokeObjectURL(paramAddress);
+    }
+  };
+
+  // Handler functions
+
+  /**
+   * @description This handler is invoked once the image of a cached texture
+   * has loaded, replacing the temporary color texture with the image itself.
+   * Should the texture have been disposed of in the meantime, the image is
+   * simply discarded. As WebGL1 only permits mipmaps and repeated wrapping
+   * for power-of-two images, other images are clamped and linearly filtered.
+   *
+   * @param {string} paramAddress
+   * @param {object} paramEntry
+   * @returns {void}
+   */
+  inaccessible.handleImageLoad = function (paramAddress, paramEntry) {
+
+    // Declaration
+    let image;
+
+    // Definition
+    image = paramEntry.image;
+
+    if (this.cache[paramAddress] !== paramEntry) {
+      return;
+    }
+
+    this.gl.bindTexture(this.gl.TEXTURE_2D, paramEntry.texture);
+
+    // Replace default texture color with loaded image
+    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA,
+        this.gl.UNSIGNED_BYTE, image);
+
+    // WebGL1 has different requirements for power-of-two images
+    if (this.isPowerOf2(image.width) && this.isPowerOf2(image.height)) {
+      this.gl.generateMipmap(this.gl.TEXTURE_2D);
+    } else {
+      this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S,
+          this.gl.CLAMP_TO_EDGE);
+      this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T,
+          this.gl.CLAMP_TO_EDGE);
+      this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER,
+          this.gl.LINEAR);
+    }
+
+    paramEntry.state = this.States.LOADED;
+    paramEntry.image = null;
+
+    if (this.onLoad != null) {
+      this.onLoad(paramAddress);
+    }
+  };
+
+  /**
+   * @description This handler is invoked as each face image of a cached cube
+   * map loads. Once all six have loaded, the faces are uploaded together,
+   * replacing the temporary color. WebGL1 cube maps may only be mipmapped if
+   * their faces are of a power of two, so faces are simply linearly filtered.
+   *
+   * @param {string} paramKey
+   * @param {object} paramEntry
+   * @returns {void}
+   */
+  inaccessible.handleCubeFaceLoad = function (paramKey, paramEntry) {
+    if (this.cache[paramKey] !== paramEntry || --paramEntry.remaining > 0) {
+      return;
+    }
+
+    this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, paramEntry.texture);
+
+    for (let i = 0; i < paramEntry.images.length; i++) {
+      this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0,
+          this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE,
+          paramEntry.images[i]);
+    }
+
+    paramEntry.state = this.States.LOADED;
+    paramEntry.images = null;
+
+    if (this.onLoad != null) {
+      this.onLoad(paramKey);
+    }
+  };
+
+  // Main functions
+
+  /**
+   * @description This function returns the cached texture for the included
+   * address, creating it if this is the first request for that address. New
+   * textures are filled with the included temporary color (white by default)
+   * and begin loading their image immediately.
+   *
+   * @param {string} paramAddress
+   * @param {!Array<number>=} paramColor
+   * @returns {object} entry
+   */
+  inaccessible.load = function (paramAddress, paramColor = [1, 1, 1, 1]) {
+
+    // Declarations
+    let that, entry;
+
+    if (this.cache[paramAddress] != null) {
+      return this.cache[paramAddress];
+    }
+
+    // Definitions
+    that = this;
+    entry = {
+      texture: this.gl.createTexture(),
+      state: this.States.LOADING,
+      image: new Image(),
+    };
+
+    this.cache[paramAddress] = entry;
+
+    // Add temporary color texture to begin object use; replace once image ready
+    this.gl.bindTexture(this.gl.TEXTURE_2D, entry.texture);
+    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, 1, 1, 0,
+        this.gl.RGBA, this.gl.UNSIGNED_BYTE,
+        this.convertColorToUint8Array(paramColor));
+
+    entry.image.onload = function () {
+      that.revokeObjectUrl(paramAddress);
+      that.handleImageLoad(paramAddress, entry);
+    };
+
+    entry.image.onerror = function () {
+      that.revokeObjectUrl(paramAddress);
+
+      if (that.cache[paramAddress] === entry) {
+        entry.state = that.States.FAILED;
+        entry.image = null;
+
+        if (that.onError != null) {
+          that.onError(`${that.Text.LOAD_WARNING} ${paramAddress}`);
+        }
+      }
+    };
+
+    entry.image.src = paramAddress;
+
+    return entry;
+  };
+
+  /**
+   * @description This function returns the cached cube map for the included
+   * array of six face addresses, ordered from <code>POSITIVE_X</code> to
+   * <code>NEGATIVE_Z</code>, creating it if this is the first request for
+   * those faces. As with <code>inaccessible.load</code>, new cube maps are
+   * filled with the included temporary color (black by default) until their
+   * images have loaded. Should any face fail to load, the whole cube map keeps
+   * its temporary color.
+   *
+   * @param {!Array<string>} paramAddresses
+   * @param {!Array<number>=} paramColor
+   * @returns {object} entry
+   */
+  inaccessible.loadCubeMap = function (paramAddresses,
+      paramColor = [0, 0, 0, 1]) {
+
+    // Declarations
+    let that, key, entry;
+
+    // Definitions
+    that = this;
+    key = this.getCacheKey(paramAddresses);
+
+    if (this.cache[key] != null) {
+      return this.cache[key];
+    }
+
+    entry = {
+      texture: this.gl.createTexture(),
+      state: this.States.LOADING,
+      images: paramAddresses.map(function () {
+        return new Image();
+      }),
+      remaining: paramAddresses.length,
+    };
+
+    this.cache[key] = entry;
+
+    // Temporary color faces, replaced once every face image is ready
+    this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, entry.texture);
+    for (let i = 0; i < paramAddresses.length; i++) {
+      this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0,
+          this.gl.RGBA, 1, 1, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE,
+          this.convertColorToUint8Array(paramColor));
+    }
+
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MIN_FILTER,
+        this.gl.LINEAR);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_WRAP_S,
+        this.gl.CLAMP_TO_EDGE);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_WRAP_T,
+        this.gl.CLAMP_TO_EDGE);
+
+    entry.images.forEach(function (paramImage, paramIndex) {
+      paramImage.onload = function () {
+        that.handleCubeFaceLoad(key, entry);
+      };
+
+      paramImage.onerror = function () {
+        if (that.cache[key] === entry && entry.state !== that.States.FAILED) {
+          entry.state = that.States.FAILED;
+
+          if (that.onError != null) {
+            that.onError(
+                `${that.Text.LOAD_WARNING} ${paramAddresses[paramIndex]}`);
+          }
+        }
+      };
+
+      paramImage.src = paramAddresses[paramIndex];
+    });
+
+    return entry;
+  };
+
+  /**
+   * @description This function binds the cached texture for the included
+   * address to the included texture unit (unit 0 by default), loading it first
+   * if necessary. The caller remains responsible for pointing the appropriate
+   * sampler uniform at that unit.
+   *
+   * @param {string} paramAddress
+   * @param {number=} paramUnit
+   * @param {!Array<number>=} paramColor
+   * @returns {string} state
+   */
+  inaccessible.bind = function (paramAddress, paramUnit = 0, paramColor) {
+
+    // Declaration
+    let entry;
+
+    // Definition
+    entry = this.load(paramAddress, paramColor);
+
+    this.gl.activeTexture(this.gl.TEXTURE0 + paramUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, entry.texture);
+
+    return entry.state;
+  };
+
+  /**
+   * @description This function binds the cached cube map for the included
+   * face addresses to the included texture unit, loading it first if
+   * necessary. Like <code>inaccessible.bind</code>, the caller remains
+   * responsible for pointing the appropriate sampler uniform at that unit.
+   *
+   * @param {!Array<string>} paramAddresses
+   * @param {number=} paramUnit
+   * @param {!Array<number>=} paramColor
+   * @returns {string} state
+   */
+  inaccessible.bindCubeMap = function (paramAddresses, paramUnit = 0,
+      paramColor) {
+
+    // Declaration
+    let entry;
+
+    // Definition
+    entry = this.loadCubeMap(paramAddresses, paramColor);
+
+    this.gl.activeTexture(this.gl.TEXTURE0 + paramUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, entry.texture);
+
+    return entry.state;
+  };
+
+  /**
+   * @description This function deletes the GL texture cached for the included
+   * address (or cube map face addresses), or those of every cached address if
+   * none is included, and removes them from the cache. Any image still
+   * loading for a disposed texture is ignored once it arrives.
+   *
+   * @param {?string|!Array<string>=} paramAddress
+   * @returns {void}
+   */
+  inaccessible.dispose = function (paramAddress = null) {
+
+    // Declaration
+    let addresses;
+
+    // Definition
+    addresses = (paramAddress != null)
+      ? [this.getCacheKey(paramAddress)]
+      : Object.keys(this.cache);
+
+    for (let i = 0; i < addresses.length; i++) {
+      if (this.cache[addresses[i]] != null) {
+        this.gl.deleteTexture(this.cache[addresses[i]].texture);
+        delete this.cache[addresses[i]];
+      }
+    }
+  };
+
+  // Accessible functions
+
+  /**
+   * @description External setter for the module's GL context and optional
+   * load and error callbacks. Any textures cached under a previous context are
+   * disposed.
+   *
+   * @param {WebGLRenderingContext} paramGl
+   * @param {?function(string)=} paramOnLoad
+   * @param {?function(string)=} paramOnError
+   * @returns {void}
+   */
+  accessible.init = function (paramGl, paramOnLoad = null,
+      paramOnError = null) {
+    if (inaccessible.gl != null) {
+      inaccessible.dispose();
+    }
+
+    inaccessible.gl = paramGl;
+    inaccessible.onLoad = paramOnLoad;
+    inaccessible.onError = paramOnError;
+  };
+
+  /**
+   * @description External getter for <code>load</code>, returning the cached
+   * GL texture itself
+   *
+   * @param {string} paramAddress
+   * @param {!Array<number>=} paramColor
+   * @returns {WebGLTexture}
+   */
+  accessible.load = function (paramAddress, paramColor) {
+    return inaccessible.load(paramAddress, paramColor).texture;
+  };
+
+  /**
+   * @description External getter for <code>bind</code>
+   *
+   * @param {string} paramAddress
+   * @param {number=} paramUnit
+   * @param {!Array<number>=} paramColor
+   * @returns {string} inaccessible.bind
+   */
+  accessible.bind = function (paramAddress, paramUnit, paramColor) {
+    return inaccessible.bind(paramAddress, paramUnit, paramColor);
+  };
+
+  /**
+   * @description External getter for <code>bindCubeMap</code>
+   *
+   * @param {!Array<string>} paramAddresses
+   * @param {number=} paramUnit
+   * @param {!Array<number>=} paramColor
+   * @returns {string} inaccessible.bindCubeMap
+   */
+  accessible.bindCubeMap = function (paramAddresses, paramUnit, paramColor) {
+    return inaccessible.bindCubeMap(paramAddresses, paramUnit, paramColor);
+  };
+
+  /**
+   * @description External getter for the load state of the texture cached for
+   * the included address (or cube map face addresses), or <code>null</code>
+   * if no such texture is cached
+   *
+   * @param {string|!Array<string>} paramAddress
+   * @returns {?string}
+   */
+  accessible.getState = function (paramAddress) {
+
+    // Declaration
+    let key;
+
+    // Definition
+    key = inaccessible.getCacheKey(paramAddress);
+
+    return (inaccessible.cache[key] != null)
+      ? inaccessible.cache[key].state
+      : null;
+  };
+
+  /**
+   * @description External getter for <code>dispose</code>
+   *
+   * @param {?string|!Array<string>=} paramAddress
+   * @returns {void}
+   */
+  accessible.dispose = function (paramAddress) {
+    inaccessible.dispose(paramAddress);
+  };
+
+  return accessible;
+})();
@@ -0,0 +1,148 @@
+/**
+ * @file loader.test.js
+ * @fileoverview Tests of the model loader module, run from the repository root
+ * with <code>node Files/tests/loader.test.js</code>. As the modules of the
+ * program are plain browser scripts rather than Node modules, the loader and
+ * the modules it depends upon are run in the global scope in the same order
+ * as in <code>index.html</code> before being used to parse the sample models
+ * in <code>fixtures</code>: <code>quad.glb</code>, a textured two-triangle
+ * quad lacking normals, scaled by its node and translated by that node's
+ * parent, and <code>quads.obj</code> and <code>mixed.obj</code>, two quads
+ * sharing an edge with complete and partial normals respectively.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/* global ProjectFourLoaderModule */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Declarations
+let scripts, test, readObj, file, model, data;
+
+// Definitions
+scripts = ['gl-matrix-min.js', 'data.js', 'geometry.js', 'loader.js'];
+
+/**
+ * @description This function runs the included test, noting its name and
+ * whether it passed. Failures set the exit code rather than stopping the
+ * remaining tests.
+ *
+ * @param {string} paramName
+ * @param {function} paramTest
+ * @returns {void}
+ */
+test = function (paramName, paramTest) {
+  try {
+    paramTest();
+    console.log(`ok - ${paramName}`);
+  } catch (error) {
+    console.log(`not ok - ${paramName}\n  ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * @description This function parses the named OBJ file of the fixtures
+ * directory, returning the resulting shape data object.
+ *
+ * @param {string} paramName
+ * @returns {object}
+ */
+readObj = function (paramName) {
+  return ProjectFourLoaderModule.parseObj(fs.readFileSync(path.join(__dirname,
+      'fixtures', paramName), 'utf8'));
+};
+
+scripts.forEach(function (paramScript) {
+  vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'js',
+      paramScript), 'utf8'), {filename: paramScript});
+});
+
+file = fs.readFileSync(path.join(__dirname, 'fixtures', 'quad.glb'));
+model = ProjectFourLoaderModule.parseGltf(file.buffer.slice(file.byteOffset,
+    file.byteOffset + file.byteLength));
+data = model.primitives[0].data;
+
+test('reads the single mesh and primitive of the binary container',
+    function () {
+      assert.strictEqual(model.primitives.length, 1);
+      assert.strictEqual(model.primitives[0].name, 'quad');
+      assert.deepStrictEqual(model.meshes, [[0]]);
+    });
+
+test('keeps the positions, texture coordinates, and 16-bit indices',
+    function () {
+      assert.strictEqual(data.vertexPositions.length, 12);
+      assert.strictEqual(data.vertexTextureCoords.length, 8);
+      assert.ok(data.indices instanceof Uint16Array);
+      assert.strictEqual(data.indices.length, 6);
+    });
+
+test('generates smooth normals facing along the positive z-axis',
+    function () {
+      for (let i = 0; i < data.vertexNormals.length; i += 3) {
+        assert.deepStrictEqual(Array.from(data.vertexNormals.slice(i, i + 3)),
+            [0, 0, 1]);
+      }
+    });
+
+test('composes the node tree into a single instance', function () {
+  assert.strictEqual(model.instances.length, 1);
+  assert.strictEqual(model.instances[0].mesh, 0);
+  assert.deepStrictEqual(model.instances[0].translate, [1, 2, 3]);
+  assert.deepStrictEqual(model.instances[0].scale, [2, 2, 2]);
+});
+
+test('reads the metallic-roughness material factors', function () {
+  assert.deepStrictEqual(model.primitives[0].material.baseColorFactor,
+      [1, 0, 0, 1]);
+  assert.strictEqual(model.primitives[0].material.metallicFactor, 0);
+  assert.strictEqual(model.primitives[0].material.roughnessFactor, 0.5);
+  assert.strictEqual(model.primitives[0].material.baseColorTexture, null);
+});
+
+data = readObj('quads.obj');
+
+test('fan-triangulates quad faces', function () {
+  assert.ok(data.indices instanceof Uint16Array);
+  assert.deepStrictEqual(Array.from(data.indices.slice(0, 6)),
+      [0, 1, 2, 0, 2, 3]);
+});
+
+test('stores tuples shared by multiple faces only once', function () {
+  assert.strictEqual(data.vertexPositions.length, 18);
+  assert.strictEqual(data.indices.length, 12);
+});
+
+test('resolves negative indices relative to the end of each list',
+    function () {
+      assert.deepStrictEqual(Array.from(data.indices.slice(6)),
+          [1, 4, 5, 1, 5, 2]);
+      assert.deepStrictEqual(Array.from(data.vertexPositions.slice(12)),
+          [2, 0, 0, 2, 1, 0]);
+    });
+
+test('keeps the normals read and omits absent texture coordinates',
+    function () {
+      for (let i = 0; i < data.vertexNormals.length; i += 3) {
+        assert.deepStrictEqual(Array.from(data.vertexNormals.slice(i, i + 3)),
+            [0, 0, 1]);
+      }
+
+      assert.strictEqual(data.vertexTextureCoords, null);
+    });
+
+data = readObj('mixed.obj');
+
+test('generates smooth normals when any corner lacks a normal', function () {
+  assert.strictEqual(data.vertexNormals.length, data.vertexPositions.length);
+
+  for (let i = 0; i < data.vertexNormals.length; i += 3) {
+    assert.deepStrictEqual(Array.from(data.vertexNormals.slice(i, i + 3)),
+        [0, 0, 1]);
+  }
+});